@@ -0,0 +1,473 @@
+/**
+ * Audio Files - Decoding of uploaded recordings for batch jobs
+ *
+ * Supported uploads:
+ * - WAV: 16-bit PCM (plain or WAVE_FORMAT_EXTENSIBLE), any sample rate, mixed down to mono
+ * - FLAC: passed through as-is (Google Speech decodes it), split on frame boundaries
+ * - Raw PCM: 16-bit little-endian, sample rate and channels given by the uploader
+ *
+ * Uploads are kept on disk while their job waits: probeAudioFile checks them
+ * from their headers, decodeAudio loads them when the job runs.
+ *
+ * Streaming recognition is limited to a few minutes of audio per stream, so a
+ * recording is split into windows that are each recognized by a fresh stream.
+ */
+
+import fsPromises from 'fs/promises';
+
+// Audio per chunk fed to the speech engine
+const CHUNK_MS = 100;
+
+// Google Speech streams accept ~305s of audio - stay well below
+export const MAX_WINDOW_MS = 200000;
+
+// PCM windows end at the quietest moment in their last stretch, so words aren't cut
+const CUT_SEARCH_MS = 15000;
+const CUT_FRAME_MS = 200;
+
+const WAVE_FORMAT_PCM = 1;
+const WAVE_FORMAT_EXTENSIBLE = 0xFFFE;
+
+/**
+ * Mix interleaved 16-bit PCM down to mono (returns the input when already mono)
+ */
+function mixToMono(pcm, channels) {
+  if (channels === 1) return pcm;
+
+  const frameCount = Math.floor(pcm.length / (2 * channels));
+  const mono = Buffer.alloc(frameCount * 2);
+  for (let frame = 0; frame < frameCount; frame++) {
+    let sum = 0;
+    for (let channel = 0; channel < channels; channel++) {
+      sum += pcm.readInt16LE((frame * channels + channel) * 2);
+    }
+    mono.writeInt16LE(Math.round(sum / channels), frame * 2);
+  }
+  return mono;
+}
+
+function pcmAudio(format, pcm, sampleRate, channels) {
+  const mono = mixToMono(pcm, channels);
+  return {
+    format,
+    audioFormat: { encoding: 'LINEAR16', sampleRateHertz: sampleRate, audioChannelCount: 1 },
+    pcm: mono,
+    durationMs: (mono.length / 2 / sampleRate) * 1000
+  };
+}
+
+/**
+ * Body of a WAV "fmt " chunk
+ */
+function readWavFormat(chunk) {
+  let formatTag = chunk.readUInt16LE(0);
+  if (formatTag === WAVE_FORMAT_EXTENSIBLE && chunk.length >= 26) {
+    formatTag = chunk.readUInt16LE(24); // First bytes of the SubFormat GUID
+  }
+  return {
+    formatTag,
+    channels: chunk.readUInt16LE(2),
+    sampleRate: chunk.readUInt32LE(4),
+    bitsPerSample: chunk.readUInt16LE(14)
+  };
+}
+
+/**
+ * @throws {Error} unless the data chunk's format is known and 16-bit PCM
+ */
+function checkWavFormat(fmt) {
+  if (!fmt) throw new Error('WAV data chunk comes before its format chunk');
+  if (fmt.formatTag !== WAVE_FORMAT_PCM || fmt.bitsPerSample !== 16) {
+    throw new Error('Only 16-bit PCM WAV files are supported');
+  }
+}
+
+/**
+ * Parse a WAV file
+ * @throws {Error} if it isn't 16-bit PCM
+ */
+export function parseWav(buffer) {
+  if (buffer.length < 12 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+    throw new Error('Not a WAV file');
+  }
+
+  let fmt = null;
+  let offset = 12;
+  while (offset + 8 <= buffer.length) {
+    const chunkId = buffer.toString('ascii', offset, offset + 4);
+    const chunkSize = buffer.readUInt32LE(offset + 4);
+    const body = offset + 8;
+
+    if (chunkId === 'fmt ') {
+      fmt = readWavFormat(buffer.subarray(body, body + chunkSize));
+    } else if (chunkId === 'data') {
+      checkWavFormat(fmt);
+      // Streamed WAVs may carry a placeholder size - read to the end of the file
+      const end = Math.min(body + chunkSize, buffer.length);
+      return pcmAudio('wav', buffer.subarray(body, end), fmt.sampleRate, fmt.channels);
+    }
+
+    offset = body + chunkSize + (chunkSize % 2); // Chunks are word-aligned
+  }
+
+  throw new Error('WAV file has no audio data');
+}
+
+/**
+ * Raw 16-bit little-endian PCM
+ */
+export function parsePcm(buffer, { sampleRate = 24000, channels = 1 } = {}) {
+  checkPcmOptions(sampleRate, channels);
+  return pcmAudio('pcm', buffer, sampleRate, channels);
+}
+
+function checkPcmOptions(sampleRate, channels) {
+  if (!Number.isInteger(sampleRate) || sampleRate < 8000 || sampleRate > 48000) {
+    throw new Error('sampleRate must be between 8000 and 48000');
+  }
+  if (!Number.isInteger(channels) || channels < 1 || channels > 8) {
+    throw new Error('channels must be between 1 and 8');
+  }
+}
+
+// CRC-8 (polynomial 0x07) protecting each FLAC frame header
+const CRC8_TABLE = Array.from({ length: 256 }, (_, byte) => {
+  let crc = byte;
+  for (let bit = 0; bit < 8; bit++) {
+    crc = crc & 0x80 ? ((crc << 1) ^ 0x07) & 0xFF : (crc << 1) & 0xFF;
+  }
+  return crc;
+});
+
+function crc8(buffer, start, end) {
+  let crc = 0;
+  for (let index = start; index < end; index++) {
+    crc = CRC8_TABLE[crc ^ buffer[index]];
+  }
+  return crc;
+}
+
+/**
+ * Read a FLAC frame header at offset
+ * @returns {{number: number, variableBlockSize: boolean}|null} null if this isn't a frame start
+ */
+function readFlacFrameHeader(buffer, offset) {
+  if (offset + 6 > buffer.length || buffer[offset] !== 0xFF || (buffer[offset + 1] & 0xFE) !== 0xF8) {
+    return null;
+  }
+
+  const blockSizeCode = buffer[offset + 2] >> 4;
+  const sampleRateCode = buffer[offset + 2] & 0x0F;
+  const channelAssignment = buffer[offset + 3] >> 4;
+  const sampleSizeCode = (buffer[offset + 3] >> 1) & 0x07;
+  if (blockSizeCode === 0 || sampleRateCode === 15 || channelAssignment > 10 ||
+    sampleSizeCode === 3 || (buffer[offset + 3] & 0x01)) {
+    return null;
+  }
+
+  // Frame or sample number, UTF-8 style variable length
+  let position = offset + 4;
+  const first = buffer[position++];
+  let length = 0;
+  while (length < 8 && first & (0x80 >> length)) length++;
+  if (length === 1 || length > 7) return null;
+
+  let number = length === 0 ? first : first & (0xFF >> (length + 1));
+  for (let index = 1; index < length; index++) {
+    const next = buffer[position++];
+    if ((next & 0xC0) !== 0x80) return null;
+    number = number * 64 + (next & 0x3F);
+  }
+
+  if (blockSizeCode === 6) position += 1;
+  if (blockSizeCode === 7) position += 2;
+  if (sampleRateCode === 12) position += 1;
+  if (sampleRateCode === 13 || sampleRateCode === 14) position += 2;
+  if (position >= buffer.length || crc8(buffer, offset, position) !== buffer[position]) return null;
+
+  return { number, variableBlockSize: Boolean(buffer[offset + 1] & 0x01) };
+}
+
+/**
+ * Fields of a FLAC STREAMINFO block (totalSamples is 0 when the encoder didn't know it)
+ */
+function readStreamInfo(streamInfo) {
+  return {
+    blockSize: streamInfo.readUInt16BE(0),
+    sampleRate: streamInfo.readUIntBE(10, 3) >> 4,
+    channels: ((streamInfo[12] >> 1) & 0x07) + 1,
+    totalSamples: (streamInfo[13] & 0x0F) * 2 ** 32 + streamInfo.readUInt32BE(14)
+  };
+}
+
+/**
+ * Parse a FLAC file - the audio stays encoded, only frame positions are read
+ */
+export function parseFlac(buffer) {
+  if (buffer.length < 42 || buffer.toString('ascii', 0, 4) !== 'fLaC') {
+    throw new Error('Not a FLAC file');
+  }
+
+  // Metadata blocks - only STREAMINFO is needed
+  let streamInfo = null;
+  let offset = 4;
+  let isLast = false;
+  while (!isLast && offset + 4 <= buffer.length) {
+    isLast = Boolean(buffer[offset] & 0x80);
+    const type = buffer[offset] & 0x7F;
+    const length = buffer.readUIntBE(offset + 1, 3);
+    if (type === 0) {
+      streamInfo = buffer.subarray(offset + 4, offset + 4 + length);
+    }
+    offset += 4 + length;
+  }
+  if (!streamInfo || streamInfo.length < 34) {
+    throw new Error('FLAC file has no STREAMINFO block');
+  }
+
+  const { blockSize, sampleRate, channels, totalSamples } = readStreamInfo(streamInfo);
+
+  // Sent again at the start of every window: "fLaC" + STREAMINFO as the last block
+  const header = Buffer.concat([
+    Buffer.from('fLaC', 'ascii'),
+    Buffer.from([0x80, 0, 0, streamInfo.length]),
+    streamInfo
+  ]);
+
+  // Frame starts (sync code + valid header CRC) and their sample positions
+  const frames = [];
+  for (let position = offset; position < buffer.length - 1; position++) {
+    if (buffer[position] !== 0xFF) continue;
+    const frame = readFlacFrameHeader(buffer, position);
+    if (frame) {
+      frames.push({
+        offset: position,
+        sample: frame.variableBlockSize ? frame.number : frame.number * blockSize
+      });
+    }
+  }
+  if (frames.length === 0) {
+    throw new Error('FLAC file has no audio frames');
+  }
+
+  const lastSample = totalSamples || frames[frames.length - 1].sample + blockSize;
+  return {
+    format: 'flac',
+    audioFormat: { encoding: 'FLAC', sampleRateHertz: sampleRate, audioChannelCount: channels },
+    data: buffer,
+    header,
+    frames,
+    totalSamples: lastSample,
+    durationMs: (lastSample / sampleRate) * 1000
+  };
+}
+
+const UNRECOGNIZED_AUDIO = 'Unrecognized audio - upload WAV or FLAC, or raw PCM with format=pcm';
+
+/**
+ * WAV and FLAC are recognized by their magic bytes
+ */
+function detectFormat(buffer) {
+  const magic = buffer.toString('ascii', 0, 4);
+  return magic === 'RIFF' ? 'wav' : magic === 'fLaC' ? 'flac' : null;
+}
+
+/**
+ * Decode an upload by its content (WAV and FLAC are recognized by their magic bytes)
+ * @param {Object} options - { format: 'wav' | 'flac' | 'pcm', sampleRate, channels }
+ * @throws {Error} for unsupported or damaged files
+ */
+export function decodeAudio(buffer, { format, sampleRate, channels } = {}) {
+  if (!buffer || buffer.length === 0) {
+    throw new Error('No audio uploaded');
+  }
+
+  const resolved = format || detectFormat(buffer);
+  if (resolved === 'wav') return parseWav(buffer);
+  if (resolved === 'flac') return parseFlac(buffer);
+  if (resolved === 'pcm') return parsePcm(buffer, { sampleRate, channels });
+  throw new Error(UNRECOGNIZED_AUDIO);
+}
+
+/**
+ * Check an uploaded file and measure it without loading it - the audio itself
+ * is decoded (decodeAudio) when its job runs
+ * @param {Object} options - as for decodeAudio
+ * @returns {Promise<{format: string, durationMs: number}>} durationMs is 0 for
+ *   FLAC files that don't state their length (known once decoded)
+ * @throws {Error} for unsupported or damaged files
+ */
+export async function probeAudioFile(filePath, { format, sampleRate = 24000, channels = 1 } = {}) {
+  const file = await fsPromises.open(filePath, 'r');
+  try {
+    const { size } = await file.stat();
+    if (size === 0) {
+      throw new Error('No audio uploaded');
+    }
+
+    const read = async (position, length) => {
+      const buffer = Buffer.alloc(Math.max(Math.min(length, size - position), 0));
+      await file.read(buffer, 0, buffer.length, position);
+      return buffer;
+    };
+
+    const resolved = format || detectFormat(await read(0, 4));
+    if (resolved === 'wav') {
+      return { format: 'wav', durationMs: await probeWav(read, size) };
+    }
+    if (resolved === 'flac') {
+      return { format: 'flac', durationMs: probeFlac(await read(0, 42)) };
+    }
+    if (resolved === 'pcm') {
+      checkPcmOptions(sampleRate, channels);
+      const frameCount = Math.floor(size / (2 * channels));
+      return { format: 'pcm', durationMs: (frameCount / sampleRate) * 1000 };
+    }
+    throw new Error(UNRECOGNIZED_AUDIO);
+  } finally {
+    await file.close();
+  }
+}
+
+/**
+ * Duration of a WAV file, walking its chunk headers
+ * @param {Function} read - (position, length) => Promise<Buffer>
+ */
+async function probeWav(read, size) {
+  const riff = await read(0, 12);
+  if (riff.length < 12 || riff.toString('ascii', 0, 4) !== 'RIFF' || riff.toString('ascii', 8, 12) !== 'WAVE') {
+    throw new Error('Not a WAV file');
+  }
+
+  let fmt = null;
+  let offset = 12;
+  while (offset + 8 <= size) {
+    const chunk = await read(offset, 8);
+    const chunkId = chunk.toString('ascii', 0, 4);
+    const chunkSize = chunk.readUInt32LE(4);
+    const body = offset + 8;
+
+    if (chunkId === 'fmt ') {
+      fmt = readWavFormat(await read(body, Math.min(chunkSize, 40)));
+    } else if (chunkId === 'data') {
+      checkWavFormat(fmt);
+      const frameCount = Math.floor(Math.min(chunkSize, size - body) / (2 * fmt.channels));
+      return (frameCount / fmt.sampleRate) * 1000;
+    }
+
+    offset = body + chunkSize + (chunkSize % 2);
+  }
+
+  throw new Error('WAV file has no audio data');
+}
+
+/**
+ * Duration of a FLAC file from its STREAMINFO, which the format puts first
+ */
+function probeFlac(head) {
+  if (head.length < 42 || head.toString('ascii', 0, 4) !== 'fLaC' ||
+    (head[4] & 0x7F) !== 0 || head.readUIntBE(5, 3) < 34) {
+    throw new Error('FLAC file has no STREAMINFO block');
+  }
+
+  const { sampleRate, totalSamples } = readStreamInfo(head.subarray(8, 42));
+  return (totalSamples / sampleRate) * 1000;
+}
+
+/**
+ * Position (in samples) of the quietest CUT_FRAME_MS stretch between two sample positions
+ */
+function findQuietestCut(pcm, sampleRate, from, to) {
+  const frameSamples = Math.round((sampleRate * CUT_FRAME_MS) / 1000);
+  let quietest = to;
+  let lowestEnergy = Infinity;
+
+  for (let start = from; start + frameSamples <= to; start += frameSamples) {
+    let energy = 0;
+    for (let sample = start; sample < start + frameSamples; sample++) {
+      const value = pcm.readInt16LE(sample * 2);
+      energy += value * value;
+    }
+    if (energy < lowestEnergy) {
+      lowestEnergy = energy;
+      quietest = start + Math.round(frameSamples / 2);
+    }
+  }
+  return quietest;
+}
+
+function splitPcm(audio, maxWindowMs) {
+  const { pcm } = audio;
+  const { sampleRateHertz: sampleRate } = audio.audioFormat;
+  const totalSamples = pcm.length / 2;
+  const maxSamples = Math.floor((sampleRate * maxWindowMs) / 1000);
+  const searchSamples = Math.floor((sampleRate * Math.min(CUT_SEARCH_MS, maxWindowMs / 2)) / 1000);
+  const chunkSamples = Math.round((sampleRate * CHUNK_MS) / 1000);
+  const windows = [];
+
+  let start = 0;
+  while (start < totalSamples) {
+    const end = start + maxSamples >= totalSamples
+      ? totalSamples
+      : findQuietestCut(pcm, sampleRate, start + maxSamples - searchSamples, start + maxSamples);
+
+    const chunks = [];
+    for (let chunkStart = start; chunkStart < end; chunkStart += chunkSamples) {
+      const chunkEnd = Math.min(chunkStart + chunkSamples, end);
+      chunks.push({
+        data: pcm.subarray(chunkStart * 2, chunkEnd * 2),
+        durationMs: ((chunkEnd - chunkStart) / sampleRate) * 1000
+      });
+    }
+    windows.push({ startMs: (start / sampleRate) * 1000, endMs: (end / sampleRate) * 1000, chunks });
+    start = end;
+  }
+  return windows;
+}
+
+function splitFlac(audio, maxWindowMs) {
+  const { data, header, frames, totalSamples } = audio;
+  const { sampleRateHertz: sampleRate } = audio.audioFormat;
+  const maxSamples = Math.floor((sampleRate * maxWindowMs) / 1000);
+  const chunkSamples = Math.round((sampleRate * CHUNK_MS) / 1000);
+  const sampleAt = (index) => (index < frames.length ? frames[index].sample : totalSamples);
+  const offsetAt = (index) => (index < frames.length ? frames[index].offset : data.length);
+  const windows = [];
+
+  let index = 0;
+  while (index < frames.length) {
+    const windowStart = sampleAt(index);
+    const chunks = [{ data: header, durationMs: 0 }];
+
+    while (index < frames.length && (sampleAt(index + 1) - windowStart <= maxSamples || chunks.length === 1)) {
+      // Group frames into chunks of about CHUNK_MS
+      const chunkStart = index;
+      index++;
+      while (index < frames.length && sampleAt(index + 1) - sampleAt(chunkStart) <= chunkSamples &&
+        sampleAt(index + 1) - windowStart <= maxSamples) {
+        index++;
+      }
+      chunks.push({
+        data: data.subarray(offsetAt(chunkStart), offsetAt(index)),
+        durationMs: ((sampleAt(index) - sampleAt(chunkStart)) / sampleRate) * 1000
+      });
+    }
+
+    windows.push({
+      startMs: (windowStart / sampleRate) * 1000,
+      endMs: (sampleAt(index) / sampleRate) * 1000,
+      chunks
+    });
+  }
+  return windows;
+}
+
+/**
+ * Split decoded audio into recognition windows of at most maxWindowMs, each a
+ * list of ~CHUNK_MS chunks to feed in order. FLAC windows start with the
+ * stream header so every window can be decoded on its own.
+ * @returns {Array<{startMs: number, endMs: number, chunks: Array<{data: Buffer, durationMs: number}>}>}
+ */
+export function splitIntoWindows(audio, maxWindowMs = MAX_WINDOW_MS) {
+  return audio.format === 'flac' ? splitFlac(audio, maxWindowMs) : splitPcm(audio, maxWindowMs);
+}
@@ -0,0 +1,177 @@
+/**
+ * Audio Frames - Binary audio messages on the host and solo WebSockets
+ *
+ * Clients that see `binaryAudio` in session_ready may send audio as binary
+ * WebSocket messages instead of { type: 'audio', audioData: <base64> } JSON,
+ * saving the base64 overhead (a third) and the encode/decode work.
+ * Each binary message is one frame, all integers little-endian:
+ *
+ *   offset 0  uint8   version (AUDIO_FRAME_VERSION)
+ *   offset 1  uint8   header length in bytes (12 - payload starts here)
+ *   offset 2  uint8   encoding (1 = LINEAR16, 2 = OPUS)
+ *   offset 3  uint8   channel count
+ *   offset 4  uint32  sample rate (Hz)
+ *   offset 8  uint32  sequence number, +1 per frame, per connection
+ *   offset 12 ...     audio payload
+ *
+ * Readers skip header bytes they don't know, so fields can be appended later.
+ *
+ * The codec is negotiated in `init`: the client lists what it can send besides
+ * PCM (`audioCodecs: ['opus']`) and session_ready answers with the `audioCodec`
+ * to use. OPUS payloads are raw Opus packets (e.g. WebCodecs output), each
+ * preceded by its length as a uint16 - JSON `audio` messages carry the same
+ * bytes in base64.
+ */
+
+export const AUDIO_FRAME_VERSION = 1;
+
+const MIN_HEADER_BYTES = 12;
+
+const ENCODINGS = new Map([
+  [1, 'LINEAR16'],
+  [2, 'OPUS']
+]);
+
+// Codec names used in init / session_ready and the engine encoding each one is
+const AUDIO_CODECS = new Map([
+  ['opus', 'OPUS'],
+  ['pcm', 'LINEAR16']
+]);
+
+/**
+ * Pick the codec of a connection: the first one offered that the engine takes,
+ * else PCM (which every engine takes)
+ * @param {string[]} offered - Codecs the client can send, by preference
+ * @param {string[]} encodings - Encodings the engine accepts (engine.getAudioEncodings())
+ * @returns {{ codec: string, encoding: string }}
+ */
+export function negotiateAudioCodec(offered, encodings = []) {
+  const codec = (Array.isArray(offered) ? offered : [])
+    .map(name => String(name).toLowerCase())
+    .find(name => AUDIO_CODECS.has(name) && encodings.includes(AUDIO_CODECS.get(name))) || 'pcm';
+  return { codec, encoding: AUDIO_CODECS.get(codec) };
+}
+
+/**
+ * Packets of an OPUS payload (uint16 length + packet, repeated)
+ * @param {Buffer} payload
+ * @returns {Buffer[]}
+ */
+export function splitOpusPackets(payload) {
+  const packets = [];
+  let offset = 0;
+  while (offset + 2 <= payload.length) {
+    const length = payload.readUInt16LE(offset);
+    if (offset + 2 + length > payload.length) {
+      throw new Error('Truncated Opus packet in audio payload');
+    }
+    packets.push(payload.subarray(offset + 2, offset + 2 + length));
+    offset += 2 + length;
+  }
+  return packets;
+}
+
+/**
+ * Audio of either transport as a Buffer (base64 from JSON messages, Buffer from frames)
+ * @param {string|Buffer} audioData
+ * @returns {Buffer}
+ */
+export function toAudioBuffer(audioData) {
+  if (Buffer.isBuffer(audioData)) return audioData;
+  return Buffer.from(audioData || '', 'base64');
+}
+
+/**
+ * Audio of either transport as base64, for engines whose APIs take it
+ * @param {string|Buffer} audioData
+ * @returns {string}
+ */
+export function toAudioBase64(audioData) {
+  return Buffer.isBuffer(audioData) ? audioData.toString('base64') : audioData;
+}
+
+/**
+ * Decode one binary frame
+ * @param {Buffer} data - Binary WebSocket message
+ * @returns {{ encoding: string, channels: number, sampleRate: number, sequence: number, audio: Buffer }}
+ */
+export function parseAudioFrame(data) {
+  if (data.length < MIN_HEADER_BYTES) {
+    throw new Error(`Audio frame too short (${data.length} bytes)`);
+  }
+
+  const version = data.readUInt8(0);
+  if (version !== AUDIO_FRAME_VERSION) {
+    throw new Error(`Unsupported audio frame version ${version}`);
+  }
+
+  const headerBytes = data.readUInt8(1);
+  if (headerBytes < MIN_HEADER_BYTES || headerBytes > data.length) {
+    throw new Error(`Invalid audio frame header length ${headerBytes}`);
+  }
+
+  const encoding = ENCODINGS.get(data.readUInt8(2));
+  if (!encoding) {
+    throw new Error(`Unsupported audio frame encoding ${data.readUInt8(2)}`);
+  }
+
+  return {
+    encoding,
+    channels: data.readUInt8(3),
+    sampleRate: data.readUInt32LE(4),
+    sequence: data.readUInt32LE(8),
+    audio: data.subarray(headerBytes)
+  };
+}
+
+/**
+ * Reads the frames of one connection: checks they match the format the speech
+ * engine was set up for and counts frames lost in between (sequence gaps)
+ */
+export class AudioFrameReader {
+  constructor(format = {}) {
+    this.encoding = format.encoding || 'LINEAR16';
+    this.sampleRate = format.sampleRate || 24000;
+    this.channels = format.channels || 1;
+    this.lastSequence = null;
+    this.framesReceived = 0;
+    this.framesMissed = 0;
+  }
+
+  /**
+   * Accept another encoding from now on (the negotiated codec)
+   */
+  expect(encoding) {
+    this.encoding = encoding;
+  }
+
+  /**
+   * @param {Buffer} data - Binary WebSocket message
+   * @returns {Buffer} The audio payload
+   */
+  read(data) {
+    const frame = parseAudioFrame(data);
+    if (frame.encoding !== this.encoding || frame.sampleRate !== this.sampleRate || frame.channels !== this.channels) {
+      throw new Error(`Audio frame format ${frame.encoding} ${frame.sampleRate} Hz x${frame.channels} not accepted (expected ${this.encoding} ${this.sampleRate} Hz x${this.channels})`);
+    }
+
+    if (this.lastSequence !== null) {
+      // Unsigned difference, so the counter may wrap around
+      const gap = (frame.sequence - this.lastSequence - 1) >>> 0;
+      if (gap > 0 && gap < 0x80000000) {
+        this.framesMissed += gap;
+      }
+    }
+    this.lastSequence = frame.sequence;
+    this.framesReceived++;
+
+    return frame.audio;
+  }
+
+  getStats() {
+    return {
+      framesReceived: this.framesReceived,
+      framesMissed: this.framesMissed
+    };
+  }
+}
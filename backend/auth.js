@@ -0,0 +1,433 @@
+/**
+ * Auth - Host ownership tokens and admin credentials
+ *
+ * Host tokens are HMAC-signed (HOST_TOKEN_SECRET) and bound to one session.
+ * They are issued by POST /session/start and required for the host WebSocket
+ * (including reconnects) and for HTTP control routes on that session. They
+ * expire after HOST_TOKEN_MAX_AGE_HOURS; the host socket hands out fresh ones,
+ * and once a fresh token is used the session rejects the older ones.
+ * Listener tokens use the same signing and are issued by POST /session/join
+ * once the session password (if any) has been checked. In invite-only sessions
+ * that token only opens the waiting room: listeners the host lets in get an
+ * admitted token (session_joined), which is what the session's read routes
+ * (info, transcript) accept.
+ * Job tokens are issued by POST /jobs and bound to one batch job.
+ *
+ * Admin routes (GET /sessions, ...) require ADMIN_TOKEN as a Bearer token or
+ * X-Admin-Token header. If ADMIN_TOKEN is not set, admin routes are disabled.
+ * Uploading batch jobs takes ADMIN_TOKEN or a job API key (JOB_API_KEYS),
+ * which uploads for one organization only.
+ *
+ * Join passwords are hashed with scrypt, off the event loop. Failed joins are
+ * counted per client and session and per session, and over either limit joining
+ * is refused until the window ends, so passwords can't be guessed at speed.
+ */
+
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { readNumber } from './config.js';
+
+const scrypt = promisify(crypto.scrypt);
+
+const HOST_TOKEN_MAX_AGE_MS = readNumber('HOST_TOKEN_MAX_AGE_HOURS', 24) * 60 * 60 * 1000;
+
+// How often a connected host gets a fresh token, so it never holds an expired one
+export const HOST_TOKEN_REFRESH_MS = Math.min(HOST_TOKEN_MAX_AGE_MS / 2, 24 * 60 * 60 * 1000);
+
+// Failed joins allowed per window - per client in one session, and per session
+// from all clients (many addresses guessing together)
+const JOIN_ATTEMPT_WINDOW_MS = readNumber('JOIN_ATTEMPT_WINDOW_MINUTES', 15) * 60 * 1000;
+const MAX_FAILED_JOINS_PER_CLIENT = readNumber('JOIN_MAX_FAILURES_PER_CLIENT', 5);
+const MAX_FAILED_JOINS_PER_SESSION = readNumber('JOIN_MAX_FAILURES_PER_SESSION', 100);
+
+/**
+ * Signing secret - without HOST_TOKEN_SECRET a random one is generated, so
+ * host tokens stop working after a restart (restored sessions can't be resumed)
+ */
+let secret = process.env.HOST_TOKEN_SECRET;
+if (!secret) {
+  console.warn('[Auth] ⚠️ HOST_TOKEN_SECRET not set - using a random secret, host tokens will not survive a restart');
+  secret = crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Job API keys - JOB_API_KEYS="orgId:key,orgId:key"
+ * @type {Array<{organizationId: string, key: string}>}
+ */
+const jobApiKeys = (process.env.JOB_API_KEYS || '')
+  .split(',')
+  .map(entry => entry.trim())
+  .filter(entry => entry.includes(':'))
+  .map(entry => {
+    const separator = entry.indexOf(':');
+    return { organizationId: entry.slice(0, separator).trim(), key: entry.slice(separator + 1).trim() };
+  })
+  .filter(({ organizationId, key }) => organizationId && key);
+
+function sign(payload) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+/**
+ * Constant-time string comparison
+ */
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Issue a signed token for a role in a session
+ * @returns {string} base64url(payload).signature
+ */
+function createToken(sessionId, role, extraClaims = {}) {
+  const payload = Buffer.from(JSON.stringify({
+    sid: sessionId,
+    role,
+    iat: Date.now(),
+    ...extraClaims
+  })).toString('base64url');
+  return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * Claims of a validly signed token for the role in the session
+ * @returns {Object|null}
+ */
+function readToken(token, sessionId, role) {
+  if (typeof token !== 'string' || !token.includes('.')) return null;
+
+  const [payload, signature] = token.split('.');
+  if (!safeEqual(signature, sign(payload))) return null;
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return claims.role === role && claims.sid === sessionId ? claims : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check that a token is validly signed and grants the role in the session
+ */
+function verifyToken(token, sessionId, role) {
+  return readToken(token, sessionId, role) !== null;
+}
+
+export function createHostToken(sessionId) {
+  return createToken(sessionId, 'host');
+}
+
+/**
+ * Claims of a host token that is valid now
+ * @param {Object} options - { notBefore } to reject tokens issued before a
+ *   newer one was used (see session.hostTokenNotBefore)
+ * @returns {Object|null}
+ */
+export function readHostToken(token, sessionId, options = {}) {
+  const claims = readToken(token, sessionId, 'host');
+  if (!claims || !(Date.now() - claims.iat <= HOST_TOKEN_MAX_AGE_MS)) return null;
+  return claims.iat >= (options.notBefore || 0) ? claims : null;
+}
+
+export function verifyHostToken(token, sessionId, options = {}) {
+  return readHostToken(token, sessionId, options) !== null;
+}
+
+/**
+ * @param {Object} options - { admitted } once the host let the listener in (invite-only sessions)
+ */
+export function createListenerToken(sessionId, options = {}) {
+  return createToken(sessionId, 'listener', options.admitted ? { adm: true } : {});
+}
+
+/**
+ * @param {Object} options - { admitted } to accept only listeners the host let in
+ */
+export function verifyListenerToken(token, sessionId, options = {}) {
+  const claims = readToken(token, sessionId, 'listener');
+  return Boolean(claims) && (!options.admitted || claims.adm === true);
+}
+
+export function createJobToken(jobId) {
+  return createToken(jobId, 'job');
+}
+
+export function verifyJobToken(token, jobId) {
+  return verifyToken(token, jobId, 'job');
+}
+
+/**
+ * Hash a session join password (scrypt, random salt)
+ * @returns {Promise<string>} salt:hash (hex)
+ */
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = (await scrypt(String(password), salt, 32)).toString('hex');
+  return `${salt}:${hash}`;
+}
+
+/**
+ * @returns {Promise<boolean>}
+ */
+export async function verifyPassword(password, passwordHash) {
+  if (typeof password !== 'string' || !passwordHash) return false;
+
+  const [salt, hash] = passwordHash.split(':');
+  const candidate = (await scrypt(password, salt, 32)).toString('hex');
+  return safeEqual(candidate, hash);
+}
+
+// key -> { count, resetAt } - one fixed window per client+session and per session
+const failedJoins = new Map();
+
+function failedJoinKeys(sessionId, clientId) {
+  return [
+    { key: `${sessionId}|${clientId}`, limit: MAX_FAILED_JOINS_PER_CLIENT },
+    { key: sessionId, limit: MAX_FAILED_JOINS_PER_SESSION }
+  ];
+}
+
+/**
+ * How long a client has to wait before trying a session's password again
+ * @param {string} clientId - The client's address (req.ip)
+ * @returns {number} ms, 0 if it may try now
+ */
+export function getJoinRetryAfterMs(sessionId, clientId) {
+  const now = Date.now();
+  let waitMs = 0;
+  for (const { key, limit } of failedJoinKeys(sessionId, clientId)) {
+    const entry = failedJoins.get(key);
+    if (entry && entry.resetAt > now && entry.count >= limit) {
+      waitMs = Math.max(waitMs, entry.resetAt - now);
+    }
+  }
+  return waitMs;
+}
+
+/**
+ * Count a wrong or missing password
+ */
+export function recordFailedJoin(sessionId, clientId) {
+  const now = Date.now();
+  for (const { key } of failedJoinKeys(sessionId, clientId)) {
+    const entry = failedJoins.get(key);
+    if (entry && entry.resetAt > now) {
+      entry.count++;
+    } else {
+      failedJoins.set(key, { count: 1, resetAt: now + JOIN_ATTEMPT_WINDOW_MS });
+    }
+  }
+}
+
+/**
+ * The client got in - its own failures no longer count
+ */
+export function clearFailedJoins(sessionId, clientId) {
+  failedJoins.delete(`${sessionId}|${clientId}`);
+}
+
+// Drop windows that are over - unref'd so it never keeps the process alive
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, entry] of failedJoins.entries()) {
+    if (entry.resetAt <= now) failedJoins.delete(key);
+  }
+}, JOIN_ATTEMPT_WINDOW_MS).unref();
+
+/**
+ * Read a token from "Authorization: Bearer <token>" or a fallback header
+ */
+function getRequestToken(req, headerName) {
+  const authorization = req.get('authorization') || '';
+  if (authorization.startsWith('Bearer ')) {
+    return authorization.slice(7).trim();
+  }
+  return req.get(headerName) || null;
+}
+
+/**
+ * Express middleware - only admins (ADMIN_TOKEN) pass
+ */
+export function requireAdmin(req, res, next) {
+  const adminToken = process.env.ADMIN_TOKEN;
+  if (!adminToken) {
+    return res.status(403).json({
+      success: false,
+      error: 'Admin routes are disabled. Set ADMIN_TOKEN on the server to enable them.'
+    });
+  }
+
+  const provided = getRequestToken(req, 'x-admin-token');
+  if (!provided || !safeEqual(provided, adminToken)) {
+    return res.status(401).json({
+      success: false,
+      error: 'Admin credential required'
+    });
+  }
+
+  next();
+}
+
+/**
+ * Express middleware factory - only the owner of the session passes
+ * @param {Function} resolveSession - (req) => session | null
+ * The resolved session is exposed as req.liveSession for the route handler.
+ */
+export function requireHostToken(resolveSession) {
+  return (req, res, next) => {
+    const session = resolveSession(req);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+
+    const token = getRequestToken(req, 'x-host-token');
+    if (!verifyHostToken(token, session.sessionId, { notBefore: session.hostTokenNotBefore })) {
+      return res.status(401).json({
+        success: false,
+        error: 'Valid host token required for this session'
+      });
+    }
+
+    req.liveSession = session;
+    next();
+  };
+}
+
+/**
+ * Express middleware factory - whoever may follow the session passes: its
+ * host, an admin, or a listener token (admitted, in invite-only sessions)
+ * The same checks as joining, so the transcript is no easier to get than the live feed.
+ * @param {Function} resolveSession - (req) => session | null
+ * The resolved session is exposed as req.liveSession for the route handler.
+ */
+export function requireSessionAccess(resolveSession) {
+  return (req, res, next) => {
+    const session = resolveSession(req);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+
+    const adminToken = process.env.ADMIN_TOKEN;
+    const token = getRequestToken(req, 'x-session-token');
+    const isAllowed = (adminToken && token && safeEqual(token, adminToken))
+      || verifyHostToken(token, session.sessionId, { notBefore: session.hostTokenNotBefore })
+      || verifyListenerToken(token, session.sessionId, { admitted: session.requireApproval });
+    if (!isAllowed) {
+      return res.status(401).json({
+        success: false,
+        error: 'Host or listener token for this session required'
+      });
+    }
+
+    req.liveSession = session;
+    next();
+  };
+}
+
+/**
+ * Express middleware factory - the host of a session or an admin passes
+ * For resources that outlive the live session (recordings), so only the
+ * session id is needed, not the session itself.
+ * @param {Function} resolveSessionId - (req) => sessionId
+ * @param {Function} resolveNotBefore - async (sessionId) => the session's
+ *   hostTokenNotBefore, looked up only for otherwise valid host tokens
+ */
+export function requireHostTokenOrAdmin(resolveSessionId, resolveNotBefore = async () => null) {
+  return async (req, res, next) => {
+    const adminToken = process.env.ADMIN_TOKEN;
+    const provided = getRequestToken(req, 'x-admin-token');
+    if (adminToken && provided && safeEqual(provided, adminToken)) {
+      return next();
+    }
+
+    const token = getRequestToken(req, 'x-host-token');
+    const sessionId = resolveSessionId(req);
+    try {
+      const isAllowed = verifyHostToken(token, sessionId)
+        && verifyHostToken(token, sessionId, { notBefore: await resolveNotBefore(sessionId) });
+      if (!isAllowed) {
+        return res.status(401).json({
+          success: false,
+          error: 'Host token for this session or admin credential required'
+        });
+      }
+    } catch (error) {
+      console.error('[Auth] Error checking host token:', error.message);
+      return res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    next();
+  };
+}
+
+/**
+ * Express middleware - admins and holders of a job API key may upload jobs
+ * The key's organization is exposed as req.uploaderOrganizationId (null for admins,
+ * who may upload for any organization).
+ */
+export function requireJobUploader(req, res, next) {
+  const adminToken = process.env.ADMIN_TOKEN;
+  if (!adminToken && jobApiKeys.length === 0) {
+    return res.status(403).json({
+      success: false,
+      error: 'Batch jobs are disabled. Set ADMIN_TOKEN or JOB_API_KEYS on the server to enable them.'
+    });
+  }
+
+  const provided = getRequestToken(req, 'x-api-key');
+  if (provided && adminToken && safeEqual(provided, adminToken)) {
+    req.uploaderOrganizationId = null;
+    return next();
+  }
+
+  const apiKey = provided && jobApiKeys.find(({ key }) => safeEqual(provided, key));
+  if (!apiKey) {
+    return res.status(401).json({
+      success: false,
+      error: 'Job API key or admin credential required'
+    });
+  }
+
+  req.uploaderOrganizationId = apiKey.organizationId;
+  next();
+}
+
+/**
+ * Express middleware factory - only the uploader of the job passes
+ * @param {Function} resolveJob - (req) => job | null
+ * The resolved job is exposed as req.job for the route handler.
+ */
+export function requireJobToken(resolveJob) {
+  return (req, res, next) => {
+    const job = resolveJob(req);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+
+    const token = getRequestToken(req, 'x-job-token');
+    if (!verifyJobToken(token, job.jobId)) {
+      return res.status(401).json({
+        success: false,
+        error: 'Valid job token required for this job'
+      });
+    }
+
+    req.job = job;
+    next();
+  };
+}
@@ -0,0 +1,29 @@
+/**
+ * Config - Loads backend/.env and reads settings from the environment
+ *
+ * server.js imports this module before any other, so every module can read
+ * its settings when it is loaded. Modules that use readNumber() import it too,
+ * which keeps them working when loaded on their own (scripts, tests).
+ */
+
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+dotenv.config({ path: path.join(path.dirname(fileURLToPath(import.meta.url)), '.env') });
+
+/**
+ * A number setting - the fallback when it is unset, not a number or out of range
+ * @param {string} name - Environment variable
+ * @param {number} fallback
+ * @param {Object} options - { allowZero } for settings where 0 turns a feature off
+ * @returns {number}
+ */
+export function readNumber(name, fallback, options = {}) {
+  const raw = process.env[name];
+  if (raw === undefined || raw.trim() === '') return fallback;
+
+  const value = Number(raw);
+  const inRange = options.allowZero ? value >= 0 : value > 0;
+  return Number.isFinite(value) && inRange ? value : fallback;
+}
@@ -0,0 +1,157 @@
+/**
+ * Glossary - Terminology rules applied to translations
+ *
+ * A glossary maps source terms to the required term in each target language,
+ * plus terms that must never be translated (product names, liturgical terms...):
+ *
+ *   {
+ *     "terms": [{ "source": "Eucharist", "targets": { "es": "Eucaristía" } }],
+ *     "doNotTranslate": ["EchoTranslate"]
+ *   }
+ *
+ * Rules are injected into the translation prompt (providers that support it)
+ * and checked after translation; failed rules are reported as violations.
+ */
+
+import crypto from 'crypto';
+
+// Guard rails for uploads
+const MAX_GLOSSARY_TERMS = 500;
+const MAX_TERM_LENGTH = 200;
+
+function cleanTerm(value) {
+  return typeof value === 'string' ? value.trim().slice(0, MAX_TERM_LENGTH) : '';
+}
+
+/**
+ * Validate and normalize an uploaded glossary
+ * @throws {Error} if the shape is invalid
+ * @returns {{terms: Array, doNotTranslate: string[]}}
+ */
+export function normalizeGlossary(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('Glossary must be an object with "terms" and/or "doNotTranslate"');
+  }
+
+  const { terms = [], doNotTranslate = [] } = input;
+  if (!Array.isArray(terms) || !Array.isArray(doNotTranslate)) {
+    throw new Error('"terms" and "doNotTranslate" must be arrays');
+  }
+  if (terms.length + doNotTranslate.length > MAX_GLOSSARY_TERMS) {
+    throw new Error(`Glossary is limited to ${MAX_GLOSSARY_TERMS} entries`);
+  }
+
+  const normalizedTerms = terms.map((entry, index) => {
+    const source = cleanTerm(entry?.source);
+    if (!source || !entry.targets || typeof entry.targets !== 'object') {
+      throw new Error(`Glossary term ${index + 1} needs a "source" and a "targets" object`);
+    }
+
+    const targets = Object.fromEntries(
+      Object.entries(entry.targets)
+        .map(([lang, target]) => [lang, cleanTerm(target)])
+        .filter(([, target]) => target)
+    );
+    return { source, targets };
+  });
+
+  return {
+    terms: normalizedTerms,
+    doNotTranslate: doNotTranslate.map(cleanTerm).filter(Boolean)
+  };
+}
+
+/**
+ * Combine glossaries - later ones win for the same source term
+ * @returns {Object|null} null if nothing is left
+ */
+export function mergeGlossaries(...glossaries) {
+  const terms = new Map();
+  const doNotTranslate = new Set();
+
+  glossaries.filter(Boolean).forEach(glossary => {
+    glossary.terms.forEach(entry => {
+      const key = entry.source.toLowerCase();
+      const existing = terms.get(key);
+      terms.set(key, {
+        source: entry.source,
+        targets: { ...existing?.targets, ...entry.targets }
+      });
+    });
+    glossary.doNotTranslate.forEach(term => doNotTranslate.add(term));
+  });
+
+  if (terms.size === 0 && doNotTranslate.size === 0) return null;
+  return { terms: Array.from(terms.values()), doNotTranslate: Array.from(doNotTranslate) };
+}
+
+// Scripts written without spaces between words - no word boundaries to check
+export const UNSPACED_SCRIPT = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}\p{Script=Lao}\p{Script=Khmer}\p{Script=Myanmar}]/u;
+
+/**
+ * Whole-word, case-insensitive match (works for non-Latin scripts too)
+ */
+function containsTerm(text, term) {
+  const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const chars = Array.from(term);
+  const before = UNSPACED_SCRIPT.test(chars[0]) ? '' : '(?<![\\p{L}\\p{N}])';
+  const after = UNSPACED_SCRIPT.test(chars[chars.length - 1]) ? '' : '(?![\\p{L}\\p{N}])';
+  return new RegExp(`${before}${escaped}${after}`, 'iu').test(text);
+}
+
+/**
+ * Rules from the glossary that apply to this text and target language
+ * @returns {{terms: Array<{source, target}>, doNotTranslate: string[]}}
+ */
+export function getApplicableRules(glossary, text, targetLang) {
+  if (!glossary) return { terms: [], doNotTranslate: [] };
+
+  return {
+    terms: glossary.terms
+      .filter(entry => entry.targets[targetLang] && containsTerm(text, entry.source))
+      .map(entry => ({ source: entry.source, target: entry.targets[targetLang] })),
+    doNotTranslate: glossary.doNotTranslate.filter(term => containsTerm(text, term))
+  };
+}
+
+/**
+ * Short fingerprint of the rules applied to a text, for translation cache keys
+ * @returns {string} '' when no rules apply
+ */
+export function getRulesFingerprint(rules) {
+  if (rules.terms.length === 0 && rules.doNotTranslate.length === 0) return '';
+  return crypto.createHash('sha1').update(JSON.stringify(rules)).digest('hex').slice(0, 12);
+}
+
+/**
+ * Prompt section for LLM providers
+ * @returns {string} '' when no rules apply
+ */
+export function formatGlossaryPrompt(rules) {
+  const lines = [];
+  if (rules.terms.length > 0) {
+    lines.push('Use this terminology exactly:');
+    rules.terms.forEach(({ source, target }) => lines.push(`- "${source}" → "${target}"`));
+  }
+  if (rules.doNotTranslate.length > 0) {
+    lines.push(`Keep these terms exactly as written, do not translate them: ${rules.doNotTranslate.map(term => `"${term}"`).join(', ')}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Post-translation check
+ * @returns {Array<{type: 'term'|'doNotTranslate', source: string, expected: string}>}
+ */
+export function findGlossaryViolations(glossary, sourceText, translatedText, targetLang) {
+  const rules = getApplicableRules(glossary, sourceText, targetLang);
+
+  return [
+    ...rules.terms
+      .filter(({ target }) => !containsTerm(translatedText, target))
+      .map(({ source, target }) => ({ type: 'term', source, expected: target })),
+    ...rules.doNotTranslate
+      .filter(term => !containsTerm(translatedText, term))
+      .map(term => ({ type: 'doNotTranslate', source: term, expected: term }))
+  ];
+}
@@ -0,0 +1,53 @@
+/**
+ * Glossary Store - Organization-wide glossaries
+ *
+ * Sessions started with an organizationId use that organization's glossary,
+ * combined with the session's own glossary (session terms win).
+ * Organization glossaries live in memory, or in GLOSSARY_STORE_FILE when set
+ * so they survive a restart (see jsonFileStore.js). Session glossaries are
+ * kept on the session itself.
+ */
+
+import './config.js';
+import { JsonFileStore } from './jsonFileStore.js';
+import { mergeGlossaries } from './glossary.js';
+
+class GlossaryStore {
+  constructor() {
+    this.glossaries = new JsonFileStore({
+      filePath: process.env.GLOSSARY_STORE_FILE,
+      tag: 'GlossaryStore',
+      label: 'organization glossaries'
+    }); // organizationId -> glossary
+  }
+
+  getOrganizationGlossary(organizationId) {
+    return this.glossaries.get(organizationId);
+  }
+
+  /**
+   * Replace an organization's glossary (already normalized)
+   */
+  async setOrganizationGlossary(organizationId, glossary) {
+    console.log(`[GlossaryStore] Glossary for ${organizationId} updated (${glossary.terms.length} terms, ${glossary.doNotTranslate.length} do-not-translate)`);
+    await this.glossaries.set(organizationId, glossary);
+  }
+
+  async deleteOrganizationGlossary(organizationId) {
+    return this.glossaries.delete(organizationId);
+  }
+
+  /**
+   * Effective glossary for a session: organization glossary + session glossary
+   * @returns {Object|null}
+   */
+  resolveForSession(session) {
+    if (!session) return null;
+    return mergeGlossaries(this.getOrganizationGlossary(session.organizationId), session.glossary);
+  }
+}
+
+// Singleton instance
+const glossaryStore = new GlossaryStore();
+
+export default glossaryStore;
@@ -12,6 +12,8 @@
 
 import speech from '@google-cloud/speech';
 import { Buffer } from 'buffer';
+import { toAudioBuffer, splitOpusPackets } from './audioFrames.js';
+import { OggOpusWriter } from './oggOpus.js';
 
 const LANGUAGE_CODES = {
   'en': 'en-US',
@@ -68,6 +70,22 @@ const LANGUAGE_CODES = {
   'af': 'af-ZA'
 };
 
+// Google accepts at most 3 alternative languages per stream
+const MAX_ALTERNATIVE_LANGUAGES = 3;
+
+function toLanguageCode(lang) {
+  return LANGUAGE_CODES[lang] || LANGUAGE_CODES[lang.split('-')[0]] || 'en-US';
+}
+
+/**
+ * Map a detected Google language code ("es-es", lowercase) back to our short code
+ */
+function fromLanguageCode(code) {
+  const normalized = code.toLowerCase();
+  const match = Object.entries(LANGUAGE_CODES).find(([, value]) => value.toLowerCase() === normalized);
+  return match ? match[0] : normalized.split('-')[0];
+}
+
 export class GoogleSpeechStream {
   constructor() {
     this.client = null;
@@ -78,6 +96,7 @@ export class GoogleSpeechStream {
     this.isActive = false;
     this.isRestarting = false;
     this.languageCode = 'en-US';
+    this.alternativeLanguageCodes = []; // Candidates for language detection
     this.restartTimer = null;
     this.restartCount = 0;
     this.audioQueue = [];
@@ -88,15 +107,56 @@ export class GoogleSpeechStream {
     // Google Speech has a 305 second (5 min) streaming limit
     // We'll restart the stream every 4 minutes to be safe
     this.STREAMING_LIMIT = 240000; // 4 minutes in milliseconds
+
+    // Interim pieces at or above this stability are treated as settled
+    this.STABILITY_THRESHOLD = Number(process.env.GOOGLE_SPEECH_STABILITY_THRESHOLD || 0.8);
     this.startTime = Date.now();
+    this.lastFinalEndMs = 0; // End offset of the previous final in the current stream
+    this.diarization = null; // Google diarizationConfig when enabled in initialize()
+    this.getSpeechContexts = null; // () => speechContexts, read whenever a stream starts
+    this.audioFormat = { encoding: 'LINEAR16', sampleRateHertz: 24000, audioChannelCount: 1 }; // Match frontend audio capture
+    this.oggWriter = null; // Wraps raw Opus packets for the current stream (OPUS only)
+    this.isPaused = false; // Stream closed while the client holds back silence (pauseAudio)
+
+    // Silence the client held back since its last audio - short gaps between
+    // sentences keep the stream open, only a longer silence closes it
+    this.silenceMs = 0;
+    this.PAUSE_AFTER_SILENCE_MS = Number(process.env.GOOGLE_SPEECH_PAUSE_AFTER_SILENCE_MS || 8000);
+  }
+
+  /**
+   * Encodings processAudio can take (LINEAR16, FLAC, or raw Opus packets sent on as Ogg Opus)
+   */
+  getAudioEncodings() {
+    return ['LINEAR16', 'FLAC', 'OPUS'];
   }
 
   /**
    * Initialize the Google Speech client and start streaming
    */
-  async initialize(sourceLang) {
+  /**
+   * @param {Object} options - { diarization: boolean | { minSpeakers, maxSpeakers }, languages, speechContexts, audioFormat }
+   *   diarization tags each final with the speaker who said most of it;
+   *   languages are other candidates - results then report the detected language;
+   *   speechContexts() returns phrase hints, so changes apply from the next stream;
+   *   audioFormat { encoding, sampleRateHertz, audioChannelCount } for uploaded files or
+   *   compressed hosts (default 24 kHz mono PCM)
+   */
+  async initialize(sourceLang, options = {}) {
     console.log(`[GoogleSpeech] Initializing streaming transcription for ${sourceLang}...`);
 
+    this.diarization = options.diarization
+      ? {
+        enableSpeakerDiarization: true,
+        minSpeakerCount: options.diarization.minSpeakers || 2,
+        maxSpeakerCount: options.diarization.maxSpeakers || 6
+      }
+      : null;
+    this.getSpeechContexts = options.speechContexts || null;
+    if (options.audioFormat) {
+      this.audioFormat = { ...this.audioFormat, ...options.audioFormat };
+    }
+
     // Create Speech client with authentication options
     const clientOptions = {};
 
@@ -117,9 +177,8 @@ export class GoogleSpeechStream {
 
     this.client = new speech.SpeechClient(clientOptions);
 
-    // Get language code for Google Speech
-    this.languageCode = LANGUAGE_CODES[sourceLang] || LANGUAGE_CODES[sourceLang.split('-')[0]] || 'en-US';
-    console.log(`[GoogleSpeech] Using language code: ${this.languageCode}`);
+    // Get language codes for Google Speech
+    this.setLanguages(sourceLang, options.languages);
 
     // Start the streaming session
     await this.startStream();
@@ -127,6 +186,26 @@ export class GoogleSpeechStream {
     console.log(`[GoogleSpeech] ✅ Streaming initialized and ready`);
   }
 
+  /**
+   * Set the primary language and the detection candidates (used by the next stream)
+   */
+  setLanguages(sourceLang, languages = []) {
+    this.languageCode = toLanguageCode(sourceLang);
+    this.alternativeLanguageCodes = [...new Set(languages.map(toLanguageCode))]
+      .filter(code => code !== this.languageCode)
+      .slice(0, MAX_ALTERNATIVE_LANGUAGES);
+    console.log(`[GoogleSpeech] Using language code: ${this.languageCode}${this.alternativeLanguageCodes.length > 0 ? ` (detecting ${this.alternativeLanguageCodes.join(', ')})` : ''}`);
+  }
+
+  /**
+   * Switch languages mid-session - restarts the stream, words not yet final are dropped
+   * @param {Object} options - { languages }
+   */
+  async changeLanguage(sourceLang, options = {}) {
+    this.setLanguages(sourceLang, options.languages);
+    await this.restartStream();
+  }
+
   /**
    * Start a new streaming recognition session
    */
@@ -144,19 +223,35 @@ export class GoogleSpeechStream {
 
     console.log(`[GoogleSpeech] Starting stream #${this.restartCount}...`);
     this.startTime = Date.now();
+    this.lastFinalEndMs = 0; // Offsets restart with every stream
     this.isActive = true;
     this.isRestarting = false;
+    this.isPaused = false;
+
+    // Phrase hints (speech adaptation) - names and terms the recognizer should favor
+    const speechContexts = this.getSpeechContexts?.() || [];
+    if (speechContexts.length > 0) {
+      const phraseCount = speechContexts.reduce((total, context) => total + context.phrases.length, 0);
+      console.log(`[GoogleSpeech] Boosting ${phraseCount} phrase hint(s)`);
+    }
 
+    const isOpus = this.audioFormat.encoding === 'OPUS';
     const request = {
       config: {
-        encoding: 'LINEAR16',
-        sampleRateHertz: 24000, // Match frontend audio capture
+        encoding: isOpus ? 'OGG_OPUS' : this.audioFormat.encoding,
+        sampleRateHertz: this.audioFormat.sampleRateHertz,
+        ...(this.audioFormat.audioChannelCount > 1 && { audioChannelCount: this.audioFormat.audioChannelCount }),
         languageCode: this.languageCode,
         enableAutomaticPunctuation: true,
+        enableWordTimeOffsets: true, // Word timings for exports (finals only)
+        enableWordConfidence: true, // Per-word confidence so clients can shade unsure words
+        maxAlternatives: 3,
+        ...(this.diarization && { diarizationConfig: this.diarization }),
+        ...(speechContexts.length > 0 && { speechContexts }),
         useEnhanced: true,
         model: 'latest_long', // Use latest_long model for best accuracy
-        // Enable Chirp 3 model if available
-        alternativeLanguageCodes: [],
+        // Language detection: results report which of these was heard
+        alternativeLanguageCodes: this.alternativeLanguageCodes,
       },
       interimResults: true, // CRITICAL: Enable partial results
     };
@@ -195,12 +290,22 @@ export class GoogleSpeechStream {
         this.isActive = false;
 
         // Auto-restart if ended unexpectedly
-        if (this.shouldAutoRestart && !this.isRestarting) {
+        if (this.shouldAutoRestart && !this.isRestarting && !this.isPaused) {
           console.log('[GoogleSpeech] Stream ended unexpectedly, restarting...');
           setTimeout(() => this.restartStream(), 1000);
         }
       });
 
+    // Every stream is a complete Ogg Opus file - it opens with the header pages
+    this.oggWriter = null;
+    if (isOpus) {
+      this.oggWriter = new OggOpusWriter({
+        sampleRate: this.audioFormat.sampleRateHertz,
+        channels: this.audioFormat.audioChannelCount
+      });
+      this.recognizeStream.write(this.oggWriter.headers());
+    }
+
     // Set up automatic restart before hitting the time limit
     if (this.restartTimer) {
       clearTimeout(this.restartTimer);
@@ -276,25 +381,127 @@ export class GoogleSpeechStream {
       return;
     }
 
-    const transcript = result.alternatives[0].transcript;
     const isFinal = result.isFinal;
-    const stability = result.stability || 0;
 
     if (isFinal) {
       // Final result - high confidence
-      console.log(`[GoogleSpeech] ✅ FINAL: "${transcript}"`);
+      const finalResult = this.buildFinalResult(result);
+      console.log(`[GoogleSpeech] ✅ FINAL: "${finalResult.transcript}" (confidence: ${finalResult.confidence ?? 'n/a'})`);
       if (this.resultCallback) {
-        this.resultCallback(transcript, false); // isPartial = false
+        this.resultCallback(finalResult.transcript, false, finalResult); // isPartial = false
       }
     } else {
-      // Interim result - partial transcription
-      // console.log(`[GoogleSpeech] 🔵 PARTIAL (stability: ${stability.toFixed(2)}): "${transcript}"`);
+      // Interim result - partial transcription. Google splits it into pieces, most
+      // stable first; the pieces above the threshold form the stable prefix
+      const { transcript, stableText } = this.splitInterimResults(data.results);
+      // console.log(`[GoogleSpeech] 🔵 PARTIAL (stable: "${stableText}"): "${transcript}"`);
       if (this.resultCallback) {
-        this.resultCallback(transcript, true); // isPartial = true
+        this.resultCallback(transcript, true, {
+          transcript,
+          isFinal: false,
+          stableText,
+          stability: data.results[0].stability || 0,
+          ...this.getDetectedLanguage(result)
+        }); // isPartial = true
       }
     }
   }
 
+  /**
+   * Convert a protobuf Duration ({ seconds, nanos }) to milliseconds
+   */
+  durationToMs(duration) {
+    if (!duration) return 0;
+    return Number(String(duration.seconds ?? 0)) * 1000 + Math.round((duration.nanos || 0) / 1e6);
+  }
+
+  /**
+   * Structured final result (see speechEngines.js)
+   * Google offsets count from the start of the stream; startTime/endTime are
+   * converted to epoch ms and word offsets are made relative to startTime.
+   * Confidence is 0 when Google didn't set it, so it is left out.
+   */
+  buildFinalResult(result) {
+    const [best, ...others] = result.alternatives;
+
+    // With diarization Google may repeat earlier words in each final - keep this result's own
+    const words = (best.words || []).filter(word => this.durationToMs(word.endTime) > this.lastFinalEndMs);
+    const firstWordMs = words.length > 0 ? this.durationToMs(words[0].startTime) : 0;
+    const endMs = result.resultEndTime
+      ? this.durationToMs(result.resultEndTime)
+      : this.durationToMs(words[words.length - 1]?.endTime);
+    this.lastFinalEndMs = endMs;
+
+    return {
+      transcript: best.transcript.trim(),
+      isFinal: true,
+      ...(best.confidence > 0 && { confidence: best.confidence }),
+      alternatives: others.map(alternative => ({
+        transcript: alternative.transcript.trim(),
+        ...(alternative.confidence > 0 && { confidence: alternative.confidence })
+      })),
+      words: words.map(word => ({
+        word: word.word,
+        startMs: this.durationToMs(word.startTime) - firstWordMs,
+        endMs: this.durationToMs(word.endTime) - firstWordMs,
+        ...(word.confidence > 0 && { confidence: word.confidence })
+      })),
+      ...(words.length > 0 && {
+        startTime: this.startTime + firstWordMs,
+        endTime: this.startTime + endMs
+      }),
+      ...(this.diarization && { speakerId: this.getMainSpeaker(words) }),
+      ...this.getDetectedLanguage(result)
+    };
+  }
+
+  /**
+   * { language } detected for a result when detection is on, otherwise {}
+   */
+  getDetectedLanguage(result) {
+    if (this.alternativeLanguageCodes.length === 0 || !result.languageCode) return {};
+    return { language: fromLanguageCode(result.languageCode) };
+  }
+
+  /**
+   * Speaker who said most of the words (diarization), as a string id
+   * @returns {string|undefined}
+   */
+  getMainSpeaker(words) {
+    const counts = new Map();
+    for (const word of words) {
+      const speaker = word.speakerLabel || (word.speakerTag ? String(word.speakerTag) : null);
+      if (speaker) counts.set(speaker, (counts.get(speaker) || 0) + 1);
+    }
+
+    let main;
+    for (const [speaker, count] of counts) {
+      if (!main || count > counts.get(main)) main = speaker;
+    }
+    return main;
+  }
+
+  /**
+   * Join interim result pieces into one transcript and its stable prefix
+   * @returns {{transcript: string, stableText: string}}
+   */
+  splitInterimResults(results) {
+    let transcript = '';
+    let stableText = '';
+    let isStable = true;
+
+    for (const piece of results) {
+      const text = piece.alternatives?.[0]?.transcript || '';
+      transcript += text;
+      isStable = isStable && (piece.stability || 0) >= this.STABILITY_THRESHOLD;
+      if (isStable) {
+        stableText += text;
+      }
+    }
+
+    return { transcript: transcript.trim(), stableText: stableText.trim() };
+  }
+
   /**
    * Check if stream is ready to accept audio
    */
@@ -309,12 +516,13 @@ export class GoogleSpeechStream {
 
   /**
    * Process audio chunk - send to Google Speech
-   * @param {string} audioData - Base64 encoded PCM audio
+   * @param {string|Buffer} audioData - PCM audio, base64 encoded or raw (binary frames)
    */
   async processAudio(audioData) {
     try {
       // Track last audio time for timeout detection
       this.lastAudioTime = Date.now();
+      this.silenceMs = 0;
 
       // Check if stream is ready
       if (!this.isStreamReady()) {
@@ -324,6 +532,15 @@ export class GoogleSpeechStream {
           return;
         }
 
+        // Speech after a pause - open a fresh stream for it
+        if (this.isPaused) {
+          console.log('[GoogleSpeech] Audio resumed, starting a new stream');
+          this.isPaused = false;
+          this.audioQueue.push(audioData);
+          await this.restartStream();
+          return;
+        }
+
         console.warn('[GoogleSpeech] Stream not ready, attempting restart...');
         this.audioQueue.push(audioData);
         
@@ -342,12 +559,11 @@ export class GoogleSpeechStream {
         return;
       }
 
-      // Convert base64 to Buffer
-      const audioBuffer = Buffer.from(audioData, 'base64');
-
       // Double-check stream is still ready (can change during async operations)
       if (this.isStreamReady()) {
-        this.recognizeStream.write(audioBuffer);
+        // Binary frames arrive as a Buffer already
+        const audioBuffer = toAudioBuffer(audioData);
+        this.recognizeStream.write(this.oggWriter ? this.oggWriter.write(splitOpusPackets(audioBuffer)) : audioBuffer);
       } else {
         console.warn('[GoogleSpeech] Stream became unavailable, queuing audio...');
         this.audioQueue.push(audioData);
@@ -406,6 +622,84 @@ export class GoogleSpeechStream {
     }
   }
 
+  /**
+   * Half-close the current stream and wait for its last finals
+   * Audio sent meanwhile is queued; the caller decides what comes next.
+   */
+  async finishStream(timeoutMs) {
+    const stream = this.recognizeStream;
+    this.isRestarting = true; // Queue audio and keep the end handler from restarting
+
+    if (this.restartTimer) {
+      clearTimeout(this.restartTimer);
+      this.restartTimer = null;
+    }
+
+    await new Promise(resolve => {
+      const timer = setTimeout(() => {
+        console.warn('[GoogleSpeech] Timed out waiting for the last results');
+        resolve();
+      }, timeoutMs);
+      const done = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+      stream.once('end', done);
+      stream.once('error', done);
+      stream.end();
+    });
+  }
+
+  /**
+   * Finish the audio sent so far: half-close the stream, wait for its last
+   * finals, then open a fresh stream (batch jobs - audio sent meanwhile is queued)
+   */
+  async drain(timeoutMs = 30000) {
+    if (!this.recognizeStream || this.isRestarting || this.isPaused) return;
+
+    console.log('[GoogleSpeech] Draining stream...');
+    await this.finishStream(timeoutMs);
+
+    if (!this.shouldAutoRestart) return; // Destroyed while draining
+
+    this.restartCount++;
+    await this.startStream();
+
+    const queuedAudio = [...this.audioQueue];
+    this.audioQueue = [];
+    for (const audioData of queuedAudio) {
+      await this.processAudio(audioData);
+    }
+  }
+
+  /**
+   * The client stopped sending audio during silence (client-side VAD). Once
+   * the silence reaches PAUSE_AFTER_SILENCE_MS, close the stream so the
+   * utterance is finalized now, instead of idling until Google's audio
+   * timeout. The next audio opens a new stream.
+   * @param {number} silenceMs - silence held back since the previous call
+   */
+  async pauseAudio(silenceMs = 0, timeoutMs = 5000) {
+    this.silenceMs += silenceMs;
+    if (this.silenceMs < this.PAUSE_AFTER_SILENCE_MS) return;
+    if (this.isPaused || !this.isStreamReady()) return;
+
+    console.log('[GoogleSpeech] Client is silent - closing stream until audio resumes');
+    await this.finishStream(timeoutMs);
+    this.isActive = false;
+    this.isRestarting = false;
+
+    if (!this.shouldAutoRestart) return; // Destroyed while pausing
+
+    this.isPaused = true;
+    // Audio that came in while the last results were awaited
+    const queuedAudio = [...this.audioQueue];
+    this.audioQueue = [];
+    for (const audioData of queuedAudio) {
+      await this.processAudio(audioData);
+    }
+  }
+
   /**
    * Clean up and close the stream
    */
@@ -446,7 +740,9 @@ export class GoogleSpeechStream {
       restartCount: this.restartCount,
       elapsedTime: Date.now() - this.startTime,
       queuedAudio: this.audioQueue.length,
+      isPaused: this.isPaused,
       languageCode: this.languageCode,
+      alternativeLanguageCodes: this.alternativeLanguageCodes,
       streamReady: this.isStreamReady()
     };
   }
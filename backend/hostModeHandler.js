@@ -3,17 +3,42 @@
  * 
  * ARCHITECTURE:
  * - Google Cloud Speech-to-Text for streaming transcription with live partials
+ *   (or another engine from speechEngines.js, chosen via init.engine / SPEECH_ENGINE)
  * - OpenAI Chat API for translation of final transcripts
  * - Live partial results broadcast to all listeners immediately
  * - Final results translated and broadcast to each language group
+ * - Final translations synthesized (ttsManager) for listeners who turned audio on
+ * - Session/organization glossary applied to every translation; finals that
+ *   break it are flagged to listeners and the host
+ * - Translations go through translationScheduler, which bounds the cost of
+ *   partials and keeps stale ones from landing after newer results
+ * - Phrase hints (session, profile and glossary terms) boost recognition of
+ *   names and domain terms (phraseHintStore)
+ * - Sessions started with record: true archive the host's audio (sessionRecorder)
+ * - Audio arrives as base64 in `audio` messages or as binary frames (audioFrames.js),
+ *   as PCM or - negotiated in init - Opus for engines that take it; silence the
+ *   client's voice activity detection holds back arrives as `audio_keepalive`
  */
 
-import { GoogleSpeechStream } from './googleSpeechStream.js';
+import { createSpeechEngine, resolveClientSpeechEngineName, getRecognitionDetails } from './speechEngines.js';
 import WebSocket from 'ws';
 import sessionStore from './sessionStore.js';
-import translationManager from './translationManager.js';
+import translationManager, { joinText } from './translationManager.js';
+import translationScheduler from './translationScheduler.js';
+import ttsManager from './ttsManager.js';
+import glossaryStore from './glossaryStore.js';
+import phraseHintStore from './phraseHintStore.js';
+import { normalizePhraseHints } from './phraseHints.js';
+import { findGlossaryViolations } from './glossary.js';
+import { sendTranscriptBackfill } from './websocketHandler.js';
+import { readHostToken, createHostToken, HOST_TOKEN_REFRESH_MS } from './auth.js';
+import sessionRecorder from './sessionRecorder.js';
+import { AudioFrameReader, AUDIO_FRAME_VERSION, negotiateAudioCodec } from './audioFrames.js';
 
-export async function handleHostConnection(clientWs, sessionId) {
+// Close code for a host connection taken over by a newer one (the client doesn't reconnect)
+const HOST_REPLACED_CLOSE_CODE = 4001;
+
+export async function handleHostConnection(clientWs, sessionId, options = {}) {
   console.log(`[HostMode] ⚡ Host connecting to session ${sessionId} - Using Google Speech + OpenAI Translation`);
   
   const session = sessionStore.getSession(sessionId);
@@ -26,31 +51,309 @@ export async function handleHostConnection(clientWs, sessionId) {
     return;
   }
 
+  // Only the owner of the session (host token from POST /session/start) may broadcast
+  const hostClaims = readHostToken(options.hostToken, sessionId, { notBefore: session.hostTokenNotBefore });
+  if (!hostClaims) {
+    console.warn(`[HostMode] Rejected host for ${session.sessionCode} - invalid or missing host token`);
+    clientWs.send(JSON.stringify({
+      type: 'error',
+      message: 'Invalid or missing host token for this session'
+    }));
+    clientWs.close();
+    return;
+  }
+  // Tokens issued before this one stop working - the host gets a fresh one below
+  sessionStore.retireOlderHostTokens(sessionId, hostClaims.iat);
+
+  // Reattaching after a dropped connection or server restart
+  const isResuming = sessionStore.isAwaitingHostResume(sessionId);
+
+  // Fresh host tokens before the current one expires (see auth.js)
+  const tokenRefreshTimer = setInterval(() => {
+    if (clientWs.readyState === WebSocket.OPEN) {
+      clientWs.send(JSON.stringify({ type: 'host_token', hostToken: createHostToken(sessionId) }));
+    }
+  }, HOST_TOKEN_REFRESH_MS);
+
   let speechStream = null;
+  let hostEndedSession = false;
+  let speechEngineName = null;
+  let diarization = false; // Fixed when the speech stream is created
   let currentSourceLang = 'en';
+  let candidateLanguages = []; // Other languages the host may speak - detected per segment
+  // Segment the current partials belong to - allocated on the first partial,
+  // reused by the final so listeners can tie them together
+  let currentSegmentId = null;
+  let lastPartial = null; // { segmentId, text, language } - flushed if a language switch cuts it off
+  const audioFrames = new AudioFrameReader(); // Binary audio of this connection
+  let audioCodec = 'pcm'; // Negotiated when the speech stream is created
+  let audioFrameError = null; // Last rejected-frame reason sent to the host (reported once)
+
+  // Per-language audio delivery chains - synthesis runs in parallel,
+  // but each language group hears segments in order
+  const audioQueues = new Map();
+
+  const speakSegment = (sequenceId, translations) => {
+    if (!ttsManager.isEnabled()) return;
+
+    for (const targetLang of sessionStore.getAudioLanguages(sessionId)) {
+      const text = translations[targetLang];
+      if (!text || text.startsWith('[Translation error')) continue;
+
+      const synthesis = ttsManager.synthesize(text, targetLang).catch(error => {
+        console.error(`[HostMode] TTS error (${targetLang}):`, error.message);
+        return null;
+      });
+
+      const queue = (audioQueues.get(targetLang) || Promise.resolve())
+        .then(() => synthesis)
+        .then(result => {
+          if (!result) return;
+          sessionStore.broadcastAudio(sessionId, {
+            type: 'tts_audio',
+            sequenceId,
+            targetLang,
+            text,
+            mimeType: result.mimeType,
+            audioData: result.audio.toString('base64'),
+            timestamp: Date.now()
+          }, targetLang);
+        });
+      audioQueues.set(targetLang, queue);
+    }
+  };
+
+  // Publish a finalized segment (speech final or typed text): record it, echo it
+  // to the host, then translate and broadcast it to every listener language.
+  // result is the engine's structured result (confidence, word timings...), if any;
+  // a detected language becomes the segment's source language
+  const publishFinalSegment = async (transcriptText, sequenceId, result = {}) => {
+    const recognition = getRecognitionDetails(result);
+    const sourceLang = result.language || currentSourceLang;
+    // Diarized segments carry the speaker's current display name ("Speaker 2" until renamed)
+    const speaker = recognition.speakerId
+      ? { speakerName: sessionStore.getSpeakerName(sessionId, recognition.speakerId) }
+      : {};
+
+    // Record the segment before translating so history stays in spoken order
+    // and listeners joining mid-translation still get it in their backfill
+    const segment = sessionStore.addTranscriptSegment(sessionId, {
+      originalText: transcriptText,
+      sourceLang,
+      sequenceId,
+      ...recognition
+    });
+
+    // Send final transcript to the HOST (with the recognizer's other hypotheses)
+    if (clientWs && clientWs.readyState === WebSocket.OPEN) {
+      clientWs.send(JSON.stringify({
+        type: 'translation',
+        originalText: transcriptText,
+        translatedText: transcriptText,
+        sourceLang,
+        targetLang: sourceLang,
+        timestamp: Date.now(),
+        sequenceId: sequenceId,
+        isPartial: false,
+        ...recognition,
+        ...speaker,
+        ...(result.alternatives?.length > 0 && { alternatives: result.alternatives })
+      }));
+    }
+
+    // Get all target languages needed for listeners
+    const targetLanguages = sessionStore.getSessionLanguages(sessionId);
+
+    if (targetLanguages.length === 0) {
+      console.log('[HostMode] No listeners yet, skipping translation');
+      return;
+    }
+
+    try {
+      // Translate to all needed languages at once
+      const glossary = glossaryStore.resolveForSession(session);
+      // Queued ahead of partials; drops any partials still pending for this segment
+      const translations = await translationScheduler.scheduleFinal(sessionId, sequenceId, {
+        text: transcriptText,
+        sourceLang,
+        targetLangs: targetLanguages,
+        apiKey: process.env.OPENAI_API_KEY,
+        options: { glossary, contextId: sessionId, updateContext: true }
+      });
+
+      console.log(`[HostMode] Translated to ${Object.keys(translations).length} languages`);
+
+      // Cache translations on the segment for backfill (error placeholders are retried on demand)
+      const cacheable = Object.fromEntries(
+        Object.entries(translations).filter(([, text]) => !text.startsWith('[Translation error'))
+      );
+      sessionStore.cacheSegmentTranslations(sessionId, segment, cacheable);
+
+      // Broadcast to each language group
+      for (const [targetLang, translatedText] of Object.entries(translations)) {
+        // Terminology check - flagged segments are kept and reported, not dropped
+        const violations = targetLang === sourceLang || translatedText.startsWith('[Translation error')
+          ? []
+          : findGlossaryViolations(glossary, transcriptText, translatedText, targetLang);
+        if (violations.length > 0) {
+          console.warn(`[HostMode] ⚠️ Glossary not followed in segment ${sequenceId} (${targetLang}):`, violations.map(v => v.source).join(', '));
+          sessionStore.flagSegment(sessionId, segment, targetLang, violations);
+          sessionStore.sendToHost(sessionId, {
+            type: 'glossary_flag',
+            sequenceId,
+            targetLang,
+            translatedText,
+            violations
+          });
+        }
+
+        sessionStore.broadcastToListeners(sessionId, {
+          type: 'translation',
+          originalText: transcriptText,
+          translatedText: translatedText,
+          sourceLang,
+          targetLang: targetLang,
+          timestamp: Date.now(),
+          sequenceId: sequenceId,
+          isPartial: false,
+          ...recognition,
+          ...speaker,
+          ...(violations.length > 0 && { glossaryViolations: violations })
+        }, targetLang);
+      }
+
+      speakSegment(sequenceId, translations);
+    } catch (error) {
+      console.error('[HostMode] Translation error:', error);
+    }
+  };
+
+  const normalizeLanguages = (languages, sourceLang) => (
+    Array.isArray(languages)
+      ? [...new Set(languages.filter(lang => typeof lang === 'string' && lang && lang !== sourceLang))]
+      : candidateLanguages.filter(lang => lang !== sourceLang)
+  );
+
+  // Switch the spoken language (and detection candidates) without ending the session.
+  // The engine restarts; a partial it cut off is published as a final first
+  const switchSourceLanguage = async (sourceLang, languages) => {
+    const previousLang = currentSourceLang;
+    currentSourceLang = sourceLang;
+    candidateLanguages = normalizeLanguages(languages, sourceLang);
+    sessionStore.updateSourceLanguage(sessionId, currentSourceLang);
+
+    if (speechStream) {
+      await speechStream.changeLanguage(currentSourceLang, { languages: candidateLanguages });
+    }
+
+    if (lastPartial && lastPartial.segmentId === currentSegmentId) {
+      const { segmentId, text, language } = lastPartial;
+      currentSegmentId = null;
+      lastPartial = null;
+      await publishFinalSegment(text, segmentId, { language: language || previousLang });
+    }
+
+    console.log(`[HostMode] 🌐 Source language for ${session.sessionCode} is now ${currentSourceLang}${candidateLanguages.length > 0 ? ` (detecting ${candidateLanguages.join(', ')})` : ''}`);
+    const changed = { type: 'source_language_changed', sourceLang: currentSourceLang, languages: candidateLanguages };
+    sessionStore.sendToHost(sessionId, changed);
+    sessionStore.broadcastToListeners(sessionId, changed);
+  };
+
+  // Audio from either transport - base64 (JSON) or a Buffer (binary frame)
+  const handleAudio = async (audioData) => {
+    // Archive first - recording doesn't depend on the engine being up
+    if (session.record) {
+      sessionRecorder.writeAudio(session, audioData);
+    }
+    // Process audio through the session speech engine
+    if (speechStream) {
+      // Stream audio to the engine for transcription
+      await speechStream.processAudio(audioData);
+    } else {
+      console.warn('[HostMode] Received audio before stream initialization');
+    }
+  };
+
+  const handleAudioFrame = async (data) => {
+    let audio;
+    try {
+      audio = audioFrames.read(data);
+    } catch (error) {
+      if (error.message !== audioFrameError) {
+        audioFrameError = error.message;
+        console.warn(`[HostMode] Dropping audio frame: ${error.message}`);
+        clientWs.send(JSON.stringify({ type: 'error', message: error.message }));
+      }
+      return;
+    }
+    await handleAudio(audio);
+  };
 
   // Handle client messages
-  clientWs.on('message', async (msg) => {
+  clientWs.on('message', async (msg, isBinary) => {
+    // Replaced by a newer host connection, which is closing this one
+    if (session.hostSocket !== clientWs) return;
+
     try {
+      if (isBinary) {
+        await handleAudioFrame(msg);
+        return;
+      }
+
       const message = JSON.parse(msg.toString());
 
       switch (message.type) {
         case 'init':
-          if (message.sourceLang) {
+          // Re-sent init on a running stream (older clients) switches the language
+          if (speechStream && message.sourceLang && message.sourceLang !== currentSourceLang) {
+            await switchSourceLanguage(message.sourceLang, message.languages);
+          } else if (message.sourceLang) {
             currentSourceLang = message.sourceLang;
             sessionStore.updateSourceLanguage(sessionId, currentSourceLang);
           }
+          if (!speechStream) {
+            candidateLanguages = normalizeLanguages(message.languages, currentSourceLang);
+          }
+          
+          // Phrase hints sent with init replace the session's (a bad list is reported, not fatal)
+          if (message.phraseHints !== undefined || message.phraseHintProfile !== undefined) {
+            try {
+              const phraseHints = message.phraseHints ? normalizePhraseHints(message.phraseHints) : null;
+              const profileId = message.phraseHintProfile || null;
+              if (profileId && !phraseHintStore.getProfile(profileId)) {
+                throw new Error(`Unknown phrase hint profile "${profileId}"`);
+              }
+              sessionStore.setSessionPhraseHints(sessionId, phraseHints, profileId);
+            } catch (error) {
+              clientWs.send(JSON.stringify({ type: 'error', message: `Phrase hints ignored: ${error.message}` }));
+            }
+          }
           
           console.log(`[HostMode] Session ${sessionId} initialized with source language: ${currentSourceLang}`);
           
-          // Initialize Google Speech stream
+          // Initialize speech engine (Google Speech unless the host or config picks another)
           if (!speechStream) {
             try {
-              console.log(`[HostMode] 🚀 Creating Google Speech stream for ${currentSourceLang}...`);
-              speechStream = new GoogleSpeechStream();
+              speechEngineName = resolveClientSpeechEngineName(message.engine);
+              console.log(`[HostMode] 🚀 Creating ${speechEngineName} speech stream for ${currentSourceLang}...`);
+              speechStream = createSpeechEngine(speechEngineName);
+              diarization = Boolean(message.diarization);
+              
+              // Compressed audio only if the engine takes it as is - recordings are kept as PCM
+              const negotiated = negotiateAudioCodec(
+                message.audioCodecs,
+                session.record ? [] : speechStream.getAudioEncodings?.()
+              );
+              audioCodec = negotiated.codec;
+              audioFrames.expect(negotiated.encoding);
               
-              // Initialize with source language for transcription
-              await speechStream.initialize(currentSourceLang);
+              // Initialize with source language for transcription (speaker diarization is opt-in)
+              await speechStream.initialize(currentSourceLang, {
+                diarization: message.diarization,
+                languages: candidateLanguages,
+                speechContexts: () => phraseHintStore.getSpeechContexts(session),
+                audioFormat: { encoding: negotiated.encoding }
+              });
               
               // Set up error callback
               speechStream.onError((error) => {
@@ -70,26 +373,41 @@ export async function handleHostConnection(clientWs, sessionId) {
                 });
               });
               
-              // Translation throttling for partials
-              let lastPartialTranslations = {}; // Track last translation per language
-              let lastPartialTranslationTime = 0;
-              let pendingPartialTranslation = null;
-              const PARTIAL_TRANSLATION_THROTTLE = 800; // Max every 800ms
+              // Translated stable prefix of the current segment ({ segmentId, source, translations }),
+              // reused so each partial only translates what changed
+              let stablePrefix = null;
               
               // Set up result callback - handles both partials and finals
-              speechStream.onResult(async (transcriptText, isPartial) => {
+              speechStream.onResult(async (transcriptText, isPartial, meta = {}) => {
                 if (isPartial) {
+                  if (currentSegmentId === null) {
+                    currentSegmentId = sessionStore.nextSequenceId(sessionId);
+                  }
+                  const segmentId = currentSegmentId;
+                  const partialSourceLang = meta.language || currentSourceLang;
+                  lastPartial = { segmentId, text: transcriptText, language: meta.language };
+                  
+                  // Engines that report stability let listeners render settled and tentative words differently
+                  const incremental = typeof meta.stableText === 'string';
+                  const partialDetails = meta.stability !== undefined ? { stability: meta.stability } : {};
+                  if (incremental) {
+                    const { stableSource, tentative } = translationManager.splitPartial(transcriptText, meta.stableText, [], null);
+                    partialDetails.stableText = stableSource;
+                    partialDetails.tentativeText = tentative;
+                  }
+                  
                   // Send live partial transcript to the HOST first
                   if (clientWs && clientWs.readyState === WebSocket.OPEN) {
                     clientWs.send(JSON.stringify({
                       type: 'translation',
                       originalText: transcriptText,
                       translatedText: transcriptText,
-                      sourceLang: currentSourceLang,
-                      targetLang: currentSourceLang,
+                      sourceLang: partialSourceLang,
+                      targetLang: partialSourceLang,
                       timestamp: Date.now(),
-                      sequenceId: -1,
-                      isPartial: true
+                      sequenceId: segmentId,
+                      isPartial: true,
+                      ...partialDetails
                     }));
                   }
                   
@@ -99,89 +417,74 @@ export async function handleHostConnection(clientWs, sessionId) {
                     type: 'translation',
                     originalText: transcriptText,
                     translatedText: transcriptText, // Default to source (will be overridden for translated languages)
-                    sourceLang: currentSourceLang,
-                    targetLang: currentSourceLang,
+                    sourceLang: partialSourceLang,
+                    targetLang: partialSourceLang,
                     timestamp: Date.now(),
-                    sequenceId: -1,
+                    sequenceId: segmentId,
                     isPartial: true,
-                    hasTranslation: false // Flag to indicate this is just the original, not translated yet
+                    hasTranslation: false, // Flag to indicate this is just the original, not translated yet
+                    ...partialDetails
                   });
                   
-                  // Throttled translation for listeners with different target languages
+                  // Partial translation for listeners with different target languages -
+                  // the scheduler coalesces partials per segment and drops stale ones
                   const targetLanguages = sessionStore.getSessionLanguages(sessionId);
                   if (targetLanguages.length > 0 && transcriptText.length > 10) {
-                    const now = Date.now();
-                    const timeSinceLastTranslation = now - lastPartialTranslationTime;
+                    const apiKey = process.env.OPENAI_API_KEY;
+                    const options = { glossary: glossaryStore.resolveForSession(session), contextId: sessionId };
+                    const prefixFor = () => (stablePrefix?.segmentId === segmentId ? stablePrefix : null);
                     
-                    if (timeSinceLastTranslation >= PARTIAL_TRANSLATION_THROTTLE) {
-                      lastPartialTranslationTime = now;
-                      
-                      // Cancel pending translation
-                      if (pendingPartialTranslation) {
-                        clearTimeout(pendingPartialTranslation);
-                      }
-                      
-                      try {
-                        console.log(`[HostMode] 🔄 Translating partial to ${targetLanguages.length} language(s)`);
-                        const translations = await translationManager.translateToMultipleLanguages(
+                    let request = { text: transcriptText, sourceLang: partialSourceLang, targetLangs: targetLanguages, apiKey, options };
+                    if (incremental) {
+                      // Only the newly stable words and the tentative tail are sent to the provider
+                      const { stableDelta, tentative } = translationManager.splitPartial(transcriptText, meta.stableText, targetLanguages, prefixFor());
+                      request = {
+                        ...request,
+                        text: joinText(stableDelta, tentative),
+                        run: (signal) => translationManager.translateIncremental(
                           transcriptText,
-                          currentSourceLang,
+                          meta.stableText,
+                          partialSourceLang,
                           targetLanguages,
-                          process.env.OPENAI_API_KEY
-                        );
-                        
-                        // Broadcast translated partials to each language group
-                        for (const [targetLang, translatedText] of Object.entries(translations)) {
-                          lastPartialTranslations[targetLang] = transcriptText;
-                          sessionStore.broadcastToListeners(sessionId, {
-                            type: 'translation',
-                            originalText: transcriptText,
-                            translatedText: translatedText,
-                            sourceLang: currentSourceLang,
-                            targetLang: targetLang,
-                            timestamp: Date.now(),
-                            sequenceId: -1,
-                            isPartial: true,
-                            hasTranslation: true
-                          }, targetLang);
-                        }
-                      } catch (error) {
-                        console.error('[HostMode] Partial translation error:', error);
-                      }
-                    } else {
-                      // Schedule delayed translation
-                      if (pendingPartialTranslation) {
-                        clearTimeout(pendingPartialTranslation);
+                          apiKey,
+                          { ...options, prefix: prefixFor(), signal }
+                        )
+                      };
+                    }
+                    
+                    translationScheduler.schedulePartial(sessionId, segmentId, request).then(result => {
+                      if (!result) return; // Dropped - superseded by a newer partial or the final
+                      
+                      let translations = result;
+                      if (incremental) {
+                        stablePrefix = result.prefix && { ...result.prefix, segmentId };
+                        translations = Object.fromEntries(targetLanguages.map(targetLang => [
+                          targetLang,
+                          joinText(result.stable[targetLang], result.tentative[targetLang])
+                        ]));
                       }
                       
-                      pendingPartialTranslation = setTimeout(async () => {
-                        try {
-                          const translations = await translationManager.translateToMultipleLanguages(
-                            transcriptText,
-                            currentSourceLang,
-                            targetLanguages,
-                            process.env.OPENAI_API_KEY
-                          );
-                          
-                          for (const [targetLang, translatedText] of Object.entries(translations)) {
-                            lastPartialTranslations[targetLang] = transcriptText;
-                            sessionStore.broadcastToListeners(sessionId, {
-                              type: 'translation',
-                              originalText: transcriptText,
-                              translatedText: translatedText,
-                              sourceLang: currentSourceLang,
-                              targetLang: targetLang,
-                              timestamp: Date.now(),
-                              sequenceId: -1,
-                              isPartial: true,
-                              hasTranslation: true
-                            }, targetLang);
-                          }
-                        } catch (error) {
-                          console.error('[HostMode] Delayed partial translation error:', error);
-                        }
-                      }, PARTIAL_TRANSLATION_THROTTLE);
-                    }
+                      // Broadcast translated partials to each language group
+                      for (const [targetLang, translatedText] of Object.entries(translations)) {
+                        sessionStore.broadcastToListeners(sessionId, {
+                          type: 'translation',
+                          originalText: transcriptText,
+                          translatedText: translatedText,
+                          sourceLang: partialSourceLang,
+                          targetLang: targetLang,
+                          timestamp: Date.now(),
+                          sequenceId: segmentId,
+                          isPartial: true,
+                          hasTranslation: true,
+                          ...(incremental && {
+                            stableText: result.stable[targetLang],
+                            tentativeText: result.tentative[targetLang]
+                          })
+                        }, targetLang);
+                      }
+                    }).catch(error => {
+                      console.error('[HostMode] Partial translation error:', error);
+                    });
                   }
                   return;
                 }
@@ -189,60 +492,21 @@ export async function handleHostConnection(clientWs, sessionId) {
                 // Final transcript - send to host and translate for listeners
                 console.log(`[HostMode] 📝 FINAL Transcript: "${transcriptText.substring(0, 50)}..."`);
                 
-                // Send final transcript to the HOST
-                if (clientWs && clientWs.readyState === WebSocket.OPEN) {
-                  clientWs.send(JSON.stringify({
-                    type: 'translation',
-                    originalText: transcriptText,
-                    translatedText: transcriptText,
-                    sourceLang: currentSourceLang,
-                    targetLang: currentSourceLang,
-                    timestamp: Date.now(),
-                    sequenceId: Date.now(),
-                    isPartial: false
-                  }));
-                }
+                // Close the current segment - late partial translations for it are dropped
+                const sequenceId = currentSegmentId ?? sessionStore.nextSequenceId(sessionId);
+                currentSegmentId = null;
+                lastPartial = null;
                 
-                // Get all target languages needed for listeners
-                const targetLanguages = sessionStore.getSessionLanguages(sessionId);
-                
-                if (targetLanguages.length === 0) {
-                  console.log('[HostMode] No listeners yet, skipping translation');
-                  return;
-                }
-
-                try {
-                  // Translate to all needed languages at once
-                  const translations = await translationManager.translateToMultipleLanguages(
-                    transcriptText,
-                    currentSourceLang,
-                    targetLanguages,
-                    process.env.OPENAI_API_KEY
-                  );
-
-                  console.log(`[HostMode] Translated to ${Object.keys(translations).length} languages`);
-
-                  // Broadcast to each language group
-                  for (const [targetLang, translatedText] of Object.entries(translations)) {
-                    sessionStore.broadcastToListeners(sessionId, {
-                      type: 'translation',
-                      originalText: transcriptText,
-                      translatedText: translatedText,
-                      sourceLang: currentSourceLang,
-                      targetLang: targetLang,
-                      timestamp: Date.now(),
-                      sequenceId: Date.now(),
-                      isPartial: false
-                    }, targetLang);
-                  }
-                } catch (error) {
-                  console.error('[HostMode] Translation error:', error);
-                }
+                await publishFinalSegment(transcriptText, sequenceId, meta);
               });
               
-              console.log('[HostMode] ✅ Google Speech stream initialized and ready');
+              console.log(`[HostMode] ✅ ${speechEngineName} speech stream initialized and ready (${audioCodec} audio)`);
             } catch (error) {
-              console.error('[HostMode] Failed to initialize Google Speech stream:', error);
+              console.error('[HostMode] Failed to initialize speech stream:', error);
+              if (speechStream) {
+                speechStream.destroy();
+                speechStream = null;
+              }
               if (clientWs.readyState === WebSocket.OPEN) {
                 clientWs.send(JSON.stringify({
                   type: 'error',
@@ -258,18 +522,34 @@ export async function handleHostConnection(clientWs, sessionId) {
               type: 'session_ready',
               sessionId: sessionId,
               sessionCode: session.sessionCode,
-              role: 'host'
+              role: 'host',
+              engine: speechEngineName,
+              sourceLang: currentSourceLang,
+              languages: candidateLanguages,
+              diarization,
+              speakerNames: session.speakerNames,
+              recording: session.record,
+              binaryAudio: AUDIO_FRAME_VERSION,
+              audioCodec,
+              resumed: isResuming,
+              hostToken: createHostToken(sessionId), // Use this one to reconnect
+              requireApproval: session.requireApproval,
+              pendingListeners: sessionStore.getPendingListeners(sessionId)
             }));
           }
           break;
 
         case 'audio':
-          // Process audio through Google Speech stream
-          if (speechStream) {
-            // Stream audio to Google Speech for transcription
-            await speechStream.processAudio(message.audioData);
-          } else {
-            console.warn('[HostMode] Received audio before stream initialization');
+          await handleAudio(message.audioData);
+          break;
+          
+        case 'audio_keepalive':
+          // Silence held back by the host's voice activity detection
+          if (session.record) {
+            sessionRecorder.writeSilence(session, message.silenceMs);
+          }
+          if (speechStream?.pauseAudio) {
+            await speechStream.pauseAudio(Number(message.silenceMs) || 0);
           }
           break;
           
@@ -279,6 +559,92 @@ export async function handleHostConnection(clientWs, sessionId) {
             await speechStream.endAudio();
           }
           break;
+
+        case 'force_commit':
+          console.log('[HostMode] 🔄 Force commit requested by host');
+          if (speechStream) {
+            await speechStream.forceCommit();
+          }
+          break;
+
+        case 'text': {
+          // Typed phrase injected into the live session - each paragraph becomes
+          // its own segment, published exactly like a spoken final
+          const paragraphs = translationManager.splitParagraphs(message.text);
+          if (paragraphs.length === 0) {
+            clientWs.send(JSON.stringify({
+              type: 'error',
+              message: 'Text is empty',
+              requestId: message.requestId ?? null
+            }));
+            break;
+          }
+
+          console.log(`[HostMode] ⌨️ Host typed ${paragraphs.length} paragraph(s)`);
+          for (const paragraph of paragraphs) {
+            await publishFinalSegment(paragraph, sessionStore.nextSequenceId(sessionId));
+          }
+          break;
+        }
+
+        case 'change_source_language':
+          // Host switched languages mid-session - the speech stream restarts, the session carries on
+          if (typeof message.sourceLang !== 'string' || !message.sourceLang) {
+            clientWs.send(JSON.stringify({ type: 'error', message: 'sourceLang is required' }));
+            break;
+          }
+          try {
+            await switchSourceLanguage(message.sourceLang, message.languages);
+          } catch (error) {
+            console.error('[HostMode] Failed to switch source language:', error);
+            clientWs.send(JSON.stringify({
+              type: 'error',
+              message: `Failed to switch language: ${error.message}`
+            }));
+          }
+          break;
+
+        case 'rename_speaker': {
+          // Live rename ("Speaker 2" -> "Pastor Kim") - applies to past and future segments
+          if (typeof message.speakerId !== 'string' || !message.speakerId) {
+            clientWs.send(JSON.stringify({ type: 'error', message: 'speakerId is required' }));
+            break;
+          }
+          const name = sessionStore.setSpeakerName(sessionId, message.speakerId, message.name);
+          const renamed = { type: 'speaker_renamed', speakerId: message.speakerId, name };
+          sessionStore.broadcastToListeners(sessionId, renamed);
+          sessionStore.sendToHost(sessionId, renamed);
+          break;
+        }
+
+        case 'resend':
+          // Host detected a gap in its own transcript - resend in the source language
+          if (Array.isArray(message.sequenceIds)) {
+            await sendTranscriptBackfill(clientWs, sessionId, currentSourceLang, {
+              sequenceIds: message.sequenceIds
+            });
+          }
+          break;
+
+        case 'approve_listener':
+          // Invite-only sessions: let a waiting listener in
+          if (!sessionStore.approveListener(sessionId, message.socketId)) {
+            console.warn(`[HostMode] No pending listener ${message.socketId} to approve`);
+          }
+          break;
+
+        case 'deny_listener':
+          if (!sessionStore.denyListener(sessionId, message.socketId)) {
+            console.warn(`[HostMode] No pending listener ${message.socketId} to deny`);
+          }
+          break;
+
+        case 'end_session':
+          // Explicit end - skip the reconnect grace period
+          console.log(`[HostMode] Host ended session ${session.sessionCode}`);
+          hostEndedSession = true;
+          clientWs.close();
+          break;
       }
     } catch (error) {
       console.error('[HostMode] Error processing message:', error);
@@ -293,17 +659,42 @@ export async function handleHostConnection(clientWs, sessionId) {
   // Handle host disconnect
   clientWs.on('close', () => {
     console.log('[HostMode] Host disconnected from session');
+    clearInterval(tokenRefreshTimer);
+    if (audioFrames.framesMissed > 0) {
+      console.warn(`[HostMode] ${audioFrames.framesMissed} audio frames missing out of ${audioFrames.framesReceived + audioFrames.framesMissed}`);
+    }
     
     if (speechStream) {
       speechStream.destroy();
       speechStream = null;
     }
     
-    sessionStore.closeSession(sessionId);
+    // A newer host connection already took over - nothing to clean up
+    if (session.hostSocket !== clientWs) {
+      return;
+    }
+    
+    if (hostEndedSession) {
+      sessionStore.closeSession(sessionId);
+    } else {
+      // Possibly a network blip - keep the session alive for the grace period
+      sessionStore.markHostDisconnected(sessionId);
+      sessionRecorder.pause(sessionId);
+    }
   });
 
   // Initialize the session as active
+  const previousSocket = session.hostSocket;
   sessionStore.setHost(sessionId, clientWs, null); // No direct WebSocket needed with stream
+
+  // A reconnecting host whose old connection hasn't dropped yet - close it, so
+  // its speech stream is destroyed (see the close handler) instead of running on
+  if (previousSocket && previousSocket !== clientWs) {
+    console.log(`[HostMode] Closing the previous host connection of ${session.sessionCode}`);
+    previousSocket.close(HOST_REPLACED_CLOSE_CODE, 'Replaced by a new host connection');
+    // A dead peer never answers the close handshake
+    setTimeout(() => previousSocket.terminate(), 1000);
+  }
   console.log(`[HostMode] Session ${session.sessionCode} is now active with Google Speech`);
 }
 
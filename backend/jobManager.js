@@ -0,0 +1,522 @@
+/**
+ * Job Manager - Batch transcription/translation of uploaded recordings
+ *
+ * A job runs an uploaded file (see audioFiles) through the same pipeline as a
+ * live session: a speech engine fed faster than real time (JOB_AUDIO_SPEED),
+ * then translationScheduler/translationManager for every target language.
+ * Long recordings are fed window by window, draining the engine in between.
+ *
+ * Uploads are streamed to a temp file (at most JOB_MAX_UPLOAD_MB) and only
+ * decoded when their job starts, so waiting jobs hold no audio in memory.
+ * Jobs wait in a FIFO queue (JOB_CONCURRENCY run at once, at most
+ * JOB_MAX_QUEUED waiting) and move through
+ * queued → transcribing → translating → completed | failed | cancelled.
+ * Progress is polled over REST or pushed to WebSocket subscribers; results
+ * are rendered on demand by transcriptExport. Jobs live in memory and are
+ * removed JOB_RETENTION_HOURS after they finish.
+ *
+ * Segment times are audio offsets (ms from the start of the file).
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import fsPromises from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import translationManager from './translationManager.js';
+import translationScheduler from './translationScheduler.js';
+import glossaryStore from './glossaryStore.js';
+import phraseHintStore from './phraseHintStore.js';
+import { findGlossaryViolations } from './glossary.js';
+import { createSpeechEngine, resolveClientSpeechEngineName, getRecognitionDetails } from './speechEngines.js';
+import { decodeAudio, probeAudioFile, splitIntoWindows } from './audioFiles.js';
+import { renderTranscript } from './transcriptExport.js';
+import { readNumber } from './config.js';
+
+// Sleep once this much pacing delay has built up (avoids a timer per chunk)
+const PACE_STEP_MS = 50;
+
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class JobManager {
+  constructor() {
+    this.jobs = new Map(); // jobId -> job
+    this.queue = []; // jobIds waiting to run
+    this.running = 0;
+    this.subscribers = new Map(); // jobId -> Set<callback>
+    this.cleanupTimer = null;
+    this.uploadDir = null; // Promise of this process's temp directory, created on first upload
+    this.config = {
+      maxUploadBytes: readNumber('JOB_MAX_UPLOAD_MB', 200) * 1024 * 1024,
+      maxQueued: readNumber('JOB_MAX_QUEUED', 20),
+      concurrency: readNumber('JOB_CONCURRENCY', 1),
+      audioSpeed: readNumber('JOB_AUDIO_SPEED', 3),
+      retentionMs: readNumber('JOB_RETENTION_HOURS', 24) * 60 * 60 * 1000
+    };
+  }
+
+  isQueueFull() {
+    return this.queue.length >= this.config.maxQueued;
+  }
+
+  /**
+   * Save an upload to a temp file, up to JOB_MAX_UPLOAD_MB
+   * @param {stream.Readable} stream - the request body
+   * @returns {Promise<string>} the file's path, for createJob
+   * @throws {Error} code UPLOAD_TOO_LARGE past the limit (nothing is left on disk)
+   */
+  async receiveUpload(stream) {
+    const { maxUploadBytes } = this.config;
+    if (!this.uploadDir) {
+      this.uploadDir = fsPromises.mkdtemp(path.join(os.tmpdir(), 'translation-jobs-'));
+    }
+    const uploadPath = path.join(await this.uploadDir, crypto.randomUUID());
+
+    let received = 0;
+    const limit = new Transform({
+      transform(chunk, encoding, callback) {
+        received += chunk.length;
+        if (received > maxUploadBytes) {
+          const error = new Error(`Upload is larger than ${maxUploadBytes / 1024 / 1024} MB`);
+          error.code = 'UPLOAD_TOO_LARGE';
+          return callback(error);
+        }
+        callback(null, chunk);
+      }
+    });
+
+    try {
+      await pipeline(stream, limit, fs.createWriteStream(uploadPath));
+    } catch (error) {
+      await this.discardUpload(uploadPath);
+      throw error;
+    }
+    return uploadPath;
+  }
+
+  async discardUpload(uploadPath) {
+    try {
+      await fsPromises.rm(uploadPath, { force: true });
+    } catch (error) {
+      console.error(`[JobManager] Failed to delete upload ${uploadPath}:`, error.message);
+    }
+  }
+
+  /**
+   * Queue a job for an upload saved by receiveUpload - the job owns the file
+   * from here on and deletes it when it finishes (or here, if it is rejected)
+   * @param {Object} params - { uploadPath, decodeOptions, filename, sourceLang, targetLangs,
+   *   languages, engine, organizationId, phraseHintProfile, diarization }
+   *   decodeOptions: { format, sampleRate, channels } as for audioFiles.decodeAudio
+   * @throws {Error} for unsupported audio or an unknown engine, code QUEUE_FULL past JOB_MAX_QUEUED
+   */
+  async createJob(params) {
+    let probe;
+    let engine;
+    try {
+      engine = resolveClientSpeechEngineName(params.engine);
+      probe = await probeAudioFile(params.uploadPath, params.decodeOptions);
+      if (this.isQueueFull()) {
+        const error = new Error(`The job queue is full (${this.queue.length} waiting) - try again later`);
+        error.code = 'QUEUE_FULL';
+        throw error;
+      }
+    } catch (error) {
+      await this.discardUpload(params.uploadPath);
+      throw error;
+    }
+
+    const job = {
+      jobId: crypto.randomUUID(),
+      status: 'queued',
+      filename: params.filename || null,
+      format: probe.format,
+      durationMs: Math.round(probe.durationMs),
+      processedMs: 0,
+      sourceLang: params.sourceLang,
+      targetLangs: params.targetLangs,
+      languages: params.languages || [],
+      engine,
+      organizationId: params.organizationId || null,
+      phraseHintProfile: params.phraseHintProfile || null,
+      phraseHints: null,
+      glossary: null,
+      diarization: Boolean(params.diarization),
+      segments: [],
+      translatedCount: 0,
+      error: null,
+      warnings: [],
+      createdAt: Date.now(),
+      startedAt: null,
+      finishedAt: null,
+      uploadPath: params.uploadPath, // Deleted when the job finishes
+      decodeOptions: params.decodeOptions || {}
+    };
+
+    this.jobs.set(job.jobId, job);
+    this.queue.push(job.jobId);
+    this.startCleanupTimer();
+    console.log(`[JobManager] Job ${job.jobId} queued (${job.format}, ${(job.durationMs / 1000).toFixed(1)}s, ${job.sourceLang} → ${job.targetLangs.join(', ') || 'transcript only'})`);
+
+    this.pump();
+    return job;
+  }
+
+  getJob(jobId) {
+    return this.jobs.get(jobId) || null;
+  }
+
+  /**
+   * Public view of a job (no audio, no segments)
+   */
+  getSummary(job) {
+    const queuePosition = this.queue.indexOf(job.jobId);
+    return {
+      jobId: job.jobId,
+      status: job.status,
+      filename: job.filename,
+      format: job.format,
+      engine: job.engine,
+      sourceLang: job.sourceLang,
+      targetLangs: job.targetLangs,
+      durationMs: job.durationMs,
+      processedMs: Math.round(job.processedMs),
+      progress: job.durationMs > 0 ? Math.min(job.processedMs / job.durationMs, 1) : 1,
+      segmentCount: job.segments.length,
+      translatedCount: job.translatedCount,
+      ...(queuePosition !== -1 && { queuePosition: queuePosition + 1 }),
+      ...(job.error && { error: job.error }),
+      ...(job.warnings.length > 0 && { warnings: job.warnings }),
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt
+    };
+  }
+
+  getAllJobs() {
+    return Array.from(this.jobs.values()).map(job => this.getSummary(job));
+  }
+
+  /**
+   * Listen to a job's status and segments
+   * @param {Function} callback - (message) => void, message is job_status or job_segment
+   * @returns {Function} unsubscribe
+   */
+  subscribe(jobId, callback) {
+    if (!this.subscribers.has(jobId)) {
+      this.subscribers.set(jobId, new Set());
+    }
+    this.subscribers.get(jobId).add(callback);
+
+    return () => {
+      const callbacks = this.subscribers.get(jobId);
+      if (!callbacks) return;
+      callbacks.delete(callback);
+      if (callbacks.size === 0) this.subscribers.delete(jobId);
+    };
+  }
+
+  notify(job, message) {
+    const callbacks = this.subscribers.get(job.jobId);
+    if (!callbacks) return;
+
+    for (const callback of callbacks) {
+      try {
+        callback(message);
+      } catch (error) {
+        console.error('[JobManager] Subscriber error:', error.message);
+      }
+    }
+  }
+
+  notifyStatus(job) {
+    this.notify(job, { type: 'job_status', job: this.getSummary(job) });
+  }
+
+  /**
+   * Start queued jobs up to the concurrency limit
+   */
+  pump() {
+    const { concurrency } = this.config;
+    while (this.running < concurrency && this.queue.length > 0) {
+      const job = this.jobs.get(this.queue.shift());
+      if (!job || job.status !== 'queued') continue;
+
+      this.running++;
+      this.run(job)
+        .catch(error => this.finish(job, 'failed', error.message))
+        .finally(() => {
+          this.running--;
+          this.pump();
+        });
+    }
+    // Queue positions moved
+    this.queue.forEach(jobId => this.notifyStatus(this.jobs.get(jobId)));
+  }
+
+  /**
+   * Transcribe the job's audio window by window, translating finals as they come
+   */
+  async run(job) {
+    const { audioSpeed } = this.config;
+    const jobKey = `job:${job.jobId}`;
+
+    job.status = 'transcribing';
+    job.startedAt = Date.now();
+    const audio = decodeAudio(await fsPromises.readFile(job.uploadPath), job.decodeOptions);
+    if (job.status !== 'transcribing') return;
+
+    job.durationMs = Math.round(audio.durationMs);
+    const windows = splitIntoWindows(audio);
+    const pending = [];
+    this.notifyStatus(job);
+    console.log(`[JobManager] Job ${job.jobId} started (${windows.length} window(s), ${audioSpeed}x real time, ${job.engine})`);
+
+    const engine = createSpeechEngine(job.engine);
+    // Wall-clock start of the stream recognizing the current window - engine
+    // timestamps are mapped from it onto the audio timeline
+    let currentWindow = windows[0];
+    let streamStartedAt = Date.now();
+
+    const toAudioMs = (epochMs) => Math.min(
+      Math.max(currentWindow.startMs + (epochMs - streamStartedAt), currentWindow.startMs),
+      currentWindow.endMs
+    );
+
+    engine.onResult((transcript, isPartial, result = {}) => {
+      if (isPartial || !transcript?.trim() || job.status !== 'transcribing') return;
+
+      const recognition = getRecognitionDetails(result);
+      if (recognition.startTime !== undefined) {
+        recognition.startTime = toAudioMs(recognition.startTime);
+        recognition.endTime = Math.max(toAudioMs(recognition.endTime), recognition.startTime);
+      }
+      const segment = {
+        sequenceId: job.segments.length + 1,
+        originalText: transcript.trim(),
+        sourceLang: result.language || job.sourceLang,
+        timestamp: Math.round(job.processedMs),
+        translations: {},
+        ...recognition
+      };
+      job.segments.push(segment);
+      pending.push(this.translateSegment(job, jobKey, segment));
+    });
+
+    engine.onError((error) => {
+      console.error(`[JobManager] Speech engine error in job ${job.jobId}:`, error.message);
+      job.warnings.push(error.message);
+    });
+
+    try {
+      try {
+        await engine.initialize(job.sourceLang, {
+          diarization: job.diarization,
+          languages: job.languages,
+          speechContexts: () => phraseHintStore.getSpeechContexts(job),
+          audioFormat: audio.audioFormat
+        });
+
+        for (const window of windows) {
+          currentWindow = window;
+          streamStartedAt = Date.now();
+
+          let owedMs = 0;
+          for (const chunk of window.chunks) {
+            if (job.status !== 'transcribing') return;
+
+            await engine.processAudio(chunk.data);
+            job.processedMs += chunk.durationMs;
+            this.reportProgress(job);
+
+            owedMs += chunk.durationMs / audioSpeed;
+            if (owedMs >= PACE_STEP_MS) {
+              await sleep(owedMs);
+              owedMs = 0;
+            }
+          }
+
+          // Collect the window's last finals before the next window starts
+          await (engine.drain ? engine.drain() : engine.forceCommit());
+        }
+      } finally {
+        engine.destroy();
+      }
+
+      if (job.status !== 'transcribing') return;
+
+      job.processedMs = job.durationMs;
+      job.status = 'translating';
+      this.notifyStatus(job);
+    } finally {
+      // Cancelled or failed jobs drop their waiting translations instead of running them
+      if (job.status !== 'translating') {
+        translationScheduler.clearSession(jobKey);
+      }
+      await Promise.all(pending);
+      translationScheduler.clearSession(jobKey);
+      translationManager.clearContext(jobKey);
+    }
+
+    if (job.status === 'translating') {
+      this.finish(job, 'completed');
+    }
+  }
+
+  /**
+   * Translate a final into the job's target languages (in recognition order,
+   * with the job as translation context) and publish it to subscribers
+   */
+  async translateSegment(job, jobKey, segment) {
+    const targetLangs = job.targetLangs.filter(lang => lang !== segment.sourceLang);
+
+    if (targetLangs.length > 0) {
+      const glossary = glossaryStore.resolveForSession(job);
+      try {
+        const translations = await translationScheduler.scheduleFinal(jobKey, segment.sequenceId, {
+          text: segment.originalText,
+          sourceLang: segment.sourceLang,
+          targetLangs,
+          apiKey: process.env.OPENAI_API_KEY,
+          options: { glossary, contextId: jobKey, updateContext: true }
+        });
+
+        // Error placeholders (and finals dropped when the job was cancelled) are
+        // left out - the export retries them on demand
+        for (const [targetLang, text] of Object.entries(translations || {})) {
+          if (text.startsWith('[Translation error')) continue;
+          segment.translations[targetLang] = text;
+          this.flagSegment(segment, targetLang, findGlossaryViolations(glossary, segment.originalText, text, targetLang));
+        }
+      } catch (error) {
+        console.error(`[JobManager] Translation failed for segment ${segment.sequenceId} of job ${job.jobId}:`, error.message);
+      }
+    }
+
+    job.translatedCount++;
+    this.notify(job, { type: 'job_segment', jobId: job.jobId, segment });
+  }
+
+  flagSegment(segment, targetLang, violations) {
+    const { [targetLang]: previous, ...others } = segment.glossaryFlags || {};
+    if (violations.length === 0 && !previous) return;
+    segment.glossaryFlags = violations.length > 0 ? { ...others, [targetLang]: violations } : others;
+  }
+
+  /**
+   * Push progress to subscribers at whole-percent steps
+   */
+  reportProgress(job) {
+    const percent = Math.floor((job.processedMs / Math.max(job.durationMs, 1)) * 100);
+    if (percent !== job.reportedPercent) {
+      job.reportedPercent = percent;
+      this.notifyStatus(job);
+    }
+  }
+
+  finish(job, status, error = null) {
+    if (FINISHED_STATUSES.includes(job.status)) return;
+
+    job.status = status;
+    job.error = error;
+    job.finishedAt = Date.now();
+    this.discardUpload(job.uploadPath);
+    const seconds = ((job.finishedAt - (job.startedAt || job.createdAt)) / 1000).toFixed(1);
+    console.log(`[JobManager] Job ${job.jobId} ${status} after ${seconds}s (${job.segments.length} segments)${error ? `: ${error}` : ''}`);
+    this.notifyStatus(job);
+  }
+
+  /**
+   * Stop a queued or running job (results so far are kept)
+   * @returns {boolean} false if the job had already finished
+   */
+  cancelJob(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job || FINISHED_STATUSES.includes(job.status)) return false;
+
+    this.queue = this.queue.filter(queued => queued !== jobId);
+    this.finish(job, 'cancelled');
+    return true;
+  }
+
+  /**
+   * Cancel a job if needed and forget it
+   */
+  deleteJob(jobId) {
+    if (!this.jobs.has(jobId)) return false;
+
+    this.cancelJob(jobId);
+    this.jobs.delete(jobId);
+    this.subscribers.delete(jobId);
+    console.log(`[JobManager] Job ${jobId} deleted`);
+    return true;
+  }
+
+  /**
+   * Render a completed job's transcript in one language and format
+   * @returns {Promise<{contentType: string, filename: string, body: string}>}
+   */
+  async exportResult(job, options = {}) {
+    const baseName = (job.filename || 'recording').replace(/\.[^.]+$/, '').replace(/[^\w.-]+/g, '_');
+    const glossary = glossaryStore.resolveForSession(job);
+    const jobKey = `job:${job.jobId}`;
+
+    return renderTranscript({
+      schedulerId: jobKey, // Languages not translated at upload share the job's budget
+      segments: job.segments,
+      sourceLang: job.sourceLang,
+      origin: 0,
+      glossary,
+      cacheTranslations: (segment, translations) => Object.assign(segment.translations, translations),
+      flagSegment: (segment, lang, violations) => this.flagSegment(segment, lang, violations),
+      speakerName: (speakerId) => `Speaker ${speakerId}`,
+      title: job.filename || `Job ${job.jobId}`,
+      filenameBase: `transcript-${baseName}`,
+      meta: {
+        jobId: job.jobId,
+        filename: job.filename,
+        sourceLang: job.sourceLang,
+        durationMs: job.durationMs,
+        createdAt: job.createdAt
+      }
+    }, options).finally(() => translationScheduler.clearSession(jobKey));
+  }
+
+  /**
+   * Remove finished jobs past their retention time
+   */
+  cleanupFinishedJobs() {
+    const { retentionMs } = this.config;
+    const now = Date.now();
+
+    for (const job of this.jobs.values()) {
+      if (job.finishedAt && now - job.finishedAt > retentionMs) {
+        this.deleteJob(job.jobId);
+      }
+    }
+  }
+
+  startCleanupTimer() {
+    if (this.cleanupTimer) return;
+    // Check every 10 minutes - unref'd so it never keeps the process alive
+    this.cleanupTimer = setInterval(() => this.cleanupFinishedJobs(), 10 * 60 * 1000);
+    this.cleanupTimer.unref();
+  }
+
+  getStats() {
+    const byStatus = {};
+    for (const job of this.jobs.values()) {
+      byStatus[job.status] = (byStatus[job.status] || 0) + 1;
+    }
+    return { jobs: this.jobs.size, queued: this.queue.length, running: this.running, byStatus };
+  }
+}
+
+// Singleton instance
+const jobManager = new JobManager();
+
+export default jobManager;
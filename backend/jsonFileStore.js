@@ -0,0 +1,87 @@
+/**
+ * JSON File Store - Records kept in memory and, when a file is set, on disk
+ *
+ * Backs the organization glossaries (glossaryStore) and the phrase hint
+ * profiles (phraseHintStore). The file is read when the store is created.
+ * Every change rewrites the whole file through a temp file and a rename, so
+ * a crash never leaves half a file behind. Writes run one at a time, so they
+ * can't interleave on the temp file.
+ */
+
+import fs from 'fs';
+import fsPromises from 'fs/promises';
+import path from 'path';
+
+export class JsonFileStore {
+  /**
+   * @param {Object} options - { filePath, tag, label }
+   *   filePath: where to keep the records (null = memory only)
+   *   tag/label: log prefix and what the records are, e.g. 'GlossaryStore', 'organization glossaries'
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath || null;
+    this.tag = options.tag || 'JsonFileStore';
+    this.label = options.label || 'records';
+    this.records = this.read(); // key -> record
+    this.writes = Promise.resolve(); // Last write in the chain
+  }
+
+  read() {
+    if (!this.filePath) return new Map();
+
+    try {
+      const records = new Map(Object.entries(JSON.parse(fs.readFileSync(this.filePath, 'utf8'))));
+      console.log(`[${this.tag}] Loaded ${records.size} ${this.label} from ${this.filePath}`);
+      return records;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`[${this.tag}] Failed to read ${this.filePath}:`, error.message);
+      }
+      return new Map();
+    }
+  }
+
+  /**
+   * Write the current records after the writes already queued
+   * Failures are logged - the records stay in memory either way.
+   */
+  persist() {
+    if (!this.filePath) return Promise.resolve();
+
+    this.writes = this.writes.then(async () => {
+      try {
+        const tmpPath = `${this.filePath}.tmp`;
+        await fsPromises.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fsPromises.writeFile(tmpPath, JSON.stringify(Object.fromEntries(this.records)), 'utf8');
+        await fsPromises.rename(tmpPath, this.filePath);
+      } catch (error) {
+        console.error(`[${this.tag}] Failed to write ${this.filePath}:`, error.message);
+      }
+    });
+    return this.writes;
+  }
+
+  get(key) {
+    if (!key) return null;
+    return this.records.get(key) || null;
+  }
+
+  /**
+   * Replace a record, stamped with updatedAt
+   */
+  async set(key, record) {
+    this.records.set(key, { ...record, updatedAt: Date.now() });
+    await this.persist();
+  }
+
+  /**
+   * @returns {Promise<boolean>} Whether there was a record to delete
+   */
+  async delete(key) {
+    const deleted = this.records.delete(key);
+    if (deleted) {
+      await this.persist();
+    }
+    return deleted;
+  }
+}
@@ -0,0 +1,154 @@
+/**
+ * Ogg Opus - Wraps raw Opus packets in an Ogg stream for Google Speech (OGG_OPUS)
+ *
+ * Hosts in compressed mode send bare Opus packets (WebCodecs output), which
+ * Google can't take on their own. Every recognition stream gets a writer of
+ * its own: the stream starts with the OpusHead and OpusTags pages, then each
+ * chunk of audio becomes one page. A stream restart simply starts a new writer,
+ * so no state of the host's audio has to be replayed.
+ */
+
+import crypto from 'crypto';
+
+const HEADER_TYPE_FIRST = 0x02; // Beginning of stream
+
+// Lacing values of one page - a longer chunk is spread over several pages
+const MAX_SEGMENTS = 255;
+
+const CRC_TABLE = new Uint32Array(256).map((_, index) => {
+  let crc = index << 24;
+  for (let bit = 0; bit < 8; bit++) {
+    crc = crc & 0x80000000 ? (crc << 1) ^ 0x04c11db7 : crc << 1;
+  }
+  return crc >>> 0;
+});
+
+function oggCrc(buffer) {
+  let crc = 0;
+  for (const byte of buffer) {
+    crc = ((crc << 8) ^ CRC_TABLE[((crc >>> 24) ^ byte) & 0xff]) >>> 0;
+  }
+  return crc;
+}
+
+/**
+ * Duration of an Opus packet in 48 kHz samples, from its TOC byte (RFC 6716 §3.1)
+ */
+export function opusPacketSamples(packet) {
+  if (packet.length === 0) return 0;
+
+  const config = packet[0] >> 3;
+  let frameSamples;
+  if (config < 12) {
+    frameSamples = [480, 960, 1920, 2880][config % 4]; // SILK 10/20/40/60 ms
+  } else if (config < 16) {
+    frameSamples = [480, 960][config % 2]; // Hybrid 10/20 ms
+  } else {
+    frameSamples = [120, 240, 480, 960][config % 4]; // CELT 2.5/5/10/20 ms
+  }
+
+  const frameCountCode = packet[0] & 0x03;
+  let frameCount = 1;
+  if (frameCountCode === 1 || frameCountCode === 2) {
+    frameCount = 2;
+  } else if (frameCountCode === 3) {
+    frameCount = packet.length > 1 ? packet[1] & 0x3f : 0;
+  }
+  return frameSamples * frameCount;
+}
+
+export class OggOpusWriter {
+  /**
+   * @param {Object} options - { sampleRate, channels } of the audio before encoding
+   */
+  constructor(options = {}) {
+    this.sampleRate = options.sampleRate || 24000;
+    this.channels = options.channels || 1;
+    this.serial = crypto.randomBytes(4).readUInt32LE(0);
+    this.pageSequence = 0;
+    this.granulePosition = 0;
+  }
+
+  /**
+   * The two header pages every Ogg Opus stream starts with
+   * @returns {Buffer}
+   */
+  headers() {
+    const head = Buffer.alloc(19);
+    head.write('OpusHead', 0, 'ascii');
+    head.writeUInt8(1, 8); // Version
+    head.writeUInt8(this.channels, 9);
+    head.writeUInt16LE(0, 10); // Pre-skip - the encoder delay isn't known, a few ms don't matter here
+    head.writeUInt32LE(this.sampleRate, 12);
+    head.writeInt16LE(0, 16); // Output gain
+    head.writeUInt8(0, 18); // Channel mapping family 0 (mono/stereo)
+
+    const vendor = Buffer.from('realtime-translation', 'ascii');
+    const tags = Buffer.alloc(8 + 4 + vendor.length + 4);
+    tags.write('OpusTags', 0, 'ascii');
+    tags.writeUInt32LE(vendor.length, 8);
+    vendor.copy(tags, 12);
+    tags.writeUInt32LE(0, 12 + vendor.length); // No user comments
+
+    return Buffer.concat([
+      this.page([head], 0, HEADER_TYPE_FIRST),
+      this.page([tags], 0, 0)
+    ]);
+  }
+
+  /**
+   * Audio pages for a chunk of packets - packets are never split across pages
+   * @param {Buffer[]} packets - Raw Opus packets, in order
+   * @returns {Buffer}
+   */
+  write(packets) {
+    const pages = [];
+    let pagePackets = [];
+    let segmentCount = 0;
+
+    for (const packet of packets) {
+      const packetSegments = Math.floor(packet.length / 255) + 1;
+      if (segmentCount + packetSegments > MAX_SEGMENTS && pagePackets.length > 0) {
+        pages.push(this.page(pagePackets, this.granulePosition, 0));
+        pagePackets = [];
+        segmentCount = 0;
+      }
+      pagePackets.push(packet);
+      segmentCount += packetSegments;
+      this.granulePosition += opusPacketSamples(packet);
+    }
+    if (pagePackets.length > 0) {
+      pages.push(this.page(pagePackets, this.granulePosition, 0));
+    }
+    return Buffer.concat(pages);
+  }
+
+  page(packets, granulePosition, headerType) {
+    const lacing = [];
+    for (const packet of packets) {
+      let remaining = packet.length;
+      while (remaining >= 255) {
+        lacing.push(255);
+        remaining -= 255;
+      }
+      lacing.push(remaining);
+    }
+    if (lacing.length > MAX_SEGMENTS) {
+      throw new Error(`Opus packet too large for one Ogg page (${lacing.length} segments)`);
+    }
+
+    const header = Buffer.alloc(27 + lacing.length);
+    header.write('OggS', 0, 'ascii');
+    header.writeUInt8(0, 4); // Stream structure version
+    header.writeUInt8(headerType, 5);
+    header.writeBigUInt64LE(BigInt(granulePosition), 6); // 48 kHz samples, whatever the input rate
+    header.writeUInt32LE(this.serial, 14);
+    header.writeUInt32LE(this.pageSequence++, 18);
+    header.writeUInt8(lacing.length, 26);
+    Buffer.from(lacing).copy(header, 27);
+
+    const page = Buffer.concat([header, ...packets]);
+    page.writeUInt32LE(oggCrc(page), 22); // Computed with the CRC field zeroed
+    return page;
+  }
+}
@@ -0,0 +1,65 @@
+/**
+ * Phrase Hint Store - Saved phrase hint profiles
+ *
+ * A profile is a reusable phrase list ("sunday-service", "board-meeting")
+ * that sessions pick by id. The hints a session's recognizer gets are the
+ * glossary terms, the profile and the session's own hints (session wins).
+ * Profiles live in memory, or in PHRASE_HINT_STORE_FILE when set so they
+ * survive a restart (see jsonFileStore.js).
+ */
+
+import './config.js';
+import { JsonFileStore } from './jsonFileStore.js';
+import glossaryStore from './glossaryStore.js';
+import { mergePhraseHints, glossaryToPhraseHints, toSpeechContexts } from './phraseHints.js';
+
+class PhraseHintStore {
+  constructor() {
+    this.profiles = new JsonFileStore({
+      filePath: process.env.PHRASE_HINT_STORE_FILE,
+      tag: 'PhraseHintStore',
+      label: 'phrase hint profile(s)'
+    }); // profileId -> hints
+  }
+
+  getProfile(profileId) {
+    return this.profiles.get(profileId);
+  }
+
+  /**
+   * Replace a profile (already normalized)
+   */
+  async setProfile(profileId, hints) {
+    console.log(`[PhraseHintStore] Profile ${profileId} updated (${hints.phrases.length} phrases)`);
+    await this.profiles.set(profileId, hints);
+  }
+
+  async deleteProfile(profileId) {
+    return this.profiles.delete(profileId);
+  }
+
+  /**
+   * Effective hints for a session: glossary terms + profile + session hints
+   * @returns {Object|null}
+   */
+  resolveForSession(session) {
+    if (!session) return null;
+    return mergePhraseHints(
+      glossaryToPhraseHints(glossaryStore.resolveForSession(session)),
+      this.getProfile(session.phraseHintProfile),
+      session.phraseHints
+    );
+  }
+
+  /**
+   * Speech contexts for a session's recognizer (Google Speech format)
+   */
+  getSpeechContexts(session) {
+    return toSpeechContexts(this.resolveForSession(session));
+  }
+}
+
+// Singleton instance
+const phraseHintStore = new PhraseHintStore();
+
+export default phraseHintStore;
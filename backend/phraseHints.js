@@ -0,0 +1,110 @@
+/**
+ * Phrase Hints - Vocabulary boost for speech recognition
+ *
+ * Names and domain terms the recognizer should favor, with an optional boost:
+ *
+ *   {
+ *     "phrases": ["Pastor Kim", { "value": "Eucharist", "boost": 15 }],
+ *     "boost": 10
+ *   }
+ *
+ * A phrase without its own boost uses the list's boost. Hints come from the
+ * session, from a saved profile (see phraseHintStore) and from the glossary,
+ * and are sent to Google Speech as speech contexts.
+ */
+
+// Google Speech limits per request
+const MAX_PHRASES = 5000;
+const MAX_PHRASE_LENGTH = 100;
+const MAX_BOOST = 20;
+
+// Boost for glossary terms fed into the hints (0 turns the feed off)
+const DEFAULT_GLOSSARY_BOOST = 10;
+
+function cleanBoost(value, label) {
+  if (value === undefined || value === null) return null;
+  const boost = Number(value);
+  if (!Number.isFinite(boost) || boost <= 0 || boost > MAX_BOOST) {
+    throw new Error(`${label} must be a number between 0 and ${MAX_BOOST}`);
+  }
+  return boost;
+}
+
+/**
+ * Validate and normalize uploaded phrase hints
+ * @throws {Error} if the shape is invalid
+ * @returns {{phrases: Array<{value: string, boost: number|null}>}}
+ */
+export function normalizePhraseHints(input) {
+  if (!input || typeof input !== 'object' || !Array.isArray(input.phrases)) {
+    throw new Error('Phrase hints must be an object with a "phrases" array');
+  }
+  if (input.phrases.length > MAX_PHRASES) {
+    throw new Error(`Phrase hints are limited to ${MAX_PHRASES} phrases`);
+  }
+
+  const listBoost = cleanBoost(input.boost, '"boost"');
+  const phrases = input.phrases.map((entry, index) => {
+    const raw = typeof entry === 'string' ? entry : entry?.value;
+    const value = typeof raw === 'string' ? raw.trim() : '';
+    if (!value) {
+      throw new Error(`Phrase ${index + 1} needs a "value"`);
+    }
+    if (value.length > MAX_PHRASE_LENGTH) {
+      throw new Error(`Phrase ${index + 1} is longer than ${MAX_PHRASE_LENGTH} characters`);
+    }
+    const boost = typeof entry === 'string' ? null : cleanBoost(entry.boost, `Boost of phrase ${index + 1}`);
+    return { value, boost: boost ?? listBoost };
+  });
+
+  return { phrases };
+}
+
+/**
+ * Combine phrase hints - later ones win for the same phrase
+ * @returns {Object|null} null if nothing is left
+ */
+export function mergePhraseHints(...hintSets) {
+  const phrases = new Map();
+
+  hintSets.filter(Boolean).forEach(hints => {
+    hints.phrases.forEach(phrase => phrases.set(phrase.value.toLowerCase(), phrase));
+  });
+
+  if (phrases.size === 0) return null;
+  return { phrases: Array.from(phrases.values()).slice(0, MAX_PHRASES) };
+}
+
+/**
+ * Glossary source terms and do-not-translate terms as phrase hints,
+ * so what the glossary governs is also what the recognizer listens for
+ * @returns {Object|null}
+ */
+export function glossaryToPhraseHints(glossary) {
+  const boost = Number(process.env.GLOSSARY_PHRASE_BOOST ?? DEFAULT_GLOSSARY_BOOST);
+  if (!glossary || !(boost > 0)) return null;
+
+  const values = [...glossary.terms.map(entry => entry.source), ...glossary.doNotTranslate]
+    .filter(value => value.length <= MAX_PHRASE_LENGTH);
+  if (values.length === 0) return null;
+
+  return { phrases: values.map(value => ({ value, boost: Math.min(boost, MAX_BOOST) })) };
+}
+
+/**
+ * Google Speech speechContexts - one context per boost value
+ * @returns {Array<{phrases: string[], boost?: number}>}
+ */
+export function toSpeechContexts(hints) {
+  if (!hints) return [];
+
+  const byBoost = new Map();
+  hints.phrases.forEach(({ value, boost }) => {
+    if (!byBoost.has(boost)) byBoost.set(boost, []);
+    byBoost.get(boost).push(value);
+  });
+
+  return Array.from(byBoost.entries()).map(([boost, phrases]) => (
+    boost === null ? { phrases } : { phrases, boost }
+  ));
+}
@@ -17,21 +17,49 @@
  * See LICENSE file for complete terms and conditions.
  */
 
+// Loads backend/.env - must come before the modules that read their settings on load
+import "./config.js";
 import express from "express";
 import WebSocket, { WebSocketServer } from "ws";
 import fetch from "node-fetch";
 import cors from "cors";
 import path from "path";
 import { fileURLToPath } from "url";
-import dotenv from "dotenv";
 import sessionStore from "./sessionStore.js";
 import translationManager from "./translationManager.js";
+import translationScheduler from "./translationScheduler.js";
+import { exportTranscript, getExportLanguages, EXPORT_FORMATS } from "./transcriptExport.js";
+import glossaryStore from "./glossaryStore.js";
+import { normalizeGlossary } from "./glossary.js";
+import phraseHintStore from "./phraseHintStore.js";
+import { normalizePhraseHints } from "./phraseHints.js";
+import {
+  createHostToken,
+  createListenerToken,
+  hashPassword,
+  verifyPassword,
+  getJoinRetryAfterMs,
+  recordFailedJoin,
+  clearFailedJoins,
+  requireAdmin,
+  requireHostToken,
+  createJobToken,
+  requireJobToken,
+  requireJobUploader,
+  requireHostTokenOrAdmin,
+  requireSessionAccess
+} from "./auth.js";
+import sessionRecorder from "./sessionRecorder.js";
+import jobManager from "./jobManager.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Load .env from backend directory
-dotenv.config({ path: path.join(__dirname, '.env') });
+// Restore persisted sessions (SESSION_STORAGE=file) so join codes survive restarts
+await sessionStore.restoreSessions();
+
+// Delete session recordings past RECORDING_RETENTION_DAYS (now and hourly)
+sessionRecorder.startCleanupTimer();
 
 const app = express();
 const port = process.env.PORT || 3001;
@@ -121,9 +149,19 @@ const server = app.listen(port, '0.0.0.0', () => {
   console.log(`[Backend] For network access, use your local IP address instead of localhost`);
 });
 
+// Save pending session changes before stopping - a signal ends the process
+// without the 'exit' event the storage adapter's last write relies on
+for (const signal of ["SIGINT", "SIGTERM"]) {
+  process.once(signal, async () => {
+    console.log(`[Backend] ${signal} received - saving sessions and shutting down`);
+    await sessionStore.flush();
+    process.exit(0);
+  });
+}
+
 // Import WebSocket handlers
 import { handleHostConnection } from './hostModeHandler.js';
-import { handleListenerConnection } from './websocketHandler.js';
+import { handleListenerConnection, handleJobConnection } from './websocketHandler.js';
 import { handleSoloMode } from './soloModeHandler.js';
 
 // Handle WebSocket upgrades
@@ -143,17 +181,32 @@ wss.on("connection", async (clientWs, req) => {
 
   // Parse URL parameters
   const url = new URL(req.url, `http://localhost:${port}`);
-  const role = url.searchParams.get('role'); // 'host' or 'listener'
+  const role = url.searchParams.get('role'); // 'host', 'listener' or 'job'
   const sessionId = url.searchParams.get('sessionId');
   const targetLang = url.searchParams.get('targetLang');
   const userName = decodeURIComponent(url.searchParams.get('userName') || 'Anonymous');
+  const hostToken = url.searchParams.get('hostToken');
+  const listenerToken = url.searchParams.get('listenerToken');
+  const since = url.searchParams.get('since'); // Listener: last sequenceId already received
+  const backfill = url.searchParams.get('backfill'); // Listener: number of past segments to replay
+  const audio = url.searchParams.get('audio'); // Listener: '1' to receive spoken interpretation
+  const jobId = url.searchParams.get('jobId'); // Job: batch job to watch
+  const jobToken = url.searchParams.get('jobToken');
 
   // Route to appropriate handler
   if (role === 'host' && sessionId) {
-    handleHostConnection(clientWs, sessionId);
+    handleHostConnection(clientWs, sessionId, { hostToken });
     return;
   } else if (role === 'listener' && sessionId) {
-    handleListenerConnection(clientWs, sessionId, targetLang || 'en', userName);
+    handleListenerConnection(clientWs, sessionId, targetLang || 'en', userName, {
+      sinceSequenceId: since !== null ? Number(since) : null,
+      backfillLimit: backfill !== null ? Number(backfill) : null,
+      listenerToken,
+      audioEnabled: audio === '1' || audio === 'true'
+    });
+    return;
+  } else if (role === 'job' && jobId) {
+    handleJobConnection(clientWs, jobId, { jobToken });
     return;
   }
 
@@ -170,16 +223,56 @@ wss.on("connection", async (clientWs, req) => {
 /**
  * POST /session/start
  * Creates a new live translation session for a host
+ * Optional body: { password, requireApproval } to restrict who can listen,
+ * { organizationId, glossary } for terminology, { phraseHints, phraseHintProfile } for recognition,
+ * { record: true } to archive the host's audio (requires RECORDING_DIR)
  */
-app.post('/session/start', (req, res) => {
+app.post('/session/start', async (req, res) => {
   try {
-    const { sessionId, sessionCode } = sessionStore.createSession();
+    const { password, requireApproval, organizationId, glossary, phraseHints, phraseHintProfile, record } = req.body || {};
+    
+    let sessionGlossary = null;
+    let sessionPhraseHints = null;
+    try {
+      if (glossary) {
+        sessionGlossary = normalizeGlossary(glossary);
+      }
+      if (phraseHints) {
+        sessionPhraseHints = normalizePhraseHints(phraseHints);
+      }
+      if (phraseHintProfile && !phraseHintStore.getProfile(phraseHintProfile)) {
+        throw new Error(`Unknown phrase hint profile "${phraseHintProfile}"`);
+      }
+      if (record && !sessionRecorder.isAvailable()) {
+        throw new Error('Recording is not enabled on this server (RECORDING_DIR is not set)');
+      }
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    
+    const { sessionId, sessionCode } = sessionStore.createSession({
+      passwordHash: password ? await hashPassword(password) : null,
+      requireApproval: Boolean(requireApproval),
+      organizationId: organizationId || null,
+      glossary: sessionGlossary,
+      phraseHints: sessionPhraseHints,
+      phraseHintProfile: phraseHintProfile || null,
+      record: Boolean(record)
+    });
+    const hostToken = createHostToken(sessionId);
     
     res.json({
       success: true,
       sessionId,
       sessionCode,
-      wsUrl: `/translate?role=host&sessionId=${sessionId}`
+      hostToken,
+      requiresPassword: Boolean(password),
+      requiresApproval: Boolean(requireApproval),
+      recording: Boolean(record),
+      wsUrl: `/translate?role=host&sessionId=${sessionId}&hostToken=${hostToken}`
     });
   } catch (error) {
     console.error('[Backend] Error creating session:', error);
@@ -193,10 +286,11 @@ app.post('/session/start', (req, res) => {
 /**
  * POST /session/join
  * Allows a listener to join an existing session
+ * Clients with too many wrong passwords get 429 until the attempt window ends
  */
-app.post('/session/join', (req, res) => {
+app.post('/session/join', async (req, res) => {
   try {
-    const { sessionCode, targetLang, userName } = req.body;
+    const { sessionCode, targetLang, userName, password } = req.body;
     
     if (!sessionCode) {
       return res.status(400).json({
@@ -214,20 +308,48 @@ app.post('/session/join', (req, res) => {
       });
     }
     
-    if (!session.isActive) {
+    // Restored sessions accept listeners while waiting for the host to reconnect
+    if (!session.isActive && !session.restoredAt) {
       return res.status(400).json({
         success: false,
         error: 'Session is not active yet. The host needs to start broadcasting.'
       });
     }
     
+    if (session.passwordHash) {
+      const retryAfterMs = getJoinRetryAfterMs(session.sessionId, req.ip);
+      if (retryAfterMs > 0) {
+        res.set('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
+        return res.status(429).json({
+          success: false,
+          passwordRequired: true,
+          error: `Too many failed attempts. Try again in ${Math.ceil(retryAfterMs / 60000)} minute(s).`
+        });
+      }
+      
+      if (!await verifyPassword(password, session.passwordHash)) {
+        // A first request without a password is how clients learn one is needed
+        if (password) recordFailedJoin(session.sessionId, req.ip);
+        return res.status(401).json({
+          success: false,
+          passwordRequired: true,
+          error: password ? 'Incorrect session password' : 'This session requires a password'
+        });
+      }
+      clearFailedJoins(session.sessionId, req.ip);
+    }
+    
+    const listenerToken = createListenerToken(session.sessionId);
+    
     res.json({
       success: true,
       sessionId: session.sessionId,
       sessionCode: session.sessionCode,
       sourceLang: session.sourceLang,
       targetLang: targetLang || 'en',
-      wsUrl: `/translate?role=listener&sessionId=${session.sessionId}&targetLang=${targetLang || 'en'}&userName=${encodeURIComponent(userName || 'Anonymous')}`
+      listenerToken,
+      requiresApproval: session.requireApproval,
+      wsUrl: `/translate?role=listener&sessionId=${session.sessionId}&targetLang=${targetLang || 'en'}&userName=${encodeURIComponent(userName || 'Anonymous')}&listenerToken=${listenerToken}`
     });
   } catch (error) {
     console.error('[Backend] Error joining session:', error);
@@ -241,27 +363,260 @@ app.post('/session/join', (req, res) => {
 /**
  * GET /session/:sessionCode/info
  * Get session information
+ * Requires the host token or a listener token (see requireSessionAccess)
  */
-app.get('/session/:sessionCode/info', (req, res) => {
+app.get('/session/:sessionCode/info', requireSessionAccess(req => sessionStore.getSessionByCode(req.params.sessionCode)), (req, res) => {
   try {
-    const { sessionCode } = req.params;
-    const session = sessionStore.getSessionByCode(sessionCode);
+    const session = req.liveSession;
+    const stats = sessionStore.getSessionStats(session.sessionId);
     
-    if (!session) {
-      return res.status(404).json({
+    res.json({
+      success: true,
+      session: {
+        ...stats,
+        translation: translationScheduler.getSessionStats(session.sessionId)
+      }
+    });
+  } catch (error) {
+    console.error('[Backend] Error getting session info:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /session/:sessionCode/transcript?lang=es&format=srt
+ * Export the session transcript (srt | vtt | json | txt | md) in the source or a
+ * target language of the session. Missing translations are produced on demand.
+ * Works for ended sessions too, until ENDED_SESSION_RETENTION_HOURS is over.
+ * Requires the host token or a listener token (see requireSessionAccess)
+ */
+app.get('/session/:sessionCode/transcript', requireSessionAccess(req => sessionStore.findSessionByCode(req.params.sessionCode)), async (req, res) => {
+  try {
+    const format = (req.query.format || 'txt').toLowerCase();
+    const session = req.liveSession;
+    
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
         success: false,
-        error: 'Session not found'
+        error: `Unsupported format "${format}". Use one of: ${EXPORT_FORMATS.join(', ')}`
       });
     }
     
-    const stats = sessionStore.getSessionStats(session.sessionId);
+    // Only languages the session already serves - each new one means translating the whole history
+    const languages = getExportLanguages(session);
+    if (req.query.lang && !languages.includes(req.query.lang)) {
+      return res.status(400).json({
+        success: false,
+        error: `Language "${req.query.lang}" is not used in this session. Use one of: ${languages.join(', ')}`
+      });
+    }
+    
+    const { contentType, filename, body } = await exportTranscript(session, {
+      lang: req.query.lang,
+      format
+    });
+    
+    res.attachment(filename);
+    res.set('Content-Type', contentType);
+    res.send(body);
+  } catch (error) {
+    console.error('[Backend] Error exporting transcript:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /session/:sessionCode
+ * End a session (host only - requires the host token)
+ */
+app.delete('/session/:sessionCode', requireHostToken(req => sessionStore.getSessionByCode(req.params.sessionCode)), (req, res) => {
+  try {
+    const session = req.liveSession;
+    
+    const hostSocket = session.hostSocket;
+    sessionStore.closeSession(session.sessionId);
+    
+    // Disconnect the host's broadcast too (if it is connected from another tab/device)
+    if (hostSocket && hostSocket.readyState === WebSocket.OPEN) {
+      hostSocket.send(JSON.stringify({
+        type: 'session_ended',
+        message: 'The session was ended'
+      }));
+      hostSocket.close();
+    }
     
     res.json({
       success: true,
-      session: stats
+      sessionCode: session.sessionCode
     });
   } catch (error) {
-    console.error('[Backend] Error getting session info:', error);
+    console.error('[Backend] Error ending session:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /session/:sessionCode/glossary
+ * The session's own glossary and the effective one (organization + session)
+ * Host only - requires the host token
+ */
+app.get('/session/:sessionCode/glossary', requireHostToken(req => sessionStore.getSessionByCode(req.params.sessionCode)), (req, res) => {
+  const session = req.liveSession;
+  res.json({
+    success: true,
+    organizationId: session.organizationId,
+    glossary: session.glossary,
+    effectiveGlossary: glossaryStore.resolveForSession(session)
+  });
+});
+
+/**
+ * PUT /session/:sessionCode/glossary
+ * Replace the session glossary - applies from the next translated segment
+ * Body: { terms: [{ source, targets: { lang: term } }], doNotTranslate: [term] }
+ * Host only - requires the host token
+ */
+app.put('/session/:sessionCode/glossary', requireHostToken(req => sessionStore.getSessionByCode(req.params.sessionCode)), (req, res) => {
+  let glossary;
+  try {
+    glossary = normalizeGlossary(req.body);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+  
+  const session = req.liveSession;
+  sessionStore.setSessionGlossary(session.sessionId, glossary);
+  res.json({
+    success: true,
+    glossary,
+    effectiveGlossary: glossaryStore.resolveForSession(session)
+  });
+});
+
+/**
+ * DELETE /session/:sessionCode/glossary
+ * Host only - requires the host token
+ */
+app.delete('/session/:sessionCode/glossary', requireHostToken(req => sessionStore.getSessionByCode(req.params.sessionCode)), (req, res) => {
+  sessionStore.setSessionGlossary(req.liveSession.sessionId, null);
+  res.json({ success: true });
+});
+
+/**
+ * GET /session/:sessionCode/phrase-hints
+ * The session's own phrase hints, its profile, and the effective hints
+ * (glossary terms + profile + session) sent to the recognizer
+ * Host only - requires the host token
+ */
+app.get('/session/:sessionCode/phrase-hints', requireHostToken(req => sessionStore.getSessionByCode(req.params.sessionCode)), (req, res) => {
+  const session = req.liveSession;
+  res.json({
+    success: true,
+    phraseHints: session.phraseHints,
+    profile: session.phraseHintProfile,
+    effectivePhraseHints: phraseHintStore.resolveForSession(session)
+  });
+});
+
+/**
+ * PUT /session/:sessionCode/phrase-hints
+ * Replace the session phrase hints - applies when the speech stream next starts
+ * Body: { phrases: ["Pastor Kim", { value, boost }], boost, profile }
+ * Host only - requires the host token
+ */
+app.put('/session/:sessionCode/phrase-hints', requireHostToken(req => sessionStore.getSessionByCode(req.params.sessionCode)), (req, res) => {
+  const { profile = null, ...hints } = req.body || {};
+  let phraseHints = null;
+  try {
+    if (hints.phrases) {
+      phraseHints = normalizePhraseHints(hints);
+    }
+    if (profile && !phraseHintStore.getProfile(profile)) {
+      throw new Error(`Unknown phrase hint profile "${profile}"`);
+    }
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+  
+  const session = req.liveSession;
+  sessionStore.setSessionPhraseHints(session.sessionId, phraseHints, profile);
+  res.json({
+    success: true,
+    phraseHints,
+    profile,
+    effectivePhraseHints: phraseHintStore.resolveForSession(session)
+  });
+});
+
+/**
+ * DELETE /session/:sessionCode/phrase-hints
+ * Clears the session hints and profile (glossary terms still apply)
+ * Host only - requires the host token
+ */
+app.delete('/session/:sessionCode/phrase-hints', requireHostToken(req => sessionStore.getSessionByCode(req.params.sessionCode)), (req, res) => {
+  sessionStore.setSessionPhraseHints(req.liveSession.sessionId, null, null);
+  res.json({ success: true });
+});
+
+/**
+ * GET /glossaries/:organizationId
+ * Organization glossary (admin only - requires ADMIN_TOKEN)
+ */
+app.get('/glossaries/:organizationId', requireAdmin, (req, res) => {
+  const glossary = glossaryStore.getOrganizationGlossary(req.params.organizationId);
+  if (!glossary) {
+    return res.status(404).json({
+      success: false,
+      error: 'No glossary for this organization'
+    });
+  }
+  res.json({
+    success: true,
+    organizationId: req.params.organizationId,
+    glossary
+  });
+});
+
+/**
+ * PUT /glossaries/:organizationId
+ * Replace an organization glossary - used by every session started with this organizationId
+ * Admin only - requires ADMIN_TOKEN
+ */
+app.put('/glossaries/:organizationId', requireAdmin, async (req, res) => {
+  let glossary;
+  try {
+    glossary = normalizeGlossary(req.body);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+  
+  try {
+    await glossaryStore.setOrganizationGlossary(req.params.organizationId, glossary);
+    res.json({
+      success: true,
+      organizationId: req.params.organizationId,
+      glossary
+    });
+  } catch (error) {
+    console.error('[Backend] Error saving glossary:', error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -269,11 +624,363 @@ app.get('/session/:sessionCode/info', (req, res) => {
   }
 });
 
+/**
+ * DELETE /glossaries/:organizationId
+ * Admin only - requires ADMIN_TOKEN
+ */
+app.delete('/glossaries/:organizationId', requireAdmin, async (req, res) => {
+  const deleted = await glossaryStore.deleteOrganizationGlossary(req.params.organizationId);
+  if (!deleted) {
+    return res.status(404).json({
+      success: false,
+      error: 'No glossary for this organization'
+    });
+  }
+  res.json({ success: true });
+});
+
+/**
+ * GET /phrase-hints/:profileId
+ * Saved phrase hint profile (admin only - requires ADMIN_TOKEN)
+ */
+app.get('/phrase-hints/:profileId', requireAdmin, (req, res) => {
+  const profile = phraseHintStore.getProfile(req.params.profileId);
+  if (!profile) {
+    return res.status(404).json({
+      success: false,
+      error: 'No phrase hint profile with this id'
+    });
+  }
+  res.json({
+    success: true,
+    profileId: req.params.profileId,
+    phraseHints: profile
+  });
+});
+
+/**
+ * PUT /phrase-hints/:profileId
+ * Create or replace a profile - sessions pick it with phraseHintProfile
+ * Admin only - requires ADMIN_TOKEN
+ */
+app.put('/phrase-hints/:profileId', requireAdmin, async (req, res) => {
+  let phraseHints;
+  try {
+    phraseHints = normalizePhraseHints(req.body);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+  
+  try {
+    await phraseHintStore.setProfile(req.params.profileId, phraseHints);
+    res.json({
+      success: true,
+      profileId: req.params.profileId,
+      phraseHints
+    });
+  } catch (error) {
+    console.error('[Backend] Error saving phrase hints:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /phrase-hints/:profileId
+ * Admin only - requires ADMIN_TOKEN
+ */
+app.delete('/phrase-hints/:profileId', requireAdmin, async (req, res) => {
+  const deleted = await phraseHintStore.deleteProfile(req.params.profileId);
+  if (!deleted) {
+    return res.status(404).json({
+      success: false,
+      error: 'No phrase hint profile with this id'
+    });
+  }
+  res.json({ success: true });
+});
+
+// ========================================
+// SESSION RECORDING ENDPOINTS
+// ========================================
+
+/**
+ * Host token cutoff for a recording's routes - the session's while it is kept,
+ * else the one saved in the recording's manifest
+ */
+async function recordingHostTokenNotBefore(sessionId) {
+  const session = sessionStore.findSession(sessionId);
+  return session ? session.hostTokenNotBefore : sessionRecorder.getHostTokenNotBefore(sessionId);
+}
+
+/**
+ * GET /recordings
+ * All session recordings on disk (admin only - requires ADMIN_TOKEN)
+ */
+app.get('/recordings', requireAdmin, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      recordings: await sessionRecorder.listRecordings()
+    });
+  } catch (error) {
+    console.error('[Backend] Error listing recordings:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /recordings/:sessionId
+ * A session's recording: parts (start time, duration) and where each transcript
+ * segment is in them. Requires the session's host token or ADMIN_TOKEN - works
+ * after the session has ended.
+ */
+app.get('/recordings/:sessionId', requireHostTokenOrAdmin(req => req.params.sessionId, recordingHostTokenNotBefore), async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const liveSession = sessionStore.getSession(sessionId);
+    const recording = await sessionRecorder.getRecording(sessionId, liveSession ? liveSession.transcript : null);
+    if (!recording) {
+      return res.status(404).json({
+        success: false,
+        error: 'No recording for this session'
+      });
+    }
+    res.json({
+      success: true,
+      recording
+    });
+  } catch (error) {
+    console.error('[Backend] Error reading recording:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /recordings/:sessionId/:part
+ * Download one part (e.g. part-001.wav) - same access as above
+ */
+app.get('/recordings/:sessionId/:part', requireHostTokenOrAdmin(req => req.params.sessionId, recordingHostTokenNotBefore), async (req, res) => {
+  try {
+    const { sessionId, part } = req.params;
+    const filePath = await sessionRecorder.getPartPath(sessionId, part);
+    if (!filePath) {
+      return res.status(404).json({
+        success: false,
+        error: 'No such recording part'
+      });
+    }
+    res.download(filePath, `recording-${sessionId.slice(0, 8)}-${part}`);
+  } catch (error) {
+    console.error('[Backend] Error downloading recording:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /recordings/:sessionId
+ * Delete a finished recording - same access as above
+ */
+app.delete('/recordings/:sessionId', requireHostTokenOrAdmin(req => req.params.sessionId, recordingHostTokenNotBefore), async (req, res) => {
+  const { sessionId } = req.params;
+  if (sessionRecorder.isRecording(sessionId)) {
+    return res.status(409).json({
+      success: false,
+      error: 'Session is still being recorded - end it first'
+    });
+  }
+
+  const deleted = await sessionRecorder.deleteRecording(sessionId);
+  if (!deleted) {
+    return res.status(404).json({
+      success: false,
+      error: 'No recording for this session'
+    });
+  }
+  res.json({ success: true });
+});
+
+// ========================================
+// BATCH JOB ENDPOINTS
+// ========================================
+
+const parseList = (value) => (value ? String(value).split(',').map(item => item.trim()).filter(Boolean) : []);
+
+/**
+ * POST /jobs?sourceLang=en&targetLangs=es,fr
+ * Upload a recording (request body: the file) for batch transcription and translation
+ * Requires ADMIN_TOKEN or a job API key (JOB_API_KEYS) - a key uploads for its own organization
+ * Formats: WAV (16-bit PCM), FLAC, or raw 16-bit PCM with format=pcm&sampleRate=&channels=
+ * Optional query: filename, languages (detection candidates), engine, organizationId,
+ * phraseHintProfile, diarization=true
+ * Returns 202 with the job and a jobToken for the other job routes
+ */
+app.post('/jobs', requireJobUploader, async (req, res) => {
+  const { query } = req;
+  const format = query.format ? String(query.format).toLowerCase() : undefined;
+  if (format && !['wav', 'flac', 'pcm'].includes(format)) {
+    return res.status(400).json({
+      success: false,
+      error: `Unsupported format "${format}". Use one of: wav, flac, pcm`
+    });
+  }
+
+  const organizationId = query.organizationId ? String(query.organizationId) : null;
+  if (req.uploaderOrganizationId && organizationId && organizationId !== req.uploaderOrganizationId) {
+    return res.status(403).json({
+      success: false,
+      error: 'This API key can only upload jobs for its own organization'
+    });
+  }
+
+  const phraseHintProfile = query.phraseHintProfile ? String(query.phraseHintProfile) : null;
+  if (phraseHintProfile && !phraseHintStore.getProfile(phraseHintProfile)) {
+    return res.status(400).json({
+      success: false,
+      error: `Unknown phrase hint profile "${phraseHintProfile}"`
+    });
+  }
+
+  // Turned away before the upload is read
+  const { maxUploadBytes } = jobManager.config;
+  if (Number(req.get('content-length')) > maxUploadBytes) {
+    return res.status(413).json({
+      success: false,
+      error: `Upload is larger than ${maxUploadBytes / 1024 / 1024} MB`
+    });
+  }
+  if (jobManager.isQueueFull()) {
+    return res.status(429).json({
+      success: false,
+      error: 'The job queue is full - try again later'
+    });
+  }
+
+  let job;
+  try {
+    const uploadPath = await jobManager.receiveUpload(req);
+    job = await jobManager.createJob({
+      uploadPath,
+      decodeOptions: {
+        format,
+        sampleRate: query.sampleRate !== undefined ? Number(query.sampleRate) : undefined,
+        channels: query.channels !== undefined ? Number(query.channels) : undefined
+      },
+      filename: query.filename ? String(query.filename).slice(0, 200) : null,
+      sourceLang: query.sourceLang || 'en',
+      targetLangs: parseList(query.targetLangs),
+      languages: parseList(query.languages),
+      engine: query.engine,
+      organizationId: req.uploaderOrganizationId || organizationId,
+      phraseHintProfile,
+      diarization: query.diarization === '1' || query.diarization === 'true'
+    });
+  } catch (error) {
+    const status = error.code === 'UPLOAD_TOO_LARGE' ? 413 : error.code === 'QUEUE_FULL' ? 429 : 400;
+    return res.status(status).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  res.status(202).json({
+    success: true,
+    job: jobManager.getSummary(job),
+    jobToken: createJobToken(job.jobId),
+    wsUrl: `/translate?role=job&jobId=${job.jobId}`
+  });
+});
+
+/**
+ * GET /jobs
+ * All batch jobs (admin only - requires ADMIN_TOKEN)
+ */
+app.get('/jobs', requireAdmin, (req, res) => {
+  res.json({
+    success: true,
+    jobs: jobManager.getAllJobs(),
+    stats: jobManager.getStats()
+  });
+});
+
+/**
+ * GET /jobs/:jobId
+ * Job status and progress (requires the job token)
+ */
+app.get('/jobs/:jobId', requireJobToken(req => jobManager.getJob(req.params.jobId)), (req, res) => {
+  res.json({
+    success: true,
+    job: jobManager.getSummary(req.job)
+  });
+});
+
+/**
+ * GET /jobs/:jobId/result?lang=es&format=srt
+ * Download a completed job's transcript (srt | vtt | json | txt | md) in the
+ * source or any language - languages not requested at upload are translated on demand
+ */
+app.get('/jobs/:jobId/result', requireJobToken(req => jobManager.getJob(req.params.jobId)), async (req, res) => {
+  const format = (req.query.format || 'txt').toLowerCase();
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({
+      success: false,
+      error: `Unsupported format "${format}". Use one of: ${EXPORT_FORMATS.join(', ')}`
+    });
+  }
+
+  if (req.job.status !== 'completed') {
+    return res.status(409).json({
+      success: false,
+      error: `Job is ${req.job.status} - results are available once it has completed`
+    });
+  }
+
+  try {
+    const { contentType, filename, body } = await jobManager.exportResult(req.job, {
+      lang: req.query.lang,
+      format
+    });
+
+    res.attachment(filename);
+    res.set('Content-Type', contentType);
+    res.send(body);
+  } catch (error) {
+    console.error('[Backend] Error exporting job result:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /jobs/:jobId
+ * Cancel a job if it's still queued or running and delete it (requires the job token)
+ */
+app.delete('/jobs/:jobId', requireJobToken(req => jobManager.getJob(req.params.jobId)), (req, res) => {
+  jobManager.deleteJob(req.job.jobId);
+  res.json({ success: true });
+});
+
 /**
  * GET /sessions
- * Get all active sessions (for admin/debugging)
+ * Get all active sessions (admin only - requires ADMIN_TOKEN)
  */
-app.get('/sessions', (req, res) => {
+app.get('/sessions', requireAdmin, (req, res) => {
   try {
     const sessions = sessionStore.getAllSessions();
     res.json({
@@ -296,12 +1003,20 @@ app.get('/health', (req, res) => {
     liveTranslationSessions: sessionStore.getAllSessions().length,
     transcriptionProvider: 'Google Cloud Speech-to-Text',
     transcriptionModel: 'Chirp 3 (latest_long)',
-    translationProvider: 'OpenAI',
-    translationModel: 'gpt-4o',
+    translationProvider: process.env.TRANSLATION_PROVIDER || 'openai',
+    translationScheduler: translationScheduler.getStats(),
+    jobs: jobManager.getStats(),
+    recording: sessionRecorder.getStats(),
     endpoint: '/translate'
   });
 });
 
+// Translation provider health (checks credentials / reachability of the active provider)
+app.get('/health/translation', async (req, res) => {
+  const health = await translationManager.healthCheck();
+  res.status(health.ok ? 200 : 503).json(health);
+});
+
 // Test translation endpoint (using OpenAI Chat API)
 // MIGRATION NOTE: Replaced Gemini API with OpenAI Chat Completions API
 app.post('/test-translation', async (req, res) => {
@@ -370,8 +1085,7 @@ console.log("[Backend] Provider: Google Cloud Speech-to-Text");
 console.log("[Backend] Model: Chirp 3 (latest_long)");
 console.log("[Backend] Features: Live streaming with partial results");
 console.log("[Backend] ===== TRANSLATION SERVICE =====");
-console.log("[Backend] Provider: OpenAI");
-console.log("[Backend] Model: gpt-4o");
+console.log("[Backend] Provider:", process.env.TRANSLATION_PROVIDER || 'openai');
 console.log("[Backend] ===== API KEYS =====");
 console.log("[Backend] OpenAI API Key:", process.env.OPENAI_API_KEY ? 'Yes ✓' : 'No ✗ (WARNING: Translation disabled)');
 
@@ -384,7 +1098,7 @@ if (process.env.GOOGLE_SPEECH_API_KEY) {
   console.log("[Backend] Google Cloud: Using default credentials (GCP environment)");
 }
 
-if (!process.env.OPENAI_API_KEY) {
+if (!process.env.OPENAI_API_KEY && (process.env.TRANSLATION_PROVIDER || 'openai') === 'openai') {
   console.warn("[Backend] WARNING: OPENAI_API_KEY not found - translation will not work!");
 }
 if (!process.env.GOOGLE_SPEECH_API_KEY && !process.env.GOOGLE_APPLICATION_CREDENTIALS) {
@@ -106,7 +106,7 @@ const server = app.listen(port, '0.0.0.0', () => {
 
 // Import WebSocket handlers
 import { handleHostConnection, handleListenerConnection } from './websocketHandler.js';
-import { handleSoloMode } from './soloHandler.js';
+import { handleSoloMode } from './soloModeHandler.js';
 
 // Handle WebSocket upgrades
 server.on("upgrade", (req, socket, head) => {
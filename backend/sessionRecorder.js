@@ -0,0 +1,441 @@
+/**
+ * Session Recorder - Archives the host audio of sessions that opt in
+ *
+ * Recordings are written to RECORDING_DIR (recording is unavailable when it
+ * isn't set), one directory per session:
+ *
+ *   <sessionId>/manifest.json   session, parts and segment alignment
+ *   <sessionId>/part-001.wav    16-bit PCM, 24 kHz mono (host capture format)
+ *
+ * A part is rotated at RECORDING_MAX_FILE_MB or RECORDING_MAX_FILE_MINUTES.
+ * Each part records the wall-clock time of its first sample, the same clock as
+ * transcript segment timestamps. Pauses in the host's audio (muting, reconnects)
+ * are filled with silence so offsets inside a part stay on that clock; a pause
+ * longer than RECORDING_MAX_GAP_SECONDS starts a new part instead.
+ * When the session ends, the manifest maps every segment onto its part.
+ * The manifest also keeps the session's host token cutoff (hostTokenNotBefore),
+ * so host tokens retired during the session stay retired for its recording.
+ * Recordings are deleted RECORDING_RETENTION_DAYS after they end.
+ */
+
+import fsPromises from 'fs/promises';
+import path from 'path';
+import { toAudioBuffer } from './audioFrames.js';
+import { readNumber } from './config.js';
+
+const SAMPLE_RATE = 24000;
+const BYTES_PER_MS = (SAMPLE_RATE * 2) / 1000;
+const WAV_HEADER_BYTES = 44;
+
+// Arrival jitter below this isn't treated as a pause
+const GAP_TOLERANCE_MS = 1000;
+
+// Longest silence a single keepalive may account for (clients send one every few seconds)
+const MAX_SILENCE_MS = 60000;
+
+// WAV header and manifest are brought up to date this often, so an
+// interrupted recording is still playable
+const FLUSH_INTERVAL_MS = 10000;
+
+const SESSION_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const PART_NAME_PATTERN = /^part-\d{3,}\.wav$/;
+
+function wavHeader(dataBytes) {
+  const header = Buffer.alloc(WAV_HEADER_BYTES);
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(36 + dataBytes, 4);
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(16, 16); // fmt chunk size
+  header.writeUInt16LE(1, 20); // PCM
+  header.writeUInt16LE(1, 22); // Mono
+  header.writeUInt32LE(SAMPLE_RATE, 24);
+  header.writeUInt32LE(SAMPLE_RATE * 2, 28); // Byte rate
+  header.writeUInt16LE(2, 32); // Block align
+  header.writeUInt16LE(16, 34); // Bits per sample
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(dataBytes, 40);
+  return header;
+}
+
+/**
+ * Map transcript segments onto recording parts
+ * endOffsetMs is where the segment ends in its part (word timings, else when it
+ * was finalized); startOffsetMs is only known with word timings
+ * @returns {Array<{sequenceId, part, startOffsetMs?, endOffsetMs, originalText}>}
+ */
+export function alignSegments(parts, segments) {
+  return segments.flatMap(segment => {
+    const end = segment.endTime ?? segment.timestamp;
+    const part = parts.find(candidate => end >= candidate.startedAt && end <= candidate.startedAt + candidate.durationMs + GAP_TOLERANCE_MS);
+    if (!part) return [];
+
+    return [{
+      sequenceId: segment.sequenceId,
+      part: part.name,
+      ...(segment.startTime !== undefined && { startOffsetMs: Math.max(segment.startTime - part.startedAt, 0) }),
+      endOffsetMs: Math.min(end - part.startedAt, part.durationMs),
+      originalText: segment.originalText
+    }];
+  });
+}
+
+class SessionRecorder {
+  constructor() {
+    this.recordings = new Map(); // sessionId -> active recording
+    this.cleanupTimer = null;
+    this.config = {
+      dir: process.env.RECORDING_DIR || null,
+      maxPartBytes: readNumber('RECORDING_MAX_FILE_MB', 100) * 1024 * 1024,
+      maxPartMs: readNumber('RECORDING_MAX_FILE_MINUTES', 60) * 60 * 1000,
+      maxGapMs: readNumber('RECORDING_MAX_GAP_SECONDS', 300) * 1000,
+      retentionMs: readNumber('RECORDING_RETENTION_DAYS', 30) * 24 * 60 * 60 * 1000
+    };
+  }
+
+  isAvailable() {
+    return Boolean(this.config.dir);
+  }
+
+  /**
+   * Directory of a session's recording (null for ids that aren't session ids)
+   */
+  getDirectory(sessionId) {
+    if (!this.isAvailable() || !SESSION_ID_PATTERN.test(sessionId || '')) return null;
+    return path.join(this.config.dir, sessionId);
+  }
+
+  isRecording(sessionId) {
+    return this.recordings.has(sessionId);
+  }
+
+  /**
+   * Append a chunk of host audio (PCM16, 24 kHz mono - base64 or a Buffer)
+   * Writes are queued per session, so callers don't need to wait.
+   */
+  writeAudio(session, audioData) {
+    const pcm = toAudioBuffer(audioData);
+    if (pcm.length === 0 || !this.isAvailable()) return Promise.resolve();
+
+    let recording = this.recordings.get(session.sessionId);
+    if (!recording) {
+      recording = {
+        sessionId: session.sessionId,
+        sessionCode: session.sessionCode,
+        dir: this.getDirectory(session.sessionId),
+        manifest: null,
+        hostTokenNotBefore: null,
+        part: null,
+        handle: null,
+        lastFlushAt: 0,
+        error: null,
+        writes: Promise.resolve()
+      };
+      this.recordings.set(session.sessionId, recording);
+      console.log(`[SessionRecorder] Recording session ${session.sessionCode} to ${recording.dir}`);
+    }
+    recording.hostTokenNotBefore = session.hostTokenNotBefore || recording.hostTokenNotBefore;
+
+    const receivedAt = Date.now();
+    return this.enqueue(recording, () => this.append(recording, pcm, receivedAt));
+  }
+
+  /**
+   * Account for silence the host's client held back (client-side VAD), so the
+   * recording keeps its timeline and long quiet stretches don't start a new part
+   */
+  writeSilence(session, durationMs) {
+    const ms = Math.min(Math.max(Number(durationMs) || 0, 0), MAX_SILENCE_MS);
+    return this.writeAudio(session, Buffer.alloc(Math.round((ms * SAMPLE_RATE) / 1000) * 2));
+  }
+
+  /**
+   * Run a write operation after the recording's earlier ones
+   * A failed write stops the recording (logged once) instead of failing every chunk.
+   */
+  enqueue(recording, operation) {
+    recording.writes = recording.writes
+      .then(() => (recording.error ? null : operation()))
+      .catch(error => {
+        recording.error = error.message;
+        console.error(`[SessionRecorder] Recording of ${recording.sessionCode} stopped:`, error.message);
+      });
+    return recording.writes;
+  }
+
+  async append(recording, pcm, receivedAt) {
+    const { maxPartBytes, maxPartMs, maxGapMs } = this.config;
+    const chunkStart = receivedAt - pcm.length / BYTES_PER_MS;
+
+    if (!recording.manifest) {
+      await this.loadManifest(recording);
+    }
+
+    if (recording.part) {
+      const { part } = recording;
+      const gapMs = chunkStart - (part.startedAt + part.durationMs);
+      const isFull = part.bytes + pcm.length > maxPartBytes || part.durationMs >= maxPartMs;
+
+      if (isFull || gapMs > maxGapMs) {
+        await this.closePart(recording);
+      } else if (gapMs > GAP_TOLERANCE_MS) {
+        await this.writeSamples(recording, Buffer.alloc(Math.round((gapMs * SAMPLE_RATE) / 1000) * 2));
+      }
+    }
+
+    if (!recording.part) {
+      await this.openPart(recording, chunkStart);
+    }
+    await this.writeSamples(recording, pcm);
+
+    if (receivedAt - recording.lastFlushAt >= FLUSH_INTERVAL_MS) {
+      await this.flush(recording);
+    }
+  }
+
+  /**
+   * Continue an existing recording (server restart, restored session) or start one
+   */
+  async loadManifest(recording) {
+    await fsPromises.mkdir(recording.dir, { recursive: true });
+    try {
+      recording.manifest = JSON.parse(await fsPromises.readFile(path.join(recording.dir, 'manifest.json'), 'utf8'));
+      recording.manifest.endedAt = null;
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      recording.manifest = {
+        sessionId: recording.sessionId,
+        sessionCode: recording.sessionCode,
+        sampleRate: SAMPLE_RATE,
+        channels: 1,
+        startedAt: Date.now(),
+        endedAt: null,
+        updatedAt: Date.now(),
+        parts: [],
+        segments: []
+      };
+    }
+  }
+
+  async openPart(recording, startedAt) {
+    const name = `part-${String(recording.manifest.parts.length + 1).padStart(3, '0')}.wav`;
+    recording.handle = await fsPromises.open(path.join(recording.dir, name), 'w');
+    await recording.handle.write(wavHeader(0), 0, WAV_HEADER_BYTES, 0);
+
+    recording.part = { name, startedAt: Math.round(startedAt), durationMs: 0, bytes: 0 };
+    if (recording.manifest.parts.length === 0) {
+      recording.manifest.startedAt = recording.part.startedAt;
+    }
+    recording.manifest.parts.push(recording.part);
+    await this.flush(recording);
+  }
+
+  async writeSamples(recording, samples) {
+    const { part } = recording;
+    await recording.handle.write(samples, 0, samples.length, WAV_HEADER_BYTES + part.bytes);
+    part.bytes += samples.length;
+    part.durationMs = Math.round(part.bytes / BYTES_PER_MS);
+  }
+
+  /**
+   * Bring the open part's WAV header and the manifest up to date
+   */
+  async flush(recording) {
+    if (recording.part) {
+      await recording.handle.write(wavHeader(recording.part.bytes), 0, WAV_HEADER_BYTES, 0);
+    }
+    recording.manifest.updatedAt = Date.now();
+    recording.manifest.hostTokenNotBefore = recording.hostTokenNotBefore;
+    recording.lastFlushAt = Date.now();
+    await this.writeManifest(recording.dir, recording.manifest);
+  }
+
+  async closePart(recording) {
+    if (!recording.part) return;
+    await this.flush(recording);
+    await recording.handle.close();
+    recording.handle = null;
+    recording.part = null;
+  }
+
+  async writeManifest(dir, manifest) {
+    const filePath = path.join(dir, 'manifest.json');
+    const tmpPath = `${filePath}.tmp`;
+    await fsPromises.writeFile(tmpPath, JSON.stringify(manifest, null, 2), 'utf8');
+    await fsPromises.rename(tmpPath, filePath);
+  }
+
+  /**
+   * Host dropped - make what was recorded so far playable (the part stays open)
+   */
+  pause(sessionId) {
+    const recording = this.recordings.get(sessionId);
+    if (!recording) return Promise.resolve();
+    return this.enqueue(recording, () => (recording.manifest ? this.flush(recording) : null));
+  }
+
+  /**
+   * Session ended - close the last part and record where each segment is
+   * @param {Array} segments - the session's transcript
+   * @param {number|null} hostTokenNotBefore - the session's host token cutoff
+   */
+  async stop(sessionId, segments = [], hostTokenNotBefore = null) {
+    const recording = this.recordings.get(sessionId);
+    if (!recording) return;
+
+    recording.hostTokenNotBefore = hostTokenNotBefore || recording.hostTokenNotBefore;
+    await this.enqueue(recording, async () => {
+      if (!recording.manifest) return;
+      await this.closePart(recording);
+      recording.manifest.endedAt = Date.now();
+      recording.manifest.segments = alignSegments(recording.manifest.parts, segments);
+      await this.writeManifest(recording.dir, recording.manifest);
+    });
+    this.recordings.delete(sessionId);
+
+    const { parts } = recording.manifest || { parts: [] };
+    console.log(`[SessionRecorder] Recording of ${recording.sessionCode} finished (${parts.length} part(s))`);
+  }
+
+  /**
+   * A session's recording - live sessions get their segments aligned on the fly
+   * @param {Array|null} segments - transcript of the live session, if any
+   * @returns {Promise<Object|null>} manifest, null if there is no recording
+   */
+  async getRecording(sessionId, segments = null) {
+    const active = this.recordings.get(sessionId);
+    let manifest = active?.manifest;
+
+    if (!manifest) {
+      const dir = this.getDirectory(sessionId);
+      if (!dir) return null;
+      try {
+        manifest = JSON.parse(await fsPromises.readFile(path.join(dir, 'manifest.json'), 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    }
+
+    return {
+      ...manifest,
+      parts: manifest.parts.map(part => ({ ...part })),
+      segments: segments ? alignSegments(manifest.parts, segments) : manifest.segments,
+      isRecording: Boolean(active),
+      ...(active?.error && { error: active.error })
+    };
+  }
+
+  /**
+   * Host tokens of the session issued before this are retired (see sessionStore.retireOlderHostTokens)
+   * @returns {Promise<number|null>}
+   */
+  async getHostTokenNotBefore(sessionId) {
+    const active = this.recordings.get(sessionId);
+    if (active) return active.hostTokenNotBefore;
+
+    const recording = await this.getRecording(sessionId);
+    return recording?.hostTokenNotBefore || null;
+  }
+
+  /**
+   * Path of a part file, null if the session has no such part
+   */
+  async getPartPath(sessionId, partName) {
+    if (!PART_NAME_PATTERN.test(partName || '')) return null;
+    const recording = await this.getRecording(sessionId);
+    if (!recording || !recording.parts.some(part => part.name === partName)) return null;
+    return path.join(this.getDirectory(sessionId), partName);
+  }
+
+  /**
+   * Summaries of all recordings on disk
+   */
+  async listRecordings() {
+    if (!this.isAvailable()) return [];
+
+    let entries;
+    try {
+      entries = await fsPromises.readdir(this.config.dir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const recordings = await Promise.all(entries
+      .filter(entry => entry.isDirectory() && SESSION_ID_PATTERN.test(entry.name))
+      .map(entry => this.getRecording(entry.name).catch(() => null)));
+
+    return recordings.filter(Boolean).map(recording => ({
+      sessionId: recording.sessionId,
+      sessionCode: recording.sessionCode,
+      startedAt: recording.startedAt,
+      endedAt: recording.endedAt,
+      updatedAt: recording.updatedAt,
+      isRecording: recording.isRecording,
+      parts: recording.parts.length,
+      durationMs: recording.parts.reduce((total, part) => total + part.durationMs, 0),
+      bytes: recording.parts.reduce((total, part) => total + part.bytes, 0)
+    }));
+  }
+
+  /**
+   * Delete a finished recording
+   * @returns {Promise<boolean>} false if there was nothing to delete
+   */
+  async deleteRecording(sessionId) {
+    const dir = this.getDirectory(sessionId);
+    if (!dir || this.recordings.has(sessionId)) return false;
+
+    try {
+      await fsPromises.access(dir);
+    } catch {
+      return false;
+    }
+    await fsPromises.rm(dir, { recursive: true, force: true });
+    console.log(`[SessionRecorder] Deleted recording of session ${sessionId}`);
+    return true;
+  }
+
+  /**
+   * Delete recordings that ended more than RECORDING_RETENTION_DAYS ago
+   * (unfinished ones, e.g. after a crash, count from their last update)
+   */
+  async cleanupExpiredRecordings() {
+    const { retentionMs } = this.config;
+    const now = Date.now();
+
+    for (const recording of await this.listRecordings()) {
+      const endedAt = recording.endedAt || recording.updatedAt;
+      if (!recording.isRecording && now - endedAt > retentionMs) {
+        await this.deleteRecording(recording.sessionId);
+      }
+    }
+  }
+
+  /**
+   * Apply the retention policy now and every hour (no-op when recording is off)
+   */
+  startCleanupTimer() {
+    if (this.cleanupTimer || !this.isAvailable()) return;
+
+    const cleanup = () => this.cleanupExpiredRecordings()
+      .catch(error => console.error('[SessionRecorder] Retention cleanup failed:', error.message));
+    cleanup();
+    // Unref'd so it never keeps the process alive
+    this.cleanupTimer = setInterval(cleanup, 60 * 60 * 1000);
+    this.cleanupTimer.unref();
+  }
+
+  getStats() {
+    return {
+      available: this.isAvailable(),
+      activeRecordings: this.recordings.size
+    };
+  }
+}
+
+// Singleton instance
+const sessionRecorder = new SessionRecorder();
+
+export default sessionRecorder;
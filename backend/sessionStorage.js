@@ -0,0 +1,157 @@
+/**
+ * Session Storage - Persistence adapters for SessionStore
+ *
+ * SessionStore keeps live sockets in memory; adapters only persist the
+ * serializable metadata (code, source language, timestamps, transcript) so
+ * sessions survive a backend restart or deploy.
+ *
+ * Adapter interface:
+ * - load() → Promise<Array<SessionRecord>>
+ * - save(record) → Promise<void>
+ * - delete(sessionId) → Promise<void>
+ * - flush() → Promise<void>
+ *
+ * Selected with SESSION_STORAGE (memory | file). The file adapter writes to
+ * SESSION_STORE_FILE (default: backend/data/sessions.json).
+ */
+
+import fs from 'fs';
+import fsPromises from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Default adapter - nothing survives a restart
+ */
+export class MemorySessionStorage {
+  constructor() {
+    this.name = 'memory';
+    this.records = new Map();
+  }
+
+  async load() {
+    return Array.from(this.records.values());
+  }
+
+  async save(record) {
+    this.records.set(record.sessionId, record);
+  }
+
+  async delete(sessionId) {
+    this.records.delete(sessionId);
+  }
+
+  async flush() {}
+}
+
+/**
+ * JSON file adapter
+ * Writes are debounced and go through a temp file + rename so a crash
+ * mid-write never leaves a truncated store behind. They run one at a time,
+ * so two writes never share the temp file.
+ */
+export class FileSessionStorage {
+  constructor(options = {}) {
+    this.name = 'file';
+    this.filePath = options.filePath || process.env.SESSION_STORE_FILE || path.join(__dirname, 'data', 'sessions.json');
+    this.writeDelayMs = options.writeDelayMs ?? 500;
+    this.records = new Map();
+    this.writeTimer = null;
+    this.writes = Promise.resolve(); // Last write in the chain
+
+    // Best-effort final write on process exit - server.js flushes on SIGINT/SIGTERM first
+    process.once('exit', () => this.flushSync());
+  }
+
+  async load() {
+    try {
+      const content = await fsPromises.readFile(this.filePath, 'utf8');
+      const records = JSON.parse(content);
+      this.records = new Map(records.map(record => [record.sessionId, record]));
+      console.log(`[SessionStorage] Loaded ${this.records.size} session(s) from ${this.filePath}`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`[SessionStorage] Failed to read ${this.filePath}:`, error.message);
+      }
+      this.records = new Map();
+    }
+    return Array.from(this.records.values());
+  }
+
+  async save(record) {
+    this.records.set(record.sessionId, record);
+    this.scheduleWrite();
+  }
+
+  async delete(sessionId) {
+    if (this.records.delete(sessionId)) {
+      this.scheduleWrite();
+    }
+  }
+
+  scheduleWrite() {
+    if (this.writeTimer) return;
+    this.writeTimer = setTimeout(() => {
+      this.writeTimer = null;
+      this.write();
+    }, this.writeDelayMs);
+  }
+
+  /**
+   * Write the current records after the writes already queued
+   */
+  write() {
+    this.writes = this.writes.then(async () => {
+      try {
+        const data = JSON.stringify(Array.from(this.records.values()));
+        const tmpPath = `${this.filePath}.tmp`;
+        await fsPromises.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fsPromises.writeFile(tmpPath, data, 'utf8');
+        await fsPromises.rename(tmpPath, this.filePath);
+      } catch (error) {
+        console.error('[SessionStorage] Failed to write session store:', error.message);
+      }
+    });
+    return this.writes;
+  }
+
+  /**
+   * Write pending changes now and wait for every write to finish
+   */
+  async flush() {
+    if (this.writeTimer) {
+      clearTimeout(this.writeTimer);
+      this.writeTimer = null;
+      this.write();
+    }
+    await this.writes;
+  }
+
+  flushSync() {
+    if (!this.writeTimer) return;
+    clearTimeout(this.writeTimer);
+    this.writeTimer = null;
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(this.filePath, JSON.stringify(Array.from(this.records.values())), 'utf8');
+    } catch (error) {
+      console.error('[SessionStorage] Failed to write session store on exit:', error.message);
+    }
+  }
+}
+
+/**
+ * Create a storage adapter by name
+ */
+export function createSessionStorage(name = 'memory', options = {}) {
+  switch (name.toLowerCase()) {
+    case 'memory':
+      return new MemorySessionStorage(options);
+    case 'file':
+      return new FileSessionStorage(options);
+    default:
+      throw new Error(`Unknown session storage "${name}". Available: memory, file`);
+  }
+}
@@ -1,19 +1,150 @@
 /**
  * Session Store - Manages live translation sessions
  * Handles master (host) and listeners for each session
+ *
+ * Session metadata (code, source language, timestamps, transcript) is mirrored
+ * to a storage adapter (see sessionStorage.js) so sessions can be restored
+ * after a restart. Sockets are never persisted.
+ *
+ * A closed session (ended by the host, or the host never came back) is kept as
+ * its record for ENDED_SESSION_RETENTION_HOURS, so its transcript can still be
+ * exported. Ended sessions can't be joined or hosted again.
  */
 
+import { readNumber } from './config.js';
+import { createSessionStorage } from './sessionStorage.js';
+import translationManager from './translationManager.js';
+import translationScheduler from './translationScheduler.js';
+import sessionRecorder from './sessionRecorder.js';
+
+// Transcript segments kept per session (oldest are dropped first)
+const MAX_TRANSCRIPT_SEGMENTS = 1000;
+
+// Longest speaker name a host can set
+const MAX_SPEAKER_NAME_LENGTH = 60;
+
+// How long a session survives after the host drops before it is closed
+const DEFAULT_HOST_RECONNECT_GRACE_MS = 60000;
+
+// How long an ended session's transcript stays available (0 = deleted when it ends)
+const ENDED_SESSION_RETENTION_MS = readNumber('ENDED_SESSION_RETENTION_HOURS', 24, { allowZero: true }) * 60 * 60 * 1000;
+
 class SessionStore {
   constructor() {
     // Map<sessionId, SessionData>
     this.sessions = new Map();
+    // Map<sessionId, SessionRecord & { endedAt }> - read-only, see closeSession
+    this.endedSessions = new Map();
+    this.storage = createSessionStorage('memory');
+  }
+
+  /**
+   * Switch to the configured storage adapter and restore persisted sessions
+   * Called once at startup, after .env has been loaded
+   */
+  async restoreSessions(storage = null) {
+    this.storage = storage || createSessionStorage(process.env.SESSION_STORAGE || 'memory');
+    const records = await this.storage.load();
+
+    for (const record of records) {
+      if (this.sessions.has(record.sessionId)) continue;
+
+      if (record.endedAt) {
+        this.endedSessions.set(record.sessionId, record);
+        continue;
+      }
+
+      this.sessions.set(record.sessionId, {
+        sessionId: record.sessionId,
+        sessionCode: record.sessionCode,
+        hostSocket: null,
+        hostGeminiSocket: null,
+        listeners: new Map(),
+        languageGroups: new Map(),
+        sourceLang: record.sourceLang || 'en',
+        createdAt: record.createdAt,
+        lastActivity: record.lastActivity || record.createdAt,
+        transcript: record.transcript || [],
+        lastSequenceId: record.lastSequenceId
+          ?? (record.transcript || []).reduce((max, segment) => Math.max(max, segment.sequenceId || 0), 0),
+        passwordHash: record.passwordHash || null,
+        requireApproval: Boolean(record.requireApproval),
+        organizationId: record.organizationId || null,
+        glossary: record.glossary || null,
+        phraseHints: record.phraseHints || null,
+        phraseHintProfile: record.phraseHintProfile || null,
+        speakerNames: record.speakerNames || {},
+        record: Boolean(record.record),
+        hostTokenNotBefore: record.hostTokenNotBefore || null,
+        pendingListeners: new Map(),
+        isActive: false,
+        restoredAt: Date.now(),
+        hostDisconnectedAt: null,
+        hostReconnectTimer: null
+      });
+    }
+
+    console.log(`[SessionStore] Using ${this.storage.name} storage - restored ${records.length} session(s) (${this.endedSessions.size} ended)`);
+    this.deleteExpiredSessions();
+    return records.length;
+  }
+
+  /**
+   * Write pending session changes to storage (before shutting down)
+   */
+  async flush() {
+    await this.storage.flush();
+  }
+
+  /**
+   * Serialize the persistent part of a session
+   */
+  toRecord(session) {
+    return {
+      sessionId: session.sessionId,
+      sessionCode: session.sessionCode,
+      sourceLang: session.sourceLang,
+      createdAt: session.createdAt,
+      lastActivity: session.lastActivity,
+      transcript: session.transcript,
+      lastSequenceId: session.lastSequenceId,
+      passwordHash: session.passwordHash,
+      requireApproval: session.requireApproval,
+      organizationId: session.organizationId,
+      glossary: session.glossary,
+      phraseHints: session.phraseHints,
+      phraseHintProfile: session.phraseHintProfile,
+      speakerNames: session.speakerNames,
+      record: session.record,
+      hostTokenNotBefore: session.hostTokenNotBefore
+    };
+  }
+
+  /**
+   * Write session metadata to the storage adapter (fire and forget)
+   * Ended sessions already are their record.
+   */
+  persistSession(session) {
+    const record = session.endedAt ? session : this.toRecord(session);
+    this.storage.save(record).catch(error => {
+      console.error(`[SessionStore] Failed to persist session ${session.sessionCode}:`, error.message);
+    });
   }
 
   /**
    * Creates a new session
+   * @param {Object} options - { passwordHash, requireApproval, organizationId, glossary, phraseHints, phraseHintProfile, record }
    * @returns {Object} { sessionId, sessionCode }
    */
-  createSession() {
+  createSession({
+    passwordHash = null,
+    requireApproval = false,
+    organizationId = null,
+    glossary = null,
+    phraseHints = null,
+    phraseHintProfile = null,
+    record = false
+  } = {}) {
     const sessionId = this.generateUUID();
     const sessionCode = this.generateSessionCode();
     
@@ -27,10 +158,25 @@ class SessionStore {
       sourceLang: 'en',
       createdAt: Date.now(),
       lastActivity: Date.now(),
-      isActive: false
+      transcript: [], // Finalized segments, oldest first
+      lastSequenceId: 0, // Per-session segment counter (see nextSequenceId)
+      passwordHash, // Join password (scrypt salt:hash), null = open
+      requireApproval, // Host must approve each listener
+      organizationId, // Organization whose glossary applies (see glossaryStore)
+      glossary, // Session-specific glossary (normalized), null = none
+      phraseHints, // Session phrase hints for the recognizer (normalized), null = none
+      phraseHintProfile, // Saved phrase hint profile (see phraseHintStore), null = none
+      speakerNames: {}, // Diarization speaker id -> name given by the host
+      record, // Archive the host's audio (see sessionRecorder)
+      hostTokenNotBefore: null, // Host tokens issued earlier are retired (see retireOlderHostTokens)
+      pendingListeners: new Map(), // Map<socketId, PendingListener> awaiting approval
+      isActive: false,
+      hostDisconnectedAt: null,
+      hostReconnectTimer: null
     };
     
     this.sessions.set(sessionId, sessionData);
+    this.persistSession(sessionData);
     console.log(`[SessionStore] Created session ${sessionCode} (${sessionId})`);
     
     return { sessionId, sessionCode };
@@ -55,6 +201,23 @@ class SessionStore {
     return null;
   }
 
+  /**
+   * Get a live or ended session by ID - for reading its transcript
+   */
+  findSession(sessionId) {
+    return this.sessions.get(sessionId) || this.endedSessions.get(sessionId);
+  }
+
+  /**
+   * Get a live or ended session by code (live sessions never share a code with ended ones)
+   */
+  findSessionByCode(sessionCode) {
+    const code = sessionCode.toUpperCase();
+    return this.getSessionByCode(code)
+      || Array.from(this.endedSessions.values()).find(session => session.sessionCode === code)
+      || null;
+  }
+
   /**
    * Set the host for a session
    */
@@ -69,13 +232,91 @@ class SessionStore {
     session.isActive = true;
     session.lastActivity = Date.now();
     
+    if (session.hostReconnectTimer) {
+      clearTimeout(session.hostReconnectTimer);
+      session.hostReconnectTimer = null;
+    }
+    
+    if (session.hostDisconnectedAt) {
+      const downtime = Date.now() - session.hostDisconnectedAt;
+      session.hostDisconnectedAt = null;
+      console.log(`[SessionStore] Host resumed session ${session.sessionCode} after ${downtime}ms`);
+      this.broadcastToListeners(sessionId, {
+        type: 'host_reconnected',
+        message: 'The host is back online'
+      });
+    }
+    
+    if (session.restoredAt) {
+      console.log(`[SessionStore] Host reattached to restored session ${session.sessionCode}`);
+      session.restoredAt = null;
+    }
+    
     console.log(`[SessionStore] Host connected to session ${session.sessionCode}`);
   }
 
+  /**
+   * A host connected with a token issued at issuedAt - tokens issued before it
+   * stop working, so a rotated-out token can't be replayed
+   */
+  retireOlderHostTokens(sessionId, issuedAt) {
+    const session = this.sessions.get(sessionId);
+    if (!session || issuedAt <= (session.hostTokenNotBefore || 0)) return;
+
+    session.hostTokenNotBefore = issuedAt;
+    this.persistSession(session);
+  }
+
+  /**
+   * Whether the session is waiting for its previous host to come back
+   * (dropped connection or server restart)
+   */
+  isAwaitingHostResume(sessionId) {
+    const session = this.sessions.get(sessionId);
+    return Boolean(session && (session.hostDisconnectedAt || session.restoredAt));
+  }
+
+  /**
+   * Host connection dropped - keep the session alive for a grace period
+   * Listeners get `host_reconnecting`; the session closes if the host doesn't return in time
+   */
+  markHostDisconnected(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return;
+
+    const graceMs = Number(process.env.HOST_RECONNECT_GRACE_MS ?? DEFAULT_HOST_RECONNECT_GRACE_MS);
+    if (!graceMs || graceMs <= 0) {
+      this.closeSession(sessionId);
+      return;
+    }
+
+    session.hostSocket = null;
+    session.hostDisconnectedAt = Date.now();
+    session.lastActivity = Date.now();
+
+    if (session.hostReconnectTimer) {
+      clearTimeout(session.hostReconnectTimer);
+    }
+    session.hostReconnectTimer = setTimeout(() => {
+      session.hostReconnectTimer = null;
+      console.log(`[SessionStore] Host did not reconnect to ${session.sessionCode} within ${graceMs}ms`);
+      this.closeSession(sessionId);
+    }, graceMs);
+
+    console.log(`[SessionStore] Host disconnected from ${session.sessionCode} - holding session for ${graceMs}ms`);
+
+    this.broadcastToListeners(sessionId, {
+      type: 'host_reconnecting',
+      message: 'The host lost connection. Waiting for them to reconnect...',
+      graceMs
+    });
+  }
+
   /**
    * Add a listener to a session
+   * @param {Object} options - { audioEnabled } receive synthesized speech for their language
    */
-  addListener(sessionId, socketId, socket, targetLang, userName = 'Anonymous') {
+  addListener(sessionId, socketId, socket, targetLang, userName = 'Anonymous', { audioEnabled = false } = {}) {
     const session = this.sessions.get(sessionId);
     if (!session) {
       throw new Error('Session not found');
@@ -86,6 +327,7 @@ class SessionStore {
       socket,
       targetLang,
       userName,
+      audioEnabled,
       joinedAt: Date.now()
     };
 
@@ -104,6 +346,123 @@ class SessionStore {
     return listenerData;
   }
 
+  /**
+   * Park a listener until the host approves them (invite-only sessions)
+   * @param {Function} admit - called on approval to finish joining
+   */
+  addPendingListener(sessionId, socketId, socket, targetLang, userName, admit) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      throw new Error('Session not found');
+    }
+
+    session.pendingListeners.set(socketId, {
+      socketId,
+      socket,
+      targetLang,
+      userName,
+      requestedAt: Date.now(),
+      admit
+    });
+
+    console.log(`[SessionStore] Listener ${userName} waiting for approval in session ${session.sessionCode}`);
+    this.notifyHostPendingListeners(sessionId);
+  }
+
+  /**
+   * A pending listener picked another language while waiting
+   */
+  updatePendingListenerLanguage(sessionId, socketId, targetLang) {
+    const pending = this.sessions.get(sessionId)?.pendingListeners.get(socketId);
+    if (!pending) return;
+
+    pending.targetLang = targetLang;
+    this.notifyHostPendingListeners(sessionId);
+  }
+
+  /**
+   * Drop a pending listener (they left before being approved)
+   */
+  removePendingListener(sessionId, socketId) {
+    const session = this.sessions.get(sessionId);
+    if (!session || !session.pendingListeners.delete(socketId)) return;
+
+    this.notifyHostPendingListeners(sessionId);
+  }
+
+  /**
+   * Host approved a pending listener - they join and start receiving translations
+   * @returns {boolean} whether the listener was still waiting
+   */
+  approveListener(sessionId, socketId) {
+    const session = this.sessions.get(sessionId);
+    const pending = session?.pendingListeners.get(socketId);
+    if (!pending) return false;
+
+    session.pendingListeners.delete(socketId);
+    console.log(`[SessionStore] Host approved ${pending.userName} in session ${session.sessionCode}`);
+    pending.admit();
+    this.notifyHostPendingListeners(sessionId);
+    return true;
+  }
+
+  /**
+   * Host denied a pending listener - notify and disconnect them
+   * @returns {boolean} whether the listener was still waiting
+   */
+  denyListener(sessionId, socketId) {
+    const session = this.sessions.get(sessionId);
+    const pending = session?.pendingListeners.get(socketId);
+    if (!pending) return false;
+
+    session.pendingListeners.delete(socketId);
+    console.log(`[SessionStore] Host denied ${pending.userName} in session ${session.sessionCode}`);
+    if (pending.socket.readyState === 1) {
+      pending.socket.send(JSON.stringify({
+        type: 'join_denied',
+        message: 'The host declined your request to join'
+      }));
+      pending.socket.close();
+    }
+    this.notifyHostPendingListeners(sessionId);
+    return true;
+  }
+
+  /**
+   * Listeners waiting for approval (safe to send to the host)
+   */
+  getPendingListeners(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return [];
+
+    return Array.from(session.pendingListeners.values()).map(({ socketId, userName, targetLang, requestedAt }) => ({
+      socketId,
+      userName,
+      targetLang,
+      requestedAt
+    }));
+  }
+
+  /**
+   * Send the current approval queue to the host
+   */
+  notifyHostPendingListeners(sessionId) {
+    this.sendToHost(sessionId, {
+      type: 'pending_listeners',
+      listeners: this.getPendingListeners(sessionId)
+    });
+  }
+
+  /**
+   * Send a message to the session's host (if connected)
+   */
+  sendToHost(sessionId, message) {
+    const session = this.sessions.get(sessionId);
+    if (session?.hostSocket && session.hostSocket.readyState === 1) {
+      session.hostSocket.send(JSON.stringify(message));
+    }
+  }
+
   /**
    * Remove a listener from a session
    */
@@ -152,6 +511,50 @@ class SessionStore {
     return Array.from(session.languageGroups.keys());
   }
 
+  /**
+   * Turn spoken interpretation on or off for one listener
+   */
+  setListenerAudio(sessionId, socketId, enabled) {
+    const listener = this.sessions.get(sessionId)?.listeners.get(socketId);
+    if (!listener) return false;
+
+    listener.audioEnabled = Boolean(enabled);
+    return true;
+  }
+
+  /**
+   * Languages with at least one listener who wants audio
+   */
+  getAudioLanguages(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return [];
+
+    const languages = new Set();
+    session.listeners.forEach(listener => {
+      if (listener.audioEnabled) languages.add(listener.targetLang);
+    });
+    return Array.from(languages);
+  }
+
+  /**
+   * Send synthesized audio to the listeners of a language who turned audio on
+   */
+  broadcastAudio(sessionId, message, targetLang) {
+    const listeners = this.getListenersByLanguage(sessionId, targetLang)
+      .filter(listener => listener.audioEnabled && listener.socket.readyState === 1); // WebSocket.OPEN
+
+    const messageStr = JSON.stringify(message);
+    listeners.forEach(listener => {
+      try {
+        listener.socket.send(messageStr);
+      } catch (error) {
+        console.error(`[SessionStore] Error sending audio to listener:`, error.message);
+      }
+    });
+
+    console.log(`[SessionStore] Audio segment ${message.sequenceId} sent to ${listeners.length} listener(s) (${targetLang})`);
+  }
+
   /**
    * Broadcast message to all listeners in a session
    */
@@ -193,11 +596,168 @@ class SessionStore {
     if (session) {
       session.sourceLang = sourceLang;
       session.lastActivity = Date.now();
+      this.persistSession(session);
+    }
+  }
+
+  /**
+   * Allocate the next segment ID for a session
+   * IDs start at 1 and increase by one per segment, so clients can spot gaps.
+   * Partials carry the ID of the segment they will finalize into.
+   * @returns {number|null}
+   */
+  nextSequenceId(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return null;
+
+    session.lastSequenceId++;
+    return session.lastSequenceId;
+  }
+
+  /**
+   * Append a finalized transcript segment to the session history
+   * @param {Object} segment - { originalText, sourceLang, translations, timestamp, sequenceId }
+   *   plus recognition details when the engine provides them (confidence, words, startTime, endTime)
+   */
+  addTranscriptSegment(sessionId, segment) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return null;
+
+    const entry = {
+      timestamp: Date.now(),
+      sourceLang: session.sourceLang,
+      translations: {},
+      ...segment,
+      sequenceId: segment.sequenceId ?? this.nextSequenceId(sessionId)
+    };
+
+    session.transcript.push(entry);
+    if (session.transcript.length > MAX_TRANSCRIPT_SEGMENTS) {
+      session.transcript.splice(0, session.transcript.length - MAX_TRANSCRIPT_SEGMENTS);
+    }
+    session.lastActivity = Date.now();
+    this.persistSession(session);
+
+    return entry;
+  }
+
+  /**
+   * Get the transcript history for a session
+   */
+  getTranscript(sessionId) {
+    const session = this.findSession(sessionId);
+    return session ? session.transcript : [];
+  }
+
+  /**
+   * Get the segments a late-joining listener should be sent
+   * @param {Object} options - { sinceSequenceId, sequenceIds, limit }
+   * With sinceSequenceId only newer segments are returned, sequenceIds picks specific
+   * segments (resend requests); limit keeps the most recent N.
+   */
+  getTranscriptBackfill(sessionId, { sinceSequenceId = null, sequenceIds = null, limit = null } = {}) {
+    let segments = this.getTranscript(sessionId);
+
+    if (sequenceIds !== null) {
+      const wanted = new Set(sequenceIds);
+      segments = segments.filter(segment => wanted.has(segment.sequenceId));
+    }
+    if (sinceSequenceId !== null) {
+      segments = segments.filter(segment => segment.sequenceId > sinceSequenceId);
+    }
+    if (limit !== null) {
+      segments = limit > 0 ? segments.slice(-limit) : [];
+    }
+
+    return segments;
+  }
+
+  /**
+   * Store translations for a transcript segment (merged with what is already cached)
+   */
+  cacheSegmentTranslations(sessionId, segment, translations) {
+    const session = this.findSession(sessionId);
+    if (!session || !segment) return;
+
+    segment.translations = { ...segment.translations, ...translations };
+    this.persistSession(session);
+  }
+
+  /**
+   * Record glossary violations for one language of a segment (empty clears the flag)
+   */
+  flagSegment(sessionId, segment, targetLang, violations) {
+    const session = this.findSession(sessionId);
+    if (!session || !segment) return;
+
+    const { [targetLang]: previous, ...others } = segment.glossaryFlags || {};
+    if (violations.length === 0 && !previous) return;
+
+    segment.glossaryFlags = violations.length > 0 ? { ...others, [targetLang]: violations } : others;
+    this.persistSession(session);
+  }
+
+  /**
+   * Replace the session's own glossary (already normalized, null clears it)
+   */
+  setSessionGlossary(sessionId, glossary) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return;
+
+    session.glossary = glossary;
+    session.lastActivity = Date.now();
+    this.persistSession(session);
+    console.log(`[SessionStore] Glossary ${glossary ? 'updated' : 'cleared'} for session ${session.sessionCode}`);
+  }
+
+  /**
+   * Replace the session's phrase hints and profile (hints already normalized, null clears)
+   * The recognizer picks them up when its stream next starts
+   */
+  setSessionPhraseHints(sessionId, phraseHints, phraseHintProfile) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return;
+
+    session.phraseHints = phraseHints;
+    session.phraseHintProfile = phraseHintProfile;
+    session.lastActivity = Date.now();
+    this.persistSession(session);
+    console.log(`[SessionStore] Phrase hints ${phraseHints || phraseHintProfile ? 'updated' : 'cleared'} for session ${session.sessionCode}${phraseHintProfile ? ` (profile ${phraseHintProfile})` : ''}`);
+  }
+
+  /**
+   * Display name of a diarized speaker - the host's name for it, or "Speaker N"
+   * @returns {string|null} null for segments without a speaker
+   */
+  getSpeakerName(sessionId, speakerId) {
+    if (!speakerId) return null;
+    return this.findSession(sessionId)?.speakerNames[speakerId] || `Speaker ${speakerId}`;
+  }
+
+  /**
+   * Name a diarized speaker (empty name restores the default label)
+   * @returns {string|null} the resulting display name, null if the session doesn't exist
+   */
+  setSpeakerName(sessionId, speakerId, name) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return null;
+
+    const trimmed = String(name || '').trim().slice(0, MAX_SPEAKER_NAME_LENGTH);
+    if (trimmed) {
+      session.speakerNames[speakerId] = trimmed;
+    } else {
+      delete session.speakerNames[speakerId];
     }
+    session.lastActivity = Date.now();
+    this.persistSession(session);
+    console.log(`[SessionStore] Speaker ${speakerId} in ${session.sessionCode} is now "${this.getSpeakerName(sessionId, speakerId)}"`);
+    return this.getSpeakerName(sessionId, speakerId);
   }
 
   /**
    * Close a session and clean up
+   * Its record stays available read-only (transcript export) until the
+   * retention period is over.
    */
   closeSession(sessionId) {
     const session = this.sessions.get(sessionId);
@@ -205,6 +765,11 @@ class SessionStore {
 
     console.log(`[SessionStore] Closing session ${session.sessionCode}`);
 
+    if (session.hostReconnectTimer) {
+      clearTimeout(session.hostReconnectTimer);
+      session.hostReconnectTimer = null;
+    }
+
     // Close host Gemini connection
     if (session.hostGeminiSocket && session.hostGeminiSocket.readyState === 1) {
       session.hostGeminiSocket.close();
@@ -223,7 +788,51 @@ class SessionStore {
       }
     });
 
+    // Listeners still waiting for approval never joined a language group
+    session.pendingListeners.forEach(pending => {
+      if (pending.socket.readyState === 1) {
+        pending.socket.send(JSON.stringify({
+          type: 'session_ended',
+          message: 'The host has ended the session'
+        }));
+        pending.socket.close();
+      }
+    });
+
+    translationManager.clearContext(sessionId);
+    translationScheduler.clearSession(sessionId);
+    sessionRecorder.stop(sessionId, session.transcript, session.hostTokenNotBefore).catch(error => {
+      console.error(`[SessionStore] Failed to finish recording of ${session.sessionCode}:`, error.message);
+    });
     this.sessions.delete(sessionId);
+
+    if (ENDED_SESSION_RETENTION_MS > 0) {
+      const ended = { ...this.toRecord(session), endedAt: Date.now() };
+      this.endedSessions.set(sessionId, ended);
+      this.persistSession(ended);
+    } else {
+      this.deleteStoredSession(session);
+    }
+  }
+
+  deleteStoredSession(session) {
+    this.storage.delete(session.sessionId).catch(error => {
+      console.error(`[SessionStore] Failed to delete stored session ${session.sessionCode}:`, error.message);
+    });
+  }
+
+  /**
+   * Delete ended sessions whose retention period is over
+   */
+  deleteExpiredSessions() {
+    const now = Date.now();
+    for (const [sessionId, session] of this.endedSessions.entries()) {
+      if (now - session.endedAt >= ENDED_SESSION_RETENTION_MS) {
+        console.log(`[SessionStore] Deleting ended session ${session.sessionCode}`);
+        this.endedSessions.delete(sessionId);
+        this.deleteStoredSession(session);
+      }
+    }
   }
 
   /**
@@ -237,7 +846,21 @@ class SessionStore {
       sessionId: session.sessionId,
       sessionCode: session.sessionCode,
       isActive: session.isActive,
+      isRestored: Boolean(session.restoredAt),
+      hostConnected: Boolean(session.hostSocket),
+      hostReconnecting: Boolean(session.hostDisconnectedAt),
       listenerCount: session.listeners.size,
+      audioListenerCount: Array.from(session.listeners.values()).filter(listener => listener.audioEnabled).length,
+      pendingListenerCount: session.pendingListeners.size,
+      requiresPassword: Boolean(session.passwordHash),
+      requiresApproval: session.requireApproval,
+      organizationId: session.organizationId,
+      hasGlossary: Boolean(session.glossary),
+      phraseHintProfile: session.phraseHintProfile,
+      speakerNames: session.speakerNames,
+      recording: session.record,
+      transcriptSegments: session.transcript.length,
+      lastSequenceId: session.lastSequenceId,
       languages: Array.from(session.languageGroups.keys()),
       languageCounts: Object.fromEntries(
         Array.from(session.languageGroups.entries()).map(([lang, set]) => [lang, set.size])
@@ -250,6 +873,7 @@ class SessionStore {
 
   /**
    * Clean up inactive sessions (older than 1 hour with no activity)
+   * and delete ended sessions past their retention period
    */
   cleanupInactiveSessions() {
     const MAX_INACTIVE_TIME = 60 * 60 * 1000; // 1 hour
@@ -261,6 +885,8 @@ class SessionStore {
         this.closeSession(sessionId);
       }
     }
+
+    this.deleteExpiredSessions();
   }
 
   /**
@@ -275,14 +901,17 @@ class SessionStore {
   }
 
   /**
-   * Generate a short session code (6 characters)
+   * Generate a short session code (6 characters), unused by live and ended sessions
    */
   generateSessionCode() {
     const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // Exclude similar looking chars
-    let code = '';
-    for (let i = 0; i < 6; i++) {
-      code += chars.charAt(Math.floor(Math.random() * chars.length));
-    }
+    let code;
+    do {
+      code = '';
+      for (let i = 0; i < 6; i++) {
+        code += chars.charAt(Math.floor(Math.random() * chars.length));
+      }
+    } while (this.findSessionByCode(code));
     return code;
   }
 
@@ -304,10 +933,10 @@ class SessionStore {
 // Singleton instance
 const sessionStore = new SessionStore();
 
-// Clean up inactive sessions every 10 minutes
+// Clean up inactive sessions every 10 minutes - unref'd so it never keeps the process alive
 setInterval(() => {
   sessionStore.cleanupInactiveSessions();
-}, 10 * 60 * 1000);
+}, 10 * 60 * 1000).unref();
 
 export default sessionStore;
 
@@ -3,26 +3,137 @@
  * 
  * ARCHITECTURE:
  * - Google Cloud Speech-to-Text for streaming transcription with live partials
+ *   (or another engine from speechEngines.js, chosen via init.engine / SPEECH_ENGINE)
  * - OpenAI Chat API for translation of final transcripts
  * - Live partial results shown immediately for responsive UX
  * - Final results translated and displayed
+ * - Typed text (`text` messages, init mode 'text') is translated paragraph by
+ *   paragraph with progress streamed as partials - no speech engine is created
+ * - Audio arrives as base64 in `audio` messages or as binary frames (audioFrames.js);
+ *   silence the client's voice activity detection holds back arrives as `audio_keepalive`
  */
 
-import { GoogleSpeechStream } from './googleSpeechStream.js';
+import { createSpeechEngine, resolveClientSpeechEngineName } from './speechEngines.js';
 import WebSocket from 'ws';
 import translationManager from './translationManager.js';
+import { AudioFrameReader, AUDIO_FRAME_VERSION } from './audioFrames.js';
 
 export async function handleSoloMode(clientWs) {
   console.log("[SoloMode] ⚡ Connection using Google Speech + OpenAI Translation");
 
   let speechStream = null;
+  let speechEngineName = null;
   let currentSourceLang = 'en';
   let currentTargetLang = 'es';
+  let textOnly = false; // Typed-text client - never needs a speech engine
   let legacySessionId = `session_${Date.now()}`;
+  const audioFrames = new AudioFrameReader(); // Binary audio of this connection
+  let audioFrameError = null; // Last rejected-frame reason sent to the client (reported once)
+
+  const send = (payload) => {
+    if (clientWs.readyState === WebSocket.OPEN) {
+      clientWs.send(JSON.stringify(payload));
+    }
+  };
+
+  /**
+   * Typed-text translation
+   * Each translated paragraph is streamed as a partial carrying everything
+   * translated so far, then a single final carries the whole text.
+   * A requestId sent by the client is echoed so it can match responses.
+   */
+  const handleTextMessage = async (message) => {
+    const sourceLang = message.sourceLang || currentSourceLang;
+    const targetLang = message.targetLang || currentTargetLang;
+    const requestId = message.requestId ?? null;
+    const paragraphs = translationManager.splitParagraphs(message.text);
+
+    if (paragraphs.length === 0) {
+      send({ type: 'error', message: 'Text is empty', requestId });
+      return;
+    }
+
+    const originalText = paragraphs.join('\n\n');
+    const sequenceId = Date.now();
+    console.log(`[SoloMode] ⌨️ Text (${paragraphs.length} paragraph(s)): "${originalText.substring(0, 50)}..."`);
+
+    const translationMessage = (translatedText, isPartial) => ({
+      type: 'translation',
+      originalText,
+      translatedText,
+      sourceLang,
+      targetLang,
+      timestamp: Date.now(),
+      sequenceId,
+      isPartial,
+      hasTranslation: true,
+      requestId
+    });
+
+    if (sourceLang === targetLang) {
+      send(translationMessage(originalText, false));
+      return;
+    }
+
+    try {
+      const translatedText = await translationManager.translateParagraphs(
+        originalText,
+        sourceLang,
+        targetLang,
+        process.env.OPENAI_API_KEY,
+        (translatedSoFar, index, total) => {
+          if (index < total - 1) {
+            send(translationMessage(translatedSoFar, true));
+          }
+        }
+      );
+
+      console.log(`[SoloMode] 📤 Sending text translation: "${translatedText.substring(0, 50)}..."`);
+      send(translationMessage(translatedText, false));
+    } catch (error) {
+      console.error('[SoloMode] Text translation error:', error);
+      send({
+        type: 'error',
+        message: `Translation failed: ${error.message}`,
+        requestId
+      });
+    }
+  };
+
+  // Audio from either transport - base64 (JSON) or a Buffer (binary frame)
+  const handleAudio = async (audioData) => {
+    // Process audio through the session speech engine
+    if (speechStream) {
+      // Stream audio to the engine for transcription
+      await speechStream.processAudio(audioData);
+    } else {
+      console.warn('[SoloMode] Received audio before stream initialization');
+    }
+  };
+
+  const handleAudioFrame = async (data) => {
+    let audio;
+    try {
+      audio = audioFrames.read(data);
+    } catch (error) {
+      if (error.message !== audioFrameError) {
+        audioFrameError = error.message;
+        console.warn(`[SoloMode] Dropping audio frame: ${error.message}`);
+        send({ type: 'error', message: error.message });
+      }
+      return;
+    }
+    await handleAudio(audio);
+  };
 
   // Handle client messages
-  clientWs.on("message", async (msg) => {
+  clientWs.on("message", async (msg, isBinary) => {
     try {
+      if (isBinary) {
+        await handleAudioFrame(msg);
+        return;
+      }
+
       const message = JSON.parse(msg.toString());
       console.log("[SoloMode] Client message:", message.type);
 
@@ -40,24 +151,27 @@ export async function handleSoloMode(clientWs) {
           if (message.targetLang) {
             currentTargetLang = message.targetLang;
           }
+          textOnly = message.mode === 'text';
           
           const isTranscription = currentSourceLang === currentTargetLang;
           console.log(`[SoloMode] Languages: ${currentSourceLang} → ${currentTargetLang} (${isTranscription ? 'TRANSCRIPTION' : 'TRANSLATION'} mode)`);
           
-          // Reinitialize stream if source language changed
+          // Reinitialize stream if source language or engine changed
           const languagesChanged = (prevSourceLang !== currentSourceLang);
-          if (languagesChanged && speechStream) {
-            console.log('[SoloMode] 🔄 Source language changed! Destroying old stream...');
+          const engineChanged = Boolean(message.engine) && message.engine !== speechEngineName;
+          if ((languagesChanged || engineChanged) && speechStream) {
+            console.log(`[SoloMode] 🔄 ${languagesChanged ? 'Source language' : 'Speech engine'} changed! Destroying old stream...`);
             speechStream.destroy();
             speechStream = null;
             await new Promise(resolve => setTimeout(resolve, 200));
           }
           
-          // Initialize Google Speech stream if needed
-          if (!speechStream) {
+          // Initialize speech engine if needed (Google Speech unless the client or config picks another)
+          if (!speechStream && !textOnly) {
             try {
-              console.log(`[SoloMode] 🚀 Creating Google Speech stream for ${currentSourceLang}...`);
-              speechStream = new GoogleSpeechStream();
+              speechEngineName = resolveClientSpeechEngineName(message.engine);
+              console.log(`[SoloMode] 🚀 Creating ${speechEngineName} speech stream for ${currentSourceLang}...`);
+              speechStream = createSpeechEngine(speechEngineName);
               
               // Initialize with source language for transcription
               await speechStream.initialize(currentSourceLang);
@@ -126,7 +240,8 @@ export async function handleSoloMode(clientWs) {
                           transcriptText,
                           currentSourceLang,
                           [currentTargetLang],
-                          process.env.OPENAI_API_KEY
+                          process.env.OPENAI_API_KEY,
+                          { contextId: legacySessionId }
                         );
                         
                         const translatedText = translations[currentTargetLang] || transcriptText;
@@ -162,7 +277,8 @@ export async function handleSoloMode(clientWs) {
                             transcriptText,
                             currentSourceLang,
                             [currentTargetLang],
-                            process.env.OPENAI_API_KEY
+                            process.env.OPENAI_API_KEY,
+                            { contextId: legacySessionId }
                           );
                           
                           const translatedText = translations[currentTargetLang] || transcriptText;
@@ -207,7 +323,8 @@ export async function handleSoloMode(clientWs) {
                         transcriptText,
                         currentSourceLang,
                         [currentTargetLang],
-                        process.env.OPENAI_API_KEY
+                        process.env.OPENAI_API_KEY,
+                        { contextId: legacySessionId, updateContext: true }
                       );
                       
                       const translatedText = translations[currentTargetLang] || transcriptText;
@@ -237,9 +354,13 @@ export async function handleSoloMode(clientWs) {
                 }
               });
               
-              console.log('[SoloMode] ✅ Google Speech stream initialized and ready');
+              console.log(`[SoloMode] ✅ ${speechEngineName} speech stream initialized and ready`);
             } catch (error) {
-              console.error('[SoloMode] Failed to initialize Google Speech stream:', error);
+              console.error('[SoloMode] Failed to initialize speech stream:', error);
+              if (speechStream) {
+                speechStream.destroy();
+                speechStream = null;
+              }
               if (clientWs.readyState === WebSocket.OPEN) {
                 clientWs.send(JSON.stringify({
                   type: 'error',
@@ -255,18 +376,22 @@ export async function handleSoloMode(clientWs) {
             clientWs.send(JSON.stringify({
               type: 'session_ready',
               sessionId: legacySessionId,
+              engine: speechEngineName,
+              mode: textOnly ? 'text' : 'speech',
+              ...(!textOnly && { binaryAudio: AUDIO_FRAME_VERSION }),
               message: `Translation session ready: ${currentSourceLang} → ${currentTargetLang}`
             }));
           }
           break;
 
         case 'audio':
-          // Process audio through Google Speech stream
-          if (speechStream) {
-            // Stream audio to Google Speech for transcription
-            await speechStream.processAudio(message.audioData);
-          } else {
-            console.warn('[SoloMode] Received audio before stream initialization');
+          await handleAudio(message.audioData);
+          break;
+          
+        case 'audio_keepalive':
+          // Silence held back by the client's voice activity detection
+          if (speechStream?.pauseAudio) {
+            await speechStream.pauseAudio(Number(message.silenceMs) || 0);
           }
           break;
           
@@ -284,6 +409,10 @@ export async function handleSoloMode(clientWs) {
             await speechStream.forceCommit();
           }
           break;
+
+        case 'text':
+          await handleTextMessage(message);
+          break;
           
         default:
           console.log(`[SoloMode] Unknown message type: ${message.type}`);
@@ -301,6 +430,7 @@ export async function handleSoloMode(clientWs) {
       speechStream.destroy();
       speechStream = null;
     }
+    translationManager.clearContext(legacySessionId);
   });
 
   // Initial greeting
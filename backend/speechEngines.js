@@ -0,0 +1,415 @@
+/**
+ * Speech Engines - Pluggable speech-to-text backends for host and solo mode
+ *
+ * Every engine implements the same interface as GoogleSpeechStream:
+ * - initialize(sourceLang, options) → Promise<void>
+ *   options.diarization: label finals with a speaker (engines that support it)
+ *   options.languages: other candidate languages - results report the one detected
+ *   options.speechContexts: () => [{ phrases, boost }] phrase hints, read whenever the
+ *     recognizer (re)starts (engines that support speech adaptation)
+ *   options.audioFormat: { encoding, sampleRateHertz, audioChannelCount } of uploaded
+ *     files (batch jobs) - engines that can't take it throw
+ * - changeLanguage(sourceLang, options) → Promise<void>  switch mid-session (same options)
+ * - processAudio(audioData) → Promise<void>   (PCM16 as base64 or a Buffer, 24kHz mono unless
+ *   audioFormat says otherwise)
+ * - endAudio() / forceCommit() → Promise<void>
+ * - getAudioEncodings() → string[]  (optional) encodings processAudio takes - LINEAR16 (the
+ *   default), FLAC, OPUS (raw packets, see audioFrames.js); used to negotiate host codecs
+ * - pauseAudio(silenceMs) → Promise<void>  (optional) the client held back silenceMs of
+ *   silence (client-side VAD) - once the silence is long enough, finish the current
+ *   utterance instead of waiting for more audio
+ * - drain() → Promise<void>  (optional) resolves once every final for the audio sent so
+ *   far has been delivered, ready for more audio (batch jobs; falls back to forceCommit)
+ * - destroy()
+ * - onResult(callback)  callback(transcript, isPartial, result)
+ *   result (optional) is the structured recognition result - every field may be missing:
+ *   { transcript, isFinal,
+ *     stableText, stability,                 partials: settled leading part, 0-1 score
+ *     confidence, alternatives,              finals: 0-1 score, [{ transcript, confidence }]
+ *     words: [{ word, startMs, endMs, confidence }],  offsets relative to startTime
+ *     startTime, endTime,                    epoch ms of the first and last word
+ *     speakerId,                             diarization: who said most of a final
+ *     language }                             language detection: short code heard
+ * - onError(callback)   callback(error)
+ * - getStats() → Object
+ *
+ * The engine is chosen per session from the `engine` field of the `init`
+ * message, falling back to SPEECH_ENGINE (google | openai | replay).
+ * Clients may only pick engines in SPEECH_ENGINES_ALLOWED (by default just
+ * SPEECH_ENGINE) - others run on the server's API keys or files.
+ */
+
+import fs from 'fs/promises';
+import { GoogleSpeechStream } from './googleSpeechStream.js';
+import { OpenAIRealtimePool } from './openaiRealtimePool.js';
+import { toAudioBase64 } from './audioFrames.js';
+
+/**
+ * Adapter exposing OpenAIRealtimePool through the common engine interface
+ * The pool runs in transcription mode (source = target) so its output is a transcript
+ */
+export class OpenAIRealtimeSpeechEngine {
+  constructor(options = {}) {
+    this.apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+    this.poolSize = options.poolSize || 1;
+    this.pool = null;
+    this.resultCallback = null;
+    this.errorCallback = null;
+    this.languageCode = 'en';
+  }
+
+  getAudioEncodings() {
+    return ['LINEAR16'];
+  }
+
+  async initialize(sourceLang, options = {}) {
+    if (!this.apiKey) {
+      throw new Error('OPENAI_API_KEY not configured for OpenAI Realtime transcription');
+    }
+
+    const { encoding = 'LINEAR16', sampleRateHertz = 24000, audioChannelCount = 1 } = options.audioFormat || {};
+    if (encoding !== 'LINEAR16' || sampleRateHertz !== 24000 || audioChannelCount !== 1) {
+      throw new Error('OpenAI Realtime transcription only accepts 24 kHz mono PCM audio');
+    }
+
+    this.languageCode = sourceLang;
+    this.pool = new OpenAIRealtimePool(this.apiKey, this.poolSize);
+    // Pool delivers (text, sequenceId, isPartial) - normalize to (text, isPartial)
+    this.pool.onResult((text, sequenceId, isPartial) => {
+      if (this.resultCallback) {
+        this.resultCallback(text, isPartial);
+      }
+    });
+
+    try {
+      await this.pool.initialize(sourceLang, sourceLang);
+    } catch (error) {
+      if (this.errorCallback) {
+        this.errorCallback(error);
+      }
+      throw error;
+    }
+  }
+
+  async changeLanguage(sourceLang) {
+    // The pool is bound to its language - replace it, keeping the callbacks
+    if (this.pool) {
+      this.pool.destroy();
+      this.pool = null;
+    }
+    await this.initialize(sourceLang);
+  }
+
+  async processAudio(audioData) {
+    if (this.pool) {
+      // The Realtime API takes base64
+      await this.pool.processAudio(toAudioBase64(audioData));
+    }
+  }
+
+  async endAudio() {
+    // server_vad finalizes the turn on silence - nothing to do
+  }
+
+  async forceCommit() {
+    if (this.pool) {
+      await this.pool.forceCommit();
+    }
+  }
+
+  onResult(callback) {
+    this.resultCallback = callback;
+  }
+
+  onError(callback) {
+    this.errorCallback = callback;
+  }
+
+  destroy() {
+    if (this.pool) {
+      this.pool.destroy();
+      this.pool = null;
+    }
+    this.resultCallback = null;
+  }
+
+  getStats() {
+    return {
+      engine: 'openai',
+      languageCode: this.languageCode,
+      ...(this.pool ? this.pool.getStats() : {})
+    };
+  }
+}
+
+/**
+ * Replays a transcript file instead of recognizing audio
+ * Used for offline development and CI - no cloud credentials required.
+ *
+ * File format: one utterance per line (plain text), or a JSON array of strings
+ * or of { "text", "speaker", "lang" } objects (speakers are reported with diarization
+ * on, lang when candidate languages are given - simulating detection).
+ * Playback starts on the first audio chunk and advances on a timer, emitting
+ * word-by-word partials followed by a final for each utterance.
+ */
+export class FileReplaySpeechEngine {
+  constructor(options = {}) {
+    this.filePath = options.filePath || process.env.SPEECH_REPLAY_FILE;
+    this.wordIntervalMs = options.wordIntervalMs ?? Number(process.env.SPEECH_REPLAY_WORD_MS || 250);
+    this.loop = options.loop ?? process.env.SPEECH_REPLAY_LOOP === 'true';
+    this.utterances = [];
+    this.speakers = []; // Speaker id per utterance (JSON files only)
+    this.languages = []; // Spoken language per utterance (JSON files only)
+    this.diarization = false;
+    this.detectLanguage = false;
+    this.utteranceIndex = 0;
+    this.wordIndex = 0;
+    this.timer = null;
+    this.resultCallback = null;
+    this.errorCallback = null;
+    this.isActive = false;
+    this.languageCode = 'en';
+    this.audioChunks = 0;
+  }
+
+  async initialize(sourceLang, options = {}) {
+    this.languageCode = sourceLang;
+    this.diarization = Boolean(options.diarization);
+    this.detectLanguage = options.languages?.length > 0;
+
+    if (!this.filePath) {
+      throw new Error('SPEECH_REPLAY_FILE not configured for replay engine');
+    }
+
+    const content = await fs.readFile(this.filePath, 'utf8');
+    const trimmed = content.trim();
+    const lines = trimmed.startsWith('[')
+      ? JSON.parse(trimmed)
+      : trimmed.split(/\r?\n/);
+
+    const entries = lines
+      .map(line => (typeof line === 'object' && line !== null ? line : { text: line }))
+      .map(entry => ({ text: String(entry.text ?? '').trim(), speaker: entry.speaker, lang: entry.lang }))
+      .filter(entry => entry.text);
+
+    this.utterances = entries.map(entry => entry.text.split(/\s+/));
+    this.speakers = entries.map(entry => (entry.speaker === undefined ? undefined : String(entry.speaker)));
+    this.languages = entries.map(entry => entry.lang);
+
+    console.log(`[ReplaySpeech] Loaded ${this.utterances.length} utterances from ${this.filePath}`);
+  }
+
+  getAudioEncodings() {
+    // The audio is never decoded
+    return ['LINEAR16', 'FLAC', 'OPUS'];
+  }
+
+  async processAudio(audioData) {
+    this.audioChunks++;
+    if (!this.isActive) {
+      this.isActive = true;
+      this.scheduleNextWord();
+    }
+  }
+
+  scheduleNextWord() {
+    if (this.timer || !this.isActive) return;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.emitNextWord();
+    }, this.wordIntervalMs);
+  }
+
+  emitNextWord() {
+    if (this.utteranceIndex >= this.utterances.length) {
+      if (!this.loop || this.utterances.length === 0) {
+        this.isActive = false;
+        return;
+      }
+      this.utteranceIndex = 0;
+    }
+
+    const words = this.utterances[this.utteranceIndex];
+    this.wordIndex++;
+
+    if (this.wordIndex >= words.length) {
+      this.commitCurrentUtterance();
+    } else if (this.resultCallback) {
+      // Every word but the newest is treated as settled
+      const transcript = words.slice(0, this.wordIndex).join(' ');
+      this.resultCallback(transcript, true, {
+        transcript,
+        isFinal: false,
+        stableText: words.slice(0, this.wordIndex - 1).join(' '),
+        ...this.getDetectedLanguage()
+      });
+    }
+
+    this.scheduleNextWord();
+  }
+
+  commitCurrentUtterance() {
+    const words = this.utterances[this.utteranceIndex];
+    if (!words) return;
+
+    if (this.resultCallback) {
+      // One word per tick, so timings follow the replay speed
+      const endTime = Date.now();
+      const transcript = words.join(' ');
+      this.resultCallback(transcript, false, {
+        transcript,
+        isFinal: true,
+        words: words.map((word, index) => ({
+          word,
+          startMs: index * this.wordIntervalMs,
+          endMs: (index + 1) * this.wordIntervalMs
+        })),
+        startTime: endTime - words.length * this.wordIntervalMs,
+        endTime,
+        ...(this.diarization && this.speakers[this.utteranceIndex] && { speakerId: this.speakers[this.utteranceIndex] }),
+        ...this.getDetectedLanguage()
+      });
+    }
+    this.utteranceIndex++;
+    this.wordIndex = 0;
+  }
+
+  getDetectedLanguage() {
+    const language = this.languages[this.utteranceIndex];
+    return this.detectLanguage && language ? { language } : {};
+  }
+
+  async changeLanguage(sourceLang, options = {}) {
+    // Like a Google restart, switching ends the utterance in progress
+    await this.forceCommit();
+    this.languageCode = sourceLang;
+    this.detectLanguage = options.languages?.length > 0;
+  }
+
+  async endAudio() {
+    // Keep replaying - mirrors Google finalizing the current utterance on its own
+  }
+
+  async forceCommit() {
+    if (this.wordIndex > 0) {
+      this.commitCurrentUtterance();
+    }
+  }
+
+  async drain() {
+    // The file is the recognition result - deliver everything left at once
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    while (this.utteranceIndex < this.utterances.length) {
+      this.commitCurrentUtterance();
+    }
+    this.isActive = false;
+  }
+
+  onResult(callback) {
+    this.resultCallback = callback;
+  }
+
+  onError(callback) {
+    this.errorCallback = callback;
+  }
+
+  destroy() {
+    this.isActive = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    this.resultCallback = null;
+  }
+
+  getStats() {
+    return {
+      engine: 'replay',
+      isActive: this.isActive,
+      languageCode: this.languageCode,
+      utterance: this.utteranceIndex,
+      totalUtterances: this.utterances.length,
+      audioChunks: this.audioChunks
+    };
+  }
+}
+
+// Registry of engine factories keyed by name
+const engineFactories = new Map([
+  ['google', (options) => new GoogleSpeechStream(options)],
+  ['openai', (options) => new OpenAIRealtimeSpeechEngine(options)],
+  ['replay', (options) => new FileReplaySpeechEngine(options)]
+]);
+
+/**
+ * Register a custom speech engine factory
+ * @param {string} name - Value used in SPEECH_ENGINE or the init message
+ * @param {Function} factory - (options) => engine
+ */
+export function registerSpeechEngine(name, factory) {
+  engineFactories.set(name.toLowerCase(), factory);
+}
+
+/**
+ * Resolve the engine name for a session: explicit request, then config, then Google
+ */
+export function resolveSpeechEngineName(requested) {
+  const name = (requested || process.env.SPEECH_ENGINE || 'google').toLowerCase();
+  if (!engineFactories.has(name)) {
+    throw new Error(`Unknown speech engine "${name}". Available: ${getAvailableSpeechEngines().join(', ')}`);
+  }
+  return name;
+}
+
+/**
+ * Engines clients may ask for: SPEECH_ENGINES_ALLOWED (comma-separated) plus
+ * the configured default
+ */
+export function getAllowedSpeechEngines() {
+  const allowed = (process.env.SPEECH_ENGINES_ALLOWED || '')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(name => engineFactories.has(name));
+  return Array.from(new Set([resolveSpeechEngineName(), ...allowed]));
+}
+
+/**
+ * Resolve the engine a client asked for (init message, job upload)
+ * @throws {Error} for unknown engines and engines clients may not pick
+ */
+export function resolveClientSpeechEngineName(requested) {
+  const name = resolveSpeechEngineName(requested);
+  const allowed = getAllowedSpeechEngines();
+  if (!allowed.includes(name)) {
+    throw new Error(`Speech engine "${name}" is not enabled on this server. Available: ${allowed.join(', ')}`);
+  }
+  return name;
+}
+
+/**
+ * Create a speech engine instance by name
+ */
+export function createSpeechEngine(name, options = {}) {
+  const engineName = resolveSpeechEngineName(name);
+  return engineFactories.get(engineName)(options);
+}
+
+export function getAvailableSpeechEngines() {
+  return Array.from(engineFactories.keys());
+}
+
+/**
+ * Recognition details of a final result that are kept on the transcript segment
+ * and sent with its messages (confidence, word timings, time span, speaker)
+ */
+export function getRecognitionDetails(result = {}) {
+  return {
+    ...(result.confidence !== undefined && { confidence: result.confidence }),
+    ...(result.words?.length > 0 && { words: result.words }),
+    ...(result.startTime !== undefined && { startTime: result.startTime, endTime: result.endTime }),
+    ...(result.speakerId && { speakerId: result.speakerId })
+  };
+}
@@ -0,0 +1,271 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { parseWav, parsePcm, parseFlac, decodeAudio, probeAudioFile, splitIntoWindows } from '../audioFiles.js';
+
+function chunk(id, body) {
+  const header = Buffer.alloc(8);
+  header.write(id, 0, 'ascii');
+  header.writeUInt32LE(body.length, 4);
+  return Buffer.concat([header, body, Buffer.alloc(body.length % 2)]); // Word-aligned
+}
+
+function fmtChunk({ formatTag = 1, channels = 1, sampleRate = 16000, bitsPerSample = 16, extensible = false }) {
+  const body = Buffer.alloc(extensible ? 40 : 16);
+  body.writeUInt16LE(extensible ? 0xFFFE : formatTag, 0);
+  body.writeUInt16LE(channels, 2);
+  body.writeUInt32LE(sampleRate, 4);
+  body.writeUInt32LE(sampleRate * channels * (bitsPerSample / 8), 8);
+  body.writeUInt16LE(channels * (bitsPerSample / 8), 12);
+  body.writeUInt16LE(bitsPerSample, 14);
+  if (extensible) {
+    body.writeUInt16LE(22, 16);
+    body.writeUInt16LE(formatTag, 24); // SubFormat GUID starts with the format tag
+  }
+  return chunk('fmt ', body);
+}
+
+function wav(pcm, options = {}, chunks = null) {
+  const riff = Buffer.alloc(12);
+  riff.write('RIFF', 0, 'ascii');
+  riff.write('WAVE', 8, 'ascii');
+  const file = Buffer.concat([riff, ...(chunks || [fmtChunk(options), chunk('data', pcm)])]);
+  file.writeUInt32LE(file.length - 8, 4);
+  return file;
+}
+
+function pcm16(samples) {
+  const buffer = Buffer.alloc(samples.length * 2);
+  samples.forEach((sample, index) => buffer.writeInt16LE(sample, index * 2));
+  return buffer;
+}
+
+// CRC-8 (polynomial 0x07) of a FLAC frame header
+function crc8(bytes) {
+  let crc = 0;
+  for (const byte of bytes) {
+    crc ^= byte;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = crc & 0x80 ? ((crc << 1) ^ 0x07) & 0xFF : (crc << 1) & 0xFF;
+    }
+  }
+  return crc;
+}
+
+/**
+ * A FLAC file with fixed-size frames: STREAMINFO, then frames of zero bytes
+ * behind valid frame headers
+ */
+function flac({ frameCount, blockSize = 4096, sampleRate = 16000, channels = 1, totalSamples = frameCount * blockSize }) {
+  const streamInfo = Buffer.alloc(34);
+  streamInfo.writeUInt16BE(blockSize, 0);
+  streamInfo.writeUInt16BE(blockSize, 2);
+  streamInfo.writeBigUInt64BE(
+    (BigInt(sampleRate) << 44n) | (BigInt(channels - 1) << 41n) | (15n << 36n) | BigInt(totalSamples),
+    10
+  );
+
+  const frames = Array.from({ length: frameCount }, (_, number) => {
+    const header = [0xFF, 0xF8, 0xC0, 0x00, number]; // Block size 4096, rate and size from STREAMINFO
+    return Buffer.concat([Buffer.from([...header, crc8(header)]), Buffer.alloc(100)]);
+  });
+
+  return Buffer.concat([Buffer.from('fLaC', 'ascii'), Buffer.from([0x80, 0, 0, 34]), streamInfo, ...frames]);
+}
+
+describe('parseWav', () => {
+  it('reads mono 16-bit PCM', () => {
+    const samples = pcm16([0, 1000, -1000, 32767]);
+    const audio = parseWav(wav(samples));
+    assert.equal(audio.format, 'wav');
+    assert.deepEqual(audio.audioFormat, { encoding: 'LINEAR16', sampleRateHertz: 16000, audioChannelCount: 1 });
+    assert.deepEqual(audio.pcm, samples);
+    assert.equal(audio.durationMs, 0.25);
+  });
+
+  it('mixes stereo down to mono', () => {
+    const audio = parseWav(wav(pcm16([1000, 3000, -2000, 2000]), { channels: 2 }));
+    assert.deepEqual(audio.pcm, pcm16([2000, 0]));
+    assert.equal(audio.audioFormat.audioChannelCount, 1);
+  });
+
+  it('accepts WAVE_FORMAT_EXTENSIBLE PCM', () => {
+    const audio = parseWav(wav(pcm16([5, 6]), { extensible: true }));
+    assert.deepEqual(audio.pcm, pcm16([5, 6]));
+  });
+
+  it('skips other chunks, including odd-sized ones', () => {
+    const samples = pcm16([1, 2, 3]);
+    const audio = parseWav(wav(null, {}, [chunk('LIST', Buffer.from('odd')), fmtChunk({}), chunk('data', samples)]));
+    assert.deepEqual(audio.pcm, samples);
+  });
+
+  it('reads to the end when the data size is a streaming placeholder', () => {
+    const samples = pcm16([7, 8, 9]);
+    const file = wav(samples);
+    file.writeUInt32LE(0xFFFFFFFF, 40);
+    assert.deepEqual(parseWav(file).pcm, samples);
+  });
+
+  it('rejects other formats and damaged files', () => {
+    assert.throws(() => parseWav(Buffer.from('not a wav file')), /Not a WAV file/);
+    assert.throws(() => parseWav(wav(Buffer.alloc(4), { bitsPerSample: 8 })), /Only 16-bit PCM/);
+    assert.throws(() => parseWav(wav(Buffer.alloc(4), { formatTag: 3, bitsPerSample: 32 })), /Only 16-bit PCM/);
+    assert.throws(() => parseWav(wav(null, {}, [chunk('data', Buffer.alloc(4)), fmtChunk({})])), /before its format chunk/);
+    assert.throws(() => parseWav(wav(null, {}, [fmtChunk({})])), /no audio data/);
+  });
+});
+
+describe('parsePcm', () => {
+  it('takes the sample rate and channels from the uploader', () => {
+    const audio = parsePcm(pcm16([100, 300]), { sampleRate: 8000, channels: 2 });
+    assert.deepEqual(audio.pcm, pcm16([200]));
+    assert.equal(audio.audioFormat.sampleRateHertz, 8000);
+  });
+
+  it('rejects out-of-range settings', () => {
+    assert.throws(() => parsePcm(Buffer.alloc(4), { sampleRate: 4000 }), /sampleRate/);
+    assert.throws(() => parsePcm(Buffer.alloc(4), { sampleRate: 16000.5 }), /sampleRate/);
+    assert.throws(() => parsePcm(Buffer.alloc(4), { channels: 9 }), /channels/);
+  });
+});
+
+describe('parseFlac', () => {
+  it('finds the frames and their sample positions', () => {
+    const audio = parseFlac(flac({ frameCount: 3 }));
+    assert.equal(audio.format, 'flac');
+    assert.deepEqual(audio.audioFormat, { encoding: 'FLAC', sampleRateHertz: 16000, audioChannelCount: 1 });
+    assert.deepEqual(audio.frames.map(frame => frame.sample), [0, 4096, 8192]);
+    assert.equal(audio.totalSamples, 3 * 4096);
+    assert.equal(audio.durationMs, 768);
+    assert.equal(audio.header.length, 42);
+  });
+
+  it('works out the length from the last frame when STREAMINFO has none', () => {
+    const audio = parseFlac(flac({ frameCount: 2, totalSamples: 0 }));
+    assert.equal(audio.totalSamples, 2 * 4096);
+  });
+
+  it('ignores sync codes without a valid header CRC', () => {
+    const file = flac({ frameCount: 2 });
+    file[42 + 106 + 50] = 0xFF; // Inside the first frame's data
+    file[42 + 106 + 51] = 0xF8;
+    assert.equal(parseFlac(file).frames.length, 2);
+  });
+
+  it('rejects files without STREAMINFO or frames', () => {
+    assert.throws(() => parseFlac(Buffer.from('fLaC')), /Not a FLAC file/);
+    const withoutStreamInfo = flac({ frameCount: 1 });
+    withoutStreamInfo[4] = 0x81; // Last block, type 1 (padding)
+    assert.throws(() => parseFlac(withoutStreamInfo), /no STREAMINFO/);
+    assert.throws(() => parseFlac(Buffer.concat([flac({ frameCount: 0 }), Buffer.alloc(10)])), /no audio frames/);
+  });
+});
+
+describe('decodeAudio', () => {
+  it('recognizes WAV and FLAC by their content', () => {
+    assert.equal(decodeAudio(wav(pcm16([1]))).format, 'wav');
+    assert.equal(decodeAudio(flac({ frameCount: 1 })).format, 'flac');
+  });
+
+  it('needs format=pcm for raw PCM', () => {
+    assert.throws(() => decodeAudio(pcm16([1, 2])), /Unrecognized audio/);
+    assert.equal(decodeAudio(pcm16([1, 2]), { format: 'pcm', sampleRate: 16000 }).durationMs, 0.125);
+  });
+
+  it('rejects empty uploads', () => {
+    assert.throws(() => decodeAudio(Buffer.alloc(0)), /No audio uploaded/);
+    assert.throws(() => decodeAudio(null), /No audio uploaded/);
+  });
+});
+
+describe('probeAudioFile', () => {
+  let directory;
+  const write = (name, data) => {
+    const filePath = path.join(directory, name);
+    fs.writeFileSync(filePath, data);
+    return filePath;
+  };
+
+  before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'audio-files-test-'));
+  });
+
+  after(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('measures files like decodeAudio without loading them', async () => {
+    const files = [
+      [wav(Buffer.alloc(16000 * 4), { channels: 2 }), {}],
+      [wav(null, {}, [chunk('LIST', Buffer.alloc(2001)), fmtChunk({ sampleRate: 8000 }), chunk('data', Buffer.alloc(8000))]), {}],
+      [flac({ frameCount: 5 }), {}],
+      [Buffer.alloc(24000 * 2), { format: 'pcm' }],
+      [Buffer.alloc(16000 * 2), { format: 'pcm', sampleRate: 16000, channels: 2 }]
+    ];
+
+    for (const [index, [data, options]] of files.entries()) {
+      const probe = await probeAudioFile(write(`file-${index}`, data), options);
+      const audio = decodeAudio(data, options);
+      assert.deepEqual(probe, { format: audio.format, durationMs: audio.durationMs });
+    }
+  });
+
+  it('rejects what decodeAudio rejects', async () => {
+    await assert.rejects(probeAudioFile(write('empty', Buffer.alloc(0))), /No audio uploaded/);
+    await assert.rejects(probeAudioFile(write('text', Buffer.from('hello world'))), /Unrecognized audio/);
+    await assert.rejects(probeAudioFile(write('8bit', wav(Buffer.alloc(4), { bitsPerSample: 8 }))), /Only 16-bit PCM/);
+    await assert.rejects(probeAudioFile(write('short-flac', Buffer.from('fLaC'))), /no STREAMINFO/);
+    await assert.rejects(probeAudioFile(write('pcm', Buffer.alloc(4)), { format: 'pcm', sampleRate: 1 }), /sampleRate/);
+  });
+});
+
+describe('splitIntoWindows', () => {
+  it('splits PCM at the quietest moment before the window limit', () => {
+    const sampleRate = 16000;
+    const samples = Array.from({ length: sampleRate * 10 }, (_, index) => (index % 2 ? 8000 : -8000));
+    samples.fill(0, sampleRate * 6.5, sampleRate * 6.9); // Pause between sentences
+    const audio = parsePcm(pcm16(samples), { sampleRate });
+
+    const windows = splitIntoWindows(audio, 8000);
+    assert.equal(windows.length, 2);
+    assert.ok(windows[0].endMs > 6500 && windows[0].endMs < 6900, `cut at ${windows[0].endMs}ms`);
+    assert.equal(windows[1].startMs, windows[0].endMs);
+    assert.equal(windows[1].endMs, 10000);
+
+    for (const window of windows) {
+      const chunkMs = window.chunks.reduce((total, { durationMs }) => total + durationMs, 0);
+      assert.ok(Math.abs(chunkMs - (window.endMs - window.startMs)) < 0.001);
+      assert.ok(window.chunks.every(({ durationMs }) => durationMs <= 100));
+    }
+    const bytes = windows.flatMap(window => window.chunks).reduce((total, { data }) => total + data.length, 0);
+    assert.equal(bytes, audio.pcm.length);
+  });
+
+  it('keeps short recordings in one window', () => {
+    const windows = splitIntoWindows(parsePcm(Buffer.alloc(24000 * 2)));
+    assert.equal(windows.length, 1);
+    assert.equal(windows[0].chunks.length, 10);
+  });
+
+  it('splits FLAC on frame boundaries, each window starting with the header', () => {
+    const file = flac({ frameCount: 10 });
+    const audio = parseFlac(file);
+    const windows = splitIntoWindows(audio, 1000);
+
+    assert.ok(windows.length > 1);
+    assert.equal(windows[0].startMs, 0);
+    assert.equal(windows[windows.length - 1].endMs, audio.durationMs);
+    windows.forEach((window, index) => {
+      assert.deepEqual(window.chunks[0], { data: audio.header, durationMs: 0 });
+      assert.ok(window.endMs - window.startMs <= 1000);
+      if (index > 0) assert.equal(window.startMs, windows[index - 1].endMs);
+    });
+
+    // Every frame is sent exactly once, in order
+    const sent = Buffer.concat(windows.flatMap(window => window.chunks.slice(1).map(({ data }) => data)));
+    assert.deepEqual(sent, file.subarray(audio.frames[0].offset));
+  });
+});
@@ -0,0 +1,96 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  AUDIO_FRAME_VERSION,
+  AudioFrameReader,
+  negotiateAudioCodec,
+  parseAudioFrame,
+  splitOpusPackets
+} from '../audioFrames.js';
+
+function frame({ encoding = 1, channels = 1, sampleRate = 24000, sequence = 0, audio = Buffer.from([1, 2]), headerBytes = 12 } = {}) {
+  const header = Buffer.alloc(headerBytes);
+  header.writeUInt8(AUDIO_FRAME_VERSION, 0);
+  header.writeUInt8(headerBytes, 1);
+  header.writeUInt8(encoding, 2);
+  header.writeUInt8(channels, 3);
+  header.writeUInt32LE(sampleRate, 4);
+  header.writeUInt32LE(sequence, 8);
+  return Buffer.concat([header, audio]);
+}
+
+describe('parseAudioFrame', () => {
+  it('reads the header and payload', () => {
+    assert.deepEqual(parseAudioFrame(frame({ encoding: 2, sampleRate: 48000, sequence: 7 })), {
+      encoding: 'OPUS',
+      channels: 1,
+      sampleRate: 48000,
+      sequence: 7,
+      audio: Buffer.from([1, 2])
+    });
+  });
+
+  it('skips header fields it does not know', () => {
+    assert.deepEqual(parseAudioFrame(frame({ headerBytes: 16 })).audio, Buffer.from([1, 2]));
+  });
+
+  it('rejects damaged frames', () => {
+    assert.throws(() => parseAudioFrame(Buffer.alloc(4)), /too short/);
+    const badVersion = frame();
+    badVersion[0] = 9;
+    assert.throws(() => parseAudioFrame(badVersion), /version 9/);
+    const badHeader = frame();
+    badHeader[1] = 200;
+    assert.throws(() => parseAudioFrame(badHeader), /header length 200/);
+    assert.throws(() => parseAudioFrame(frame({ encoding: 5 })), /encoding 5/);
+  });
+});
+
+describe('AudioFrameReader', () => {
+  it('counts frames lost between sequence numbers, across wrap-around', () => {
+    const reader = new AudioFrameReader();
+    for (const sequence of [0xfffffffe, 0xffffffff, 1, 2, 5]) {
+      reader.read(frame({ sequence }));
+    }
+    assert.deepEqual(reader.getStats(), { framesReceived: 5, framesMissed: 3 });
+  });
+
+  it('ignores frames arriving out of order', () => {
+    const reader = new AudioFrameReader();
+    reader.read(frame({ sequence: 5 }));
+    reader.read(frame({ sequence: 4 }));
+    assert.equal(reader.getStats().framesMissed, 0);
+  });
+
+  it('only accepts the expected format', () => {
+    const reader = new AudioFrameReader({ sampleRate: 16000 });
+    assert.throws(() => reader.read(frame()), /24000 Hz x1 not accepted/);
+    assert.throws(() => reader.read(frame({ sampleRate: 16000, encoding: 2 })), /OPUS/);
+
+    reader.expect('OPUS');
+    assert.deepEqual(reader.read(frame({ sampleRate: 16000, encoding: 2 })), Buffer.from([1, 2]));
+  });
+});
+
+describe('splitOpusPackets', () => {
+  it('splits length-prefixed packets', () => {
+    const payload = Buffer.from([2, 0, 0xa, 0xb, 0, 0, 1, 0, 0xc]);
+    assert.deepEqual(splitOpusPackets(payload), [Buffer.from([0xa, 0xb]), Buffer.alloc(0), Buffer.from([0xc])]);
+  });
+
+  it('rejects a truncated packet', () => {
+    assert.throws(() => splitOpusPackets(Buffer.from([5, 0, 1, 2])), /Truncated/);
+  });
+});
+
+describe('negotiateAudioCodec', () => {
+  it('picks the first offered codec the engine accepts', () => {
+    assert.deepEqual(negotiateAudioCodec(['OPUS', 'pcm'], ['LINEAR16', 'OPUS']), { codec: 'opus', encoding: 'OPUS' });
+  });
+
+  it('falls back to PCM', () => {
+    assert.deepEqual(negotiateAudioCodec(['opus'], ['LINEAR16']), { codec: 'pcm', encoding: 'LINEAR16' });
+    assert.deepEqual(negotiateAudioCodec(['flac'], ['LINEAR16', 'OPUS']), { codec: 'pcm', encoding: 'LINEAR16' });
+    assert.deepEqual(negotiateAudioCodec(undefined), { codec: 'pcm', encoding: 'LINEAR16' });
+  });
+});
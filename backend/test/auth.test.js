@@ -0,0 +1,86 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createHostToken,
+  requireHostTokenOrAdmin,
+  hashPassword,
+  verifyPassword,
+  getJoinRetryAfterMs,
+  recordFailedJoin,
+  clearFailedJoins
+} from '../auth.js';
+
+describe('hashPassword', () => {
+  it('hashes with a random salt and verifies without blocking', async () => {
+    const pending = hashPassword('sesame');
+    assert.ok(pending instanceof Promise);
+    const passwordHash = await pending;
+
+    assert.match(passwordHash, /^[0-9a-f]{32}:[0-9a-f]{64}$/);
+    assert.notEqual(await hashPassword('sesame'), passwordHash);
+    assert.equal(await verifyPassword('sesame', passwordHash), true);
+    assert.equal(await verifyPassword('Sesame', passwordHash), false);
+    assert.equal(await verifyPassword(undefined, passwordHash), false);
+  });
+});
+
+describe('failed join limits', () => {
+  it('stops a client after too many wrong passwords, in that session only', () => {
+    for (let attempt = 0; attempt < 5; attempt++) {
+      assert.equal(getJoinRetryAfterMs('session-a', '10.0.0.1'), 0);
+      recordFailedJoin('session-a', '10.0.0.1');
+    }
+
+    const retryAfterMs = getJoinRetryAfterMs('session-a', '10.0.0.1');
+    assert.ok(retryAfterMs > 14 * 60 * 1000 && retryAfterMs <= 15 * 60 * 1000);
+    assert.equal(getJoinRetryAfterMs('session-a', '10.0.0.2'), 0);
+    assert.equal(getJoinRetryAfterMs('session-b', '10.0.0.1'), 0);
+  });
+
+  it("forgets a client's failures once it gets in", () => {
+    for (let attempt = 0; attempt < 4; attempt++) {
+      recordFailedJoin('session-c', '10.0.0.1');
+    }
+    clearFailedJoins('session-c', '10.0.0.1');
+    recordFailedJoin('session-c', '10.0.0.1');
+    assert.equal(getJoinRetryAfterMs('session-c', '10.0.0.1'), 0);
+  });
+
+  it('stops everyone once a session sees too many failures from all clients', () => {
+    for (let client = 0; client < 100; client++) {
+      recordFailedJoin('session-d', `10.0.1.${client}`);
+    }
+    assert.ok(getJoinRetryAfterMs('session-d', '10.0.2.1') > 0);
+  });
+});
+
+describe('requireHostTokenOrAdmin', () => {
+  /**
+   * Run the middleware on a request with a host token
+   * @returns {Promise<number>} the response status, 200 if it passed
+   */
+  async function check(middleware, token) {
+    let status = 200;
+    const req = { params: { sessionId: 'session-e' }, get: (name) => (name === 'authorization' ? `Bearer ${token}` : undefined) };
+    const res = { status(code) { status = code; return this; }, json() { return this; } };
+    await middleware(req, res, () => {});
+    return status;
+  }
+
+  it('refuses host tokens issued before the session cutoff', async () => {
+    const oldToken = createHostToken('session-e');
+    const cutoff = Date.now() + 1;
+    await new Promise(resolve => setTimeout(resolve, 5));
+    const newToken = createHostToken('session-e');
+    const lookups = [];
+    const middleware = requireHostTokenOrAdmin(req => req.params.sessionId, async (sessionId) => {
+      lookups.push(sessionId);
+      return cutoff;
+    });
+
+    assert.equal(await check(middleware, oldToken), 401);
+    assert.equal(await check(middleware, newToken), 200);
+    assert.equal(await check(middleware, createHostToken('session-f')), 401);
+    assert.deepEqual(lookups, ['session-e', 'session-e']); // Not for tokens of other sessions
+  });
+});
@@ -0,0 +1,120 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  normalizeGlossary,
+  mergeGlossaries,
+  getApplicableRules,
+  getRulesFingerprint,
+  formatGlossaryPrompt,
+  findGlossaryViolations
+} from '../glossary.js';
+
+const glossary = normalizeGlossary({
+  terms: [
+    { source: 'Eucharist', targets: { es: 'Eucaristía', fr: 'Eucharistie' } },
+    { source: 'Pastor Kim', targets: { es: 'Pastor Kim' } },
+    { source: '聖餐', targets: { en: 'Communion' } }
+  ],
+  doNotTranslate: ['EchoTranslate']
+});
+
+describe('normalizeGlossary', () => {
+  it('trims terms and drops empty targets', () => {
+    const normalized = normalizeGlossary({
+      terms: [{ source: '  Eucharist ', targets: { es: ' Eucaristía ', fr: '  ' } }],
+      doNotTranslate: [' EchoTranslate ', '', 42]
+    });
+    assert.deepEqual(normalized, {
+      terms: [{ source: 'Eucharist', targets: { es: 'Eucaristía' } }],
+      doNotTranslate: ['EchoTranslate']
+    });
+  });
+
+  it('rejects invalid shapes', () => {
+    assert.throws(() => normalizeGlossary(null), /must be an object/);
+    assert.throws(() => normalizeGlossary([]), /must be an object/);
+    assert.throws(() => normalizeGlossary({ terms: {} }), /must be arrays/);
+    assert.throws(() => normalizeGlossary({ terms: [{ source: 'x' }] }), /term 1 needs/);
+  });
+
+  it('limits the number of entries', () => {
+    const doNotTranslate = Array.from({ length: 501 }, (_, index) => `term${index}`);
+    assert.throws(() => normalizeGlossary({ doNotTranslate }), /limited to 500/);
+  });
+});
+
+describe('mergeGlossaries', () => {
+  it('lets later glossaries win per source term, case-insensitively', () => {
+    const merged = mergeGlossaries(
+      glossary,
+      null,
+      { terms: [{ source: 'eucharist', targets: { es: 'Santa Cena' } }], doNotTranslate: ['EchoTranslate', 'Zoom'] }
+    );
+    const eucharist = merged.terms.find(entry => entry.source.toLowerCase() === 'eucharist');
+    assert.deepEqual(eucharist.targets, { es: 'Santa Cena', fr: 'Eucharistie' });
+    assert.deepEqual(merged.doNotTranslate, ['EchoTranslate', 'Zoom']);
+  });
+
+  it('returns null when nothing is left', () => {
+    assert.equal(mergeGlossaries(null, { terms: [], doNotTranslate: [] }), null);
+  });
+});
+
+describe('getApplicableRules', () => {
+  it('matches whole words, case-insensitively, for the target language only', () => {
+    const rules = getApplicableRules(glossary, 'Welcome to the eucharist with EchoTranslate', 'es');
+    assert.deepEqual(rules, {
+      terms: [{ source: 'Eucharist', target: 'Eucaristía' }],
+      doNotTranslate: ['EchoTranslate']
+    });
+    assert.deepEqual(getApplicableRules(glossary, 'Eucharistic prayers', 'es').terms, []);
+    assert.deepEqual(getApplicableRules(glossary, 'The Eucharist', 'de').terms, []);
+  });
+
+  it('matches terms inside unspaced scripts', () => {
+    const rules = getApplicableRules(glossary, '今日は聖餐式です', 'en');
+    assert.deepEqual(rules.terms, [{ source: '聖餐', target: 'Communion' }]);
+  });
+
+  it('has no rules without a glossary', () => {
+    assert.deepEqual(getApplicableRules(null, 'Eucharist', 'es'), { terms: [], doNotTranslate: [] });
+  });
+});
+
+describe('getRulesFingerprint', () => {
+  it('is empty without rules and stable for the same rules', () => {
+    assert.equal(getRulesFingerprint({ terms: [], doNotTranslate: [] }), '');
+    const rules = getApplicableRules(glossary, 'The Eucharist', 'es');
+    assert.equal(getRulesFingerprint(rules), getRulesFingerprint(getApplicableRules(glossary, 'Eucharist today', 'es')));
+    assert.notEqual(getRulesFingerprint(rules), getRulesFingerprint(getApplicableRules(glossary, 'The Eucharist', 'fr')));
+  });
+});
+
+describe('formatGlossaryPrompt', () => {
+  it('lists terminology and protected terms', () => {
+    const prompt = formatGlossaryPrompt(getApplicableRules(glossary, 'Eucharist by EchoTranslate', 'es'));
+    assert.match(prompt, /"Eucharist" → "Eucaristía"/);
+    assert.match(prompt, /do not translate them: "EchoTranslate"/);
+    assert.equal(formatGlossaryPrompt({ terms: [], doNotTranslate: [] }), '');
+  });
+});
+
+describe('findGlossaryViolations', () => {
+  it('accepts translations that follow the glossary', () => {
+    const violations = findGlossaryViolations(glossary, 'The Eucharist on EchoTranslate', 'La Eucaristía en EchoTranslate', 'es');
+    assert.deepEqual(violations, []);
+  });
+
+  it('reports missing terms and translated protected terms', () => {
+    const violations = findGlossaryViolations(glossary, 'The Eucharist on EchoTranslate', 'La Santa Cena en EcoTraductor', 'es');
+    assert.deepEqual(violations, [
+      { type: 'term', source: 'Eucharist', expected: 'Eucaristía' },
+      { type: 'doNotTranslate', source: 'EchoTranslate', expected: 'EchoTranslate' }
+    ]);
+  });
+
+  it('needs the expected term as a whole word', () => {
+    const violations = findGlossaryViolations(glossary, 'The Eucharist', 'La Eucaristías', 'es');
+    assert.equal(violations.length, 1);
+  });
+});
@@ -0,0 +1,54 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { JsonFileStore } from '../jsonFileStore.js';
+
+let directory;
+
+before(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'json-file-store-test-'));
+});
+
+after(() => {
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+describe('JsonFileStore', () => {
+  it('keeps records in memory without a file', async () => {
+    const store = new JsonFileStore();
+    await store.set('org-1', { terms: [] });
+    assert.deepEqual(store.get('org-1').terms, []);
+    assert.equal(typeof store.get('org-1').updatedAt, 'number');
+    assert.equal(store.get(null), null);
+    assert.equal(await store.delete('org-1'), true);
+    assert.equal(await store.delete('org-1'), false);
+  });
+
+  it('persists every change and reads it back in a new store', async () => {
+    const filePath = path.join(directory, 'nested', 'records.json');
+    const store = new JsonFileStore({ filePath });
+    await store.set('org-1', { value: 1 });
+    await store.set('org-2', { value: 2 });
+    await store.delete('org-1');
+
+    const restored = new JsonFileStore({ filePath });
+    assert.equal(restored.get('org-1'), null);
+    assert.equal(restored.get('org-2').value, 2);
+    assert.equal(fs.existsSync(`${filePath}.tmp`), false);
+  });
+
+  it('runs overlapping writes one at a time, the last one winning', async () => {
+    const filePath = path.join(directory, 'overlapping.json');
+    const store = new JsonFileStore({ filePath });
+    await Promise.all(Array.from({ length: 5 }, (_, value) => store.set(`org-${value}`, { value })));
+    assert.equal(new JsonFileStore({ filePath }).records.size, 5);
+  });
+
+  it('starts empty when the file is unreadable', () => {
+    const filePath = path.join(directory, 'broken.json');
+    fs.writeFileSync(filePath, '{ not json');
+    assert.equal(new JsonFileStore({ filePath }).records.size, 0);
+  });
+});
@@ -0,0 +1,118 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { OggOpusWriter, opusPacketSamples } from '../oggOpus.js';
+
+// Bit-by-bit Ogg CRC-32 (polynomial 0x04c11db7, no reflection)
+function crc32(buffer) {
+  let crc = 0;
+  for (const byte of buffer) {
+    crc ^= byte << 24;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = crc & 0x80000000 ? (crc << 1) ^ 0x04c11db7 : crc << 1;
+    }
+  }
+  return crc >>> 0;
+}
+
+/**
+ * Split a stream back into pages, checking each page's CRC
+ */
+function readPages(stream) {
+  const pages = [];
+  let offset = 0;
+  while (offset < stream.length) {
+    assert.equal(stream.toString('ascii', offset, offset + 4), 'OggS');
+    const segmentCount = stream[offset + 26];
+    const lacing = [...stream.subarray(offset + 27, offset + 27 + segmentCount)];
+    const length = 27 + segmentCount + lacing.reduce((total, value) => total + value, 0);
+    const page = Buffer.from(stream.subarray(offset, offset + length));
+
+    const crc = page.readUInt32LE(22);
+    page.writeUInt32LE(0, 22);
+    assert.equal(crc, crc32(page), 'page CRC');
+
+    const packets = [];
+    let packetStart = 27 + segmentCount;
+    let packetLength = 0;
+    for (const value of lacing) {
+      packetLength += value;
+      if (value < 255) {
+        packets.push(page.subarray(packetStart, packetStart + packetLength));
+        packetStart += packetLength;
+        packetLength = 0;
+      }
+    }
+
+    pages.push({
+      headerType: page[5],
+      granulePosition: Number(page.readBigUInt64LE(6)),
+      serial: page.readUInt32LE(14),
+      sequence: page.readUInt32LE(18),
+      packets
+    });
+    offset += length;
+  }
+  return pages;
+}
+
+// CELT 20 ms, one frame
+const packet = (length, fill = 1) => Buffer.concat([Buffer.from([0xf8]), Buffer.alloc(length - 1, fill)]);
+
+describe('opusPacketSamples', () => {
+  it('reads the frame size and count from the TOC byte', () => {
+    assert.equal(opusPacketSamples(Buffer.from([0x08])), 960); // SILK 20 ms
+    assert.equal(opusPacketSamples(Buffer.from([0x60])), 480); // Hybrid 10 ms
+    assert.equal(opusPacketSamples(Buffer.from([0xf8])), 960); // CELT 20 ms
+    assert.equal(opusPacketSamples(Buffer.from([0xe0])), 120); // CELT 2.5 ms
+    assert.equal(opusPacketSamples(Buffer.from([0xf9])), 1920); // Two frames
+    assert.equal(opusPacketSamples(Buffer.from([0xfb, 0x03])), 2880); // Code 3, three frames
+    assert.equal(opusPacketSamples(Buffer.alloc(0)), 0);
+  });
+});
+
+describe('OggOpusWriter', () => {
+  it('starts the stream with OpusHead and OpusTags pages', () => {
+    const writer = new OggOpusWriter({ sampleRate: 16000, channels: 1 });
+    const [head, tags] = readPages(writer.headers());
+
+    assert.equal(head.headerType, 0x02);
+    assert.equal(head.sequence, 0);
+    assert.equal(head.packets[0].toString('ascii', 0, 8), 'OpusHead');
+    assert.equal(head.packets[0][9], 1);
+    assert.equal(head.packets[0].readUInt32LE(12), 16000);
+
+    assert.equal(tags.headerType, 0);
+    assert.equal(tags.sequence, 1);
+    assert.equal(tags.serial, head.serial);
+    assert.equal(tags.packets[0].toString('ascii', 0, 8), 'OpusTags');
+  });
+
+  it('writes packets with granule positions in 48 kHz samples', () => {
+    const writer = new OggOpusWriter();
+    writer.headers();
+    const packets = [packet(40), packet(255), packet(300)];
+    const [first] = readPages(writer.write(packets));
+    const [second] = readPages(writer.write([packet(10)]));
+
+    assert.deepEqual(first.packets, packets);
+    assert.equal(first.sequence, 2);
+    assert.equal(first.granulePosition, 3 * 960);
+    assert.equal(second.sequence, 3);
+    assert.equal(second.granulePosition, 4 * 960);
+  });
+
+  it('spreads a long chunk over several pages without splitting packets', () => {
+    const writer = new OggOpusWriter();
+    const packets = Array.from({ length: 300 }, (_, index) => packet(100, index % 200));
+    const pages = readPages(writer.write(packets));
+
+    assert.equal(pages.length, 2);
+    assert.deepEqual(pages.flatMap(page => page.packets), packets);
+    assert.equal(pages[0].granulePosition, pages[0].packets.length * 960);
+    assert.equal(pages[1].granulePosition, 300 * 960);
+  });
+
+  it('rejects a packet larger than one page', () => {
+    assert.throws(() => new OggOpusWriter().write([packet(255 * 255)]), /too large for one Ogg page/);
+  });
+});
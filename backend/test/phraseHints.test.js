@@ -0,0 +1,77 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizePhraseHints, mergePhraseHints, glossaryToPhraseHints, toSpeechContexts } from '../phraseHints.js';
+
+describe('normalizePhraseHints', () => {
+  it('trims phrases and applies the list boost to phrases without one', () => {
+    const hints = normalizePhraseHints({
+      phrases: [' Pastor Kim ', { value: 'Eucharist', boost: 15 }, { value: 'Advent' }],
+      boost: 5
+    });
+    assert.deepEqual(hints.phrases, [
+      { value: 'Pastor Kim', boost: 5 },
+      { value: 'Eucharist', boost: 15 },
+      { value: 'Advent', boost: 5 }
+    ]);
+    assert.deepEqual(normalizePhraseHints({ phrases: ['Advent'] }).phrases, [{ value: 'Advent', boost: null }]);
+  });
+
+  it('rejects invalid hints', () => {
+    assert.throws(() => normalizePhraseHints(['Advent']), /"phrases" array/);
+    assert.throws(() => normalizePhraseHints({ phrases: ['  '] }), /Phrase 1 needs/);
+    assert.throws(() => normalizePhraseHints({ phrases: ['x'.repeat(101)] }), /longer than 100/);
+    assert.throws(() => normalizePhraseHints({ phrases: ['Advent'], boost: 21 }), /"boost" must be/);
+    assert.throws(() => normalizePhraseHints({ phrases: [{ value: 'Advent', boost: 0 }] }), /Boost of phrase 1/);
+    assert.throws(() => normalizePhraseHints({ phrases: Array(5001).fill('x') }), /limited to 5000/);
+  });
+});
+
+describe('mergePhraseHints', () => {
+  it('lets later hints win for the same phrase, case-insensitively', () => {
+    const merged = mergePhraseHints(
+      { phrases: [{ value: 'Advent', boost: 5 }, { value: 'Lent', boost: 5 }] },
+      null,
+      { phrases: [{ value: 'advent', boost: 15 }] }
+    );
+    assert.deepEqual(merged.phrases, [{ value: 'advent', boost: 15 }, { value: 'Lent', boost: 5 }]);
+    assert.equal(mergePhraseHints(null, { phrases: [] }), null);
+  });
+});
+
+describe('glossaryToPhraseHints', () => {
+  const glossary = {
+    terms: [{ source: 'Eucharist', targets: { es: 'Eucaristía' } }],
+    doNotTranslate: ['EchoTranslate', 'x'.repeat(101)]
+  };
+
+  it('boosts glossary terms the recognizer can take', () => {
+    assert.deepEqual(glossaryToPhraseHints(glossary).phrases, [
+      { value: 'Eucharist', boost: 10 },
+      { value: 'EchoTranslate', boost: 10 }
+    ]);
+    assert.equal(glossaryToPhraseHints(null), null);
+  });
+
+  it('is turned off by a zero GLOSSARY_PHRASE_BOOST', () => {
+    process.env.GLOSSARY_PHRASE_BOOST = '0';
+    try {
+      assert.equal(glossaryToPhraseHints(glossary), null);
+    } finally {
+      delete process.env.GLOSSARY_PHRASE_BOOST;
+    }
+  });
+});
+
+describe('toSpeechContexts', () => {
+  it('groups phrases by boost', () => {
+    const contexts = toSpeechContexts({
+      phrases: [
+        { value: 'Advent', boost: 5 },
+        { value: 'Lent', boost: null },
+        { value: 'Eucharist', boost: 5 }
+      ]
+    });
+    assert.deepEqual(contexts, [{ phrases: ['Advent', 'Eucharist'], boost: 5 }, { phrases: ['Lent'] }]);
+    assert.deepEqual(toSpeechContexts(null), []);
+  });
+});
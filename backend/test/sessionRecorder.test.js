@@ -0,0 +1,43 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'session-recorder-test-'));
+process.env.RECORDING_DIR = directory;
+const { default: sessionRecorder } = await import('../sessionRecorder.js');
+
+const session = {
+  sessionId: '0f8fad5b-d9cb-469f-a165-70867728950e',
+  sessionCode: 'ABC123',
+  hostTokenNotBefore: 1000
+};
+
+const readManifest = () => JSON.parse(fs.readFileSync(path.join(directory, session.sessionId, 'manifest.json'), 'utf8'));
+
+before(async () => {
+  await sessionRecorder.writeAudio(session, Buffer.alloc(4800)); // 100 ms
+});
+
+after(() => {
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+describe('sessionRecorder', () => {
+  it('writes the audio to a WAV part listed in the manifest', () => {
+    const manifest = readManifest();
+    assert.equal(manifest.parts.length, 1);
+    assert.equal(manifest.parts[0].name, 'part-001.wav');
+    assert.equal(fs.statSync(path.join(directory, session.sessionId, 'part-001.wav')).size, 44 + 4800);
+  });
+
+  it('keeps the host token cutoff after the session ended', async () => {
+    assert.equal(await sessionRecorder.getHostTokenNotBefore(session.sessionId), 1000);
+
+    await sessionRecorder.stop(session.sessionId, [], 2000); // A newer token was used meanwhile
+    assert.equal(sessionRecorder.isRecording(session.sessionId), false);
+    assert.equal(readManifest().hostTokenNotBefore, 2000);
+    assert.equal(await sessionRecorder.getHostTokenNotBefore(session.sessionId), 2000);
+  });
+});
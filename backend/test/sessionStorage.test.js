@@ -0,0 +1,78 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { FileSessionStorage, MemorySessionStorage, createSessionStorage } from '../sessionStorage.js';
+
+let directory;
+let fileCount = 0;
+
+function createStorage(options = {}) {
+  return new FileSessionStorage({ filePath: path.join(directory, `sessions-${++fileCount}.json`), writeDelayMs: 10000, ...options });
+}
+
+const readRecords = (storage) => JSON.parse(fs.readFileSync(storage.filePath, 'utf8'));
+
+before(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'session-storage-test-'));
+});
+
+after(() => {
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+describe('FileSessionStorage', () => {
+  it('writes pending changes on flush', async () => {
+    const storage = createStorage();
+    await storage.save({ sessionId: 'a', code: 'AAAAAA' });
+    await storage.save({ sessionId: 'b', code: 'BBBBBB' });
+    await storage.delete('a');
+    assert.equal(fs.existsSync(storage.filePath), false); // Still debounced
+
+    await storage.flush();
+    assert.deepEqual(readRecords(storage), [{ sessionId: 'b', code: 'BBBBBB' }]);
+    assert.equal(fs.existsSync(`${storage.filePath}.tmp`), false);
+  });
+
+  it('runs overlapping writes one at a time, the last one winning', async () => {
+    const storage = createStorage();
+    const writes = [];
+    for (let index = 0; index < 5; index++) {
+      await storage.save({ sessionId: 'a', index });
+      writes.push(storage.write());
+    }
+    await Promise.all(writes);
+    assert.deepEqual(readRecords(storage), [{ sessionId: 'a', index: 4 }]);
+  });
+
+  it('waits for a write already running', async () => {
+    const storage = createStorage();
+    await storage.save({ sessionId: 'a' });
+    const running = storage.write();
+    await storage.save({ sessionId: 'b' });
+    await storage.flush();
+    await running;
+    assert.deepEqual(readRecords(storage).map(record => record.sessionId), ['a', 'b']);
+  });
+
+  it('loads what an earlier instance wrote', async () => {
+    const storage = createStorage();
+    await storage.save({ sessionId: 'a', transcript: [{ text: 'hello' }] });
+    await storage.flush();
+
+    const restored = new FileSessionStorage({ filePath: storage.filePath });
+    assert.deepEqual(await restored.load(), [{ sessionId: 'a', transcript: [{ text: 'hello' }] }]);
+  });
+
+  it('starts empty without a store file', async () => {
+    assert.deepEqual(await createStorage().load(), []);
+  });
+});
+
+describe('createSessionStorage', () => {
+  it('creates adapters by name', () => {
+    assert.ok(createSessionStorage('Memory') instanceof MemorySessionStorage);
+    assert.throws(() => createSessionStorage('redis'), /Unknown session storage "redis"/);
+  });
+});
@@ -0,0 +1,42 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { getAllowedSpeechEngines, resolveClientSpeechEngineName } from '../speechEngines.js';
+
+const { SPEECH_ENGINE, SPEECH_ENGINES_ALLOWED } = process.env;
+
+function setEnv(name, value) {
+  if (value === undefined) {
+    delete process.env[name];
+  } else {
+    process.env[name] = value;
+  }
+}
+
+afterEach(() => {
+  setEnv('SPEECH_ENGINE', SPEECH_ENGINE);
+  setEnv('SPEECH_ENGINES_ALLOWED', SPEECH_ENGINES_ALLOWED);
+});
+
+describe('resolveClientSpeechEngineName', () => {
+  it('only allows the configured engine by default', () => {
+    setEnv('SPEECH_ENGINE', 'google');
+    setEnv('SPEECH_ENGINES_ALLOWED', undefined);
+
+    assert.deepEqual(getAllowedSpeechEngines(), ['google']);
+    assert.equal(resolveClientSpeechEngineName(undefined), 'google');
+    assert.equal(resolveClientSpeechEngineName('Google'), 'google');
+    assert.throws(() => resolveClientSpeechEngineName('openai'), /"openai" is not enabled on this server. Available: google/);
+    assert.throws(() => resolveClientSpeechEngineName('replay'), /"replay" is not enabled/);
+  });
+
+  it('allows the engines in SPEECH_ENGINES_ALLOWED', () => {
+    setEnv('SPEECH_ENGINE', 'replay');
+    setEnv('SPEECH_ENGINES_ALLOWED', ' OpenAI , nonsense');
+
+    assert.deepEqual(getAllowedSpeechEngines(), ['replay', 'openai']);
+    assert.equal(resolveClientSpeechEngineName('openai'), 'openai');
+    assert.equal(resolveClientSpeechEngineName(), 'replay');
+    assert.throws(() => resolveClientSpeechEngineName('google'), /not enabled/);
+    assert.throws(() => resolveClientSpeechEngineName('nonsense'), /Unknown speech engine "nonsense"/);
+  });
+});
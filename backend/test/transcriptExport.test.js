@@ -0,0 +1,158 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderTranscript, exportTranscript, getExportLanguages, EXPORT_FORMATS } from '../transcriptExport.js';
+import sessionStore from '../sessionStore.js';
+import translationManager from '../translationManager.js';
+import translationScheduler from '../translationScheduler.js';
+
+const requested = [];
+const fakeProvider = {
+  name: 'fake',
+  async translateBatch(text, sourceLang, targetLangs) {
+    requested.push(...targetLangs);
+    return Object.fromEntries(targetLangs.map(lang => [lang, `${lang}: ${text}`]));
+  },
+  async translate(text, sourceLang, targetLang) {
+    return `${targetLang}: ${text}`;
+  }
+};
+
+let sourceCount = 0;
+
+/**
+ * A transcript source like the ones sessions and batch jobs provide
+ */
+function createSource(segments, overrides = {}) {
+  const cached = [];
+  const flagged = [];
+  return {
+    schedulerId: `transcript-export-test-${++sourceCount}`,
+    glossary: null,
+    cacheTranslations: (segment, translations) => cached.push([segment.sequenceId, translations]),
+    flagSegment: (segment, lang, violations) => flagged.push([segment.sequenceId, lang, violations]),
+    speakerName: (speakerId) => `Speaker ${speakerId}`,
+    segments,
+    sourceLang: 'en',
+    origin: 10000,
+    title: 'Test',
+    filenameBase: 'transcript-test',
+    meta: { sourceLang: 'en', createdAt: 10000 },
+    cached,
+    flagged,
+    ...overrides
+  };
+}
+
+const segments = [
+  // Recognizer word timings
+  { sequenceId: 1, sourceLang: 'en', originalText: 'Good morning', translations: { es: 'Buenos días' }, startTime: 11000, endTime: 12500 },
+  // Finalized at 13 s, two words - the cue's start is estimated
+  { sequenceId: 2, sourceLang: 'en', originalText: 'Welcome all', translations: { es: 'Bienvenidos' }, timestamp: 13000, speakerId: '2' }
+];
+
+before(() => {
+  translationManager.setProvider(fakeProvider);
+});
+
+beforeEach(() => {
+  requested.length = 0;
+  translationScheduler.configure({ sessionTokensPerMinute: 1000000 });
+});
+
+after(() => {
+  translationManager.provider = null;
+});
+
+describe('renderTranscript', () => {
+  it('renders SRT cues from word timings and estimates, never overlapping', async () => {
+    const result = await renderTranscript(createSource(segments), { lang: 'es', format: 'srt' });
+    assert.equal(result.filename, 'transcript-test-es.srt');
+    assert.match(result.contentType, /^application\/x-subrip/);
+    assert.equal(result.body, [
+      '1',
+      '00:00:01,000 --> 00:00:02,500',
+      'Buenos días',
+      '',
+      '2',
+      '00:00:02,500 --> 00:00:03,000',
+      'Speaker 2: Bienvenidos',
+      ''
+    ].join('\n'));
+  });
+
+  it('labels speakers with voice tags in WebVTT', async () => {
+    const { body } = await renderTranscript(createSource(segments), { format: 'vtt' });
+    assert.ok(body.startsWith('WEBVTT\n\n1\n00:00:01.000 --> 00:00:02.500\nGood morning\n'));
+    assert.match(body, /<v Speaker 2>Welcome all/);
+  });
+
+  it('escapes cue text and speaker names in WebVTT', async () => {
+    const source = createSource([
+      { sequenceId: 1, sourceLang: 'en', originalText: 'if a < b && b > c\n\n99\n00:00:00.000 --> 00:01:00.000', translations: {}, timestamp: 12000, speakerId: '1' }
+    ], {
+      speakerName: () => 'Kim</v>\n\n2\n00:00:00.000 --> 00:00:01.000'
+    });
+    const { body } = await renderTranscript(source, { format: 'vtt' });
+    const cue = body.split('\n').slice(2);
+
+    assert.equal(cue.length, 4);
+    assert.equal(cue[2], '<v Kim&lt;/v&gt; 2 00:00:00.000  00:00:01.000>if a &lt; b &amp;&amp; b &gt; c 99 00:00:00.000 --&gt; 00:01:00.000');
+  });
+
+  it('defaults to plain text in the source language', async () => {
+    const { body, filename } = await renderTranscript(createSource(segments));
+    assert.equal(filename, 'transcript-test-en.txt');
+    assert.equal(body, '[00:00:01] Good morning\n[00:00:02] Speaker 2: Welcome all\n');
+    assert.deepEqual(requested, []);
+  });
+
+  it('translates missing languages and caches them through the source', async () => {
+    const source = createSource(segments);
+    const { body } = await renderTranscript(source, { lang: 'fr', format: 'json' });
+    const exported = JSON.parse(body);
+
+    assert.equal(exported.lang, 'fr');
+    assert.deepEqual(exported.segments.map(cue => cue.text), ['fr: Good morning', 'fr: Welcome all']);
+    assert.deepEqual(requested, ['fr', 'fr']);
+    assert.deepEqual(source.cached, [[1, { fr: 'fr: Good morning' }], [2, { fr: 'fr: Welcome all' }]]);
+    assert.deepEqual(source.flagged, [[1, 'fr', []], [2, 'fr', []]]);
+  });
+
+  it('marks segments over the translation budget without caching them', async () => {
+    translationScheduler.configure({ sessionTokensPerMinute: 1 });
+    const source = createSource(segments);
+    const { body } = await renderTranscript(source, { lang: 'de' });
+
+    assert.equal(body, '[00:00:01] [Translation unavailable: de]\n[00:00:02] Speaker 2: [Translation unavailable: de]\n');
+    assert.deepEqual(source.cached, []);
+    translationScheduler.clearSession(source.schedulerId);
+  });
+
+  it('rejects unknown formats', async () => {
+    assert.deepEqual(EXPORT_FORMATS, ['srt', 'vtt', 'json', 'txt', 'md']);
+    await assert.rejects(renderTranscript(createSource(segments), { format: 'docx' }), /Unknown transcript format "docx"/);
+  });
+});
+
+describe('exportTranscript', () => {
+  it('exports a session after it ended, until its retention period is over', async () => {
+    const { sessionId, sessionCode } = sessionStore.createSession();
+    sessionStore.addTranscriptSegment(sessionId, { originalText: 'Good morning', translations: { es: 'Buenos días' } });
+
+    sessionStore.closeSession(sessionId); // What end_session does
+    assert.equal(sessionStore.getSessionByCode(sessionCode), null); // Can't be joined or hosted again
+
+    const ended = sessionStore.findSessionByCode(sessionCode.toLowerCase());
+    assert.equal(ended.sessionId, sessionId);
+    assert.deepEqual(getExportLanguages(ended), ['en', 'es']);
+    assert.match((await exportTranscript(ended, { lang: 'es' })).body, /\] Buenos días\n$/);
+
+    // Translations made for the export are kept on the ended session
+    assert.match((await exportTranscript(ended, { lang: 'fr' })).body, /\] fr: Good morning\n$/);
+    assert.equal(sessionStore.getTranscript(sessionId)[0].translations.fr, 'fr: Good morning');
+
+    ended.endedAt -= 24 * 60 * 60 * 1000;
+    sessionStore.deleteExpiredSessions();
+    assert.equal(sessionStore.findSessionByCode(sessionCode), null);
+  });
+});
@@ -0,0 +1,198 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import translationScheduler, { estimateTokens } from '../translationScheduler.js';
+
+const DEFAULTS = {
+  maxConcurrent: 1,
+  maxConcurrentPerSession: 1,
+  tokensPerMinute: 1000000,
+  sessionTokensPerMinute: 1000000,
+  partialIntervalMs: 0
+};
+
+function deferred() {
+  let resolve;
+  const promise = new Promise(done => { resolve = done; });
+  return { promise, resolve };
+}
+
+/**
+ * A request whose translation is run(signal) - records when it starts
+ */
+function request(label, started, run = () => Promise.resolve({ es: label })) {
+  return {
+    text: 'x',
+    sourceLang: 'en',
+    targetLangs: ['es'],
+    run: (signal) => {
+      started.push(label);
+      return run(signal);
+    }
+  };
+}
+
+// Runs until aborted, like a provider call that gets cancelled
+const untilAborted = (signal) => new Promise((resolve, reject) => {
+  signal.addEventListener('abort', () => reject(new Error('aborted')));
+});
+
+let sessionId;
+let sessionCount = 0;
+
+beforeEach(() => {
+  sessionId = `test-session-${++sessionCount}`;
+  translationScheduler.configure(DEFAULTS);
+});
+
+afterEach(() => {
+  translationScheduler.clearSession(sessionId);
+});
+
+describe('estimateTokens', () => {
+  it('counts input and output per target language plus the prompt', () => {
+    assert.equal(estimateTokens('x'.repeat(400), 1), 350);
+    assert.equal(estimateTokens('x'.repeat(400), 3), 1050);
+  });
+});
+
+describe('translationScheduler ordering', () => {
+  it('runs finals first, then partials, then background requests', async () => {
+    const started = [];
+    const blocker = deferred();
+    const results = [
+      translationScheduler.scheduleFinal(sessionId, 0, request('blocker', started, () => blocker.promise)),
+      translationScheduler.scheduleBackground(sessionId, request('background', started)),
+      translationScheduler.schedulePartial(sessionId, 1, request('partial', started)),
+      translationScheduler.scheduleFinal(sessionId, 2, request('final', started))
+    ];
+
+    blocker.resolve({ es: 'blocker' });
+    await Promise.all(results);
+    assert.deepEqual(started, ['blocker', 'final', 'partial', 'background']);
+  });
+
+  it('keeps only the newest waiting partial of a segment', async () => {
+    const started = [];
+    const blocker = deferred();
+    const blocked = translationScheduler.scheduleFinal(sessionId, 0, request('blocker', started, () => blocker.promise));
+    const first = translationScheduler.schedulePartial(sessionId, 1, request('first', started));
+    const second = translationScheduler.schedulePartial(sessionId, 1, request('second', started));
+
+    assert.equal(await first, null);
+    blocker.resolve({});
+    await blocked;
+    assert.deepEqual(await second, { es: 'second' });
+    assert.deepEqual(started, ['blocker', 'second']);
+    assert.equal(translationScheduler.getSessionStats(sessionId).dropped.superseded, 1);
+  });
+
+  it("aborts a segment's partial when its final arrives", async () => {
+    const started = [];
+    let partialSignal;
+    const partial = translationScheduler.schedulePartial(sessionId, 1, request('partial', started, (signal) => {
+      partialSignal = signal;
+      return untilAborted(signal);
+    }));
+    const final = translationScheduler.scheduleFinal(sessionId, 1, request('final', started));
+
+    assert.equal(await partial, null);
+    assert.equal(partialSignal.aborted, true);
+    assert.deepEqual(await final, { es: 'final' });
+    assert.equal(translationScheduler.getSessionStats(sessionId).dropped.stale, 1);
+  });
+
+  it('drops the partials of a segment that never got a final when the next one starts', async () => {
+    const started = [];
+    const blocker = deferred();
+    let abandonedSignal;
+    const abandoned = translationScheduler.schedulePartial(sessionId, 1, request('abandoned', started, (signal) => {
+      abandonedSignal = signal;
+      return untilAborted(signal);
+    }));
+    const blocked = translationScheduler.scheduleFinal(sessionId, 2, request('blocker', started, () => blocker.promise));
+    const waiting = translationScheduler.schedulePartial(sessionId, 3, request('waiting', started));
+    const next = translationScheduler.schedulePartial(sessionId, 4, request('next', started));
+
+    assert.equal(await abandoned, null);
+    assert.equal(abandonedSignal.aborted, true);
+    assert.equal(await waiting, null);
+    blocker.resolve({});
+    await blocked;
+    assert.deepEqual(await next, { es: 'next' });
+    assert.deepEqual(started, ['abandoned', 'blocker', 'next']);
+
+    const stats = translationScheduler.getSessionStats(sessionId);
+    assert.equal(stats.dropped.stale, 2);
+    assert.equal(translationScheduler.sessions.get(sessionId).segments.size, 1);
+  });
+
+  it('drops the waiting partials of a cleared session', async () => {
+    const started = [];
+    const blocker = deferred();
+    const blocked = translationScheduler.scheduleFinal(sessionId, 0, request('blocker', started, () => blocker.promise));
+    const partial = translationScheduler.schedulePartial(sessionId, 1, request('partial', started));
+
+    translationScheduler.clearSession(sessionId);
+    assert.equal(await partial, null);
+    blocker.resolve({ es: 'blocker' });
+    assert.deepEqual(await blocked, { es: 'blocker' }); // Finals still complete
+    assert.deepEqual(started, ['blocker']);
+  });
+});
+
+describe('translationScheduler limits', () => {
+  it('holds jobs over the per-session limit and runs other sessions meanwhile', async () => {
+    translationScheduler.configure({ maxConcurrent: 8, maxConcurrentPerSession: 2 });
+    const otherSessionId = `${sessionId}-other`;
+    const started = [];
+    const blockers = [deferred(), deferred()];
+    const results = [
+      translationScheduler.scheduleFinal(sessionId, 1, request('first', started, () => blockers[0].promise)),
+      translationScheduler.scheduleFinal(sessionId, 2, request('second', started, () => blockers[1].promise)),
+      translationScheduler.scheduleFinal(sessionId, 3, request('third', started)),
+      translationScheduler.scheduleFinal(otherSessionId, 1, request('other', started))
+    ];
+
+    assert.deepEqual(started, ['first', 'second', 'other']);
+    blockers[0].resolve({});
+    blockers[1].resolve({});
+    await Promise.all(results);
+    assert.deepEqual(started, ['first', 'second', 'other', 'third']);
+    translationScheduler.clearSession(otherSessionId);
+  });
+
+  it('drops partials and background requests over the token budget but never finals', async () => {
+    const tokens = estimateTokens('x', 1);
+    translationScheduler.configure({ maxConcurrent: 8, maxConcurrentPerSession: 8, sessionTokensPerMinute: tokens + 1 });
+    const started = [];
+
+    assert.deepEqual(await translationScheduler.scheduleFinal(sessionId, 1, request('final', started)), { es: 'final' });
+    assert.equal(await translationScheduler.schedulePartial(sessionId, 2, request('partial', started)), null);
+    assert.equal(await translationScheduler.scheduleBackground(sessionId, request('background', started)), null);
+    assert.deepEqual(await translationScheduler.scheduleFinal(sessionId, 2, request('over budget', started)), { es: 'over budget' });
+
+    assert.deepEqual(started, ['final', 'over budget']);
+    const stats = translationScheduler.getSessionStats(sessionId);
+    assert.equal(stats.dropped.budget, 2);
+    assert.equal(stats.finalsTranslated, 2);
+    assert.equal(stats.tokensLastMinute, tokens * 2);
+  });
+
+  it('spaces out the partials of a segment by the partial interval', async () => {
+    translationScheduler.configure({ partialIntervalMs: 100 });
+    const started = [];
+    const startedAt = [];
+    const timed = (label) => request(label, started, () => {
+      startedAt.push(Date.now());
+      return Promise.resolve({ es: label });
+    });
+
+    // The scheduler's wake-up timer doesn't keep the process alive
+    const keepAlive = setTimeout(() => {}, 1000);
+    await translationScheduler.schedulePartial(sessionId, 1, timed('first'));
+    await translationScheduler.schedulePartial(sessionId, 1, timed('second'));
+    clearTimeout(keepAlive);
+    assert.deepEqual(started, ['first', 'second']);
+    assert.ok(startedAt[1] - startedAt[0] >= 90, `second partial started after ${startedAt[1] - startedAt[0]}ms`);
+  });
+});
@@ -0,0 +1,280 @@
+/**
+ * Transcript Export - Renders a session's segment log as captions or documents
+ *
+ * Formats: srt, vtt, json, txt, md (Markdown pastes cleanly into Word/Docs).
+ * Batch jobs (see jobManager) render through the same path with their own
+ * transcript source.
+ * Times are relative to session start. Segments with recognizer word timings
+ * (startTime/endTime) use them; others only record when they were finalized,
+ * so the cue ends at that moment and starts at an estimate based on its word
+ * count. Cues never start before the previous cue ends.
+ * Diarized segments are labeled with the speaker's current name.
+ * Missing translations go through translationScheduler as background requests,
+ * so they share the session's concurrency and token budget with live translation.
+ */
+
+import sessionStore from './sessionStore.js';
+import translationScheduler from './translationScheduler.js';
+import glossaryStore from './glossaryStore.js';
+import { findGlossaryViolations } from './glossary.js';
+
+// Cue length estimate for subtitle timing
+const MS_PER_WORD = 400;
+const MIN_CUE_MS = 1000;
+const MAX_CUE_MS = 7000;
+
+/**
+ * Translation cache, glossary flags and speaker names of a session
+ */
+function sessionHooks(sessionId) {
+  return {
+    schedulerId: sessionId,
+    glossary: glossaryStore.resolveForSession(sessionStore.findSession(sessionId)),
+    cacheTranslations: (segment, translations) => sessionStore.cacheSegmentTranslations(sessionId, segment, translations),
+    flagSegment: (segment, lang, violations) => sessionStore.flagSegment(sessionId, segment, lang, violations),
+    speakerName: (speakerId) => sessionStore.getSpeakerName(sessionId, speakerId)
+  };
+}
+
+/**
+ * A session as a transcript source - segments, timeline origin, naming and
+ * the hooks above. Batch jobs provide the same shape.
+ */
+function sessionSource(session) {
+  return {
+    ...sessionHooks(session.sessionId),
+    segments: sessionStore.getTranscript(session.sessionId),
+    sourceLang: session.sourceLang,
+    origin: session.createdAt,
+    title: `Session ${session.sessionCode}`,
+    filenameBase: `transcript-${session.sessionCode}`,
+    meta: {
+      sessionCode: session.sessionCode,
+      sourceLang: session.sourceLang,
+      createdAt: session.createdAt
+    }
+  };
+}
+
+/**
+ * Resolve the text of each segment in one language
+ * Missing translations are produced on demand (scheduled under source.schedulerId)
+ * and cached through the source. Segments dropped for the token budget are
+ * marked unavailable and not cached, so a later export fills them in.
+ * @returns {Promise<Array<{segment: Object, text: string}>>}
+ */
+async function localize(source, segments, targetLang) {
+  const { glossary } = source;
+  let dropped = 0;
+
+  const localized = await Promise.all(segments.map(async (segment) => {
+    let text = segment.sourceLang === targetLang
+      ? segment.originalText
+      : segment.translations[targetLang];
+
+    if (text === undefined) {
+      try {
+        const translations = await translationScheduler.scheduleBackground(source.schedulerId, {
+          text: segment.originalText,
+          sourceLang: segment.sourceLang,
+          targetLangs: [targetLang],
+          apiKey: process.env.OPENAI_API_KEY,
+          options: { glossary }
+        });
+        if (!translations) {
+          dropped++;
+          return { segment, text: `[Translation unavailable: ${targetLang}]` };
+        }
+        text = translations[targetLang];
+        source.cacheTranslations(segment, { [targetLang]: text });
+        const violations = findGlossaryViolations(glossary, segment.originalText, text, targetLang);
+        source.flagSegment(segment, targetLang, violations);
+      } catch (error) {
+        console.error(`[TranscriptExport] Translation to ${targetLang} failed:`, error.message);
+        text = `[Translation error: ${targetLang}]`;
+      }
+    }
+
+    return { segment, text };
+  }));
+
+  if (dropped > 0) {
+    console.warn(`[TranscriptExport] ${dropped} segment(s) not translated to ${targetLang} - translation budget reached`);
+  }
+  return localized;
+}
+
+/**
+ * Resolve the text of a session's segments in one language (cached on the session)
+ * @returns {Promise<Array<{segment: Object, text: string}>>}
+ */
+export async function localizeSegments(sessionId, segments, targetLang) {
+  return localize(sessionHooks(sessionId), segments, targetLang);
+}
+
+/**
+ * Assign start/end offsets (ms from the source's origin) to localized segments
+ * Segments flagged for glossary violations in targetLang carry them along, as do
+ * the recognizer's confidence and source-language word timings (JSON export).
+ */
+function buildCues(source, localized, targetLang) {
+  const { origin } = source;
+  let previousEnd = 0;
+
+  return localized.map(({ segment, text }) => {
+    let start;
+    let end;
+    if (segment.startTime !== undefined) {
+      start = Math.max(segment.startTime - origin, previousEnd);
+      end = Math.max(segment.endTime - origin, start);
+    } else {
+      end = Math.max(segment.timestamp - origin, previousEnd);
+      const wordCount = segment.originalText.split(/\s+/).filter(Boolean).length;
+      const estimate = Math.min(Math.max(wordCount * MS_PER_WORD, MIN_CUE_MS), MAX_CUE_MS);
+      start = Math.max(end - estimate, previousEnd);
+    }
+    previousEnd = end;
+
+    // Word offsets are relative to the segment - shift them onto the transcript timeline
+    const wordOffset = segment.startTime !== undefined ? segment.startTime - origin : null;
+
+    return {
+      sequenceId: segment.sequenceId,
+      start,
+      end,
+      originalText: segment.originalText,
+      text,
+      ...(segment.speakerId && {
+        speakerId: segment.speakerId,
+        speaker: source.speakerName(segment.speakerId)
+      }),
+      ...(segment.confidence !== undefined && { confidence: segment.confidence }),
+      ...(segment.words && wordOffset !== null && {
+        words: segment.words.map(word => ({ ...word, startMs: word.startMs + wordOffset, endMs: word.endMs + wordOffset }))
+      }),
+      ...(segment.glossaryFlags?.[targetLang] && { glossaryViolations: segment.glossaryFlags[targetLang] })
+    };
+  });
+}
+
+/**
+ * Format milliseconds as HH:MM:SS{separator}mmm
+ */
+function formatTimestamp(ms, separator) {
+  const hours = Math.floor(ms / 3600000);
+  const minutes = Math.floor((ms % 3600000) / 60000);
+  const seconds = Math.floor((ms % 60000) / 1000);
+  const millis = Math.floor(ms % 1000);
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(millis, 3)}`;
+}
+
+/**
+ * Cue text prefixed with its speaker ("Name: text") when diarized
+ */
+function labeled(cue) {
+  return cue.speaker ? `${cue.speaker}: ${cue.text}` : cue.text;
+}
+
+/**
+ * Text safe inside a WebVTT cue - markup characters escaped, on one line
+ * (a blank line would end the cue)
+ */
+function vttText(text) {
+  return String(text)
+    .replace(/\s*[\r\n]+\s*/g, ' ')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Voice tag for a speaker - the name can't contain a cue timing arrow either
+ */
+function vttVoice(speaker) {
+  return `<v ${vttText(speaker.replace(/-->/g, ''))}>`;
+}
+
+const renderers = {
+  srt: {
+    contentType: 'application/x-subrip; charset=utf-8',
+    render: (cues) => cues.map((cue, index) => (
+      `${index + 1}\n${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}\n${labeled(cue)}\n`
+    )).join('\n')
+  },
+
+  vtt: {
+    contentType: 'text/vtt; charset=utf-8',
+    render: (cues) => 'WEBVTT\n\n' + cues.map(cue => (
+      `${cue.sequenceId}\n${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(cue.end, '.')}\n${cue.speaker ? vttVoice(cue.speaker) : ''}${vttText(cue.text)}\n`
+    )).join('\n')
+  },
+
+  json: {
+    contentType: 'application/json; charset=utf-8',
+    render: (cues, meta) => JSON.stringify({ ...meta, segments: cues }, null, 2)
+  },
+
+  txt: {
+    contentType: 'text/plain; charset=utf-8',
+    render: (cues) => cues.map(cue => `[${formatTimestamp(cue.start, '.').slice(0, 8)}] ${labeled(cue)}`).join('\n') + '\n'
+  },
+
+  md: {
+    contentType: 'text/markdown; charset=utf-8',
+    render: (cues, meta, title) => [
+      `# Transcript - ${title}`,
+      '',
+      `- **Language:** ${meta.lang}`,
+      `- **Source language:** ${meta.sourceLang}`,
+      `- **Started:** ${new Date(meta.createdAt).toISOString()}`,
+      '',
+      ...cues.map(cue => `**[${formatTimestamp(cue.start, '.').slice(0, 8)}]** ${cue.speaker ? `**${cue.speaker}:** ` : ''}${cue.text}\n`)
+    ].join('\n')
+  }
+};
+
+export const EXPORT_FORMATS = Object.keys(renderers);
+
+/**
+ * Render a transcript source (see sessionSource) in one language and format
+ * @returns {Promise<{contentType: string, filename: string, body: string}>}
+ */
+export async function renderTranscript(source, { lang, format = 'txt' } = {}) {
+  const renderer = renderers[format];
+  if (!renderer) {
+    throw new Error(`Unknown transcript format "${format}". Available: ${EXPORT_FORMATS.join(', ')}`);
+  }
+
+  const targetLang = lang || source.sourceLang;
+  const localized = await localize(source, source.segments, targetLang);
+  const cues = buildCues(source, localized, targetLang);
+
+  return {
+    contentType: renderer.contentType,
+    filename: `${source.filenameBase}-${targetLang}.${format}`,
+    body: renderer.render(cues, { ...source.meta, lang: targetLang }, source.title)
+  };
+}
+
+/**
+ * Languages a session's transcript can be exported in: its source languages,
+ * the languages its listeners use now, and any a segment was translated to
+ * @returns {string[]}
+ */
+export function getExportLanguages(session) {
+  const languages = new Set([session.sourceLang, ...sessionStore.getSessionLanguages(session.sessionId)]);
+  sessionStore.getTranscript(session.sessionId).forEach(segment => {
+    languages.add(segment.sourceLang);
+    Object.keys(segment.translations).forEach(lang => languages.add(lang));
+  });
+  return Array.from(languages);
+}
+
+/**
+ * Render the transcript of a session in one language and format
+ * @returns {Promise<{contentType: string, filename: string, body: string}>}
+ */
+export async function exportTranscript(session, options = {}) {
+  return renderTranscript(sessionSource(session), options);
+}
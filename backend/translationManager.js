@@ -6,70 +6,91 @@
  * - Uses GPT-4 for high-quality translations
  * - Maintains caching and batch translation optimization
  * - Same interface for backward compatibility
+ *
+ * PROVIDERS:
+ * - The actual translation call is delegated to a pluggable provider
+ *   (see translationProviders.js), selected with TRANSLATION_PROVIDER
+ * - OpenAI remains the default; DeepL, Google, LibreTranslate and an
+ *   offline stub are available without code changes
+ *
+ * GLOSSARIES:
+ * - options.glossary (see glossary.js) is passed to the provider, which puts
+ *   the applicable terms in its prompt when it can; cached translations are
+ *   keyed by the rules that applied so glossary edits take effect immediately
+ *
+ * CONTEXT:
+ * - Speech is finalized in fragments, so each segment is translated together
+ *   with the last few segments of the same session and target language
+ *   (options.contextId). Only finals update the window (options.updateContext);
+ *   its size is set with TRANSLATION_CONTEXT_SEGMENTS (0 disables it)
+ * - Cached translations are keyed by a hash of the full text and its context,
+ *   so a translation is only reused for the same words after the same segments
+ *
+ * INCREMENTAL PARTIALS:
+ * - translateIncremental() splits a partial into its stable prefix (as reported
+ *   by the speech engine) and the tentative tail. The stable prefix already
+ *   translated for the segment is reused; only the newly stable words and the
+ *   tail are sent to the provider, with the known prefix as context
+ *
+ * CANCELLATION:
+ * - options.signal (AbortSignal) is passed to the provider; an aborted call
+ *   rejects instead of falling back to per-language retries
  */
 
-import fetch from 'node-fetch';
-
-// Language code to full name mapping
-const LANGUAGE_NAMES = {
-  'en': 'English',
-  'es': 'Spanish',
-  'fr': 'French',
-  'de': 'German',
-  'it': 'Italian',
-  'pt': 'Portuguese',
-  'pt-BR': 'Portuguese (Brazil)',
-  'ru': 'Russian',
-  'ja': 'Japanese',
-  'ko': 'Korean',
-  'zh': 'Chinese (Simplified)',
-  'zh-TW': 'Chinese (Traditional)',
-  'ar': 'Arabic',
-  'hi': 'Hindi',
-  'nl': 'Dutch',
-  'pl': 'Polish',
-  'tr': 'Turkish',
-  'bn': 'Bengali',
-  'vi': 'Vietnamese',
-  'th': 'Thai',
-  'id': 'Indonesian',
-  'sv': 'Swedish',
-  'no': 'Norwegian',
-  'da': 'Danish',
-  'fi': 'Finnish',
-  'el': 'Greek',
-  'cs': 'Czech',
-  'ro': 'Romanian',
-  'hu': 'Hungarian',
-  'he': 'Hebrew',
-  'uk': 'Ukrainian',
-  'fa': 'Persian',
-  'ur': 'Urdu',
-  'ta': 'Tamil',
-  'te': 'Telugu',
-  'mr': 'Marathi',
-  'gu': 'Gujarati',
-  'kn': 'Kannada',
-  'ml': 'Malayalam',
-  'sw': 'Swahili',
-  'fil': 'Filipino',
-  'ms': 'Malay',
-  'ca': 'Catalan',
-  'sk': 'Slovak',
-  'bg': 'Bulgarian',
-  'hr': 'Croatian',
-  'sr': 'Serbian',
-  'lt': 'Lithuanian',
-  'lv': 'Latvian',
-  'et': 'Estonian',
-  'sl': 'Slovenian',
-  'af': 'Afrikaans'
-};
+import crypto from 'crypto';
+import { LANGUAGE_NAMES, createTranslationProvider } from './translationProviders.js';
+import { getApplicableRules, getRulesFingerprint, UNSPACED_SCRIPT } from './glossary.js';
+import { readNumber } from './config.js';
+
+// Preceding segments sent along with each translation
+const DEFAULT_CONTEXT_SEGMENTS = 3;
+
+// Context windows kept in memory (least recently updated are dropped first)
+const MAX_CONTEXT_WINDOWS = 200;
+
+/**
+ * Join two pieces of text, without a space between scripts that don't use them
+ */
+export function joinText(first, second) {
+  if (!first) return second;
+  if (!second) return first;
+  const last = Array.from(first).pop();
+  return UNSPACED_SCRIPT.test(last) && UNSPACED_SCRIPT.test(second[0])
+    ? `${first}${second}`
+    : `${first} ${second}`;
+}
 
 class TranslationManager {
   constructor() {
     this.translationCache = new Map(); // Cache recent translations
     this.pendingTranslations = new Map(); // Debounce translation requests
+    this.contexts = new Map(); // contextId -> Map<targetLang, [{ source, translation }]>
+    this.provider = null; // Created on first use (TRANSLATION_PROVIDER)
+    this.contextWindowSize = Math.floor(readNumber('TRANSLATION_CONTEXT_SEGMENTS', DEFAULT_CONTEXT_SEGMENTS, { allowZero: true }));
+  }
+
+  /**
+   * Get the active translation provider, creating it from config on first use
+   */
+  getProvider() {
+    if (!this.provider) {
+      const providerName = process.env.TRANSLATION_PROVIDER || 'openai';
+      this.provider = createTranslationProvider(providerName);
+      console.log(`[TranslationManager] Using translation provider: ${this.provider.name}`);
+    }
+    return this.provider;
+  }
+
+  /**
+   * Replace the active translation provider
+   * @param {string|Object} provider - Registered provider name or provider instance
+   */
+  setProvider(provider, options = {}) {
+    this.provider = typeof provider === 'string'
+      ? createTranslationProvider(provider, options)
+      : provider;
+    this.clearCache();
+    console.log(`[TranslationManager] Translation provider set to: ${this.provider.name}`);
   }
 
   /**
@@ -77,7 +98,7 @@ class TranslationManager {
    * Uses batch translation to minimize API calls
    * MIGRATION NOTE: Now uses OpenAI instead of Gemini
    */
-  async translateToMultipleLanguages(text, sourceLang, targetLangs, apiKey) {
+  async translateToMultipleLanguages(text, sourceLang, targetLangs, apiKey, options = {}) {
     if (!text || targetLangs.length === 0) {
       return {};
     }
@@ -90,19 +111,61 @@ class TranslationManager {
       translations[sourceLang] = text;
     }
 
-    // Filter out source language from targets
-    const langsToTranslate = targetLangs.filter(lang => lang !== sourceLang);
+    const { glossary = null, contextId = null, updateContext = false, prefix = null, signal } = options;
+    const variantFor = (targetLang) => getRulesFingerprint(getApplicableRules(glossary, text, targetLang));
+    const contextFor = (targetLang) => this.getContextFor(contextId, [targetLang], prefix)?.[targetLang];
+
+    // Filter out source language and anything we already have cached
+    const langsToTranslate = [];
+    for (const targetLang of targetLangs) {
+      if (targetLang === sourceLang) continue;
+      const cached = this.getCachedTranslation(text, sourceLang, targetLang, variantFor(targetLang), contextFor(targetLang));
+      if (cached !== null) {
+        translations[targetLang] = cached;
+      } else {
+        langsToTranslate.push(targetLang);
+      }
+    }
 
     if (langsToTranslate.length === 0) {
+      if (updateContext) this.updateContext(contextId, text, sourceLang, translations);
       return translations;
     }
 
-    console.log(`[TranslationManager] Translating from ${sourceLangName} to ${langsToTranslate.length} languages using OpenAI`);
+    const context = this.getContextFor(contextId, langsToTranslate, prefix);
+    const provider = this.getProvider();
+    console.log(`[TranslationManager] Translating from ${sourceLangName} to ${langsToTranslate.length} languages using ${provider.name}`);
+
+    let missingLangs = langsToTranslate;
+    try {
+      const batch = await provider.translateBatch(text, sourceLang, langsToTranslate, { apiKey, glossary, context, signal });
+      missingLangs = [];
+      for (const targetLang of langsToTranslate) {
+        if (batch[targetLang] === undefined) {
+          missingLangs.push(targetLang);
+          continue;
+        }
+        const finalText = batch[targetLang].trim() || text; // Fallback to original if translation is empty
+        this.setCachedTranslation(text, sourceLang, targetLang, finalText, variantFor(targetLang), context?.[targetLang]);
+        translations[targetLang] = finalText;
+      }
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      console.warn(`[TranslationManager] Batch translation failed, retrying per language:`, error.message);
+    }
+
+    // Cancelled mid-batch (the default batch swallows per-language failures)
+    signal?.throwIfAborted();
+
+    if (missingLangs.length === 0) {
+      if (updateContext) this.updateContext(contextId, text, sourceLang, translations);
+      return translations;
+    }
 
-    // Translate to each target language
-    const translationPromises = langsToTranslate.map(async (targetLang) => {
+    // Translate each language individually so one failure doesn't drop the rest
+    const translationPromises = missingLangs.map(async (targetLang) => {
       try {
-        const translated = await this.translateText(text, sourceLang, targetLang, apiKey);
+        const translated = await this.translateText(text, sourceLang, targetLang, apiKey, { glossary, contextId, prefix, signal });
         return { lang: targetLang, text: translated };
       } catch (error) {
         console.error(`[TranslationManager] Failed to translate to ${targetLang}:`, error.message);
@@ -111,57 +174,42 @@ class TranslationManager {
     });
 
     const results = await Promise.all(translationPromises);
+    signal?.throwIfAborted();
     
     results.forEach(({ lang, text }) => {
       translations[lang] = text;
     });
 
+    if (updateContext) this.updateContext(contextId, text, sourceLang, translations);
     return translations;
   }
 
   /**
-   * Translate text from source to target language using OpenAI Chat API
+   * Translate text from source to target language using the active provider
    * MIGRATION NOTE: Replaced Gemini WebSocket with OpenAI Chat Completions API
    */
-  async translateText(text, sourceLang, targetLang, apiKey) {
-    const cacheKey = `${sourceLang}:${targetLang}:${text.substring(0, 100)}`;
-    
-    // Check cache
-    if (this.translationCache.has(cacheKey)) {
-      const cached = this.translationCache.get(cacheKey);
-      if (Date.now() - cached.timestamp < 60000) { // 1 minute cache
-        console.log(`[TranslationManager] Using cached translation`);
-        return cached.text;
-      }
+  async translateText(text, sourceLang, targetLang, apiKey, options = {}) {
+    const { glossary = null, contextId = null, prefix = null, signal } = options;
+    const variant = getRulesFingerprint(getApplicableRules(glossary, text, targetLang));
+    const context = this.getContextFor(contextId, [targetLang], prefix);
+    const cached = this.getCachedTranslation(text, sourceLang, targetLang, variant, context?.[targetLang]);
+    if (cached !== null) {
+      console.log(`[TranslationManager] Using cached translation`);
+      return cached;
     }
 
     const sourceLangName = LANGUAGE_NAMES[sourceLang] || sourceLang;
     const targetLangName = LANGUAGE_NAMES[targetLang] || targetLang;
+    const provider = this.getProvider();
     
-    if (!apiKey) {
-      console.error('[TranslationManager] ERROR: No OpenAI API key provided!');
-      throw new Error('No OpenAI API key provided for translation');
-    }
-    
-    console.log(`[TranslationManager] Translating via OpenAI: "${text.substring(0, 50)}..." (${sourceLangName} → ${targetLangName})`);
+    console.log(`[TranslationManager] Translating via ${provider.name}: "${text.substring(0, 50)}..." (${sourceLangName} → ${targetLangName})`);
 
     try {
-      // Use OpenAI Chat Completions API for translation
-      const translatedText = await this.translateViaOpenAI(text, sourceLangName, targetLangName, apiKey);
+      const translatedText = await provider.translate(text, sourceLang, targetLang, { apiKey, glossary, context, signal });
 
       const finalText = translatedText.trim() || text; // Fallback to original if translation fails
 
-      // Cache the result
-      this.translationCache.set(cacheKey, {
-        text: finalText,
-        timestamp: Date.now()
-      });
-
-      // Limit cache size
-      if (this.translationCache.size > 100) {
-        const firstKey = this.translationCache.keys().next().value;
-        this.translationCache.delete(firstKey);
-      }
+      this.setCachedTranslation(text, sourceLang, targetLang, finalText, variant, context?.[targetLang]);
 
       return finalText;
     } catch (error) {
@@ -171,56 +219,203 @@ class TranslationManager {
   }
 
   /**
-   * Translate text using OpenAI Chat Completions API
-   * MIGRATION NOTE: This replaces the Gemini WebSocket translation
+   * Translate a partial, reusing the translation of its stable prefix
+   * @param {string} stableText - leading part of text the speech engine won't revise
+   * @param {Object} options - as translateToMultipleLanguages, plus prefix:
+   *   { source, translations } returned for the previous partial of the segment
+   * @returns {Promise<{stable: Object, tentative: Object, prefix: Object}>}
+   *   stable/tentative translations by language, and the prefix to pass next time
    */
-  async translateViaOpenAI(text, sourceLangName, targetLangName, apiKey) {
-    const response = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${apiKey}`
-      },
-      body: JSON.stringify({
-        model: 'gpt-4o', // Use GPT-4o for high-quality translation
-        messages: [
-          {
-            role: 'system',
-            content: `You are a professional translator. Translate text from ${sourceLangName} to ${targetLangName}.
+  async translateIncremental(text, stableText, sourceLang, targetLangs, apiKey, options = {}) {
+    const { prefix: previous = null, ...translateOptions } = options;
+    const { base, stableDelta, tentative, stableSource } = this.splitPartial(text, stableText, targetLangs, previous);
+
+    // The tail follows words that may still be in flight, so both only get the known prefix as context
+    const [deltaTranslations, tentativeTranslations] = await Promise.all([
+      stableDelta
+        ? this.translateToMultipleLanguages(stableDelta, sourceLang, targetLangs, apiKey, { ...translateOptions, prefix: base })
+        : {},
+      tentative
+        ? this.translateToMultipleLanguages(tentative, sourceLang, targetLangs, apiKey, { ...translateOptions, prefix: base })
+        : {}
+    ]);
+
+    const stable = {};
+    const tentativeByLang = {};
+    for (const targetLang of targetLangs) {
+      stable[targetLang] = joinText(base?.translations[targetLang] || '', deltaTranslations[targetLang] || '');
+      tentativeByLang[targetLang] = tentativeTranslations[targetLang] || '';
+    }
 
-CRITICAL RULES:
-1. ONLY provide the direct translation - no explanations
-2. Do NOT include phrases like "The translation is..." or "Here's the translation"
-3. Do NOT add any notes or commentary
-4. Preserve the meaning, tone, and context
-5. Maintain proper grammar and natural phrasing in ${targetLangName}
-6. Keep the same level of formality as the original
-
-Output: Only the translated text in ${targetLangName}.`
-          },
-          {
-            role: 'user',
-            content: text
-          }
-        ],
-        temperature: 0.3, // Low temperature for consistent translations
-        max_tokens: 1000
-      })
-    });
+    // Error placeholders must not become part of the reused prefix
+    const failed = Object.values(deltaTranslations).some(value => value.startsWith('[Translation error'));
+    return {
+      stable,
+      tentative: tentativeByLang,
+      prefix: failed ? base : { source: stableSource, translations: stable }
+    };
+  }
+
+  /**
+   * Work out what a partial still needs translated
+   * The previous prefix is only reused if the new stable text extends it and it
+   * covers every requested language - otherwise the whole stable text is redone.
+   * @returns {{base: Object|null, stableDelta: string, tentative: string, stableSource: string}}
+   */
+  splitPartial(text, stableText, targetLangs, previous = null) {
+    const stableSource = stableText && text.startsWith(stableText) ? stableText : '';
+    const base = previous?.source && stableSource.startsWith(previous.source) &&
+      targetLangs.every(targetLang => previous.translations[targetLang] !== undefined)
+      ? previous
+      : null;
+
+    return {
+      base,
+      stableDelta: stableSource.slice(base ? base.source.length : 0).trim(),
+      tentative: text.slice(stableSource.length).trim(),
+      stableSource
+    };
+  }
+
+  /**
+   * Split typed input into paragraphs (blank-line separated, trimmed, empties dropped)
+   * @returns {string[]}
+   */
+  splitParagraphs(text) {
+    return String(text || '')
+      .split(/\n\s*\n/)
+      .map(paragraph => paragraph.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Translate multi-paragraph text one paragraph at a time, in order
+   * onParagraph(translatedSoFar, index, total) is called after each paragraph
+   * so callers can stream progress; paragraphs are re-joined with a blank line.
+   * @returns {Promise<string>} Full translated text
+   */
+  async translateParagraphs(text, sourceLang, targetLang, apiKey, onParagraph = () => {}) {
+    const paragraphs = this.splitParagraphs(text);
+    const translated = [];
 
-    if (!response.ok) {
-      const error = await response.json().catch(() => ({ error: { message: 'Unknown error' } }));
-      throw new Error(`OpenAI API error: ${error.error?.message || response.statusText}`);
+    for (let i = 0; i < paragraphs.length; i++) {
+      translated.push(await this.translateText(paragraphs[i], sourceLang, targetLang, apiKey));
+      onParagraph(translated.join('\n\n'), i, paragraphs.length);
     }
 
-    const result = await response.json();
-    
-    if (!result.choices || result.choices.length === 0) {
-      throw new Error('No translation result from OpenAI');
+    return translated.join('\n\n');
+  }
+
+  /**
+   * Preceding segments for each target language, in the shape providers expect
+   * @param {Object|null} prefix - already translated start of the current segment
+   *   ({ source, translations }), appended after the session window
+   * @returns {Object|null} { [lang]: [{ source, translation }] }, null when there is none
+   */
+  getContextFor(contextId, targetLangs, prefix = null) {
+    const windows = contextId && this.contextWindowSize > 0 ? this.contexts.get(contextId) : null;
+
+    const context = {};
+    for (const targetLang of targetLangs) {
+      const entries = [...(windows?.get(targetLang) || [])];
+      if (prefix?.translations[targetLang]) {
+        entries.push({ source: prefix.source, translation: prefix.translations[targetLang] });
+      }
+      if (entries.length > 0) {
+        context[targetLang] = entries;
+      }
+    }
+    return Object.keys(context).length > 0 ? context : null;
+  }
+
+  /**
+   * Append a finalized segment and its translations to the context window
+   * The source language itself and error placeholders are skipped.
+   */
+  updateContext(contextId, sourceText, sourceLang, translations) {
+    const size = this.contextWindowSize;
+    if (!contextId || size === 0) return;
+
+    const windows = this.contexts.get(contextId) || new Map();
+    for (const [targetLang, translation] of Object.entries(translations)) {
+      if (targetLang === sourceLang || translation.startsWith('[Translation error')) continue;
+      const window = [...(windows.get(targetLang) || []), { source: sourceText, translation }];
+      windows.set(targetLang, window.slice(-size));
+    }
+
+    // Re-insert so the most recently used windows are evicted last
+    this.contexts.delete(contextId);
+    this.contexts.set(contextId, windows);
+    if (this.contexts.size > MAX_CONTEXT_WINDOWS) {
+      this.contexts.delete(this.contexts.keys().next().value);
+    }
+  }
+
+  /**
+   * Forget the context of a finished session
+   */
+  clearContext(contextId) {
+    this.contexts.delete(contextId);
+  }
+
+  /**
+   * Cache key - the full text and its context are hashed, so segments that only
+   * share their start, or the same words after different segments, don't collide
+   * @param {Array|undefined} context - preceding segments for targetLang (see getContextFor)
+   */
+  getCacheKey(text, sourceLang, targetLang, variant, context) {
+    const hash = crypto.createHash('sha256').update(JSON.stringify([text, context || null])).digest('base64url');
+    return `${sourceLang}:${targetLang}:${variant}:${hash}`;
+  }
+
+  /**
+   * Look up a cached translation (1 minute TTL)
+   * @param {string} variant - fingerprint of the glossary rules applied ('' for none)
+   * @param {Array|undefined} context - preceding segments the translation would use
+   * @returns {string|null}
+   */
+  getCachedTranslation(text, sourceLang, targetLang, variant = '', context = null) {
+    const cacheKey = this.getCacheKey(text, sourceLang, targetLang, variant, context);
+    const cached = this.translationCache.get(cacheKey);
+    if (cached && Date.now() - cached.timestamp < 60000) { // 1 minute cache
+      return cached.text;
+    }
+    return null;
+  }
+
+  /**
+   * Store a translation in the cache, evicting the oldest entry past 100 items
+   */
+  setCachedTranslation(text, sourceLang, targetLang, translatedText, variant = '', context = null) {
+    const cacheKey = this.getCacheKey(text, sourceLang, targetLang, variant, context);
+    this.translationCache.set(cacheKey, {
+      text: translatedText,
+      timestamp: Date.now()
+    });
+
+    // Limit cache size
+    if (this.translationCache.size > 100) {
+      const firstKey = this.translationCache.keys().next().value;
+      this.translationCache.delete(firstKey);
     }
+  }
+
+  /**
+   * List languages supported by the active provider
+   */
+  async getSupportedLanguages() {
+    return this.getProvider().getSupportedLanguages();
+  }
 
-    const translatedText = result.choices[0].message.content.trim();
-    return translatedText;
+  /**
+   * Check that the active provider is configured and reachable
+   */
+  async healthCheck() {
+    try {
+      return await this.getProvider().healthCheck();
+    } catch (error) {
+      return { ok: false, provider: process.env.TRANSLATION_PROVIDER || 'openai', error: error.message };
+    }
   }
 
   /**
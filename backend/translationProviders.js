@@ -0,0 +1,479 @@
+/**
+ * Translation Providers - Pluggable translation backends for TranslationManager
+ *
+ * Every provider implements the same interface:
+ * - translate(text, sourceLang, targetLang, options) → Promise<string>
+ * - translateBatch(text, sourceLang, targetLangs, options) → Promise<{ [lang]: string }>
+ * - getSupportedLanguages() → Promise<string[]>
+ * - healthCheck() → Promise<{ ok, provider, ... }>
+ *
+ * The active provider is chosen with TRANSLATION_PROVIDER (openai | deepl |
+ * google | libretranslate | stub). Additional adapters can be added at runtime
+ * with registerTranslationProvider().
+ *
+ * options.glossary carries the session glossary (see glossary.js). Providers
+ * that take instructions (OpenAI) add the applicable terms to their prompt;
+ * the others rely on the post-translation check to flag violations.
+ *
+ * options.context holds the preceding segments of the same speech per target
+ * language ({ [lang]: [{ source, translation }] }). OpenAI replays them as
+ * earlier turns of the conversation and DeepL sends the source side as its
+ * "context" parameter; providers without such a feature ignore it.
+ *
+ * options.signal (AbortSignal) cancels the request - used by the translation
+ * scheduler to drop partials that became stale while in flight.
+ */
+
+import fetch from 'node-fetch';
+import { getApplicableRules, formatGlossaryPrompt } from './glossary.js';
+
+// Language code to full name mapping
+export const LANGUAGE_NAMES = {
+  'en': 'English',
+  'es': 'Spanish',
+  'fr': 'French',
+  'de': 'German',
+  'it': 'Italian',
+  'pt': 'Portuguese',
+  'pt-BR': 'Portuguese (Brazil)',
+  'ru': 'Russian',
+  'ja': 'Japanese',
+  'ko': 'Korean',
+  'zh': 'Chinese (Simplified)',
+  'zh-TW': 'Chinese (Traditional)',
+  'ar': 'Arabic',
+  'hi': 'Hindi',
+  'nl': 'Dutch',
+  'pl': 'Polish',
+  'tr': 'Turkish',
+  'bn': 'Bengali',
+  'vi': 'Vietnamese',
+  'th': 'Thai',
+  'id': 'Indonesian',
+  'sv': 'Swedish',
+  'no': 'Norwegian',
+  'da': 'Danish',
+  'fi': 'Finnish',
+  'el': 'Greek',
+  'cs': 'Czech',
+  'ro': 'Romanian',
+  'hu': 'Hungarian',
+  'he': 'Hebrew',
+  'uk': 'Ukrainian',
+  'fa': 'Persian',
+  'ur': 'Urdu',
+  'ta': 'Tamil',
+  'te': 'Telugu',
+  'mr': 'Marathi',
+  'gu': 'Gujarati',
+  'kn': 'Kannada',
+  'ml': 'Malayalam',
+  'sw': 'Swahili',
+  'fil': 'Filipino',
+  'ms': 'Malay',
+  'ca': 'Catalan',
+  'sk': 'Slovak',
+  'bg': 'Bulgarian',
+  'hr': 'Croatian',
+  'sr': 'Serbian',
+  'lt': 'Lithuanian',
+  'lv': 'Latvian',
+  'et': 'Estonian',
+  'sl': 'Slovenian',
+  'af': 'Afrikaans'
+};
+
+/**
+ * Base class - providers override translate() and optionally the rest
+ */
+export class TranslationProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  async translate(text, sourceLang, targetLang, options = {}) {
+    throw new Error(`translate() not implemented by provider "${this.name}"`);
+  }
+
+  /**
+   * Translate one text into several languages
+   * Default implementation fans out to translate() in parallel.
+   * Languages that fail are left out of the result so callers can retry them.
+   */
+  async translateBatch(text, sourceLang, targetLangs, options = {}) {
+    const results = await Promise.allSettled(targetLangs.map(async (targetLang) => {
+      const translated = await this.translate(text, sourceLang, targetLang, options);
+      return [targetLang, translated];
+    }));
+
+    const translations = {};
+    results.forEach((result, index) => {
+      if (result.status === 'fulfilled') {
+        const [lang, translated] = result.value;
+        translations[lang] = translated;
+      } else if (!options.signal?.aborted) {
+        console.warn(`[TranslationProvider:${this.name}] ${targetLangs[index]} failed:`, result.reason?.message);
+      }
+    });
+    return translations;
+  }
+
+  async getSupportedLanguages() {
+    return Object.keys(LANGUAGE_NAMES);
+  }
+
+  async healthCheck() {
+    return { ok: true, provider: this.name };
+  }
+}
+
+/**
+ * OpenAI Chat Completions adapter (default)
+ */
+export class OpenAITranslationProvider extends TranslationProvider {
+  constructor(options = {}) {
+    super('openai');
+    this.apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+    this.model = options.model || process.env.OPENAI_TRANSLATION_MODEL || 'gpt-4o';
+    this.endpoint = options.endpoint || process.env.OPENAI_TRANSLATION_ENDPOINT || 'https://api.openai.com/v1/chat/completions';
+  }
+
+  async translate(text, sourceLang, targetLang, options = {}) {
+    const apiKey = options.apiKey || this.apiKey;
+    if (!apiKey) {
+      console.error('[TranslationProvider:openai] ERROR: No OpenAI API key provided!');
+      throw new Error('No OpenAI API key provided for translation');
+    }
+
+    const sourceLangName = LANGUAGE_NAMES[sourceLang] || sourceLang;
+    const targetLangName = LANGUAGE_NAMES[targetLang] || targetLang;
+    const glossaryPrompt = formatGlossaryPrompt(getApplicableRules(options.glossary, text, targetLang));
+    const context = options.context?.[targetLang] || [];
+
+    // Preceding segments as earlier turns, so pronouns and split sentences carry over
+    const contextMessages = context.flatMap(({ source, translation }) => [
+      { role: 'user', content: source },
+      { role: 'assistant', content: translation }
+    ]);
+
+    const response = await fetch(this.endpoint, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${apiKey}`
+      },
+      signal: options.signal,
+      body: JSON.stringify({
+        model: this.model,
+        messages: [
+          {
+            role: 'system',
+            content: `You are a professional translator. Translate text from ${sourceLangName} to ${targetLangName}.
+
+CRITICAL RULES:
+1. ONLY provide the direct translation - no explanations
+2. Do NOT include phrases like "The translation is..." or "Here's the translation"
+3. Do NOT add any notes or commentary
+4. Preserve the meaning, tone, and context
+5. Maintain proper grammar and natural phrasing in ${targetLangName}
+6. Keep the same level of formality as the original
+7. Messages are consecutive segments of one continuous speech - a segment may start or end mid-sentence; keep it consistent with the earlier segments but translate only the latest one
+${glossaryPrompt ? `\nTERMINOLOGY:\n${glossaryPrompt}\n` : ''}
+Output: Only the translated text in ${targetLangName}.`
+          },
+          ...contextMessages,
+          {
+            role: 'user',
+            content: text
+          }
+        ],
+        temperature: 0.3, // Low temperature for consistent translations
+        max_tokens: 1000
+      })
+    });
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({ error: { message: 'Unknown error' } }));
+      throw new Error(`OpenAI API error: ${error.error?.message || response.statusText}`);
+    }
+
+    const result = await response.json();
+
+    if (!result.choices || result.choices.length === 0) {
+      throw new Error('No translation result from OpenAI');
+    }
+
+    return result.choices[0].message.content.trim();
+  }
+
+  async healthCheck() {
+    return {
+      ok: Boolean(this.apiKey),
+      provider: this.name,
+      model: this.model,
+      error: this.apiKey ? undefined : 'OPENAI_API_KEY not configured'
+    };
+  }
+}
+
+/**
+ * DeepL API adapter
+ * Free-tier keys (ending in ":fx") are routed to api-free.deepl.com automatically
+ */
+export class DeepLTranslationProvider extends TranslationProvider {
+  constructor(options = {}) {
+    super('deepl');
+    this.apiKey = options.apiKey || process.env.DEEPL_API_KEY;
+    const defaultUrl = this.apiKey?.endsWith(':fx') ? 'https://api-free.deepl.com' : 'https://api.deepl.com';
+    this.baseUrl = options.baseUrl || process.env.DEEPL_API_URL || defaultUrl;
+  }
+
+  // DeepL expects upper-case codes and regional variants for some targets
+  toDeepLCode(lang, isTarget) {
+    const base = lang.split('-')[0].toUpperCase();
+    if (lang === 'pt-BR') return isTarget ? 'PT-BR' : 'PT';
+    if (lang === 'zh-TW') return isTarget ? 'ZH-HANT' : 'ZH';
+    if (isTarget && base === 'EN') return 'EN-US';
+    if (isTarget && base === 'PT') return 'PT-PT';
+    return base;
+  }
+
+  async request(path, options = {}) {
+    if (!this.apiKey) {
+      throw new Error('No DeepL API key provided for translation');
+    }
+
+    const response = await fetch(`${this.baseUrl}${path}`, {
+      ...options,
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `DeepL-Auth-Key ${this.apiKey}`
+      }
+    });
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({ message: response.statusText }));
+      throw new Error(`DeepL API error: ${error.message || response.statusText}`);
+    }
+
+    return response.json();
+  }
+
+  async translate(text, sourceLang, targetLang, options = {}) {
+    const result = await this.request('/v2/translate', {
+      method: 'POST',
+      signal: options.signal,
+      body: JSON.stringify({
+        text: [text],
+        source_lang: sourceLang ? this.toDeepLCode(sourceLang, false) : undefined,
+        target_lang: this.toDeepLCode(targetLang, true),
+        context: options.context?.[targetLang]?.map(({ source }) => source).join(' ') || undefined
+      })
+    });
+
+    const translatedText = result.translations?.[0]?.text;
+    if (translatedText === undefined) {
+      throw new Error('No translation result from DeepL');
+    }
+    return translatedText.trim();
+  }
+
+  async getSupportedLanguages() {
+    const languages = await this.request('/v2/languages?type=target', { method: 'GET' });
+    return languages.map(lang => lang.language.toLowerCase());
+  }
+
+  async healthCheck() {
+    try {
+      const usage = await this.request('/v2/usage', { method: 'GET' });
+      return { ok: true, provider: this.name, usage };
+    } catch (error) {
+      return { ok: false, provider: this.name, error: error.message };
+    }
+  }
+}
+
+/**
+ * Google Cloud Translation (v2 REST) adapter
+ * Falls back to GOOGLE_SPEECH_API_KEY when the key is shared across Cloud APIs
+ */
+export class GoogleTranslationProvider extends TranslationProvider {
+  constructor(options = {}) {
+    super('google');
+    this.apiKey = options.apiKey || process.env.GOOGLE_TRANSLATE_API_KEY || process.env.GOOGLE_SPEECH_API_KEY;
+    this.baseUrl = options.baseUrl || 'https://translation.googleapis.com/language/translate/v2';
+  }
+
+  toGoogleCode(lang) {
+    if (lang === 'zh') return 'zh-CN';
+    if (lang === 'pt-BR') return 'pt';
+    return lang;
+  }
+
+  async request(path, body, signal) {
+    if (!this.apiKey) {
+      throw new Error('No Google Translate API key provided for translation');
+    }
+
+    const response = await fetch(`${this.baseUrl}${path}?key=${encodeURIComponent(this.apiKey)}`, {
+      method: body ? 'POST' : 'GET',
+      headers: { 'Content-Type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined,
+      signal
+    });
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({ error: { message: 'Unknown error' } }));
+      throw new Error(`Google Translate API error: ${error.error?.message || response.statusText}`);
+    }
+
+    return response.json();
+  }
+
+  async translate(text, sourceLang, targetLang, options = {}) {
+    const result = await this.request('', {
+      q: text,
+      source: sourceLang ? this.toGoogleCode(sourceLang) : undefined,
+      target: this.toGoogleCode(targetLang),
+      format: 'text'
+    }, options.signal);
+
+    const translatedText = result.data?.translations?.[0]?.translatedText;
+    if (translatedText === undefined) {
+      throw new Error('No translation result from Google Translate');
+    }
+    return translatedText.trim();
+  }
+
+  async getSupportedLanguages() {
+    const result = await this.request('/languages');
+    return (result.data?.languages || []).map(lang => lang.language);
+  }
+
+  async healthCheck() {
+    try {
+      await this.getSupportedLanguages();
+      return { ok: true, provider: this.name };
+    } catch (error) {
+      return { ok: false, provider: this.name, error: error.message };
+    }
+  }
+}
+
+/**
+ * LibreTranslate adapter (self-hosted or public instance)
+ */
+export class LibreTranslateProvider extends TranslationProvider {
+  constructor(options = {}) {
+    super('libretranslate');
+    this.baseUrl = (options.baseUrl || process.env.LIBRETRANSLATE_URL || 'http://localhost:5000').replace(/\/$/, '');
+    this.apiKey = options.apiKey || process.env.LIBRETRANSLATE_API_KEY;
+  }
+
+  async translate(text, sourceLang, targetLang, options = {}) {
+    const response = await fetch(`${this.baseUrl}/translate`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      signal: options.signal,
+      body: JSON.stringify({
+        q: text,
+        source: sourceLang ? sourceLang.split('-')[0] : 'auto',
+        target: targetLang.split('-')[0],
+        format: 'text',
+        api_key: this.apiKey
+      })
+    });
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({ error: response.statusText }));
+      throw new Error(`LibreTranslate error: ${error.error || response.statusText}`);
+    }
+
+    const result = await response.json();
+    if (result.translatedText === undefined) {
+      throw new Error('No translation result from LibreTranslate');
+    }
+    return result.translatedText.trim();
+  }
+
+  async getSupportedLanguages() {
+    const response = await fetch(`${this.baseUrl}/languages`);
+    if (!response.ok) {
+      throw new Error(`LibreTranslate error: ${response.statusText}`);
+    }
+    const languages = await response.json();
+    return languages.map(lang => lang.code);
+  }
+
+  async healthCheck() {
+    try {
+      await this.getSupportedLanguages();
+      return { ok: true, provider: this.name, url: this.baseUrl };
+    } catch (error) {
+      return { ok: false, provider: this.name, url: this.baseUrl, error: error.message };
+    }
+  }
+}
+
+/**
+ * Offline stub - deterministic output for local development and CI
+ * Produces "[es] original text" without any network calls
+ * (glossary terms are substituted, like a provider that follows the prompt)
+ */
+export class StubTranslationProvider extends TranslationProvider {
+  constructor(options = {}) {
+    super('stub');
+    this.delayMs = options.delayMs ?? Number(process.env.STUB_TRANSLATION_DELAY_MS || 0);
+  }
+
+  async translate(text, sourceLang, targetLang, options = {}) {
+    if (this.delayMs > 0) {
+      await new Promise((resolve, reject) => {
+        const timer = setTimeout(resolve, this.delayMs);
+        options.signal?.addEventListener('abort', () => {
+          clearTimeout(timer);
+          reject(options.signal.reason);
+        }, { once: true });
+      });
+    }
+    options.signal?.throwIfAborted();
+    const { terms } = getApplicableRules(options.glossary, text, targetLang);
+    const translated = terms.reduce((result, { source, target }) => (
+      result.replace(new RegExp(source.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi'), target)
+    ), text);
+    return `[${targetLang}] ${translated}`;
+  }
+}
+
+// Registry of provider factories keyed by name
+const providerFactories = new Map([
+  ['openai', (options) => new OpenAITranslationProvider(options)],
+  ['deepl', (options) => new DeepLTranslationProvider(options)],
+  ['google', (options) => new GoogleTranslationProvider(options)],
+  ['libretranslate', (options) => new LibreTranslateProvider(options)],
+  ['stub', (options) => new StubTranslationProvider(options)]
+]);
+
+/**
+ * Register a custom provider factory
+ * @param {string} name - Value used in TRANSLATION_PROVIDER
+ * @param {Function} factory - (options) => TranslationProvider
+ */
+export function registerTranslationProvider(name, factory) {
+  providerFactories.set(name.toLowerCase(), factory);
+}
+
+/**
+ * Create a provider instance by name
+ */
+export function createTranslationProvider(name = 'openai', options = {}) {
+  const factory = providerFactories.get(name.toLowerCase());
+  if (!factory) {
+    throw new Error(`Unknown translation provider "${name}". Available: ${getAvailableTranslationProviders().join(', ')}`);
+  }
+  return factory(options);
+}
+
+export function getAvailableTranslationProviders() {
+  return Array.from(providerFactories.keys());
+}
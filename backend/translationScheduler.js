@@ -0,0 +1,368 @@
+/**
+ * Translation Scheduler - Bounded-cost front end for translationManager
+ *
+ * Live sessions would otherwise translate every partial into every listener
+ * language. The scheduler keeps that cost bounded and the output in order:
+ * - One request per segment covers all language groups (a single batch call)
+ * - Partials are coalesced per segment: at most one in flight and one waiting
+ *   (the newest); a waiting partial that gets replaced is dropped
+ * - When a segment's final arrives, its partials are dropped and in-flight
+ *   requests are aborted (AbortController) so they can't land after it
+ * - A session has one open segment: the first partial of a new segment drops
+ *   those of earlier segments that never got a final (engine restart,
+ *   source language change, force commit)
+ * - Finals are queued ahead of partials and are never dropped
+ * - Background requests (history translated on demand for exports and
+ *   backfill) wait behind both, and are dropped like partials when over budget
+ * - Per-session and global concurrency limits
+ * - Per-session and global token budgets per minute: partials over budget are
+ *   dropped, finals always run but count against the budget
+ *
+ * Dropped partials resolve to null. Drops are counted per reason
+ * (superseded | stale | budget) and reported by getStats()/getSessionStats().
+ */
+
+import translationManager from './translationManager.js';
+import { readNumber } from './config.js';
+
+// Token budgets are measured over a sliding window
+const BUDGET_WINDOW_MS = 60000;
+
+// Rough cost model: ~4 characters per token, output about as long as the
+// input, plus the system prompt for every target language
+const CHARS_PER_TOKEN = 4;
+const PROMPT_OVERHEAD_TOKENS = 150;
+
+export function estimateTokens(text, targetLangCount) {
+  return (Math.ceil(text.length / CHARS_PER_TOKEN) * 2 + PROMPT_OVERHEAD_TOKENS) * targetLangCount;
+}
+
+// Queue order - lower runs first
+const PRIORITY = { final: 0, partial: 1, background: 2 };
+
+function sumTokens(usage, now) {
+  while (usage.length > 0 && now - usage[0].time > BUDGET_WINDOW_MS) {
+    usage.shift();
+  }
+  return usage.reduce((total, entry) => total + entry.tokens, 0);
+}
+
+class TranslationScheduler {
+  constructor() {
+    this.config = {
+      maxConcurrent: readNumber('TRANSLATION_MAX_CONCURRENCY', 8),
+      maxConcurrentPerSession: readNumber('TRANSLATION_SESSION_CONCURRENCY', 2),
+      tokensPerMinute: readNumber('TRANSLATION_TOKENS_PER_MINUTE', 200000),
+      sessionTokensPerMinute: readNumber('TRANSLATION_SESSION_TOKENS_PER_MINUTE', 30000),
+      partialIntervalMs: readNumber('TRANSLATION_PARTIAL_INTERVAL_MS', 800)
+    };
+    this.queue = []; // Waiting jobs - finals first, then partials in arrival order
+    this.running = 0;
+    this.usage = []; // [{ time, tokens }] across all sessions
+    this.sessions = new Map(); // sessionId -> { running, usage, segments, stats }
+    this.dropped = { superseded: 0, stale: 0, budget: 0 };
+    this.wakeTimer = null;
+  }
+
+  /**
+   * Override limits at runtime (unset keys keep their current value)
+   */
+  configure(overrides = {}) {
+    this.config = { ...this.config, ...overrides };
+    this.pump();
+  }
+
+  getSessionState(sessionId) {
+    let state = this.sessions.get(sessionId);
+    if (!state) {
+      state = {
+        running: 0,
+        usage: [],
+        segments: new Map(), // segmentId -> { active, waiting, lastStartedAt }
+        stats: {
+          partialsRequested: 0,
+          partialsTranslated: 0,
+          finalsTranslated: 0,
+          backgroundTranslated: 0,
+          dropped: { superseded: 0, stale: 0, budget: 0 }
+        }
+      };
+      this.sessions.set(sessionId, state);
+    }
+    return state;
+  }
+
+  createJob(sessionId, kind, request, segment = null) {
+    const job = {
+      sessionId,
+      kind,
+      request,
+      segment,
+      tokens: estimateTokens(request.text, request.targetLangs.length),
+      controller: new AbortController(),
+      settled: false
+    };
+    job.promise = new Promise((resolve, reject) => {
+      job.resolve = resolve;
+      job.reject = reject;
+    });
+    return job;
+  }
+
+  /**
+   * Translate a partial for a segment
+   * @param {Object} request - { text, sourceLang, targetLangs, apiKey, options }
+   *   An optional run(signal) replaces the default translateToMultipleLanguages
+   *   call; text is then only used to estimate the cost
+   * @returns {Promise<Object|null>} translations by language, or null if dropped
+   */
+  schedulePartial(sessionId, segmentId, request) {
+    const state = this.getSessionState(sessionId);
+    state.stats.partialsRequested++;
+
+    let segment = state.segments.get(segmentId);
+    if (!segment) {
+      for (const staleSegmentId of Array.from(state.segments.keys())) {
+        this.cancelSegment(sessionId, staleSegmentId);
+      }
+      segment = { active: null, waiting: null, lastStartedAt: 0 };
+      state.segments.set(segmentId, segment);
+    }
+
+    if (segment.waiting) {
+      this.drop(segment.waiting, 'superseded');
+    }
+
+    const job = this.createJob(sessionId, 'partial', request, segment);
+    segment.waiting = job;
+    this.enqueue(job);
+    this.pump();
+    return job.promise;
+  }
+
+  /**
+   * Translate a final - drops the segment's partials and jumps ahead of all
+   * waiting partials
+   * @returns {Promise<Object>} translations by language
+   */
+  scheduleFinal(sessionId, segmentId, request) {
+    this.cancelSegment(sessionId, segmentId);
+    this.getSessionState(sessionId);
+
+    const job = this.createJob(sessionId, 'final', request);
+    this.enqueue(job);
+    this.pump();
+    return job.promise;
+  }
+
+  /**
+   * Translate an earlier segment on demand (transcript export, backfill)
+   * Runs when live translations leave room; dropped when over budget.
+   * @returns {Promise<Object|null>} translations by language, or null if dropped
+   */
+  scheduleBackground(sessionId, request) {
+    this.getSessionState(sessionId);
+
+    const job = this.createJob(sessionId, 'background', request);
+    this.enqueue(job);
+    this.pump();
+    return job.promise;
+  }
+
+  /**
+   * Queue a job behind those of the same or a higher priority
+   */
+  enqueue(job) {
+    const index = this.queue.findIndex(queued => PRIORITY[queued.kind] > PRIORITY[job.kind]);
+    if (index === -1) {
+      this.queue.push(job);
+    } else {
+      this.queue.splice(index, 0, job);
+    }
+  }
+
+  /**
+   * Drop the waiting and in-flight partials of a segment
+   */
+  cancelSegment(sessionId, segmentId) {
+    const segment = this.sessions.get(sessionId)?.segments.get(segmentId);
+    if (!segment) return;
+
+    if (segment.waiting) this.drop(segment.waiting, 'stale');
+    if (segment.active) this.drop(segment.active, 'stale');
+    this.sessions.get(sessionId).segments.delete(segmentId);
+  }
+
+  /**
+   * Drop all partials of a session and forget its state (finals still complete)
+   */
+  clearSession(sessionId) {
+    const state = this.sessions.get(sessionId);
+    if (!state) return;
+
+    for (const segmentId of Array.from(state.segments.keys())) {
+      this.cancelSegment(sessionId, segmentId);
+    }
+
+    const { partialsRequested, partialsTranslated, dropped } = state.stats;
+    if (partialsRequested > 0) {
+      console.log(`[TranslationScheduler] Session ${sessionId}: ${partialsTranslated}/${partialsRequested} partials translated, dropped ${JSON.stringify(dropped)}`);
+    }
+    this.sessions.delete(sessionId);
+  }
+
+  drop(job, reason) {
+    if (job.settled) return;
+    job.settled = true;
+
+    const index = this.queue.indexOf(job);
+    if (index !== -1) this.queue.splice(index, 1);
+    if (job.segment?.waiting === job) job.segment.waiting = null;
+    job.controller.abort();
+
+    this.dropped[reason]++;
+    const state = this.sessions.get(job.sessionId);
+    if (state) state.stats.dropped[reason]++;
+    if (reason === 'budget' && job.kind === 'partial') { // Background callers report their drops in one line
+      console.warn(`[TranslationScheduler] Token budget reached for session ${job.sessionId} - partial dropped (~${job.tokens} tokens)`);
+    }
+
+    job.resolve(null);
+  }
+
+  withinBudget(state, tokens, now) {
+    const { config } = this;
+    return sumTokens(state.usage, now) + tokens <= config.sessionTokensPerMinute &&
+      sumTokens(this.usage, now) + tokens <= config.tokensPerMinute;
+  }
+
+  /**
+   * Start every waiting job the limits allow, in queue order
+   */
+  pump() {
+    const { config } = this;
+    const now = Date.now();
+    let nextWakeAt = Infinity;
+
+    let index = 0;
+    while (index < this.queue.length && this.running < config.maxConcurrent) {
+      const job = this.queue[index];
+      const state = this.getSessionState(job.sessionId);
+
+      if (state.running >= config.maxConcurrentPerSession) {
+        index++;
+        continue;
+      }
+
+      if (job.kind === 'partial') {
+        // One partial per segment in flight keeps a segment's results in order
+        if (job.segment.active) {
+          index++;
+          continue;
+        }
+        const readyAt = job.segment.lastStartedAt + config.partialIntervalMs;
+        if (readyAt > now) {
+          nextWakeAt = Math.min(nextWakeAt, readyAt);
+          index++;
+          continue;
+        }
+      }
+      if (job.kind !== 'final' && !this.withinBudget(state, job.tokens, now)) {
+        this.drop(job, 'budget'); // Removes it from the queue
+        continue;
+      }
+
+      this.queue.splice(index, 1);
+      this.start(job, state, now);
+    }
+
+    clearTimeout(this.wakeTimer);
+    this.wakeTimer = null;
+    if (nextWakeAt !== Infinity) {
+      this.wakeTimer = setTimeout(() => this.pump(), nextWakeAt - now);
+      this.wakeTimer.unref?.();
+    }
+  }
+
+  start(job, state, now) {
+    this.running++;
+    state.running++;
+    state.usage.push({ time: now, tokens: job.tokens });
+    this.usage.push({ time: now, tokens: job.tokens });
+
+    const { segment } = job;
+    if (segment) {
+      segment.waiting = null;
+      segment.active = job;
+      segment.lastStartedAt = now;
+    }
+
+    const { text, sourceLang, targetLangs, apiKey, options = {}, run } = job.request;
+    const translation = run
+      ? run(job.controller.signal)
+      : translationManager.translateToMultipleLanguages(text, sourceLang, targetLangs, apiKey, {
+        ...options,
+        signal: job.controller.signal
+      });
+
+    translation
+      .then(translations => {
+        if (job.settled) return;
+        job.settled = true;
+        if (job.kind === 'final') {
+          state.stats.finalsTranslated++;
+        } else if (job.kind === 'partial') {
+          state.stats.partialsTranslated++;
+        } else {
+          state.stats.backgroundTranslated++;
+        }
+        job.resolve(translations);
+      })
+      .catch(error => {
+        if (job.settled) return; // Dropped - the abort error is expected
+        job.settled = true;
+        job.reject(error);
+      })
+      .finally(() => {
+        this.running--;
+        state.running--;
+        if (segment?.active === job) segment.active = null;
+        this.pump();
+      });
+  }
+
+  /**
+   * Counters for one session
+   */
+  getSessionStats(sessionId) {
+    const state = this.sessions.get(sessionId);
+    if (!state) return null;
+
+    return {
+      ...state.stats,
+      dropped: { ...state.stats.dropped },
+      running: state.running,
+      queued: this.queue.filter(job => job.sessionId === sessionId).length,
+      tokensLastMinute: sumTokens(state.usage, Date.now())
+    };
+  }
+
+  /**
+   * Global counters and limits
+   */
+  getStats() {
+    return {
+      running: this.running,
+      queued: this.queue.length,
+      sessions: this.sessions.size,
+      tokensLastMinute: sumTokens(this.usage, Date.now()),
+      dropped: { ...this.dropped },
+      limits: { ...this.config }
+    };
+  }
+}
+
+// Singleton instance
+const translationScheduler = new TranslationScheduler();
+
+export default translationScheduler;
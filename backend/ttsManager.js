@@ -0,0 +1,63 @@
+/**
+ * TTS Manager - Spoken interpretation for listener language groups
+ *
+ * Finalized, translated segments are synthesized through a pluggable provider
+ * (see ttsProviders.js) selected with TTS_PROVIDER. Only language groups with
+ * at least one listener who turned audio on are synthesized, so sessions
+ * nobody listens to don't cost anything. TTS_PROVIDER=none disables it.
+ */
+
+import { createTTSProvider } from './ttsProviders.js';
+
+class TTSManager {
+  constructor() {
+    this.provider = undefined; // Created on first use (TTS_PROVIDER) - null when disabled
+  }
+
+  /**
+   * Get the active TTS provider, creating it from config on first use
+   * @returns {Object|null} null when synthesis is disabled
+   */
+  getProvider() {
+    if (this.provider === undefined) {
+      const providerName = process.env.TTS_PROVIDER || 'openai';
+      this.provider = providerName.toLowerCase() === 'none' ? null : createTTSProvider(providerName);
+      console.log(`[TTSManager] ${this.provider ? `Using TTS provider: ${this.provider.name}` : 'Speech synthesis disabled'}`);
+    }
+    return this.provider;
+  }
+
+  /**
+   * Replace the active TTS provider
+   * @param {string|Object|null} provider - Registered provider name, provider instance, or null to disable
+   */
+  setProvider(provider, options = {}) {
+    this.provider = typeof provider === 'string'
+      ? createTTSProvider(provider, options)
+      : provider;
+    console.log(`[TTSManager] Switched TTS provider to: ${this.provider?.name ?? 'none'}`);
+  }
+
+  isEnabled() {
+    return this.getProvider() !== null;
+  }
+
+  /**
+   * Synthesize one segment
+   * @returns {Promise<{audio: Buffer, mimeType: string}>}
+   */
+  async synthesize(text, lang) {
+    const provider = this.getProvider();
+    if (!provider) {
+      throw new Error('Speech synthesis is disabled (TTS_PROVIDER=none)');
+    }
+
+    console.log(`[TTSManager] Synthesizing via ${provider.name} (${lang}): "${text.substring(0, 50)}..."`);
+    return provider.synthesize(text, lang);
+  }
+}
+
+// Singleton instance
+const ttsManager = new TTSManager();
+
+export default ttsManager;
@@ -0,0 +1,196 @@
+/**
+ * TTS Providers - Pluggable text-to-speech backends for TTSManager
+ *
+ * Every provider implements the same interface:
+ * - synthesize(text, lang, options) → Promise<{ audio: Buffer, mimeType: string }>
+ * - healthCheck() → Promise<{ ok, provider, ... }>
+ *
+ * The active provider is chosen with TTS_PROVIDER (openai | google | stub |
+ * none). Additional adapters can be added at runtime with registerTTSProvider().
+ */
+
+import fetch from 'node-fetch';
+
+/**
+ * Base class - providers override synthesize()
+ */
+export class TTSProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  async synthesize(text, lang, options = {}) {
+    throw new Error(`synthesize() not implemented by TTS provider "${this.name}"`);
+  }
+
+  async healthCheck() {
+    return { ok: true, provider: this.name };
+  }
+}
+
+/**
+ * OpenAI Audio Speech adapter (default)
+ * The voices are multilingual - the language follows the input text.
+ */
+export class OpenAITTSProvider extends TTSProvider {
+  constructor(options = {}) {
+    super('openai');
+    this.apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+    this.model = options.model || process.env.OPENAI_TTS_MODEL || 'tts-1';
+    this.voice = options.voice || process.env.OPENAI_TTS_VOICE || 'alloy';
+    this.endpoint = options.endpoint || process.env.OPENAI_TTS_ENDPOINT || 'https://api.openai.com/v1/audio/speech';
+  }
+
+  async synthesize(text, lang, options = {}) {
+    const apiKey = options.apiKey || this.apiKey;
+    if (!apiKey) {
+      throw new Error('No OpenAI API key provided for speech synthesis');
+    }
+
+    const response = await fetch(this.endpoint, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${apiKey}`
+      },
+      body: JSON.stringify({
+        model: this.model,
+        voice: options.voice || this.voice,
+        input: text,
+        response_format: 'mp3'
+      })
+    });
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      throw new Error(`OpenAI TTS error: ${error.error?.message || response.statusText}`);
+    }
+
+    return {
+      audio: Buffer.from(await response.arrayBuffer()),
+      mimeType: 'audio/mpeg'
+    };
+  }
+}
+
+// App language codes Google Text-to-Speech doesn't accept as-is
+const GOOGLE_TTS_LANGUAGE_CODES = {
+  'zh': 'cmn-CN',
+  'zh-TW': 'cmn-TW',
+  'no': 'nb-NO',
+  'fil': 'fil-PH'
+};
+
+/**
+ * Google Cloud Text-to-Speech adapter
+ */
+export class GoogleTTSProvider extends TTSProvider {
+  constructor(options = {}) {
+    super('google');
+    this.apiKey = options.apiKey || process.env.GOOGLE_TTS_API_KEY || process.env.GOOGLE_SPEECH_API_KEY;
+    this.endpoint = options.endpoint || 'https://texttospeech.googleapis.com/v1/text:synthesize';
+  }
+
+  async synthesize(text, lang, options = {}) {
+    const apiKey = options.apiKey || this.apiKey;
+    if (!apiKey) {
+      throw new Error('No Google API key provided for speech synthesis');
+    }
+
+    const response = await fetch(`${this.endpoint}?key=${encodeURIComponent(apiKey)}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        input: { text },
+        voice: { languageCode: GOOGLE_TTS_LANGUAGE_CODES[lang] || lang },
+        audioConfig: { audioEncoding: 'MP3' }
+      })
+    });
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      throw new Error(`Google TTS error: ${error.error?.message || response.statusText}`);
+    }
+
+    const data = await response.json();
+    if (!data.audioContent) {
+      throw new Error('No audio returned from Google TTS');
+    }
+
+    return {
+      audio: Buffer.from(data.audioContent, 'base64'),
+      mimeType: 'audio/mpeg'
+    };
+  }
+}
+
+/**
+ * Offline stub - a soft tone as long as the text would take to say
+ * Lets the audio pipeline be exercised without network calls (local development / CI)
+ */
+export class StubTTSProvider extends TTSProvider {
+  constructor(options = {}) {
+    super('stub');
+    this.msPerWord = options.msPerWord ?? 300;
+    this.sampleRate = 16000;
+  }
+
+  async synthesize(text, lang, options = {}) {
+    const words = text.split(/\s+/).filter(Boolean).length;
+    const sampleCount = Math.round(this.sampleRate * Math.max(words, 1) * this.msPerWord / 1000);
+
+    // 16-bit mono PCM WAV
+    const buffer = Buffer.alloc(44 + sampleCount * 2);
+    buffer.write('RIFF', 0);
+    buffer.writeUInt32LE(36 + sampleCount * 2, 4);
+    buffer.write('WAVE', 8);
+    buffer.write('fmt ', 12);
+    buffer.writeUInt32LE(16, 16);
+    buffer.writeUInt16LE(1, 20);
+    buffer.writeUInt16LE(1, 22);
+    buffer.writeUInt32LE(this.sampleRate, 24);
+    buffer.writeUInt32LE(this.sampleRate * 2, 28);
+    buffer.writeUInt16LE(2, 32);
+    buffer.writeUInt16LE(16, 34);
+    buffer.write('data', 36);
+    buffer.writeUInt32LE(sampleCount * 2, 40);
+
+    for (let i = 0; i < sampleCount; i++) {
+      const sample = Math.sin(2 * Math.PI * 440 * i / this.sampleRate) * 0.1;
+      buffer.writeInt16LE(Math.round(sample * 32767), 44 + i * 2);
+    }
+
+    return { audio: buffer, mimeType: 'audio/wav' };
+  }
+}
+
+// Registry of provider factories keyed by name ("none" disables synthesis)
+const providerFactories = new Map([
+  ['openai', (options) => new OpenAITTSProvider(options)],
+  ['google', (options) => new GoogleTTSProvider(options)],
+  ['stub', (options) => new StubTTSProvider(options)]
+]);
+
+/**
+ * Register a custom provider factory
+ * @param {string} name - Value used in TTS_PROVIDER
+ * @param {Function} factory - (options) => TTSProvider
+ */
+export function registerTTSProvider(name, factory) {
+  providerFactories.set(name.toLowerCase(), factory);
+}
+
+/**
+ * Create a provider instance by name
+ */
+export function createTTSProvider(name = 'openai', options = {}) {
+  const factory = providerFactories.get(name.toLowerCase());
+  if (!factory) {
+    throw new Error(`Unknown TTS provider "${name}". Available: ${getAvailableTTSProviders().join(', ')}, none`);
+  }
+  return factory(options);
+}
+
+export function getAvailableTTSProviders() {
+  return Array.from(providerFactories.keys());
+}
@@ -1,10 +1,15 @@
 /**
- * WebSocket Handler - Manages connections for hosts and listeners
+ * WebSocket Handler - Manages connections for hosts, listeners and job watchers
  */
 
 import WebSocket from 'ws';
 import sessionStore from './sessionStore.js';
 import translationManager from './translationManager.js';
+import { localizeSegments } from './transcriptExport.js';
+import { createListenerToken, verifyListenerToken, verifyJobToken } from './auth.js';
+import jobManager from './jobManager.js';
+import ttsManager from './ttsManager.js';
+import { getRecognitionDetails } from './speechEngines.js';
 
 /**
  * Handle host connection
@@ -361,10 +366,80 @@ export async function handleHostConnection(clientWs, sessionId) {
   }
 }
 
+// Segments replayed to a listener when they join (TRANSCRIPT_BACKFILL_SEGMENTS overrides)
+const DEFAULT_BACKFILL_SEGMENTS = 50;
+
+// Upper bound on segment IDs honoured per resend request
+const MAX_RESEND_SEGMENTS = 100;
+
+// Upper bound on segments per backfill, whatever limit the client asks for
+const MAX_BACKFILL_SEGMENTS = 200;
+
+/**
+ * Segments to backfill: the requested limit (default TRANSCRIPT_BACKFILL_SEGMENTS),
+ * at most MAX_BACKFILL_SEGMENTS
+ */
+function resolveBackfillLimit(requested) {
+  const limit = Math.floor(Number(requested ?? process.env.TRANSCRIPT_BACKFILL_SEGMENTS ?? DEFAULT_BACKFILL_SEGMENTS));
+  return Number.isFinite(limit) ? Math.min(Math.max(limit, 0), MAX_BACKFILL_SEGMENTS) : DEFAULT_BACKFILL_SEGMENTS;
+}
+
+/**
+ * Send transcript history to a client in the given language
+ * Segments without a cached translation for that language are translated on demand
+ * (see localizeSegments) so the next listener gets them for free.
+ * Also answers resend requests: with options.sequenceIds only those segments are sent,
+ * and IDs that are no longer in the history are reported as unavailable.
+ * @param {Object} options - { sinceSequenceId, sequenceIds, limit }
+ */
+export async function sendTranscriptBackfill(clientWs, sessionId, targetLang, options = {}) {
+  const sequenceIds = Array.isArray(options.sequenceIds)
+    ? options.sequenceIds.slice(0, MAX_RESEND_SEGMENTS)
+    : null;
+  const limit = sequenceIds ? null : resolveBackfillLimit(options.limit);
+  const segments = sessionStore.getTranscriptBackfill(sessionId, {
+    sinceSequenceId: options.sinceSequenceId ?? null,
+    sequenceIds,
+    limit
+  });
+
+  const found = new Set(segments.map(segment => segment.sequenceId));
+  const unavailable = sequenceIds ? sequenceIds.filter(id => !found.has(id)) : [];
+
+  if (segments.length === 0 && unavailable.length === 0) return;
+
+  const localized = await localizeSegments(sessionId, segments, targetLang);
+  const backfill = localized.map(({ segment, text }) => ({
+    originalText: segment.originalText,
+    translatedText: text,
+    sourceLang: segment.sourceLang,
+    targetLang,
+    timestamp: segment.timestamp,
+    sequenceId: segment.sequenceId,
+    ...getRecognitionDetails(segment),
+    ...(segment.speakerId && { speakerName: sessionStore.getSpeakerName(sessionId, segment.speakerId) }),
+    ...(segment.glossaryFlags?.[targetLang] && { glossaryViolations: segment.glossaryFlags[targetLang] })
+  }));
+
+  if (clientWs.readyState === WebSocket.OPEN) {
+    console.log(`[Backfill] Sent ${backfill.length} segment(s) in ${targetLang}`);
+    clientWs.send(JSON.stringify({
+      type: 'transcript_backfill',
+      targetLang,
+      segments: backfill,
+      ...(sequenceIds && { unavailable })
+    }));
+  }
+}
+
 /**
  * Handle listener connection
+ * @param {Object} options - { sinceSequenceId, backfillLimit, listenerToken, audioEnabled }
+ *   sinceSequenceId/backfillLimit pick which history to replay on join;
+ *   listenerToken (from POST /session/join) is required for password-protected sessions;
+ *   audioEnabled turns on spoken interpretation (tts_audio) from the start
  */
-export function handleListenerConnection(clientWs, sessionId, targetLang, userName) {
+export function handleListenerConnection(clientWs, sessionId, targetLang, userName, options = {}) {
   console.log(`[WebSocket] Listener connecting: ${userName} (${targetLang})`);
   
   const session = sessionStore.getSession(sessionId);
@@ -377,12 +452,28 @@ export function handleListenerConnection(clientWs, sessionId, targetLang, userNa
     return;
   }
 
+  // Password-protected sessions only admit listeners who went through POST /session/join
+  if (session.passwordHash && !verifyListenerToken(options.listenerToken, sessionId)) {
+    console.warn(`[Listener] Rejected ${userName} for ${session.sessionCode} - invalid or missing listener token`);
+    clientWs.send(JSON.stringify({
+      type: 'error',
+      message: 'Invalid or missing listener token for this session'
+    }));
+    clientWs.close();
+    return;
+  }
+
   // Generate socket ID
   const socketId = `listener_${Date.now()}_${Math.random().toString(36).substring(7)}`;
+  let isAdmitted = false;
+  let statsInterval = null;
+  let audioEnabled = Boolean(options.audioEnabled);
 
-  try {
-    // Add listener to session
-    sessionStore.addListener(sessionId, socketId, clientWs, targetLang, userName);
+  // Join the session: language group, welcome message, history and periodic stats
+  // Runs immediately, or once the host approves in invite-only sessions
+  const admit = () => {
+    isAdmitted = true;
+    sessionStore.addListener(sessionId, socketId, clientWs, targetLang, userName, { audioEnabled });
     
     // Send welcome message
     if (clientWs.readyState === WebSocket.OPEN) {
@@ -393,12 +484,23 @@ export function handleListenerConnection(clientWs, sessionId, targetLang, userNa
         role: 'listener',
         targetLang: targetLang,
         sourceLang: session.sourceLang,
+        lastSequenceId: session.lastSequenceId,
+        audioAvailable: ttsManager.isEnabled(),
+        audioEnabled,
+        // For the session's read routes (transcript export) - admitted, so it also works in invite-only sessions
+        listenerToken: createListenerToken(sessionId, { admitted: true }),
         message: `Connected to session ${session.sessionCode}`
       }));
     }
 
+    // Catch late joiners (and reconnects) up on what they missed
+    sendTranscriptBackfill(clientWs, sessionId, targetLang, {
+      sinceSequenceId: options.sinceSequenceId,
+      limit: options.backfillLimit
+    }).catch(error => console.error('[Listener] Backfill error:', error));
+
     // Send session stats periodically
-    const statsInterval = setInterval(() => {
+    statsInterval = setInterval(() => {
       if (clientWs.readyState === WebSocket.OPEN) {
         const stats = sessionStore.getSessionStats(sessionId);
         clientWs.send(JSON.stringify({
@@ -407,12 +509,32 @@ export function handleListenerConnection(clientWs, sessionId, targetLang, userNa
         }));
       }
     }, 10000); // Every 10 seconds
+  };
+
+  try {
+    if (session.requireApproval) {
+      sessionStore.addPendingListener(sessionId, socketId, clientWs, targetLang, userName, admit);
+      
+      if (clientWs.readyState === WebSocket.OPEN) {
+        clientWs.send(JSON.stringify({
+          type: 'pending_approval',
+          sessionCode: session.sessionCode,
+          message: 'Waiting for the host to let you in...'
+        }));
+      }
+    } else {
+      admit();
+    }
 
     // Handle listener disconnect
     clientWs.on('close', () => {
       console.log(`[Listener] ${userName} disconnected`);
       clearInterval(statsInterval);
-      sessionStore.removeListener(sessionId, socketId);
+      if (isAdmitted) {
+        sessionStore.removeListener(sessionId, socketId);
+      } else {
+        sessionStore.removePendingListener(sessionId, socketId);
+      }
     });
 
     // Handle listener messages (if any)
@@ -420,6 +542,18 @@ export function handleListenerConnection(clientWs, sessionId, targetLang, userNa
       try {
         const message = JSON.parse(msg.toString());
         
+        // Until the host lets this listener in, only remember their language and audio choices
+        if (!isAdmitted) {
+          if (message.type === 'change_language' && message.targetLang) {
+            targetLang = message.targetLang;
+            sessionStore.updatePendingListenerLanguage(sessionId, socketId, targetLang);
+          }
+          if (message.type === 'set_audio') {
+            audioEnabled = Boolean(message.enabled);
+          }
+          return;
+        }
+        
         // Listeners might send language changes
         if (message.type === 'change_language' && message.targetLang) {
           console.log(`[Listener] ${userName} changing language to ${message.targetLang}`);
@@ -428,7 +562,7 @@ export function handleListenerConnection(clientWs, sessionId, targetLang, userNa
           sessionStore.removeListener(sessionId, socketId);
           
           // Add to new language group
-          sessionStore.addListener(sessionId, socketId, clientWs, message.targetLang, userName);
+          sessionStore.addListener(sessionId, socketId, clientWs, message.targetLang, userName, { audioEnabled });
           
           if (clientWs.readyState === WebSocket.OPEN) {
             clientWs.send(JSON.stringify({
@@ -436,6 +570,39 @@ export function handleListenerConnection(clientWs, sessionId, targetLang, userNa
               targetLang: message.targetLang
             }));
           }
+
+          targetLang = message.targetLang;
+          sendTranscriptBackfill(clientWs, sessionId, targetLang)
+            .catch(error => console.error('[Listener] Backfill error:', error));
+        }
+
+        // Spoken interpretation on/off - audio starts with the next finalized segment
+        if (message.type === 'set_audio') {
+          audioEnabled = Boolean(message.enabled) && ttsManager.isEnabled();
+          sessionStore.setListenerAudio(sessionId, socketId, audioEnabled);
+          
+          if (clientWs.readyState === WebSocket.OPEN) {
+            clientWs.send(JSON.stringify({
+              type: 'audio_status',
+              enabled: audioEnabled,
+              available: ttsManager.isEnabled()
+            }));
+          }
+        }
+
+        // Explicit history request, e.g. after the client detects it missed segments
+        if (message.type === 'request_backfill') {
+          sendTranscriptBackfill(clientWs, sessionId, targetLang, {
+            sinceSequenceId: message.sinceSequenceId ?? null,
+            limit: message.limit ?? MAX_BACKFILL_SEGMENTS
+          }).catch(error => console.error('[Listener] Backfill error:', error));
+        }
+
+        // Resend specific segments the client detected as missing
+        if (message.type === 'resend' && Array.isArray(message.sequenceIds)) {
+          sendTranscriptBackfill(clientWs, sessionId, targetLang, {
+            sequenceIds: message.sequenceIds
+          }).catch(error => console.error('[Listener] Resend error:', error));
         }
       } catch (error) {
         console.error('[Listener] Error processing message:', error);
@@ -454,3 +621,30 @@ export function handleListenerConnection(clientWs, sessionId, targetLang, userNa
   }
 }
 
+/**
+ * Handle a batch job watcher - pushes job_status (progress) and job_segment
+ * (each transcribed and translated segment) until the socket closes
+ * @param {Object} options - { jobToken } from POST /jobs
+ */
+export function handleJobConnection(clientWs, jobId, options = {}) {
+  const job = jobManager.getJob(jobId);
+  if (!job || !verifyJobToken(options.jobToken, jobId)) {
+    clientWs.send(JSON.stringify({
+      type: 'error',
+      message: job ? 'Invalid or missing job token' : 'Job not found'
+    }));
+    clientWs.close();
+    return;
+  }
+
+  const send = (message) => {
+    if (clientWs.readyState === WebSocket.OPEN) {
+      clientWs.send(JSON.stringify(message));
+    }
+  };
+
+  const unsubscribe = jobManager.subscribe(jobId, send);
+  send({ type: 'job_status', job: jobManager.getSummary(job) });
+
+  clientWs.on('close', unsubscribe);
+}
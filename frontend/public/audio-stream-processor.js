@@ -1,51 +1,151 @@
 /**
  * AudioWorklet Processor - Runs on separate audio rendering thread
  * This keeps audio processing OFF the main thread for smooth React rendering
+ *
+ * Voice activity detection: every buffer is compared with an adaptive noise
+ * floor. With suppressSilence on, buffers without speech are held back:
+ * - the last preRollMs of silence is kept and sent when speech starts, so the
+ *   first syllable isn't cut off
+ * - sending continues for hangoverMs after the last speech, so pauses between
+ *   words don't split an utterance
+ * - every buffer that is dropped is reported as { type: 'silence', durationMs }
+ * Changes between speech and silence are reported as { type: 'vad', speaking }.
  */
+
+const DEFAULT_VAD = {
+  suppressSilence: true,
+  sensitivity: 0.5, // 0-1, higher detects quieter speech
+  hangoverMs: 800,
+  preRollMs: 300
+};
+
+// Nothing quieter than this counts as speech, however quiet the room
+const MIN_SPEECH_DB = -55;
+
 class StreamProcessor extends AudioWorkletProcessor {
-  constructor() {
+  constructor(options) {
     super();
     this.bufferSize = 4096;
     this.buffer = new Float32Array(this.bufferSize);
     this.bufferIndex = 0;
+    this.bufferMs = (this.bufferSize / sampleRate) * 1000;
+
+    // VAD state
+    this.configure(options?.processorOptions?.vad);
+    this.noiseFloorDb = null; // Starts at the first buffer's level
+    this.speaking = false;
+    this.silentMs = 0; // Since the last buffer with speech
+    this.preRoll = []; // Held-back buffers, oldest first
+
+    this.port.onmessage = (event) => {
+      if (event.data.type === 'configure') {
+        this.configure(event.data.vad);
+      }
+    };
+  }
+
+  configure(vad = {}) {
+    this.vad = { ...DEFAULT_VAD, ...this.vad, ...vad }; // Fields not given keep their value
+    this.preRollBuffers = Math.ceil(this.vad.preRollMs / this.bufferMs);
+  }
+
+  /**
+   * Speech if the buffer is well above the noise floor - the margin shrinks
+   * from 20 dB to 6 dB as sensitivity goes from 0 to 1
+   */
+  detectSpeech(samples) {
+    let sum = 0;
+    for (let i = 0; i < samples.length; i++) {
+      sum += samples[i] * samples[i];
+    }
+    const levelDb = 10 * Math.log10(sum / samples.length + 1e-10);
+    if (this.noiseFloorDb === null) {
+      this.noiseFloorDb = levelDb;
+    }
+    const marginDb = 20 - 14 * Math.min(Math.max(this.vad.sensitivity, 0), 1);
+    const isSpeech = levelDb > MIN_SPEECH_DB && levelDb > this.noiseFloorDb + marginDb;
+
+    // The floor follows quieter levels at once and louder ones slowly - very
+    // slowly during speech, so steady noise that was taken for speech still settles
+    if (levelDb < this.noiseFloorDb) {
+      this.noiseFloorDb = levelDb;
+    } else {
+      this.noiseFloorDb += (levelDb - this.noiseFloorDb) * (isSpeech ? 0.01 : 0.05);
+    }
+    return isSpeech;
   }
 
   process(inputs, outputs, parameters) {
     const input = inputs[0];
-    
+
     if (!input || !input[0]) {
       return true; // Keep processor alive
     }
 
     const channelData = input[0]; // Mono channel
-    
+
     // Accumulate samples into buffer
     for (let i = 0; i < channelData.length; i++) {
       this.buffer[this.bufferIndex++] = channelData[i];
-      
+
       // When buffer is full, send to main thread
       if (this.bufferIndex >= this.bufferSize) {
-        // Convert Float32 to Int16 PCM format
-        const pcmData = new Int16Array(this.bufferSize);
-        for (let j = 0; j < this.bufferSize; j++) {
-          const s = Math.max(-1, Math.min(1, this.buffer[j]));
-          pcmData[j] = s < 0 ? s * 0x8000 : s * 0x7FFF;
-        }
-        
-        // Send to main thread
-        this.port.postMessage({
-          type: 'audio',
-          data: pcmData
-        });
-        
+        this.handleBuffer();
+
         // Reset buffer
         this.bufferIndex = 0;
       }
     }
-    
+
     return true; // Keep processor alive
   }
+
+  handleBuffer() {
+    const isSpeech = this.detectSpeech(this.buffer);
+    this.silentMs = isSpeech ? 0 : this.silentMs + this.bufferMs;
+    const speaking = isSpeech || (this.speaking && this.silentMs <= this.vad.hangoverMs);
+
+    if (speaking !== this.speaking) {
+      this.speaking = speaking;
+      this.port.postMessage({ type: 'vad', speaking });
+    }
+
+    // Convert Float32 to Int16 PCM format
+    const pcmData = new Int16Array(this.bufferSize);
+    for (let j = 0; j < this.bufferSize; j++) {
+      const s = Math.max(-1, Math.min(1, this.buffer[j]));
+      pcmData[j] = s < 0 ? s * 0x8000 : s * 0x7FFF;
+    }
+
+    if (!this.vad.suppressSilence) {
+      this.sendAudio(pcmData);
+      return;
+    }
+
+    if (!speaking) {
+      this.preRoll.push(pcmData);
+      if (this.preRoll.length > this.preRollBuffers) {
+        this.preRoll.shift();
+        this.port.postMessage({ type: 'silence', durationMs: this.bufferMs });
+      }
+      return;
+    }
+
+    // Speech (again) - what was held back goes first
+    for (const held of this.preRoll) {
+      this.sendAudio(held);
+    }
+    this.preRoll = [];
+    this.sendAudio(pcmData);
+  }
+
+  sendAudio(pcmData) {
+    // Send to main thread (buffer transferred, not copied)
+    this.port.postMessage({
+      type: 'audio',
+      data: pcmData
+    }, [pcmData.buffer]);
+  }
 }
 
 registerProcessor('stream-processor', StreamProcessor);
-
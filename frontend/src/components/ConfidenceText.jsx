@@ -0,0 +1,34 @@
+import React from 'react'
+
+// Words recognized with less confidence than this are shaded
+const LOW_CONFIDENCE = 0.6
+
+// Source text with the recognizer's unsure words marked - words are the
+// server's [{ word, confidence }]; falls back to plain text if they don't line up
+function ConfidenceText({ text, words }) {
+  const tokens = text.split(/(\s+)/)
+  const wordCount = tokens.filter(token => token.trim()).length
+  if (!words?.length || words.length !== wordCount) return text
+
+  let wordIndex = 0
+  return (
+    <>
+      {tokens.map((token, index) => {
+        if (!token.trim()) return token
+        const { confidence } = words[wordIndex++]
+        if (confidence === undefined || confidence >= LOW_CONFIDENCE) return token
+        return (
+          <span
+            key={index}
+            className="text-gray-400 underline decoration-dotted decoration-amber-400"
+            title={`Recognition confidence ${Math.round(confidence * 100)}%`}
+          >
+            {token}
+          </span>
+        )
+      })}
+    </>
+  )
+}
+
+export { ConfidenceText }
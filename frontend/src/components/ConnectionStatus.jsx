@@ -15,12 +15,14 @@ function ConnectionStatus({ state, isConnected: isConnectedProp, latency }) {
   const getIcon = () => {
     if (isConnected) return <Wifi className="w-4 h-4 text-green-500" />;
     if (isError) return <AlertCircle className="w-4 h-4 text-red-500" />;
+    if (connectionState === 'reconnecting') return <Clock className="w-4 h-4 text-amber-500" />;
     return <WifiOff className="w-4 h-4 text-gray-500" />;
   };
   
   const getLabel = () => {
     if (connectionState === 'open') return 'Connected';
     if (connectionState === 'connecting') return 'Connecting...';
+    if (connectionState === 'reconnecting') return 'Reconnecting...';
     if (connectionState === 'error') return 'Error';
     if (connectionState === 'closed') return 'Disconnected';
     return 'Disconnected';
@@ -29,6 +31,7 @@ function ConnectionStatus({ state, isConnected: isConnectedProp, latency }) {
   const getColor = () => {
     if (isConnected) return 'text-green-600';
     if (isError) return 'text-red-600';
+    if (connectionState === 'reconnecting') return 'text-amber-600';
     return 'text-gray-600';
   };
   
@@ -65,6 +65,7 @@ function DemoPage({ onBackToHome }) {
   const [targetLang, setTargetLang] = useState('es')
   const [translations, setTranslations] = useState([])
   const [isLoading, setIsLoading] = useState(false)
+  const [error, setError] = useState(null)
 
   // Dynamically determine WebSocket URL based on frontend URL
   const getWebSocketUrl = () => {
@@ -106,6 +107,7 @@ function DemoPage({ onBackToHome }) {
     if (connectionState === 'open') {
       sendMessage({
         type: 'init',
+        mode: 'text',
         sourceLang,
         targetLang
       })
@@ -117,6 +119,7 @@ function DemoPage({ onBackToHome }) {
     if (!inputText.trim() || isLoading) return
 
     setIsLoading(true)
+    setError(null)
     sendMessage({
       type: 'text',
       text: inputText,
@@ -128,17 +131,27 @@ function DemoPage({ onBackToHome }) {
 
   const handleWebSocketMessage = (message) => {
     switch (message.type) {
-      case 'translation':
-        setTranslations(prev => [...prev, {
-          id: Date.now(),
+      case 'translation': {
+        // Long input streams in paragraph by paragraph - partials and the final
+        // share a sequenceId, so each update replaces the same entry
+        const entry = {
+          id: message.sequenceId,
           original: message.originalText,
           translated: message.translatedText,
-          timestamp: message.timestamp
-        }])
-        setIsLoading(false)
+          timestamp: message.timestamp,
+          isPartial: message.isPartial
+        }
+        setTranslations(prev => prev.some(t => t.id === entry.id)
+          ? prev.map(t => (t.id === entry.id ? entry : t))
+          : [...prev, entry])
+        if (!message.isPartial) {
+          setIsLoading(false)
+        }
         break
+      }
       case 'error':
         console.error('Translation error:', message.message)
+        setError(message.message)
         setIsLoading(false)
         break
     }
@@ -190,12 +203,16 @@ function DemoPage({ onBackToHome }) {
         {/* Input Form */}
         <form onSubmit={handleSubmit} className="mb-6">
           <div className="flex space-x-2">
-            <input
-              type="text"
+            <textarea
               value={inputText}
               onChange={(e) => setInputText(e.target.value)}
-              placeholder="Enter text to translate..."
-              className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              onKeyDown={(e) => {
+                // Enter submits, Shift+Enter adds a line (blank line = new paragraph)
+                if (e.key === 'Enter' && !e.shiftKey) handleSubmit(e)
+              }}
+              placeholder="Enter text to translate... (Shift+Enter for a new line)"
+              rows={3}
+              className="flex-1 px-4 py-2 border border-gray-300 rounded-lg resize-y focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
               disabled={isLoading}
             />
             <button
@@ -213,6 +230,12 @@ function DemoPage({ onBackToHome }) {
           </div>
         </form>
 
+        {error && (
+          <div className="mb-6 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+            {error}
+          </div>
+        )}
+
         {/* Translation Results */}
         <div className="space-y-4">
           <h3 className="text-lg font-semibold text-gray-900">Translation Results</h3>
@@ -239,7 +262,7 @@ function DemoPage({ onBackToHome }) {
                             <Copy className="w-3 h-3" />
                           </button>
                         </div>
-                        <p className="text-gray-800">{translation.original}</p>
+                        <p className="text-gray-800 whitespace-pre-line">{translation.original}</p>
                       </div>
                     )}
                     
@@ -263,7 +286,9 @@ function DemoPage({ onBackToHome }) {
                           </button>
                         </div>
                       </div>
-                      <p className="text-gray-800">{translation.translated}</p>
+                      <p className={`whitespace-pre-line ${translation.isPartial ? 'text-gray-500 italic' : 'text-gray-800'}`}>
+                        {translation.translated}
+                      </p>
                     </div>
                   </div>
                   
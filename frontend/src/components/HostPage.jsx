@@ -9,7 +9,12 @@ import { useAudioCapture } from '../hooks/useAudioCapture';
 import { Header } from './Header';
 import { ConnectionStatus } from './ConnectionStatus';
 import { LanguageSelector } from './LanguageSelector';
+import { TranscriptDownload } from './TranscriptDownload';
+import { AudioFrameEncoder, AUDIO_FRAME_VERSION, audioToBase64, packOpusPackets } from '../utils/audioFrames';
+import { OpusEncoder } from '../utils/opusEncoder';
+import { ConfidenceText } from './ConfidenceText';
 import { SentenceSegmenter } from '../utils/sentenceSegmenter';
+import { SequenceTracker } from '../utils/sequenceTracker';
 
 // Dynamically determine backend URL based on frontend URL
 // If accessing via network IP, use the same IP for backend
@@ -45,6 +50,9 @@ const getWebSocketUrl = () => {
 const API_URL = import.meta.env.VITE_API_URL || getBackendUrl();
 const WS_URL = import.meta.env.VITE_WS_URL || getWebSocketUrl();
 
+// Google Speech detects among the speaking language and up to 3 others
+const MAX_DETECT_LANGUAGES = 3;
+
 const LANGUAGES = [
   { code: 'en', name: 'English' },
   { code: 'es', name: 'Spanish' },
@@ -100,11 +108,19 @@ const LANGUAGES = [
   { code: 'af', name: 'Afrikaans' }
 ];
 
+// Append to the transcript history, ordered by segment and capped at 10 entries
+const addToHistory = (history, entry) => (
+  [...history, entry]
+    .sort((a, b) => (a.sequenceId || 0) - (b.sequenceId || 0))
+    .slice(-10)
+);
+
 export function HostPage({ onBackToHome }) {
   const [sessionCode, setSessionCode] = useState('');
   const [sessionId, setSessionId] = useState('');
   const [qrDataUrl, setQrDataUrl] = useState('');
   const [sourceLang, setSourceLang] = useState('en');
+  const [detectLanguages, setDetectLanguages] = useState([]); // Other languages the host may switch to mid-speech
   const [connectionState, setConnectionState] = useState('disconnected');
   const [transcript, setTranscript] = useState([]);
   const [currentTranscript, setCurrentTranscript] = useState(''); // Live partial transcription
@@ -112,15 +128,41 @@ export function HostPage({ onBackToHome }) {
   const [listenerCount, setListenerCount] = useState(0);
   const [languageStats, setLanguageStats] = useState({});
   const [error, setError] = useState('');
+  const [joinPassword, setJoinPassword] = useState(''); // Optional password listeners must enter
+  const [requireApproval, setRequireApproval] = useState(false); // Invite-only: approve each listener
+  const [isCreating, setIsCreating] = useState(false);
+  const [pendingListeners, setPendingListeners] = useState([]);
+  const [typedText, setTypedText] = useState(''); // Phrase to inject without speaking
+  const [glossaryFlags, setGlossaryFlags] = useState([]); // Recent segments that broke the glossary
+  const [diarization, setDiarization] = useState(false); // Label who is speaking (multi-speaker events)
+  const [speakerNames, setSpeakerNames] = useState({}); // speakerId -> display name, for speakers heard so far
+  const [phraseHintText, setPhraseHintText] = useState(''); // Names and terms to recognize, one per line
+  const [recordAudio, setRecordAudio] = useState(false); // Ask the server to archive the audio
+  const [isRecorded, setIsRecorded] = useState(false); // Server confirmed it is archiving this session
+  const [compressAudio, setCompressAudio] = useState(false); // Offer Opus instead of raw PCM
+  const [opusSupported, setOpusSupported] = useState(false); // Browser can encode Opus (WebCodecs)
+  const [skipSilence, setSkipSilence] = useState(true); // Hold back audio while nobody speaks
+  const [vadSensitivity, setVadSensitivity] = useState(0.5); // Higher detects quieter speech
 
   const wsRef = useRef(null);
-  const { startRecording, stopRecording, isRecording, audioLevel } = useAudioCapture();
+  const hostTokenRef = useRef(null); // Proves ownership of the session (also used to resume)
+  const reconnectTimerRef = useRef(null);
+  const reconnectAttemptsRef = useRef(0);
+  const isLeavingRef = useRef(false);
+  const binaryAudioRef = useRef(false); // Current connection accepts binary audio frames
+  const audioEncoderRef = useRef(new AudioFrameEncoder());
+  const audioCodecRef = useRef('pcm'); // Codec the server chose for this connection
+  const opusEncoderRef = useRef(null); // Created on the first chunk sent as Opus
+  const { startRecording, stopRecording, configureVad, isRecording, audioLevel, isSpeaking } = useAudioCapture();
   
   // Throttling refs for smooth partial updates (20fps max)
   const lastUpdateTimeRef = useRef(0);
   const pendingTextRef = useRef(null);
   const throttleTimerRef = useRef(null);
   
+  // Segment the live partials belong to (history entries are ordered by it)
+  const currentSegmentRef = useRef(null);
+  
   // Sentence segmenter for smart text management
   const segmenterRef = useRef(null);
   if (!segmenterRef.current) {
@@ -131,30 +173,72 @@ export function HostPage({ onBackToHome }) {
       onFlush: (flushedSentences) => {
         const joinedText = flushedSentences.join(' ').trim();
         if (joinedText) {
-          setTranscript(prev => [...prev, {
+          setTranscript(prev => addToHistory(prev, {
             text: joinedText,
-            timestamp: Date.now()
-          }].slice(-10));
+            timestamp: Date.now(),
+            sequenceId: currentSegmentRef.current
+          }));
         }
       }
     });
   }
 
-  // Create session on mount
+  // Segment tracker - asks the server to resend finals we never received
+  const sequenceTrackerRef = useRef(null);
+  if (!sequenceTrackerRef.current) {
+    sequenceTrackerRef.current = new SequenceTracker({
+      onGap: (missingIds) => {
+        console.log('[Host] Missing segments, requesting resend:', missingIds);
+        if (wsRef.current?.readyState === WebSocket.OPEN) {
+          wsRef.current.send(JSON.stringify({
+            type: 'resend',
+            sequenceIds: missingIds
+          }));
+        }
+      }
+    });
+  }
+
+  useEffect(() => {
+    OpusEncoder.isSupported().then(setOpusSupported);
+  }, []);
+
+  // Silence settings apply to a running broadcast right away
+  useEffect(() => {
+    configureVad({ suppressSilence: skipSilence, sensitivity: vadSensitivity });
+  }, [configureVad, skipSilence, vadSensitivity]);
+
+  // Clean up on unmount
   useEffect(() => {
-    createSession();
     return () => {
+      isLeavingRef.current = true;
+      sequenceTrackerRef.current?.destroy();
+      if (reconnectTimerRef.current) {
+        clearTimeout(reconnectTimerRef.current);
+      }
       if (wsRef.current) {
+        // Tell the server this is intentional so it skips the reconnect grace period
+        if (wsRef.current.readyState === WebSocket.OPEN) {
+          wsRef.current.send(JSON.stringify({ type: 'end_session' }));
+        }
         wsRef.current.close();
       }
     };
   }, []);
 
   const createSession = async () => {
+    setIsCreating(true);
+    setError('');
+    
     try {
       const response = await fetch(`${API_URL}/session/start`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' }
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          password: joinPassword || undefined,
+          requireApproval,
+          record: recordAudio || undefined
+        })
       });
 
       const data = await response.json();
@@ -162,6 +246,7 @@ export function HostPage({ onBackToHome }) {
       if (data.success) {
         setSessionId(data.sessionId);
         setSessionCode(data.sessionCode);
+        hostTokenRef.current = data.hostToken;
         
         // Generate QR code with join URL
         const joinUrl = `${window.location.origin}?join=${data.sessionCode}`;
@@ -183,26 +268,55 @@ export function HostPage({ onBackToHome }) {
     } catch (err) {
       console.error('Failed to create session:', err);
       setError('Failed to create session. Please check your connection.');
+    } finally {
+      setIsCreating(false);
     }
   };
 
+  const phraseHints = phraseHintText.split('\n').map(line => line.trim()).filter(Boolean);
+
   const connectWebSocket = (sessionId) => {
-    const ws = new WebSocket(`${WS_URL}/translate?role=host&sessionId=${sessionId}`);
+    const ws = new WebSocket(`${WS_URL}/translate?role=host&sessionId=${sessionId}&hostToken=${hostTokenRef.current}`);
     
     ws.onopen = () => {
       console.log('[Host] WebSocket connected');
+      binaryAudioRef.current = false; // Until session_ready says otherwise
+      audioEncoderRef.current.reset();
       setConnectionState('open');
+      reconnectAttemptsRef.current = 0;
       
       // Send initialization
       ws.send(JSON.stringify({
         type: 'init',
-        sourceLang: sourceLang
+        sourceLang: sourceLang,
+        languages: detectLanguages,
+        diarization,
+        ...(compressAudio && opusSupported && { audioCodecs: ['opus'] }),
+        ...(phraseHints.length > 0 && { phraseHints: { phrases: phraseHints } })
       }));
     };
     
-    ws.onclose = () => {
+    ws.onclose = (event) => {
       console.log('[Host] WebSocket disconnected');
-      setConnectionState('closed');
+      
+      if (isLeavingRef.current || !hostTokenRef.current) {
+        setConnectionState('closed');
+        return;
+      }
+      
+      // Another connection (e.g. a second tab) took over the session - don't fight it for the session
+      if (event.code === 4001) {
+        setConnectionState('closed');
+        setError('This session is now being hosted from another window.');
+        return;
+      }
+      
+      // Unexpected drop - the server holds the session for a grace period, so resume it
+      setConnectionState('reconnecting');
+      const delay = Math.min(1000 * Math.pow(2, reconnectAttemptsRef.current), 10000);
+      reconnectAttemptsRef.current++;
+      console.log(`[Host] Reconnecting in ${delay}ms (attempt ${reconnectAttemptsRef.current})`);
+      reconnectTimerRef.current = setTimeout(() => connectWebSocket(sessionId), delay);
     };
     
     ws.onerror = (error) => {
@@ -216,7 +330,45 @@ export function HostPage({ onBackToHome }) {
         
         switch (message.type) {
           case 'session_ready':
-            console.log('[Host] Session ready:', message.sessionCode);
+            console.log('[Host] Session ready:', message.sessionCode, message.resumed ? '(resumed)' : '');
+            if (message.resumed) {
+              setError('');
+            }
+            setPendingListeners(message.pendingListeners || []);
+            setSpeakerNames(prev => ({ ...prev, ...message.speakerNames }));
+            setIsRecorded(Boolean(message.recording));
+            binaryAudioRef.current = message.binaryAudio === AUDIO_FRAME_VERSION;
+            audioCodecRef.current = message.audioCodec === 'opus' ? 'opus' : 'pcm';
+            if (message.hostToken) {
+              hostTokenRef.current = message.hostToken; // Older tokens stop working once this one is used
+            }
+            break;
+
+          case 'host_token':
+            hostTokenRef.current = message.hostToken;
+            break;
+          
+          case 'source_language_changed':
+            setSourceLang(message.sourceLang);
+            setDetectLanguages(message.languages || []);
+            break;
+          
+          case 'speaker_renamed':
+            setSpeakerNames(prev => ({ ...prev, [message.speakerId]: message.name }));
+            break;
+          
+          case 'pending_listeners':
+            // Invite-only sessions: listeners waiting for approval
+            setPendingListeners(message.listeners || []);
+            break;
+          
+          case 'glossary_flag':
+            // A translation didn't use the required terminology
+            setGlossaryFlags(prev => [...prev, {
+              sequenceId: message.sequenceId,
+              targetLang: message.targetLang,
+              terms: message.violations.map(v => v.expected)
+            }].slice(-5));
             break;
           
           case 'gemini_ready':
@@ -234,6 +386,12 @@ export function HostPage({ onBackToHome }) {
           case 'translation':
             // ✨ REAL-TIME STREAMING: Sentence segmented + throttled display
             if (message.isPartial) {
+              // Late partial for a segment that has already been finalized
+              if (sequenceTrackerRef.current.isStale(message.sequenceId)) {
+                break;
+              }
+              currentSegmentRef.current = message.sequenceId;
+              
               const rawText = message.originalText || message.translatedText;
               const now = Date.now();
               
@@ -270,22 +428,55 @@ export function HostPage({ onBackToHome }) {
               }
             } else {
               // Final transcript - process through segmenter (deduplicated)
+              if (!sequenceTrackerRef.current.markReceived(message.sequenceId)) {
+                break;
+              }
+              currentSegmentRef.current = message.sequenceId;
+              
               const finalText = message.originalText || message.translatedText;
               const { flushedSentences } = segmenterRef.current.processFinal(finalText);
               
+              // First segment from a new speaker adds them to the rename list
+              if (message.speakerId) {
+                setSpeakerNames(prev => (prev[message.speakerId] ? prev : { ...prev, [message.speakerId]: message.speakerName }));
+              }
+              
               // Add deduplicated sentences to history
               if (flushedSentences.length > 0) {
                 const joinedText = flushedSentences.join(' ').trim();
-                setTranscript(prev => [...prev, {
+                setTranscript(prev => addToHistory(prev, {
                   text: joinedText,
-                  timestamp: message.timestamp || Date.now()
-                }].slice(-10));
+                  words: joinedText === finalText.trim() ? message.words : undefined, // Only when nothing was merged or trimmed
+                  speakerId: message.speakerId,
+                  sourceLang: message.sourceLang,
+                  timestamp: message.timestamp || Date.now(),
+                  sequenceId: message.sequenceId
+                }));
               }
               
+              currentSegmentRef.current = null;
               setCurrentTranscript('');
             }
             break;
           
+          case 'transcript_backfill':
+            // Resent segments after a gap - add any we don't already show
+            message.segments.forEach(segment => sequenceTrackerRef.current.markReceived(segment.sequenceId));
+            sequenceTrackerRef.current.markUnavailable(message.unavailable);
+            setTranscript(prev => message.segments.reduce((history, segment) => (
+              history.some(entry => entry.sequenceId === segment.sequenceId)
+                ? history
+                : addToHistory(history, {
+                  text: segment.originalText,
+                  words: segment.words,
+                  speakerId: segment.speakerId,
+                  sourceLang: segment.sourceLang,
+                  timestamp: segment.timestamp,
+                  sequenceId: segment.sequenceId
+                })
+            ), prev));
+            break;
+          
           case 'session_stats':
             if (message.stats) {
               setListenerCount(message.stats.listenerCount || 0);
@@ -296,6 +487,16 @@ export function HostPage({ onBackToHome }) {
           case 'error':
             console.error('[Host] Error:', message.message);
             setError(message.message);
+            if (message.message?.includes('host token') || message.message === 'Session not found') {
+              // Grace period expired or session is gone - stop trying to resume
+              hostTokenRef.current = null;
+            }
+            break;
+          
+          case 'session_ended':
+            // Ended from elsewhere (e.g. DELETE /session/:code) - don't reconnect
+            hostTokenRef.current = null;
+            setError(message.message || 'The session has ended');
             break;
         }
       } catch (err) {
@@ -306,6 +507,21 @@ export function HostPage({ onBackToHome }) {
     wsRef.current = ws;
   };
 
+  // One chunk of audio on the current connection - a binary frame when the server takes them
+  const sendAudio = (audio, isOpus) => {
+    if (wsRef.current?.readyState !== WebSocket.OPEN) return;
+    if (binaryAudioRef.current) {
+      const encoder = audioEncoderRef.current;
+      wsRef.current.send(isOpus ? encoder.encodeOpus(audio) : encoder.encode(audio));
+    } else {
+      wsRef.current.send(JSON.stringify({
+        type: 'audio',
+        audioData: audioToBase64(isOpus ? packOpusPackets(audio) : audio),
+        streaming: true
+      }));
+    }
+  };
+
   const handleStartBroadcast = async () => {
     if (!wsRef.current || wsRef.current.readyState !== WebSocket.OPEN) {
       setError('WebSocket not connected');
@@ -313,15 +529,28 @@ export function HostPage({ onBackToHome }) {
     }
 
     try {
-      await startRecording((audioData) => {
-        if (wsRef.current?.readyState === WebSocket.OPEN) {
-          wsRef.current.send(JSON.stringify({
-            type: 'audio',
-            audioData: audioData,
-            streaming: true
-          }));
+      await startRecording((pcm) => {
+        if (audioCodecRef.current !== 'opus') {
+          sendAudio(pcm, false);
+          return;
+        }
+        if (!opusEncoderRef.current) {
+          opusEncoderRef.current = new OpusEncoder({
+            // Packets still in the encoder when a reconnect switched to PCM are dropped
+            onChunk: (packets) => audioCodecRef.current === 'opus' && sendAudio(packets, true)
+          });
+        }
+        opusEncoderRef.current.encode(pcm);
+      }, true, { // streaming mode
+        vad: { suppressSilence: skipSilence, sensitivity: vadSensitivity },
+        onKeepalive: (silenceMs) => {
+          // Audio before the silence goes out first
+          opusEncoderRef.current?.emit();
+          if (wsRef.current?.readyState === WebSocket.OPEN) {
+            wsRef.current.send(JSON.stringify({ type: 'audio_keepalive', silenceMs }));
+          }
         }
-      }, true); // streaming mode
+      });
       
       setIsStreaming(true);
       setError('');
@@ -331,9 +560,16 @@ export function HostPage({ onBackToHome }) {
     }
   };
 
-  const handleStopBroadcast = () => {
+  const handleStopBroadcast = async () => {
     stopRecording();
     
+    // Send what the Opus encoder still holds before ending the stream
+    const opusEncoder = opusEncoderRef.current;
+    opusEncoderRef.current = null;
+    if (opusEncoder) {
+      await opusEncoder.close();
+    }
+    
     if (wsRef.current?.readyState === WebSocket.OPEN) {
       wsRef.current.send(JSON.stringify({
         type: 'audio_end'
@@ -343,17 +579,63 @@ export function HostPage({ onBackToHome }) {
     setIsStreaming(false);
   };
 
-  const handleSourceLangChange = (lang) => {
+  const handleListenerApproval = (socketId, approve) => {
+    if (wsRef.current?.readyState === WebSocket.OPEN) {
+      wsRef.current.send(JSON.stringify({
+        type: approve ? 'approve_listener' : 'deny_listener',
+        socketId
+      }));
+    }
+  };
+
+  // Typed phrases are published to listeners like spoken finals
+  const handleSendText = (e) => {
+    e.preventDefault();
+    if (!typedText.trim() || wsRef.current?.readyState !== WebSocket.OPEN) return;
+
+    wsRef.current.send(JSON.stringify({
+      type: 'text',
+      text: typedText
+    }));
+    setTypedText('');
+  };
+
+  // Rename a diarized speaker for everyone (empty name restores "Speaker N")
+  const handleRenameSpeaker = (speakerId, name) => {
+    if (name.trim() === speakerNames[speakerId] || wsRef.current?.readyState !== WebSocket.OPEN) return;
+
+    wsRef.current.send(JSON.stringify({
+      type: 'rename_speaker',
+      speakerId,
+      name: name.trim()
+    }));
+  };
+
+  // Restarts recognition in the new language - the session and listeners stay connected
+  const changeSourceLanguage = (lang, languages) => {
     setSourceLang(lang);
+    setDetectLanguages(languages);
     
     if (wsRef.current?.readyState === WebSocket.OPEN) {
       wsRef.current.send(JSON.stringify({
-        type: 'init',
-        sourceLang: lang
+        type: 'change_source_language',
+        sourceLang: lang,
+        languages
       }));
     }
   };
 
+  const handleSourceLangChange = (lang) => {
+    changeSourceLanguage(lang, detectLanguages.filter(code => code !== lang));
+  };
+
+  const handleDetectLanguageToggle = (lang) => {
+    const next = detectLanguages.includes(lang)
+      ? detectLanguages.filter(code => code !== lang)
+      : [...detectLanguages, lang];
+    changeSourceLanguage(sourceLang, next);
+  };
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100">
       <Header />
@@ -377,6 +659,86 @@ export function HostPage({ onBackToHome }) {
             </div>
           )}
 
+          {/* Session Setup - access options are fixed when the session is created */}
+          {!sessionCode && (
+            <div className="mb-4 sm:mb-6 space-y-3 sm:space-y-4">
+              <div>
+                <label className="block text-xs sm:text-sm font-medium text-gray-700 mb-2">
+                  Join Password (Optional)
+                </label>
+                <input
+                  type="password"
+                  value={joinPassword}
+                  onChange={(e) => setJoinPassword(e.target.value)}
+                  placeholder="Anyone with the code can join"
+                  className="w-full px-3 sm:px-4 py-2 border-2 border-gray-300 rounded-lg focus:border-indigo-500 focus:outline-none text-sm sm:text-base"
+                />
+              </div>
+              
+              <label className="flex items-center gap-2 text-sm sm:text-base text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={requireApproval}
+                  onChange={(e) => setRequireApproval(e.target.checked)}
+                  className="w-4 h-4"
+                />
+                Approve each listener before they can join
+              </label>
+              
+              <label className="flex items-center gap-2 text-sm sm:text-base text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={diarization}
+                  onChange={(e) => setDiarization(e.target.checked)}
+                  className="w-4 h-4"
+                />
+                Label speakers (several people speaking)
+              </label>
+              
+              <label className="flex items-center gap-2 text-sm sm:text-base text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={recordAudio}
+                  onChange={(e) => setRecordAudio(e.target.checked)}
+                  className="w-4 h-4"
+                />
+                Keep a recording of the audio on the server
+              </label>
+              
+              <label className={`flex items-center gap-2 text-sm sm:text-base ${opusSupported ? 'text-gray-700' : 'text-gray-400'}`}>
+                <input
+                  type="checkbox"
+                  checked={compressAudio && opusSupported}
+                  onChange={(e) => setCompressAudio(e.target.checked)}
+                  disabled={!opusSupported}
+                  className="w-4 h-4"
+                />
+                Compress audio (slow Wi-Fi or mobile data){!opusSupported && ' - not supported by this browser'}
+              </label>
+              
+              <div>
+                <label className="block text-xs sm:text-sm font-medium text-gray-700 mb-2">
+                  Names and Terms to Recognize (Optional)
+                </label>
+                <textarea
+                  value={phraseHintText}
+                  onChange={(e) => setPhraseHintText(e.target.value)}
+                  placeholder={'One per line, e.g.\nPastor Kim\nEucharist'}
+                  rows={3}
+                  className="w-full px-3 sm:px-4 py-2 border-2 border-gray-300 rounded-lg focus:border-indigo-500 focus:outline-none text-sm sm:text-base"
+                />
+              </div>
+              
+              <button
+                onClick={createSession}
+                disabled={isCreating}
+                className="w-full px-4 sm:px-6 py-2 sm:py-3 bg-indigo-500 hover:bg-indigo-600 disabled:bg-gray-300 text-white text-sm sm:text-base font-semibold rounded-lg shadow-lg transition-all"
+              >
+                {isCreating ? 'Creating...' : 'Create Session'}
+              </button>
+            </div>
+          )}
+
           {/* Session Code Display */}
           {sessionCode && (
             <div className="mb-4 sm:mb-6 text-center">
@@ -406,6 +768,35 @@ export function HostPage({ onBackToHome }) {
               selectedLanguage={sourceLang}
               onLanguageChange={handleSourceLangChange}
             />
+            
+            {/* Language detection - each segment is translated from the language actually heard */}
+            <div className="mt-2 flex flex-wrap items-center gap-2 text-xs sm:text-sm">
+              <span className="text-gray-600">Also detect:</span>
+              {detectLanguages.map(code => (
+                <button
+                  key={code}
+                  onClick={() => handleDetectLanguageToggle(code)}
+                  className="px-2 py-0.5 bg-indigo-100 hover:bg-indigo-200 text-indigo-700 rounded-full"
+                  title="Stop detecting this language"
+                >
+                  {LANGUAGES.find(lang => lang.code === code)?.name || code} ×
+                </button>
+              ))}
+              {detectLanguages.length < MAX_DETECT_LANGUAGES && (
+                <select
+                  value=""
+                  onChange={(e) => e.target.value && handleDetectLanguageToggle(e.target.value)}
+                  className="px-2 py-0.5 border border-gray-300 rounded-lg bg-white"
+                >
+                  <option value="">+ Add language</option>
+                  {LANGUAGES
+                    .filter(lang => lang.code !== sourceLang && !detectLanguages.includes(lang.code))
+                    .map(lang => (
+                      <option key={lang.code} value={lang.code}>{lang.name}</option>
+                    ))}
+                </select>
+              )}
+            </div>
           </div>
 
           {/* Broadcast Controls */}
@@ -428,10 +819,60 @@ export function HostPage({ onBackToHome }) {
             )}
           </div>
 
+          {/* Silence Detection */}
+          <div className="flex flex-wrap items-center justify-center gap-3 sm:gap-4 mb-4 sm:mb-6 text-xs sm:text-sm text-gray-700">
+            <label className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={skipSilence}
+                onChange={(e) => setSkipSilence(e.target.checked)}
+                className="w-4 h-4"
+              />
+              Don't send silence
+            </label>
+            <label className="flex items-center gap-2">
+              Speech sensitivity
+              <select
+                value={vadSensitivity}
+                onChange={(e) => setVadSensitivity(Number(e.target.value))}
+                className="px-2 py-1 border border-gray-300 rounded-lg"
+              >
+                <option value={0.25}>Low (noisy room)</option>
+                <option value={0.5}>Medium</option>
+                <option value={0.75}>High (quiet speaker)</option>
+              </select>
+            </label>
+          </div>
+
+          {/* Typed Phrase - announcements or corrections without the microphone */}
+          <form onSubmit={handleSendText} className="flex gap-2 mb-4 sm:mb-6">
+            <input
+              type="text"
+              value={typedText}
+              onChange={(e) => setTypedText(e.target.value)}
+              placeholder="Type a phrase to send to listeners..."
+              disabled={connectionState !== 'open'}
+              className="flex-1 px-3 py-2 text-sm sm:text-base border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 disabled:bg-gray-100"
+            />
+            <button
+              type="submit"
+              disabled={connectionState !== 'open' || !typedText.trim()}
+              className="px-4 py-2 bg-blue-500 hover:bg-blue-600 disabled:bg-gray-300 text-white text-sm sm:text-base font-semibold rounded-lg transition-colors"
+            >
+              Send
+            </button>
+          </form>
+
           {/* Audio Level Indicator */}
           {isStreaming && (
             <div className="mb-4 sm:mb-6">
-              <p className="text-xs sm:text-sm text-gray-600 mb-2">Audio Level:</p>
+              <p className="text-xs sm:text-sm text-gray-600 mb-2">
+                Audio Level:
+                <span className={`ml-2 ${isSpeaking ? 'text-green-600 font-semibold' : 'text-gray-400'}`}>
+                  {isSpeaking ? '● Speech detected' : '○ Silence'}
+                </span>
+                {isRecorded && <span className="ml-2 text-red-600 font-semibold">● Recording</span>}
+              </p>
               <div className="w-full bg-gray-200 rounded-full h-3 sm:h-4 overflow-hidden">
                 <div
                   className="bg-green-500 h-full transition-all duration-100"
@@ -441,6 +882,80 @@ export function HostPage({ onBackToHome }) {
             </div>
           )}
 
+          {/* Pending Approvals (invite-only sessions) */}
+          {pendingListeners.length > 0 && (
+            <div className="mb-4 sm:mb-6 p-3 sm:p-4 bg-amber-50 border border-amber-200 rounded-lg">
+              <h3 className="text-sm sm:text-base font-semibold text-gray-800 mb-2">
+                🚪 Waiting to Join ({pendingListeners.length})
+              </h3>
+              <div className="space-y-2">
+                {pendingListeners.map((listener) => (
+                  <div key={listener.socketId} className="flex items-center justify-between gap-2 text-xs sm:text-sm">
+                    <span className="text-gray-700">
+                      {listener.userName} <span className="text-gray-500">({listener.targetLang})</span>
+                    </span>
+                    <div className="flex gap-2">
+                      <button
+                        onClick={() => handleListenerApproval(listener.socketId, true)}
+                        className="px-3 py-1 bg-green-500 hover:bg-green-600 text-white font-semibold rounded"
+                      >
+                        Approve
+                      </button>
+                      <button
+                        onClick={() => handleListenerApproval(listener.socketId, false)}
+                        className="px-3 py-1 bg-gray-400 hover:bg-gray-500 text-white font-semibold rounded"
+                      >
+                        Deny
+                      </button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {/* Speakers (diarization) - renames apply to listeners, history and exports */}
+          {Object.keys(speakerNames).length > 0 && (
+            <div className="mb-4 sm:mb-6 p-3 sm:p-4 bg-indigo-50 rounded-lg">
+              <h3 className="text-sm sm:text-base font-semibold text-gray-800 mb-2">🗣️ Speakers</h3>
+              <div className="space-y-2">
+                {Object.entries(speakerNames).map(([speakerId, name]) => (
+                  <input
+                    key={`${speakerId}-${name}`}
+                    type="text"
+                    defaultValue={name}
+                    onBlur={(e) => handleRenameSpeaker(speakerId, e.target.value)}
+                    onKeyDown={(e) => e.key === 'Enter' && e.target.blur()}
+                    maxLength={60}
+                    className="w-full px-3 py-1.5 text-xs sm:text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                  />
+                ))}
+              </div>
+            </div>
+          )}
+
+          {/* Glossary Warnings */}
+          {glossaryFlags.length > 0 && (
+            <div className="mb-4 sm:mb-6 p-3 sm:p-4 bg-amber-50 border border-amber-200 rounded-lg">
+              <div className="flex items-center justify-between mb-2">
+                <h3 className="text-sm sm:text-base font-semibold text-gray-800">⚠️ Glossary not followed</h3>
+                <button
+                  onClick={() => setGlossaryFlags([])}
+                  className="text-xs text-gray-500 hover:text-gray-700"
+                >
+                  Dismiss
+                </button>
+              </div>
+              <ul className="space-y-1 text-xs sm:text-sm text-gray-700">
+                {glossaryFlags.map((flag, index) => (
+                  <li key={`${flag.sequenceId}-${flag.targetLang}-${index}`}>
+                    Segment #{flag.sequenceId} ({flag.targetLang.toUpperCase()}): missing {flag.terms.map(term => `"${term}"`).join(', ')}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
           {/* Listener Stats */}
           <div className="mb-4 sm:mb-6 p-3 sm:p-4 bg-indigo-50 rounded-lg">
             <h3 className="text-sm sm:text-base font-semibold text-gray-800 mb-2">📊 Listener Statistics</h3>
@@ -538,30 +1053,18 @@ export function HostPage({ onBackToHome }) {
                   ({transcript.length})
                 </span>
               </h3>
-              <button
-                onClick={() => {
-                  const content = transcript.map(t => `${t.text}\n---`).join('\n')
-                  const blob = new Blob([content], { type: 'text/plain' })
-                  const url = URL.createObjectURL(blob)
-                  const a = document.createElement('a')
-                  a.href = url
-                  a.download = `transcription-${new Date().toISOString().split('T')[0]}.txt`
-                  document.body.appendChild(a)
-                  a.click()
-                  document.body.removeChild(a)
-                  URL.revokeObjectURL(url)
-                }}
-                className="flex items-center space-x-1 px-2 sm:px-3 py-1 text-xs sm:text-sm text-gray-600 hover:text-gray-800 transition-colors"
-              >
-                <span>📥</span>
-                <span className="hidden sm:inline">Download</span>
-              </button>
+              <TranscriptDownload apiUrl={API_URL} sessionCode={sessionCode} lang={sourceLang} getToken={() => hostTokenRef.current} />
             </div>
             <div className="space-y-2 sm:space-y-3 max-h-80 sm:max-h-96 overflow-y-auto pr-1 sm:pr-2">
               {transcript.slice().reverse().map((item, index) => (
                 <div key={index} className="p-3 sm:p-4 bg-white rounded-lg border border-gray-200 shadow-sm hover:shadow-md transition-all">
                   <div className="flex items-center justify-between mb-2">
-                    <span className="text-xs font-semibold text-blue-600 uppercase">Transcription</span>
+                    <span className="text-xs font-semibold text-blue-600 uppercase">
+                      {item.speakerId ? speakerNames[item.speakerId] || `Speaker ${item.speakerId}` : 'Transcription'}
+                      {item.sourceLang && item.sourceLang !== sourceLang && (
+                        <span className="ml-2 text-gray-400">{item.sourceLang}</span>
+                      )}
+                    </span>
                     <button
                       onClick={() => navigator.clipboard.writeText(item.text)}
                       className="p-1 text-gray-400 hover:text-gray-600 transition-colors"
@@ -570,7 +1073,9 @@ export function HostPage({ onBackToHome }) {
                       📋
                     </button>
                   </div>
-                  <p className="text-gray-900 text-sm sm:text-base font-medium leading-relaxed">{item.text}</p>
+                  <p className="text-gray-900 text-sm sm:text-base font-medium leading-relaxed">
+                    <ConfidenceText text={item.text} words={item.words} />
+                  </p>
                   <div className="mt-2 sm:mt-3 pt-2 sm:pt-3 border-t border-gray-100 text-xs text-gray-400 flex items-center justify-between">
                     <span>{new Date(item.timestamp).toLocaleTimeString()}</span>
                     <span className="text-gray-300">#{transcript.length - index}</span>
@@ -7,7 +7,13 @@ import { flushSync } from 'react-dom';
 import { Header } from './Header';
 import { ConnectionStatus } from './ConnectionStatus';
 import { LanguageSelector } from './LanguageSelector';
+import { TranscriptDownload } from './TranscriptDownload';
 import { SentenceSegmenter } from '../utils/sentenceSegmenter';
+import { SequenceTracker } from '../utils/sequenceTracker';
+import { AudioPlaybackQueue } from '../utils/audioPlaybackQueue';
+import { useReadAloud } from '../hooks/useReadAloud';
+import { ReadAloudControls } from './ReadAloudControls';
+import { ConfidenceText } from './ConfidenceText';
 
 // Dynamically determine backend URL based on frontend URL
 // If accessing via network IP, use the same IP for backend
@@ -98,6 +104,17 @@ const LANGUAGES = [
   { code: 'af', name: 'Afrikaans' }
 ];
 
+// Live partial with the words the speech engine may still revise dimmed
+function LiveText({ text, tentative }) {
+  if (!tentative || !text.endsWith(tentative)) return text;
+  return (
+    <>
+      {text.slice(0, text.length - tentative.length)}
+      <span className="opacity-60 italic">{tentative}</span>
+    </>
+  );
+}
+
 export function ListenerPage({ sessionCodeProp, onBackToHome }) {
   const [sessionCode, setSessionCode] = useState(sessionCodeProp || '');
   const [isJoined, setIsJoined] = useState(false);
@@ -107,16 +124,27 @@ export function ListenerPage({ sessionCodeProp, onBackToHome }) {
   const [translations, setTranslations] = useState([]);
   const [currentTranslation, setCurrentTranslation] = useState(''); // Live partial translation
   const [currentOriginal, setCurrentOriginal] = useState(''); // Live partial original text
+  const [currentTentative, setCurrentTentative] = useState(''); // Unsettled tail of the live translation
+  const [currentOriginalTentative, setCurrentOriginalTentative] = useState(''); // Unsettled tail of the original
   const [sessionInfo, setSessionInfo] = useState(null);
   const [error, setError] = useState('');
   const [isJoining, setIsJoining] = useState(false);
+  const [hostStatus, setHostStatus] = useState(''); // '' | 'reconnecting'
+  const [password, setPassword] = useState('');
+  const [passwordRequired, setPasswordRequired] = useState(false);
+  const [isAwaitingApproval, setIsAwaitingApproval] = useState(false); // Invite-only sessions
+  const [audioAvailable, setAudioAvailable] = useState(false); // Server has a TTS provider
+  const [audioEnabled, setAudioEnabled] = useState(false); // Spoken interpretation on
+  const [isAudioPlaying, setIsAudioPlaying] = useState(false);
 
   const wsRef = useRef(null);
+  const listenerTokenRef = useRef(null); // Session read routes (transcript download)
   const translationsEndRef = useRef(null);
   
   // Throttling refs for smooth partial updates (20fps max)
   const lastUpdateTimeRef = useRef(0);
   const pendingTextRef = useRef(null);
+  const pendingTentativeRef = useRef('');
   const throttleTimerRef = useRef(null);
   
   // Sentence segmenter for smart text management
@@ -135,6 +163,35 @@ export function ListenerPage({ sessionCodeProp, onBackToHome }) {
     });
   }
 
+  // Segment tracker - asks the server to resend finals we never received
+  const sequenceTrackerRef = useRef(null);
+  if (!sequenceTrackerRef.current) {
+    sequenceTrackerRef.current = new SequenceTracker({
+      onGap: (missingIds) => {
+        console.log('[ListenerPage] Missing segments, requesting resend:', missingIds);
+        if (wsRef.current?.readyState === WebSocket.OPEN) {
+          wsRef.current.send(JSON.stringify({
+            type: 'resend',
+            sequenceIds: missingIds
+          }));
+        }
+      }
+    });
+  }
+
+  // Spoken interpretation - server-synthesized segments played back to back
+  const audioEnabledRef = useRef(false);
+  const audioQueueRef = useRef(null);
+  if (!audioQueueRef.current) {
+    audioQueueRef.current = new AudioPlaybackQueue({
+      onPlayingChange: setIsAudioPlaying
+    });
+  }
+
+  // Browser read-aloud of live finals - off while server audio interpretation is on
+  const readAloud = useReadAloud(targetLang);
+  const { speak } = readAloud;
+
   // Auto-scroll to latest translation
   useEffect(() => {
     translationsEndRef.current?.scrollIntoView({ behavior: 'smooth' });
@@ -143,6 +200,8 @@ export function ListenerPage({ sessionCodeProp, onBackToHome }) {
   // Cleanup on unmount
   useEffect(() => {
     return () => {
+      sequenceTrackerRef.current?.destroy();
+      audioQueueRef.current?.destroy();
       if (wsRef.current) {
         wsRef.current.close();
       }
@@ -165,7 +224,8 @@ export function ListenerPage({ sessionCodeProp, onBackToHome }) {
         body: JSON.stringify({
           sessionCode: sessionCode.toUpperCase(),
           targetLang: targetLang,
-          userName: userName || 'Anonymous'
+          userName: userName || 'Anonymous',
+          password: password || undefined
         })
       });
 
@@ -174,10 +234,14 @@ export function ListenerPage({ sessionCodeProp, onBackToHome }) {
       if (data.success) {
         setSessionInfo(data);
         setIsJoined(true);
+        listenerTokenRef.current = data.listenerToken;
         
         // Connect WebSocket
-        connectWebSocket(data.sessionId, targetLang, userName || 'Anonymous');
+        connectWebSocket(data.sessionId, targetLang, userName || 'Anonymous', data.listenerToken);
       } else {
+        if (data.passwordRequired) {
+          setPasswordRequired(true);
+        }
         setError(data.error || 'Failed to join session');
       }
     } catch (err) {
@@ -188,9 +252,9 @@ export function ListenerPage({ sessionCodeProp, onBackToHome }) {
     }
   };
 
-  const connectWebSocket = (sessionId, lang, name) => {
+  const connectWebSocket = (sessionId, lang, name, listenerToken) => {
     const ws = new WebSocket(
-      `${WS_URL}/translate?role=listener&sessionId=${sessionId}&targetLang=${lang}&userName=${encodeURIComponent(name)}`
+      `${WS_URL}/translate?role=listener&sessionId=${sessionId}&targetLang=${lang}&userName=${encodeURIComponent(name)}&listenerToken=${listenerToken}`
     );
     
     ws.onopen = () => {
@@ -216,11 +280,24 @@ export function ListenerPage({ sessionCodeProp, onBackToHome }) {
         switch (message.type) {
           case 'session_joined':
             console.log('[Listener] Joined session:', message.sessionCode);
+            setIsAwaitingApproval(false);
+            // Admitted token - the join token doesn't open the transcript of invite-only sessions
+            if (message.listenerToken) {
+              listenerTokenRef.current = message.listenerToken;
+            }
+            // Everything up to lastSequenceId arrives through backfill
+            sequenceTrackerRef.current.reset(message.lastSequenceId ?? null);
+            setAudioAvailable(Boolean(message.audioAvailable));
             break;
           
           case 'translation':
             // ✨ REAL-TIME STREAMING: Sentence segmented + throttled display
             if (message.isPartial) {
+              // Late partial for a segment that has already been finalized
+              if (sequenceTrackerRef.current.isStale(message.sequenceId)) {
+                break;
+              }
+              
               const originalText = message.originalText || '';
               const translatedText = message.translatedText || message.originalText;
               const now = Date.now();
@@ -229,6 +306,9 @@ export function ListenerPage({ sessionCodeProp, onBackToHome }) {
               if (originalText) {
                 setCurrentOriginal(originalText);
               }
+              if (!message.hasTranslation) {
+                setCurrentOriginalTentative(message.tentativeText || '');
+              }
               
               // Only update translation if this message is actually intended for this listener's language
               // Check if: 1) It has a real translation (hasTranslation: true), AND
@@ -248,6 +328,7 @@ export function ListenerPage({ sessionCodeProp, onBackToHome }) {
                 
                 // Store the segmented text
                 pendingTextRef.current = liveText;
+                pendingTentativeRef.current = message.tentativeText || '';
                 
                 // THROTTLE: Update max 20 times per second (50ms intervals)
                 const timeSinceLastUpdate = now - lastUpdateTimeRef.current;
@@ -257,6 +338,7 @@ export function ListenerPage({ sessionCodeProp, onBackToHome }) {
                   lastUpdateTimeRef.current = now;
                   flushSync(() => {
                     setCurrentTranslation(liveText);
+                    setCurrentTentative(pendingTentativeRef.current);
                   });
                 } else {
                   // Schedule delayed update
@@ -270,6 +352,7 @@ export function ListenerPage({ sessionCodeProp, onBackToHome }) {
                       lastUpdateTimeRef.current = Date.now();
                       flushSync(() => {
                         setCurrentTranslation(latestText);
+                        setCurrentTentative(pendingTentativeRef.current);
                       });
                     }
                   }, 50);
@@ -282,11 +365,17 @@ export function ListenerPage({ sessionCodeProp, onBackToHome }) {
               
               console.log('[ListenerPage] 📝 Final received:', finalText.substring(0, 50));
               
+              if (!sequenceTrackerRef.current.markReceived(message.sequenceId)) {
+                console.log(`[ListenerPage] ⚠️ Segment ${message.sequenceId} already received, skipping`);
+                break;
+              }
+              
               // Deduplicate: Check if this exact text was already added recently
               setTranslations(prev => {
                 // Check last 3 entries for duplicates
                 const recentEntries = prev.slice(-3);
                 const isDuplicate = recentEntries.some(entry => 
+                  (message.sequenceId && entry.sequenceId === message.sequenceId) ||
                   entry.translated === finalText || 
                   (entry.original === originalText && originalText.length > 0)
                 );
@@ -296,13 +385,25 @@ export function ListenerPage({ sessionCodeProp, onBackToHome }) {
                   return prev;
                 }
                 
+                // Order by segment, not arrival - parallel translations can finish out of order
                 return [...prev, {
                   original: originalText,
                   translated: finalText,
-                  timestamp: message.timestamp || Date.now()
-                }].slice(-50);
+                  words: message.words,
+                  speakerId: message.speakerId,
+                  speakerName: message.speakerName,
+                  sourceLang: message.sourceLang,
+                  timestamp: message.timestamp || Date.now(),
+                  sequenceId: message.sequenceId
+                }]
+                  .sort((a, b) => (a.sequenceId || 0) - (b.sequenceId || 0))
+                  .slice(-50);
               });
               
+              if (!audioEnabledRef.current) {
+                speak(finalText);
+              }
+              
               // Clear live displays
               setCurrentTranslation('');
               setCurrentOriginal('');
@@ -314,7 +415,77 @@ export function ListenerPage({ sessionCodeProp, onBackToHome }) {
             }
             break;
           
+          case 'transcript_backfill':
+            // History for late joiners - merge in spoken order, skipping segments we already have
+            console.log(`[Listener] Backfill received: ${message.segments.length} segment(s)`);
+            message.segments.forEach(segment => sequenceTrackerRef.current.markReceived(segment.sequenceId));
+            sequenceTrackerRef.current.markUnavailable(message.unavailable);
+            setTranslations(prev => {
+              const known = new Set(prev.map(entry => entry.sequenceId));
+              const missed = message.segments
+                .filter(segment => !known.has(segment.sequenceId))
+                .map(segment => ({
+                  original: segment.originalText,
+                  translated: segment.translatedText,
+                  words: segment.words,
+                  speakerId: segment.speakerId,
+                  speakerName: segment.speakerName,
+                  sourceLang: segment.sourceLang,
+                  timestamp: segment.timestamp,
+                  sequenceId: segment.sequenceId
+                }));
+              
+              return [...missed, ...prev]
+                .sort((a, b) => (a.sequenceId || 0) - (b.sequenceId || 0))
+                .slice(-50);
+            });
+            break;
+          
+          case 'tts_audio':
+            if (audioEnabledRef.current) {
+              audioQueueRef.current.enqueue(message.audioData, message.sequenceId);
+            }
+            break;
+          
+          case 'speaker_renamed':
+            // Host named a speaker - relabel everything they said
+            setTranslations(prev => prev.map(entry => (
+              entry.speakerId === message.speakerId ? { ...entry, speakerName: message.name } : entry
+            )));
+            break;
+          
+          case 'audio_status':
+            setAudioAvailable(message.available);
+            if (!message.enabled) {
+              audioEnabledRef.current = false;
+              setAudioEnabled(false);
+              audioQueueRef.current.clear();
+            }
+            break;
+          
+          case 'pending_approval':
+            console.log('[Listener] Waiting for host approval');
+            setIsAwaitingApproval(true);
+            break;
+          
+          case 'join_denied':
+            setIsAwaitingApproval(false);
+            setError(message.message || 'The host declined your request to join');
+            setConnectionState('closed');
+            break;
+          
+          case 'host_reconnecting':
+            console.log('[Listener] Host connection lost, waiting for reconnect');
+            setHostStatus('reconnecting');
+            break;
+          
+          case 'host_reconnected':
+            console.log('[Listener] Host reconnected');
+            setHostStatus('');
+            break;
+          
           case 'session_ended':
+            setHostStatus('');
             setError('The host has ended the session');
             setConnectionState('closed');
             break;
@@ -342,22 +513,49 @@ export function ListenerPage({ sessionCodeProp, onBackToHome }) {
       }));
       
       // Clear old translations and current text when changing language
+      audioQueueRef.current.clear();
       setTranslations([]);
       setCurrentTranslation('');
       setCurrentOriginal('');
     }
   };
 
+  // Audio has to be unlocked from this click - browsers block autoplay otherwise
+  const handleToggleAudio = async () => {
+    const enabled = !audioEnabled;
+    if (enabled) {
+      readAloud.setAutoSpeak(false); // Don't speak every segment twice
+      await audioQueueRef.current.start();
+    } else {
+      audioQueueRef.current.clear();
+    }
+    audioEnabledRef.current = enabled;
+    setAudioEnabled(enabled);
+    
+    if (wsRef.current?.readyState === WebSocket.OPEN) {
+      wsRef.current.send(JSON.stringify({
+        type: 'set_audio',
+        enabled
+      }));
+    }
+  };
+
   const handleLeaveSession = () => {
     if (wsRef.current) {
       wsRef.current.close();
     }
+    audioQueueRef.current.clear();
+    audioEnabledRef.current = false;
+    setAudioEnabled(false);
     setIsJoined(false);
     setSessionCode('');
     setTranslations([]);
     setCurrentTranslation('');
     setCurrentOriginal('');
     setConnectionState('disconnected');
+    setIsAwaitingApproval(false);
+    setPassword('');
+    setPasswordRequired(false);
   };
 
   // Join form
@@ -415,6 +613,22 @@ export function ListenerPage({ sessionCodeProp, onBackToHome }) {
                 />
               </div>
 
+              {/* Password Input - shown once the server says the session is protected */}
+              {passwordRequired && (
+                <div>
+                  <label className="block text-xs sm:text-sm font-medium text-gray-700 mb-2">
+                    Session Password
+                  </label>
+                  <input
+                    type="password"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    onKeyDown={(e) => e.key === 'Enter' && handleJoinSession()}
+                    className="w-full px-3 sm:px-4 py-2 border-2 border-gray-300 rounded-lg focus:border-emerald-500 focus:outline-none text-sm sm:text-base"
+                  />
+                </div>
+              )}
+
               {/* Language Selection */}
               <div>
                 <LanguageSelector
@@ -466,6 +680,20 @@ export function ListenerPage({ sessionCodeProp, onBackToHome }) {
             <div className="flex items-center justify-between sm:flex-col sm:items-end gap-3">
               <ConnectionStatus state={connectionState} />
               
+              {audioAvailable && (
+                <button
+                  onClick={handleToggleAudio}
+                  className={`px-3 sm:px-4 py-2 text-sm sm:text-base font-semibold rounded-lg transition-all ${
+                    audioEnabled
+                      ? 'bg-emerald-600 hover:bg-emerald-700 text-white'
+                      : 'bg-white hover:bg-gray-100 text-emerald-700 border border-emerald-600'
+                  }`}
+                  title="Hear the translation spoken continuously"
+                >
+                  {audioEnabled ? (isAudioPlaying ? '🔊 Audio on' : '🎧 Audio on') : '🎧 Audio interpretation'}
+                </button>
+              )}
+              
               <button
                 onClick={handleLeaveSession}
                 className="px-3 sm:px-4 py-2 bg-red-500 hover:bg-red-600 text-white text-sm sm:text-base font-semibold rounded-lg transition-all"
@@ -482,6 +710,18 @@ export function ListenerPage({ sessionCodeProp, onBackToHome }) {
           </div>
         )}
 
+        {isAwaitingApproval && (
+          <div className="mb-4 p-4 bg-indigo-100 border border-indigo-400 text-indigo-800 rounded">
+            Waiting for the host to let you in...
+          </div>
+        )}
+
+        {hostStatus === 'reconnecting' && (
+          <div className="mb-4 p-4 bg-amber-100 border border-amber-400 text-amber-800 rounded">
+            The host lost connection. Waiting for them to reconnect...
+          </div>
+        )}
+
         {/* LIVE STREAMING TRANSLATION BOX - Shows both original and translation */}
         <div className="bg-gradient-to-br from-green-500 via-emerald-500 to-teal-600 rounded-lg sm:rounded-2xl p-3 sm:p-6 shadow-2xl mb-4 sm:mb-6 -mx-2 sm:mx-0">
           <div className="flex items-center justify-between mb-3 sm:mb-4">
@@ -528,7 +768,7 @@ export function ListenerPage({ sessionCodeProp, onBackToHome }) {
               </div>
               {currentOriginal ? (
                 <p className="text-white text-sm sm:text-base leading-relaxed whitespace-pre-wrap">
-                  {currentOriginal}
+                  <LiveText text={currentOriginal} tentative={currentOriginalTentative} />
                   {connectionState === 'open' && (
                     <span className="inline-block w-0.5 h-4 sm:h-5 ml-1 bg-white animate-pulse"></span>
                   )}
@@ -551,7 +791,7 @@ export function ListenerPage({ sessionCodeProp, onBackToHome }) {
               </div>
               {currentTranslation ? (
                 <p className="text-white text-base sm:text-lg font-medium leading-relaxed whitespace-pre-wrap">
-                  {currentTranslation}
+                  <LiveText text={currentTranslation} tentative={currentTentative} />
                   {connectionState === 'open' && (
                     <span className="inline-block w-0.5 h-5 sm:h-6 ml-1 bg-emerald-300 animate-pulse"></span>
                   )}
@@ -577,6 +817,13 @@ export function ListenerPage({ sessionCodeProp, onBackToHome }) {
           </div>
         </div>
 
+        {/* Auto-speak (browser voices) */}
+        {!audioEnabled && (
+          <div className="mb-4 sm:mb-6">
+            <ReadAloudControls readAloud={readAloud} />
+          </div>
+        )}
+
         {/* Translation History */}
         <div className="bg-gray-50 rounded-lg sm:rounded-xl p-3 sm:p-5 border-2 border-gray-200 -mx-2 sm:mx-0">
           <div className="flex items-center justify-between mb-3 sm:mb-4">
@@ -590,26 +837,7 @@ export function ListenerPage({ sessionCodeProp, onBackToHome }) {
               )}
             </h3>
             {translations.length > 0 && (
-              <button
-                onClick={() => {
-                  const content = translations.map(t => 
-                    `Original: ${t.original}\nTranslation: ${t.translated}\n---`
-                  ).join('\n')
-                  const blob = new Blob([content], { type: 'text/plain' })
-                  const url = URL.createObjectURL(blob)
-                  const a = document.createElement('a')
-                  a.href = url
-                  a.download = `translation-${new Date().toISOString().split('T')[0]}.txt`
-                  document.body.appendChild(a)
-                  a.click()
-                  document.body.removeChild(a)
-                  URL.revokeObjectURL(url)
-                }}
-                className="flex items-center space-x-1 px-2 sm:px-3 py-1 text-xs sm:text-sm text-gray-600 hover:text-gray-800 transition-colors"
-              >
-                <span>📥</span>
-                <span className="hidden sm:inline">Download</span>
-              </button>
+              <TranscriptDownload apiUrl={API_URL} sessionCode={sessionInfo?.sessionCode} lang={targetLang} getToken={() => listenerTokenRef.current} />
             )}
           </div>
           
@@ -622,10 +850,15 @@ export function ListenerPage({ sessionCodeProp, onBackToHome }) {
             <div className="space-y-2 sm:space-y-3 max-h-80 sm:max-h-96 overflow-y-auto pr-1 sm:pr-2">
               {translations.map((item, index) => (
                 <div key={index} className="bg-white rounded-lg p-3 sm:p-4 shadow-sm hover:shadow-md transition-all border border-gray-200">
+                  {item.speakerName && (
+                    <p className="mb-2 text-xs sm:text-sm font-semibold text-indigo-600">🗣️ {item.speakerName}</p>
+                  )}
                   {item.original && (
                     <div className="mb-2 sm:mb-3 pb-2 sm:pb-3 border-b border-gray-100">
                       <div className="flex items-center justify-between mb-1 sm:mb-1.5">
-                        <span className="text-xs font-semibold text-blue-600 uppercase">Original</span>
+                        <span className="text-xs font-semibold text-blue-600 uppercase">
+                          Original{item.sourceLang && ` · ${item.sourceLang}`}
+                        </span>
                         <button
                           onClick={() => navigator.clipboard.writeText(item.original)}
                           className="p-1 text-gray-400 hover:text-gray-600 transition-colors"
@@ -634,7 +867,9 @@ export function ListenerPage({ sessionCodeProp, onBackToHome }) {
                           📋
                         </button>
                       </div>
-                      <p className="text-gray-700 text-sm sm:text-base leading-relaxed">{item.original}</p>
+                      <p className="text-gray-700 text-sm sm:text-base leading-relaxed">
+                        <ConfidenceText text={item.original} words={item.words} />
+                      </p>
                     </div>
                   )}
                   
@@ -652,6 +887,7 @@ export function ListenerPage({ sessionCodeProp, onBackToHome }) {
                         <button
                           onClick={() => {
                             const utterance = new SpeechSynthesisUtterance(item.translated)
+                            utterance.lang = targetLang
                             speechSynthesis.speak(utterance)
                           }}
                           className="p-1 text-gray-400 hover:text-gray-600 transition-colors"
@@ -0,0 +1,69 @@
+import React from 'react'
+import { Volume2, VolumeX, Pause, Play } from 'lucide-react'
+
+// Controls for the auto-speak queue - takes the object returned by useReadAloud
+function ReadAloudControls({ readAloud }) {
+  if (!readAloud.isSupported) return null
+
+  const { autoSpeak, setAutoSpeak, voices, voiceURI, setVoiceURI, rate, setRate, isPaused, isSpeaking, backlog } = readAloud
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 sm:gap-3 text-xs sm:text-sm text-gray-700">
+      <button
+        onClick={() => setAutoSpeak(!autoSpeak)}
+        className={`flex items-center space-x-1 px-3 py-1.5 rounded-lg font-medium transition-colors ${
+          autoSpeak ? 'bg-blue-500 hover:bg-blue-600 text-white' : 'bg-gray-100 hover:bg-gray-200 text-gray-700'
+        }`}
+        title="Read every new translation aloud"
+      >
+        {autoSpeak ? <Volume2 className="w-4 h-4" /> : <VolumeX className="w-4 h-4" />}
+        <span>Auto-speak</span>
+      </button>
+
+      {autoSpeak && (
+        <>
+          <button
+            onClick={isPaused ? readAloud.resume : readAloud.pause}
+            className="flex items-center space-x-1 px-2 py-1.5 rounded-lg bg-gray-100 hover:bg-gray-200 transition-colors"
+          >
+            {isPaused ? <Play className="w-4 h-4" /> : <Pause className="w-4 h-4" />}
+            <span>{isPaused ? 'Resume' : 'Pause'}</span>
+          </button>
+
+          <select
+            value={voiceURI}
+            onChange={(e) => setVoiceURI(e.target.value)}
+            className="max-w-[12rem] px-2 py-1.5 border border-gray-300 rounded-lg bg-white"
+          >
+            <option value="">Default voice</option>
+            {voices.map((voice) => (
+              <option key={voice.voiceURI} value={voice.voiceURI}>
+                {voice.name} ({voice.lang})
+              </option>
+            ))}
+          </select>
+
+          <label className="flex items-center space-x-1">
+            <span>Rate</span>
+            <input
+              type="range"
+              min="0.5"
+              max="2"
+              step="0.1"
+              value={rate}
+              onChange={(e) => setRate(Number(e.target.value))}
+              className="w-20"
+            />
+            <span className="w-8 text-gray-500">{rate.toFixed(1)}x</span>
+          </label>
+
+          {isSpeaking && backlog > 0 && (
+            <span className="text-amber-600">{backlog} waiting</span>
+          )}
+        </>
+      )}
+    </div>
+  )
+}
+
+export { ReadAloudControls }
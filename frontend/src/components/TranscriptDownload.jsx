@@ -0,0 +1,73 @@
+import React, { useState } from 'react'
+
+const FORMATS = [
+  { code: 'txt', name: 'Text' },
+  { code: 'srt', name: 'SRT' },
+  { code: 'vtt', name: 'WebVTT' },
+  { code: 'md', name: 'Markdown' },
+  { code: 'json', name: 'JSON' }
+]
+
+// Downloads the server's authoritative transcript for the session, not just what this tab received
+// getToken returns the host or listener token - the route requires one, so this fetches instead of linking
+function TranscriptDownload({ apiUrl, sessionCode, lang, getToken }) {
+  const [format, setFormat] = useState('txt')
+  const [isDownloading, setIsDownloading] = useState(false)
+  const [error, setError] = useState('')
+
+  const downloadTranscript = async () => {
+    setIsDownloading(true)
+    setError('')
+    try {
+      const response = await fetch(
+        `${apiUrl}/session/${encodeURIComponent(sessionCode)}/transcript?lang=${lang}&format=${format}`,
+        { headers: { Authorization: `Bearer ${getToken()}` } }
+      )
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}))
+        throw new Error(data.error || `Download failed (${response.status})`)
+      }
+
+      const url = URL.createObjectURL(await response.blob())
+      const a = document.createElement('a')
+      a.href = url
+      a.download = `transcript-${sessionCode}-${lang}.${format}`
+      document.body.appendChild(a)
+      a.click()
+      document.body.removeChild(a)
+      URL.revokeObjectURL(url)
+    } catch (err) {
+      console.error('[TranscriptDownload] Download failed:', err)
+      setError(err.message)
+    } finally {
+      setIsDownloading(false)
+    }
+  }
+
+  return (
+    <div className="flex items-center space-x-1">
+      <select
+        value={format}
+        onChange={(e) => setFormat(e.target.value)}
+        className="px-1 py-1 text-xs sm:text-sm text-gray-600 bg-transparent border border-gray-200 rounded"
+      >
+        {FORMATS.map((f) => (
+          <option key={f.code} value={f.code}>
+            {f.name}
+          </option>
+        ))}
+      </select>
+      <button
+        onClick={downloadTranscript}
+        disabled={isDownloading}
+        title={error || undefined}
+        className="flex items-center space-x-1 px-2 sm:px-3 py-1 text-xs sm:text-sm text-gray-600 hover:text-gray-800 disabled:opacity-50 transition-colors"
+      >
+        <span>{error ? '⚠️' : '📥'}</span>
+        <span className="hidden sm:inline">{isDownloading ? 'Downloading...' : 'Download'}</span>
+      </button>
+    </div>
+  )
+}
+
+export { TranscriptDownload }
@@ -246,6 +246,7 @@ function TranslationDisplay({
                         <button
                           onClick={() => {
                             const utterance = new SpeechSynthesisUtterance(translation.translated)
+                            utterance.lang = targetLang
                             speechSynthesis.speak(utterance)
                           }}
                           className="p-1 text-gray-400 hover:text-gray-600 transition-colors"
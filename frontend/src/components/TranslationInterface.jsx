@@ -7,7 +7,10 @@ import { ConnectionStatus } from './ConnectionStatus'
 import { Header } from './Header'
 import { useWebSocket } from '../hooks/useWebSocket'
 import { useAudioCapture } from '../hooks/useAudioCapture'
+import { useReadAloud } from '../hooks/useReadAloud'
+import { ReadAloudControls } from './ReadAloudControls'
 import { SentenceSegmenter } from '../utils/sentenceSegmenter'
+import { AudioFrameEncoder, AUDIO_FRAME_VERSION, audioToBase64 } from '../utils/audioFrames'
 
 const LANGUAGES = [
   { code: 'en', name: 'English' },
@@ -79,6 +82,10 @@ function TranslationInterface({ onBackToHome }) {
   const [audioEnabled, setAudioEnabled] = useState(true)
   const [latency, setLatency] = useState(0)
   
+  // Auto-speak queue for final translations (speak is stable for the segmenter and WS handler)
+  const readAloud = useReadAloud(targetLang)
+  const { speak } = readAloud
+  
   // Throttle mechanism for smooth streaming
   const lastUpdateTimeRef = useRef(0)
   const pendingTextRef = useRef(null)
@@ -87,6 +94,8 @@ function TranslationInterface({ onBackToHome }) {
   // Sentence segmenter for smart text management
   const segmenterRef = useRef(null)
   const sendMessageRef = useRef(null)
+  const binaryAudioRef = useRef(false) // Current connection accepts binary audio frames
+  const audioEncoderRef = useRef(new AudioFrameEncoder())
   
   if (!segmenterRef.current) {
     segmenterRef.current = new SentenceSegmenter({
@@ -110,6 +119,7 @@ function TranslationInterface({ onBackToHome }) {
                 isSegmented: true  // Flag to indicate this was auto-segmented
               }])
             })
+            speak(joinedText)
             console.log(`[TranslationInterface] ✅ Flushed to history with paint: "${joinedText.substring(0, 40)}..."`)
           }, 0)
           
@@ -146,6 +156,7 @@ function TranslationInterface({ onBackToHome }) {
     connect, 
     disconnect, 
     sendMessage, 
+    sendBinary,
     connectionState,
     addMessageHandler
   } = useWebSocket(finalWebSocketUrl)
@@ -158,6 +169,7 @@ function TranslationInterface({ onBackToHome }) {
     stopRecording,
     isRecording,
     audioLevel,
+    isSpeaking,
     availableDevices,
     selectedDeviceId,
     setSelectedDeviceId
@@ -170,6 +182,7 @@ function TranslationInterface({ onBackToHome }) {
     switch (message.type) {
       case 'session_ready':
         console.log('[TranslationInterface] ✅ Translation session ready')
+        binaryAudioRef.current = message.binaryAudio === AUDIO_FRAME_VERSION
         break
       case 'translation':
         if (message.isPartial) {
@@ -271,6 +284,7 @@ function TranslationInterface({ onBackToHome }) {
               timestamp: message.timestamp || Date.now(),
               sequenceId: message.sequenceId
             }])
+            speak(joinedText)
           }
           
           // Clear live partial for next segment
@@ -323,6 +337,9 @@ function TranslationInterface({ onBackToHome }) {
       })
     } else {
       setIsConnected(false)
+      // The next connection negotiates again and numbers its frames from 0
+      binaryAudioRef.current = false
+      audioEncoderRef.current.reset()
       if (connectionState !== 'connecting') {
         console.log('[TranslationInterface] ⚠️ WebSocket state:', connectionState)
       }
@@ -335,16 +352,23 @@ function TranslationInterface({ onBackToHome }) {
     
     try {
       // Enable streaming mode (second parameter = true)
-      await startRecording((audioChunk) => {
-        // Send audio chunk to backend in real-time with language information
+      await startRecording((pcm) => {
+        // Send audio chunk to backend in real-time - binary frames when the server takes them
+        if (binaryAudioRef.current) {
+          sendBinary(audioEncoderRef.current.encode(pcm))
+          return
+        }
         sendMessage({
           type: 'audio',
-          audioData: audioChunk,
+          audioData: audioToBase64(pcm),
           sourceLang: sourceLang,
           targetLang: targetLang,
           streaming: true
         })
-      }, true) // true = streaming mode
+      }, true, { // true = streaming mode
+        // Silence isn't sent (default VAD settings) - only a keepalive now and then
+        onKeepalive: (silenceMs) => sendMessage({ type: 'audio_keepalive', silenceMs })
+      })
       setIsListening(true)
     } catch (error) {
       console.error('Failed to start recording:', error)
@@ -508,7 +532,9 @@ function TranslationInterface({ onBackToHome }) {
                 <div className="w-2 h-2 bg-white rounded-full animate-pulse"></div>
                 <span>LIVE</span>
               </div>
-              <span className="text-xs sm:text-sm text-gray-600">Streaming translation...</span>
+              <span className={`text-xs sm:text-sm ${isSpeaking ? 'text-green-600 font-semibold' : 'text-gray-600'}`}>
+                {isSpeaking ? '● Speech detected' : 'Waiting for speech...'}
+              </span>
               {audioLevel > 0 && (
                 <div className="flex space-x-1">
                   {[...Array(5)].map((_, i) => (
@@ -525,6 +551,11 @@ function TranslationInterface({ onBackToHome }) {
           )}
         </div>
 
+        {/* Auto-speak */}
+        <div className="flex justify-center mb-4 sm:mb-6">
+          <ReadAloudControls readAloud={readAloud} />
+        </div>
+
         {/* Translation Display */}
         <TranslationDisplay 
           finalTranslations={finalTranslations}
@@ -1,8 +1,12 @@
 import { useState, useRef, useCallback } from 'react'
 
+// While silence is suppressed, a keepalive goes out at once and then this often
+const KEEPALIVE_INTERVAL_MS = 2000
+
 export function useAudioCapture() {
   const [isRecording, setIsRecording] = useState(false)
   const [audioLevel, setAudioLevel] = useState(0)
+  const [isSpeaking, setIsSpeaking] = useState(false) // Voice activity detected (worklet only)
   const [availableDevices, setAvailableDevices] = useState([])
   const [selectedDeviceId, setSelectedDeviceId] = useState(null)
   const [currentDeviceLabel, setCurrentDeviceLabel] = useState('')
@@ -15,7 +19,12 @@ export function useAudioCapture() {
   const audioProcessorRef = useRef(null)
   const streamRef = useRef(null)
 
-  const startRecording = useCallback(async (onAudioChunk, streaming = false) => {
+  // Streaming mode hands onAudioChunk raw PCM (Int16Array, 24kHz mono) - the caller
+  // picks the transport; otherwise it gets the whole WebM recording as base64.
+  // options.vad: { suppressSilence, sensitivity (0-1), hangoverMs, preRollMs } -
+  // see audio-stream-processor.js. Suppressed silence is reported through
+  // options.onKeepalive(silenceMs) instead of audio.
+  const startRecording = useCallback(async (onAudioChunk, streaming = false, options = {}) => {
     try {
       // First, enumerate devices to see what's available
       const devices = await navigator.mediaDevices.enumerateDevices()
@@ -103,19 +112,33 @@ export function useAudioCapture() {
           // Create AudioWorklet node
           const workletNode = new AudioWorkletNode(
             audioContextRef.current,
-            'stream-processor'
+            'stream-processor',
+            { processorOptions: { vad: options.vad } }
           )
           audioProcessorRef.current = workletNode
           
+          // Silence held back since the last keepalive (null while audio flows)
+          let pendingSilenceMs = null
+          
           // Listen for processed audio from worklet (runs on separate thread!)
           workletNode.port.onmessage = (event) => {
-            if (event.data.type === 'audio') {
-              // Convert Int16Array to base64
-              const pcmData = event.data.data
-              const base64 = btoa(
-                String.fromCharCode.apply(null, new Uint8Array(pcmData.buffer))
-              )
-              onAudioChunk(base64)
+            switch (event.data.type) {
+              case 'audio':
+                pendingSilenceMs = null
+                onAudioChunk(event.data.data)
+                break
+              case 'silence': {
+                const isFirst = pendingSilenceMs === null
+                pendingSilenceMs = (pendingSilenceMs || 0) + event.data.durationMs
+                if (isFirst || pendingSilenceMs >= KEEPALIVE_INTERVAL_MS) {
+                  options.onKeepalive?.(Math.round(pendingSilenceMs))
+                  pendingSilenceMs = 0
+                }
+                break
+              }
+              case 'vad':
+                setIsSpeaking(event.data.speaking)
+                break
             }
           }
           
@@ -149,9 +172,7 @@ export function useAudioCapture() {
               pcmData[i] = s < 0 ? s * 0x8000 : s * 0x7FFF
             }
             
-            // Convert to base64
-            const base64 = btoa(String.fromCharCode.apply(null, new Uint8Array(pcmData.buffer)))
-            onAudioChunk(base64)
+            onAudioChunk(pcmData)
           }
           
           // Create a silent gain node to satisfy browser requirements
@@ -162,7 +183,7 @@ export function useAudioCapture() {
           processor.connect(silentGain)
           silentGain.connect(audioContextRef.current.destination)
           
-          console.warn('⚠️ Using deprecated ScriptProcessor (may block UI rendering)')
+          console.warn('⚠️ Using deprecated ScriptProcessor (may block UI rendering, no silence detection)')
         }
       } else {
         // NON-STREAMING MODE: Use MediaRecorder for WebM (will need conversion on backend)
@@ -225,6 +246,7 @@ export function useAudioCapture() {
       animationFrameRef.current = null
     }
     setAudioLevel(0)
+    setIsSpeaking(false)
 
     // Clean up audio context
     if (audioContextRef.current) {
@@ -235,11 +257,18 @@ export function useAudioCapture() {
     setIsRecording(false)
   }, [isRecording])
 
+  // Change VAD settings while recording (same fields as options.vad)
+  const configureVad = useCallback((vad) => {
+    audioProcessorRef.current?.port?.postMessage({ type: 'configure', vad })
+  }, [])
+
   return {
     startRecording,
     stopRecording,
+    configureVad,
     isRecording,
     audioLevel,
+    isSpeaking,
     availableDevices,
     selectedDeviceId,
     setSelectedDeviceId
@@ -0,0 +1,76 @@
+import { useState, useEffect, useRef, useCallback } from 'react'
+import { SpeechQueue } from '../utils/speechQueue'
+
+// Auto-speak mode: every final translation passed to speak() is read aloud in order
+export function useReadAloud(targetLang) {
+  const [autoSpeak, setAutoSpeak] = useState(false)
+  const [voices, setVoices] = useState([])
+  const [voiceURI, setVoiceURI] = useState('')
+  const [rate, setRate] = useState(1)
+  const [queueState, setQueueState] = useState({ isSpeaking: false, isPaused: false, backlog: 0 })
+
+  const autoSpeakRef = useRef(false)
+  const queueRef = useRef(null)
+  if (!queueRef.current) {
+    queueRef.current = new SpeechQueue({ onStateChange: setQueueState })
+  }
+
+  // Voices load asynchronously in most browsers
+  useEffect(() => {
+    if (!SpeechQueue.isSupported()) return
+
+    const updateVoices = () => setVoices(SpeechQueue.getVoicesForLanguage(targetLang))
+    updateVoices()
+    window.speechSynthesis.addEventListener('voiceschanged', updateVoices)
+    return () => window.speechSynthesis.removeEventListener('voiceschanged', updateVoices)
+  }, [targetLang])
+
+  useEffect(() => {
+    queueRef.current.setLanguage(targetLang)
+    setVoiceURI('')
+  }, [targetLang])
+
+  useEffect(() => {
+    queueRef.current.setVoice(voiceURI)
+  }, [voiceURI])
+
+  useEffect(() => {
+    queueRef.current.setRate(rate)
+  }, [rate])
+
+  useEffect(() => {
+    autoSpeakRef.current = autoSpeak
+    if (!autoSpeak) {
+      queueRef.current.clear()
+    }
+  }, [autoSpeak])
+
+  useEffect(() => () => queueRef.current.destroy(), [])
+
+  // Stable so it can be called from long-lived WebSocket handlers
+  const speak = useCallback((text) => {
+    if (autoSpeakRef.current) {
+      queueRef.current.enqueue(text)
+    }
+  }, [])
+
+  const pause = useCallback(() => queueRef.current.pause(), [])
+  const resume = useCallback(() => queueRef.current.resume(), [])
+  const clear = useCallback(() => queueRef.current.clear(), [])
+
+  return {
+    isSupported: SpeechQueue.isSupported(),
+    autoSpeak,
+    setAutoSpeak,
+    voices,
+    voiceURI,
+    setVoiceURI,
+    rate,
+    setRate,
+    ...queueState,
+    speak,
+    pause,
+    resume,
+    clear
+  }
+}
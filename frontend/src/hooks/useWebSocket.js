@@ -89,6 +89,13 @@ export function useWebSocket(url) {
     }
   }, [])
 
+  // Raw binary message (ArrayBuffer / typed array), e.g. an audio frame
+  const sendBinary = useCallback((data) => {
+    if (wsRef.current?.readyState === WebSocket.OPEN) {
+      wsRef.current.send(data)
+    }
+  }, [])
+
   const addMessageHandler = useCallback((handler) => {
     messageHandlersRef.current.add(handler)
     return () => messageHandlersRef.current.delete(handler)
@@ -105,6 +112,7 @@ export function useWebSocket(url) {
     connect,
     disconnect,
     sendMessage,
+    sendBinary,
     addMessageHandler
   }
 }
@@ -0,0 +1,90 @@
+/**
+ * Audio Frames
+ *
+ * Packs captured PCM into the binary WebSocket frames the backend accepts once
+ * session_ready advertises `binaryAudio` (see backend/audioFrames.js for the
+ * layout). Servers that don't advertise it still get base64 JSON messages.
+ * Opus is sent only when session_ready answers `audioCodec: 'opus'`.
+ */
+
+export const AUDIO_FRAME_VERSION = 1;
+
+const HEADER_BYTES = 12;
+const ENCODING_LINEAR16 = 1;
+const ENCODING_OPUS = 2;
+
+/**
+ * Payload of an Opus chunk: each packet preceded by its length (uint16)
+ * @param {Uint8Array[]} packets
+ * @returns {Uint8Array}
+ */
+export function packOpusPackets(packets) {
+  const payload = new Uint8Array(packets.reduce((total, packet) => total + 2 + packet.byteLength, 0));
+  const view = new DataView(payload.buffer);
+  let offset = 0;
+  for (const packet of packets) {
+    view.setUint16(offset, packet.byteLength, true);
+    payload.set(packet, offset + 2);
+    offset += 2 + packet.byteLength;
+  }
+  return payload;
+}
+
+export class AudioFrameEncoder {
+  constructor(options = {}) {
+    this.sampleRate = options.sampleRate || 24000;
+    this.channels = options.channels || 1;
+    this.sequence = 0; // Per connection - reset when the socket is replaced
+  }
+
+  reset() {
+    this.sequence = 0;
+  }
+
+  /**
+   * @param {Int16Array} pcm - Captured samples
+   * @returns {ArrayBuffer} Header followed by the samples
+   */
+  encode(pcm) {
+    return this.frame(ENCODING_LINEAR16, pcm);
+  }
+
+  /**
+   * @param {Uint8Array[]} packets - Opus packets (OpusEncoder chunk)
+   * @returns {ArrayBuffer} Header followed by the packed packets
+   */
+  encodeOpus(packets) {
+    return this.frame(ENCODING_OPUS, packOpusPackets(packets));
+  }
+
+  frame(encoding, audio) {
+    const frame = new ArrayBuffer(HEADER_BYTES + audio.byteLength);
+    const header = new DataView(frame);
+    header.setUint8(0, AUDIO_FRAME_VERSION);
+    header.setUint8(1, HEADER_BYTES);
+    header.setUint8(2, encoding);
+    header.setUint8(3, this.channels);
+    header.setUint32(4, this.sampleRate, true);
+    header.setUint32(8, this.sequence, true);
+    this.sequence = (this.sequence + 1) >>> 0;
+
+    new Uint8Array(frame, HEADER_BYTES).set(new Uint8Array(audio.buffer, audio.byteOffset, audio.byteLength));
+    return frame;
+  }
+}
+
+/**
+ * Base64 of the audio (PCM samples or an Opus payload), for the JSON `audio`
+ * message of servers without binary frames
+ * @param {Int16Array|Uint8Array} audio
+ * @returns {string}
+ */
+export function audioToBase64(audio) {
+  const bytes = new Uint8Array(audio.buffer, audio.byteOffset, audio.byteLength);
+  let binary = '';
+  // Chunked - spreading a whole buffer into fromCharCode can overflow the stack
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
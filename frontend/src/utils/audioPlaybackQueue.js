@@ -0,0 +1,107 @@
+/**
+ * Audio Playback Queue
+ *
+ * Plays the server's synthesized segments (`tts_audio`) back to back.
+ * Each clip is decoded with the Web Audio API and scheduled to start exactly
+ * when the previous one ends, so consecutive segments play without gaps.
+ * Clips are scheduled in the order they arrive - the server already sends
+ * each language group's audio in segment order.
+ */
+
+export class AudioPlaybackQueue {
+  constructor(options = {}) {
+    this.onPlayingChange = options.onPlayingChange || (() => {}); // Callback(isPlaying)
+
+    // State
+    this.context = null;
+    this.nextStartTime = 0;      // When the next clip should start (context time)
+    this.sources = new Set();    // Scheduled or playing clips
+    this.decodeChain = Promise.resolve(); // Keeps scheduling in arrival order
+    this.generation = 0;         // Bumped by clear() to drop clips still decoding
+    this.lastSequenceId = null;  // Avoids playing a resent segment twice
+  }
+
+  /**
+   * Create/resume the audio context - call from a user gesture (browsers block autoplay)
+   */
+  async start() {
+    if (!this.context) {
+      const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+      this.context = new AudioContextClass();
+    }
+    if (this.context.state === 'suspended') {
+      await this.context.resume();
+    }
+  }
+
+  /**
+   * Queue one base64-encoded clip
+   */
+  enqueue(base64Audio, sequenceId = null) {
+    if (!this.context) return;
+    if (sequenceId !== null && this.lastSequenceId !== null && sequenceId <= this.lastSequenceId) return;
+    if (sequenceId !== null) this.lastSequenceId = sequenceId;
+
+    const generation = this.generation;
+    const bytes = Uint8Array.from(atob(base64Audio), c => c.charCodeAt(0));
+
+    this.decodeChain = this.decodeChain
+      .then(() => this.context.decodeAudioData(bytes.buffer))
+      .then(buffer => {
+        if (generation !== this.generation) return;
+        this.schedule(buffer);
+      })
+      .catch(error => console.error('[AudioPlaybackQueue] Failed to decode clip:', error));
+  }
+
+  schedule(buffer) {
+    const source = this.context.createBufferSource();
+    source.buffer = buffer;
+    source.connect(this.context.destination);
+
+    const startTime = Math.max(this.context.currentTime, this.nextStartTime);
+    source.start(startTime);
+    this.nextStartTime = startTime + buffer.duration;
+
+    if (this.sources.size === 0) {
+      this.onPlayingChange(true);
+    }
+    this.sources.add(source);
+
+    source.onended = () => {
+      this.sources.delete(source);
+      if (this.sources.size === 0) {
+        this.onPlayingChange(false);
+      }
+    };
+  }
+
+  /**
+   * Stop everything queued or playing (e.g. audio turned off or language changed)
+   */
+  clear() {
+    this.generation++;
+    this.lastSequenceId = null;
+    this.sources.forEach(source => {
+      source.onended = null;
+      try {
+        source.stop();
+      } catch {
+        // Already stopped
+      }
+    });
+    if (this.sources.size > 0) {
+      this.sources.clear();
+      this.onPlayingChange(false);
+    }
+    this.nextStartTime = 0;
+  }
+
+  destroy() {
+    this.clear();
+    if (this.context) {
+      this.context.close();
+      this.context = null;
+    }
+  }
+}
@@ -0,0 +1,102 @@
+/**
+ * Opus Encoder
+ *
+ * Compresses captured PCM for hosts on slow or mobile connections, using the
+ * browser's WebCodecs AudioEncoder. Packets are handed out in chunks of about
+ * 100ms, ready for AudioFrameEncoder.encodeOpus(). The backend wraps them in
+ * Ogg for Google Speech, so only the raw packets travel.
+ */
+
+const PACKETS_PER_CHUNK = 5; // 20ms packets
+
+export class OpusEncoder {
+  /**
+   * Whether this browser can encode Opus at the capture rate
+   */
+  static async isSupported(options = {}) {
+    if (typeof window === 'undefined' || !window.AudioEncoder) return false;
+    try {
+      const { supported } = await window.AudioEncoder.isConfigSupported(OpusEncoder.getConfig(options));
+      return Boolean(supported);
+    } catch {
+      return false;
+    }
+  }
+
+  static getConfig(options = {}) {
+    return {
+      codec: 'opus',
+      sampleRate: options.sampleRate || 24000,
+      numberOfChannels: options.channels || 1,
+      bitrate: options.bitrate || 32000 // Plenty for speech
+    };
+  }
+
+  constructor(options = {}) {
+    this.sampleRate = options.sampleRate || 24000;
+    this.channels = options.channels || 1;
+    this.onChunk = options.onChunk || (() => {}); // Callback with an array of packets (Uint8Array)
+
+    // State
+    this.packets = [];
+    this.samplesEncoded = 0; // Drives the timestamps WebCodecs requires
+
+    this.encoder = new window.AudioEncoder({
+      output: (chunk) => this.handlePacket(chunk),
+      error: (error) => console.error('[OpusEncoder] Encoding failed:', error)
+    });
+    this.encoder.configure(OpusEncoder.getConfig(options));
+  }
+
+  /**
+   * @param {Int16Array} pcm - Captured samples
+   */
+  encode(pcm) {
+    if (this.encoder.state !== 'configured') return;
+
+    const audioData = new window.AudioData({
+      format: 's16',
+      sampleRate: this.sampleRate,
+      numberOfChannels: this.channels,
+      numberOfFrames: pcm.length / this.channels,
+      timestamp: Math.round((this.samplesEncoded / this.sampleRate) * 1e6),
+      data: pcm
+    });
+    this.samplesEncoded += pcm.length / this.channels;
+    this.encoder.encode(audioData);
+    audioData.close();
+  }
+
+  handlePacket(chunk) {
+    const packet = new Uint8Array(chunk.byteLength);
+    chunk.copyTo(packet);
+    this.packets.push(packet);
+    if (this.packets.length >= PACKETS_PER_CHUNK) {
+      this.emit();
+    }
+  }
+
+  emit() {
+    if (this.packets.length === 0) return;
+    const packets = this.packets;
+    this.packets = [];
+    this.onChunk(packets);
+  }
+
+  /**
+   * Encode what is buffered, hand out the last packets and release the encoder
+   */
+  async close() {
+    if (this.encoder.state === 'configured') {
+      try {
+        await this.encoder.flush();
+      } catch (error) {
+        console.warn('[OpusEncoder] Flush failed:', error);
+      }
+    }
+    this.emit();
+    if (this.encoder.state !== 'closed') {
+      this.encoder.close();
+    }
+  }
+}
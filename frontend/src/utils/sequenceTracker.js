@@ -0,0 +1,104 @@
+/**
+ * Sequence Tracker
+ *
+ * Follows the per-session segment IDs on final `translation` messages,
+ * drops duplicates and reports gaps so the page can ask the server to resend.
+ * Finals for parallel translations can arrive slightly out of order, so a gap
+ * is only reported if it is still open after gapTimeoutMs.
+ */
+
+export class SequenceTracker {
+  constructor(options = {}) {
+    this.gapTimeoutMs = options.gapTimeoutMs || 1500; // Grace period for out-of-order finals
+    this.onGap = options.onGap || (() => {});          // Callback with missing segment IDs
+
+    // State
+    this.highestSequenceId = null; // Highest final segment seen
+    this.received = new Set();     // Finals received (or given up on)
+    this.missing = new Set();      // Gaps not yet filled
+    this.requested = new Set();    // Gaps already reported through onGap
+    this.gapTimer = null;
+  }
+
+  /**
+   * Start tracking from a known point, e.g. the session's lastSequenceId on join
+   * Segments up to the baseline are expected to come from backfill, not live.
+   */
+  reset(baselineSequenceId = null) {
+    if (this.gapTimer) {
+      clearTimeout(this.gapTimer);
+      this.gapTimer = null;
+    }
+    this.highestSequenceId = baselineSequenceId;
+    this.received.clear();
+    this.missing.clear();
+    this.requested.clear();
+  }
+
+  /**
+   * Record a final segment
+   * @returns {boolean} false if this segment was already received
+   */
+  markReceived(sequenceId) {
+    if (typeof sequenceId !== 'number' || sequenceId < 0) return true;
+    if (this.received.has(sequenceId)) return false;
+
+    this.received.add(sequenceId);
+    this.missing.delete(sequenceId);
+    this.requested.delete(sequenceId);
+
+    if (this.highestSequenceId === null) {
+      this.highestSequenceId = sequenceId;
+      return true;
+    }
+
+    for (let id = this.highestSequenceId + 1; id < sequenceId; id++) {
+      if (!this.received.has(id)) {
+        this.missing.add(id);
+      }
+    }
+    this.highestSequenceId = Math.max(this.highestSequenceId, sequenceId);
+
+    if (this.missing.size > 0) {
+      this.scheduleGapCheck();
+    }
+    return true;
+  }
+
+  /**
+   * Stop waiting for segments the server no longer has
+   */
+  markUnavailable(sequenceIds = []) {
+    sequenceIds.forEach(id => {
+      this.received.add(id);
+      this.missing.delete(id);
+      this.requested.delete(id);
+    });
+  }
+
+  /**
+   * A partial is stale once its segment has been finalized
+   */
+  isStale(sequenceId) {
+    return this.received.has(sequenceId);
+  }
+
+  scheduleGapCheck() {
+    if (this.gapTimer) return;
+    this.gapTimer = setTimeout(() => {
+      this.gapTimer = null;
+      const gaps = Array.from(this.missing).filter(id => !this.requested.has(id));
+      if (gaps.length > 0) {
+        gaps.forEach(id => this.requested.add(id));
+        this.onGap(gaps.sort((a, b) => a - b));
+      }
+    }, this.gapTimeoutMs);
+  }
+
+  destroy() {
+    if (this.gapTimer) {
+      clearTimeout(this.gapTimer);
+      this.gapTimer = null;
+    }
+  }
+}
@@ -0,0 +1,143 @@
+/**
+ * Speech Queue
+ *
+ * Reads final translations aloud one after another with the browser's
+ * speechSynthesis, in the voice chosen for the target language.
+ * When the queue falls behind live speech it first speeds up
+ * (catchUpRate) and, past maxBacklog waiting items, skips the oldest ones.
+ */
+
+export class SpeechQueue {
+  constructor(options = {}) {
+    this.maxBacklog = options.maxBacklog || 3;       // Waiting items before the oldest are skipped
+    this.catchUpRate = options.catchUpRate || 1.4;   // Rate multiplier while items are waiting
+    this.onStateChange = options.onStateChange || (() => {}); // Callback({ isSpeaking, isPaused, backlog })
+
+    // Settings
+    this.lang = 'en';
+    this.voiceURI = null; // null = best voice for this.lang
+    this.rate = 1;
+
+    // State
+    this.queue = [];
+    this.current = null;
+    this.isPaused = false;
+  }
+
+  static isSupported() {
+    return typeof window !== 'undefined' && 'speechSynthesis' in window;
+  }
+
+  /**
+   * Voices that can speak a language (exact locale first, then same base language)
+   */
+  static getVoicesForLanguage(lang) {
+    if (!SpeechQueue.isSupported()) return [];
+
+    const base = lang.split('-')[0].toLowerCase();
+    return window.speechSynthesis.getVoices()
+      .filter(voice => voice.lang.toLowerCase().split(/[-_]/)[0] === base)
+      .sort((a, b) => Number(b.lang.toLowerCase() === lang.toLowerCase()) - Number(a.lang.toLowerCase() === lang.toLowerCase()));
+  }
+
+  setLanguage(lang) {
+    if (lang === this.lang) return;
+    this.lang = lang;
+    this.voiceURI = null;
+    this.clear(); // Queued text is in the old language
+  }
+
+  setVoice(voiceURI) {
+    this.voiceURI = voiceURI || null;
+  }
+
+  setRate(rate) {
+    this.rate = rate;
+  }
+
+  /**
+   * Queue text to be spoken after everything already queued
+   */
+  enqueue(text) {
+    if (!SpeechQueue.isSupported() || !text?.trim()) return;
+
+    this.queue.push(text.trim());
+    if (this.queue.length > this.maxBacklog) {
+      const skipped = this.queue.splice(0, this.queue.length - this.maxBacklog);
+      console.log(`[SpeechQueue] Fell behind, skipped ${skipped.length} item(s)`);
+    }
+
+    this.emitState();
+    this.speakNext();
+  }
+
+  speakNext() {
+    if (this.current || this.isPaused || this.queue.length === 0) return;
+
+    const text = this.queue.shift();
+    const utterance = new SpeechSynthesisUtterance(text);
+    const voice = this.resolveVoice();
+    if (voice) utterance.voice = voice;
+    utterance.lang = voice?.lang || this.lang;
+    // Catch up while more items are waiting
+    utterance.rate = Math.min(this.rate * (this.queue.length > 0 ? this.catchUpRate : 1), 3);
+
+    const finish = () => {
+      if (this.current !== utterance) return;
+      this.current = null;
+      this.emitState();
+      this.speakNext();
+    };
+    utterance.onend = finish;
+    utterance.onerror = finish;
+
+    this.current = utterance;
+    this.emitState();
+    window.speechSynthesis.speak(utterance);
+  }
+
+  resolveVoice() {
+    const voices = SpeechQueue.getVoicesForLanguage(this.lang);
+    return voices.find(voice => voice.voiceURI === this.voiceURI) || voices[0] || null;
+  }
+
+  pause() {
+    if (!SpeechQueue.isSupported() || this.isPaused) return;
+    this.isPaused = true;
+    window.speechSynthesis.pause();
+    this.emitState();
+  }
+
+  resume() {
+    if (!SpeechQueue.isSupported() || !this.isPaused) return;
+    this.isPaused = false;
+    window.speechSynthesis.resume();
+    this.emitState();
+    this.speakNext();
+  }
+
+  /**
+   * Drop everything queued and stop the current utterance
+   */
+  clear() {
+    this.queue = [];
+    this.current = null;
+    if (SpeechQueue.isSupported()) {
+      window.speechSynthesis.cancel();
+    }
+    this.emitState();
+  }
+
+  emitState() {
+    this.onStateChange({
+      isSpeaking: Boolean(this.current),
+      isPaused: this.isPaused,
+      backlog: this.queue.length
+    });
+  }
+
+  destroy() {
+    this.onStateChange = () => {};
+    this.clear();
+  }
+}